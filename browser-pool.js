@@ -249,19 +249,29 @@ class BrowserPool {
 	 * Open a new page on a pooled browser and run `task(page)`.
 	 * The browser is automatically returned to the pool when done.
 	 *
+	 * With `isolated: true` the page gets its own incognito browser context, so
+	 * cookies/storage it loads (e.g. a named session) never leak to other pages.
+	 *
 	 * @param {(page: import('puppeteer-core').Page) => Promise<T>} task
+	 * @param {{ isolated?: boolean }} [options]
 	 * @returns {Promise<T>}
 	 * @template T
 	 */
-	async withPage(task) {
+	async withPage(task, { isolated = false } = {}) {
 		if (!this._initialised) {
 			await this.initialise();
 		}
 
 		const entry = await this._acquire();
 		let page;
+		let context;
 		try {
-			page = await entry.browser.newPage();
+			if (isolated) {
+				context = await entry.browser.createBrowserContext();
+				page = await context.newPage();
+			} else {
+				page = await entry.browser.newPage();
+			}
 			const result = await task(page);
 			return result;
 		} finally {
@@ -271,6 +281,11 @@ class BrowserPool {
 					await page.close();
 				} catch {}
 			}
+			if (context) {
+				try {
+					await context.close();
+				} catch {}
+			}
 			this._release(entry);
 		}
 	}
@@ -3,7 +3,6 @@ import { serve } from "@hono/node-server";
 import { cors } from "hono/cors";
 import { firestore, storage } from "./config/firebase.js";
 import { FieldValue } from "firebase-admin/firestore";
-import { createHash } from "node:crypto";
 import jwt from "jsonwebtoken";
 import chromium from "@sparticuz/chromium";
 import { performance } from "perf_hooks";
@@ -41,14 +40,153 @@ import {
 	SKILLS,
 	TASK_TYPES,
 	CREDITS,
-	MAX_SOURCE_CHARS_TOTAL_THRESHOLD,
 	MAX_SUMMARY_INPUT_CHARS,
 	MAX_SUMMARY_OUTPUT_CHARS,
+	MAX_SOURCE_TOKENS_TOTAL_THRESHOLD,
+	MAX_SUMMARY_INPUT_TOKENS,
 } from "./lib/inkgestAgent.js";
 import { browserAgentRouter } from "./lib/inkgestBrowserAgent.js";
 import { logger } from "hono/logger";
 import UserAgents from "user-agents";
 import browserPool from "./browser-pool.js";
+import {
+	createScrapeJob,
+	getScrapeJob,
+	summarizeScrapeJob,
+	pageScrapeJobResults,
+} from "./lib/scrapeJobs.js";
+import {
+	normalizeExtractSchema,
+	runStructuredExtraction,
+} from "./lib/structuredExtract.js";
+import { normalizePageActions, runPageActions } from "./lib/pageActions.js";
+import {
+	ROBOTS_BLOCKED_CODE,
+	checkRobots,
+	evaluateRobots,
+	filterUrlsByRobots,
+	getRobotsForOrigin,
+	robotsBlockedResult,
+	waitForCrawlDelay,
+} from "./lib/robots.js";
+import {
+	CACHE_MISS_CODE,
+	cacheEntryAgeMs,
+	createScrapeCache,
+	createScrapeCacheBackend,
+	resolveCacheMaxAge,
+	resolveCacheMode,
+	revalidateCacheEntry,
+	scrapeCacheKey,
+} from "./lib/scrapeCache.js";
+import {
+	createMonitor,
+	deleteMonitor,
+	getMonitor,
+	listMonitors,
+	listMonitorSnapshots,
+	normalizeMonitorInput,
+	publicMonitor,
+	runMonitor,
+	startMonitorScheduler,
+	updateMonitor,
+} from "./lib/pageMonitors.js";
+import {
+	DOCUMENT_ERROR_CODES,
+	scrapeDocumentUrl,
+} from "./lib/documentScrape.js";
+import { followPagination, normalizePaginateOption } from "./lib/pagination.js";
+import {
+	normalizeCaptureNetwork,
+	startNetworkCapture,
+} from "./lib/networkCapture.js";
+import {
+	applySessionState,
+	createBrowserSession,
+	deleteBrowserSession,
+	getBrowserSession,
+	listBrowserSessions,
+	loadBrowserSession,
+	normalizeSessionInput,
+	publicSession,
+	refreshSessionFromPage,
+	sessionsConfigured,
+	updateBrowserSession,
+} from "./lib/browserSessions.js";
+import {
+	applyLocaleProfile,
+	localeSummary,
+	resolveLocaleOption,
+} from "./lib/localeProfiles.js";
+import {
+	createResourceBlocker,
+	normalizeBlockResources,
+	SCRAPE_BLOCK_DEFAULTS,
+	SCREENSHOT_BLOCK_DEFAULTS,
+} from "./lib/resourceBlocking.js";
+import { EXTRACT_MODES, extractArticle } from "./lib/articleExtract.js";
+import {
+	chunkingSummary,
+	chunkMarkdown,
+	countTokens,
+	normalizeChunkingOption,
+	takeTokenBudget,
+} from "./lib/chunking.js";
+import {
+	collectDeepDom,
+	mergeDeepDomLinks,
+	mergeFrameMarkdown,
+	normalizeDeepDomOption,
+} from "./lib/deepDom.js";
+import {
+	extractTables,
+	normalizeTablesOption,
+	TABLE_NOT_FOUND_CODE,
+	tableToCsv,
+} from "./lib/tableExtract.js";
+import {
+	assessRenderedContent,
+	chromiumOnlyOptions,
+	lightEngineHtml,
+	SCRAPE_ENGINES,
+} from "./lib/scrapeEngines.js";
+import {
+	assertPublicUrl,
+	createRequestGuard,
+	safeFetch,
+	SSRF_BLOCKED_CODE,
+} from "./lib/ssrfGuard.js";
+import {
+	BLOCKED_PAGE_CODES,
+	blockedPageFields,
+	classifyBlockedPage,
+	PROXY_RETRY_LABELS,
+} from "./lib/blockDetection.js";
+import {
+	createCrawlState,
+	normalizeCrawlOptions,
+	runCrawl,
+	summarizeCrawl,
+} from "./lib/siteCrawler.js";
+import { buildLlmsTxt, LLMS_TXT_FORMATS, llmsPageFromResult } from "./lib/llmsTxt.js";
+import {
+	auditCrawlLinks,
+	LINK_AUDIT_FORMATS,
+	linkAuditCsv,
+	linkAuditOptions,
+} from "./lib/linkAudit.js";
+import { buildLinkGraph, GRAPH_FORMATS, graphToDot, graphToMermaid } from "./lib/linkGraph.js";
+import { findDuplicateClusters, normalizeDedupeOption } from "./lib/nearDuplicates.js";
+import {
+	controlCrawlJob,
+	createCrawlJob,
+	CRAWL_JOB_MAX_URLS,
+	followCrawlJob,
+	getCrawlJob,
+	pageCrawlJobResults,
+	startCrawlJobRunner,
+	summarizeCrawlJob,
+} from "./lib/crawlJobs.js";
 import fs from "fs";
 import fsp from "fs/promises";
 import { exec } from "child_process";
@@ -85,9 +223,14 @@ dotenv.config({ path: path.join(__dirname, ".env") });
 /** Firestore collection for scraped URL cache (replaces Supabase `universo` for this path). */
 const UNIVERSO_CACHE_COLLECTION = "universo";
 
-function universoCacheDocId(url) {
-	return createHash("sha256").update(String(url)).digest("hex");
-}
+/** Scrape cache (see lib/scrapeCache.js). SCRAPE_CACHE_BACKEND=memory|fs|firestore. */
+const scrapeCache = createScrapeCache(
+	createScrapeCacheBackend(process.env.SCRAPE_CACHE_BACKEND || "firestore", {
+		firestore,
+		collection: UNIVERSO_CACHE_COLLECTION,
+		FieldValue,
+	}),
+);
 
 const utapi = new UTApi({ token: process.env.UPLOADTHING_TOKEN });
 
@@ -1060,8 +1203,9 @@ class ProxyManager {
 		this.startHealthCheck();
 	}
 
-	// Get next available proxy with load balancing
-	getNextProxy() {
+	// Get next available proxy with load balancing. `country` (ISO 3166 alpha-2)
+	// asks for an exit in that region — see regionalProxy().
+	getNextProxy({ country } = {}) {
 		const now = Date.now();
 		const cooldownPeriod = 5000; // 5 seconds cooldown between uses
 
@@ -1077,7 +1221,7 @@ class ProxyManager {
 				proxy.failCount = 0;
 				proxy.isHealthy = true;
 			});
-			return this.proxies[0];
+			return this.regionalProxy(this.proxies[0], country);
 		}
 
 		// Sort by fail count, then avgLatency, then last used time
@@ -1098,7 +1242,22 @@ class ProxyManager {
 		const selectedProxy = sortedProxies[0];
 		selectedProxy.lastUsed = now;
 
-		return selectedProxy;
+		return this.regionalProxy(selectedProxy, country);
+	}
+
+	/**
+	 * Bright Data geo-targets by username: `…-zone-<zone>-country-<cc>` picks an
+	 * exit in that country (a pinned `-ip-` would override it, so it's dropped).
+	 * Returns a copy with `country` set; the pool entry itself is unchanged.
+	 */
+	regionalProxy(proxy, country) {
+		if (!country || !proxy) return proxy;
+		const cc = String(country).toLowerCase();
+		if (proxy.host !== "brd.superproxy.io" || !proxy.username) return proxy;
+		const username = proxy.username
+			.replace(/-ip-[^-]+$/, "")
+			.replace(/-country-[a-z]{2}$/, "");
+		return { ...proxy, username: `${username}-country-${cc}`, country: cc };
 	}
 
 	// Mark proxy as failed
@@ -1358,7 +1517,8 @@ const BLOCK_DISTRACTIONS_CSS = `
   { display: none !important; visibility: hidden !important; opacity: 0 !important; pointer-events: none !important; }
 `;
 
-const generateRandomHeaders = () => {
+/** Random desktop headers; a locale profile pins Accept-Language to its region. */
+const generateRandomHeaders = (localeProfile = null) => {
 	const acceptLanguages = [
 		"en-US,en;q=0.9",
 		"en-GB,en;q=0.9",
@@ -1374,6 +1534,7 @@ const generateRandomHeaders = () => {
 				"text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
 			"Accept-Encoding": "gzip, deflate, br",
 			"Accept-Language":
+				localeProfile?.acceptLanguage ??
 				acceptLanguages[Math.floor(Math.random() * acceptLanguages.length)],
 			"Cache-Control": "no-cache",
 			Pragma: "no-cache",
@@ -1478,6 +1639,17 @@ app.get("/github-trending", async (c) => {
 app.get("/health", (c) => c.json({ ok: true, ts: Date.now() }));
 
 // Browser agent (Puppeteer ReAct loop for dynamic SPAs)
+// `sessionId` on agent runs is resolved here (needs the API token helpers);
+// the router reads it back with c.get("browserSession").
+app.use("/browser-agent/execute", async (c, next) => {
+	if (c.req.method === "POST") {
+		const body = await c.req.json().catch(() => ({}));
+		const resolved = await resolveRequestSession(c, body);
+		if (resolved.error) return c.json(resolved.error, resolved.status);
+		c.set("browserSession", resolved.session);
+	}
+	await next();
+});
 app.route("/browser-agent", browserAgentRouter);
 
 app.post("/post-to-devto", async (c) => {
@@ -3813,10 +3985,13 @@ async function dismissGoogleConsent(page) {
 	}
 }
 
+/** Block labels that mean Google served no results; a SERP can mention paywalls or sign-in. */
+const SERP_BLOCK_LABELS = new Set(["challenge", "captcha", "rate_limited"]);
+
 function detectGoogleSerpBlocked(html) {
+	const verdict = classifyBlockedPage({ html });
+	if (verdict.blocked && SERP_BLOCK_LABELS.has(verdict.label)) return verdict.label;
 	const h = (html || "").toLowerCase();
-	if (h.includes("unusual traffic from your computer network"))
-		return "captcha";
 	if (
 		h.includes("before you continue") ||
 		(h.includes("about this page") && h.includes("terms of service"))
@@ -3910,17 +4085,25 @@ async function fetchWebResultsViaDuckDuckGo(query, maxResults = 10) {
 
 
 app.post("/google-search", async (c) => {
+	const body = await c.req.json();
+	const { profile: localeProfile, errors: localeErrors } = resolveLocaleOption(
+		body.locale,
+	);
+	if (localeErrors.length > 0) {
+		return c.json({ error: "Invalid locale option", details: localeErrors }, 400);
+	}
 	const {
 		query,
 		num = 10,
-		language = "en",
-		country = "us",
+		/** `locale` (e.g. "de-DE") supplies hl/gl defaults and emulates the region in Chrome. */
+		language = localeProfile?.language ?? "en",
+		country = localeProfile?.country ?? "us",
 		timeout = 30000,
 		/** When true, route Chrome through rotating proxies (Bright Data). Default false — direct connection, same idea as /scrape-google-maps. */
 		useProxy = false,
 		/** When true, do not use DuckDuckGo HTML if Google shows CAPTCHA / empty SERP. */
 		skipDdgFallback = false,
-	} = await c.req.json();
+	} = body;
 
 	if (!query || typeof query !== "string") {
 		return c.json({ error: "Query parameter is required" }, 400);
@@ -3939,7 +4122,9 @@ app.post("/google-search", async (c) => {
 		];
 		let selectedProxy = null;
 		if (useProxy) {
-			selectedProxy = proxyManager.getNextProxy();
+			selectedProxy = proxyManager.getNextProxy({
+				country: localeProfile?.country,
+			});
 			ARGS.push(
 				`--proxy-server=http://${selectedProxy.host}:${selectedProxy.port}`,
 			);
@@ -3977,8 +4162,15 @@ app.post("/google-search", async (c) => {
 			);
 
 			await page.setExtraHTTPHeaders({
-				"Accept-Language": `${language}-${country.toUpperCase()},${language};q=0.9,en;q=0.8`,
+				"Accept-Language":
+					localeProfile?.acceptLanguage ??
+					`${language}-${country.toUpperCase()},${language};q=0.9,en;q=0.8`,
 			});
+			if (localeProfile) {
+				await applyLocaleProfile(page, localeProfile, {
+					url: "https://www.google.com",
+				});
+			}
 
 			if (useProxy && selectedProxy?.username && selectedProxy?.password) {
 				await page.authenticate({
@@ -4050,9 +4242,7 @@ app.post("/google-search", async (c) => {
 
 			const needsDdgFallback =
 				!skipDdgFallback &&
-				(finalResults.length === 0 ||
-					blockedReason === "captcha" ||
-					blockedReason === "consent_or_interstitial");
+				(finalResults.length === 0 || blockedReason != null);
 
 			if (needsDdgFallback) {
 				const ddg = await fetchWebResultsViaDuckDuckGo(query, num);
@@ -4070,6 +4260,9 @@ app.post("/google-search", async (c) => {
 				searchUrl: finalSearchUrl,
 				markdown: finalMarkdown,
 				source: sourceTag,
+				...(localeProfile && {
+					locale: localeSummary(localeProfile, selectedProxy?.country),
+				}),
 				...(usedGbvFallback && { gbvFallback: true }),
 				...(blockedReason && {
 					googleBlockedReason: blockedReason,
@@ -4319,14 +4512,15 @@ function rewriteUrl(url) {
 	return url;
 }
 
+// safeFetch: these URLs come straight from the request, so every redirect hop is checked.
 const scrapJson = async (url) => {
-	const response = await fetch(url);
+	const response = await safeFetch(url);
 	const data = await response.json();
 	return data;
 };
 
 const scrapHtml = async (url) => {
-	const response = await fetch(url);
+	const response = await safeFetch(url);
 	const html = await response.text();
 	return html;
 };
@@ -4369,6 +4563,598 @@ async function runG2PostLoadActions(page) {
 	});
 }
 
+/**
+ * Run `extract: { schema, instructions }` against a scraped page.
+ * JSON-LD / selectors first, OpenRouter over the markdown for what's left.
+ * Returns null when no extract spec was given.
+ */
+async function buildScrapeExtraction({ extract, html, markdown, url, selectors }) {
+	if (!extract) return null;
+	const { schema, errors } = normalizeExtractSchema(extract.schema);
+	if (!schema) {
+		return { valid: false, data: {}, sources: {}, missingFields: [], errors };
+	}
+	const apiKey = process.env.OPENROUTER_API_KEY;
+	return runStructuredExtraction({
+		schema,
+		instructions: extract.instructions || "",
+		html,
+		markdown,
+		url,
+		selectors,
+		llm: apiKey
+			? (messages) =>
+					openRouterChatMessages(apiKey, messages, 2048, {
+						temperature: 0,
+						response_format: { type: "json_object" },
+					})
+			: null,
+	});
+}
+
+/**
+ * `aiSummary` for a scraped page or document: OpenRouter over the first 12k chars.
+ * Returns nulls when there's nothing to summarize, no key, or the call fails.
+ */
+async function summarizeScrapedMarkdown(markdown) {
+	if (!markdown || !process.env.OPENROUTER_API_KEY) {
+		return { summary: null, openRouterSummary: null };
+	}
+	try {
+		const truncated = markdown.slice(0, 12000);
+		const or = await openRouterChatMessages(
+			process.env.OPENROUTER_API_KEY,
+			[
+				{
+					role: "system",
+					content:
+						"You summarize web page content concisely. Respond with plain text only—no markdown code fences.",
+				},
+				{
+					role: "user",
+					content: `Summarize the following content concisely. Target length: roughly 100–1000 tokens depending on content length.\n\n${truncated}`,
+				},
+			],
+			2048,
+			{ temperature: 0.3 },
+		);
+		return {
+			summary: String(or.content || "").trim() || null,
+			openRouterSummary: {
+				tokenUsage: or.tokenUsage,
+				usage: or.usage,
+				model: or.model,
+				aiPrompt: or.aiPrompt,
+			},
+		};
+	} catch (err) {
+		console.error("[scrape] AI summary failed:", err?.message);
+		return { summary: null, openRouterSummary: null };
+	}
+}
+
+/** 400 body for an unusable `extract` spec, or null when it's fine/absent. */
+function extractSpecError(extract) {
+	if (extract == null) return null;
+	if (typeof extract !== "object" || Array.isArray(extract)) {
+		return {
+			success: false,
+			error: "Invalid extract option",
+			details: [{ path: "extract", message: "extract must be an object" }],
+		};
+	}
+	const { errors } = normalizeExtractSchema(extract.schema);
+	if (errors.length === 0) return null;
+	return {
+		success: false,
+		error: "Invalid extract schema",
+		details: errors.map((e) => ({
+			...e,
+			path: e.path ? `extract.schema.${e.path}` : "extract.schema",
+		})),
+	};
+}
+
+/**
+ * Validate the request-shaped scrape options that can be rejected before a page
+ * is opened (`extract`, `cache`, `actions`, `scope`, `paginate`, `captureNetwork`,
+ * `locale`, `blockResources`, `extractMode`, `chunking`, `deepDom`, `tables`,
+ * `engine`).
+ * Returns a 400 body or null.
+ */
+function scrapeOptionsError(body = {}) {
+	const extractError = extractSpecError(body.extract);
+	if (extractError) return extractError;
+	const { error: cacheError } = resolveCacheMode(body);
+	if (cacheError) {
+		return {
+			success: false,
+			error: "Invalid cache option",
+			details: [{ path: "cache", message: cacheError }],
+		};
+	}
+	const { errors } = normalizePageActions(body.actions);
+	if (errors.length > 0) {
+		return {
+			success: false,
+			error: "Invalid actions",
+			details: errors.map((e) => ({
+				...e,
+				path: e.index >= 0 ? `actions[${e.index}]` : "actions",
+			})),
+		};
+	}
+	if (body.scope != null && (typeof body.scope !== "string" || !body.scope.trim())) {
+		return {
+			success: false,
+			error: "Invalid scope",
+			details: [{ path: "scope", message: "scope must be a CSS selector string" }],
+		};
+	}
+	const { errors: paginateErrors } = normalizePaginateOption(body.paginate);
+	if (paginateErrors.length > 0) {
+		return { success: false, error: "Invalid paginate option", details: paginateErrors };
+	}
+	const { capture, errors: captureErrors } = normalizeCaptureNetwork(body.captureNetwork);
+	if (captureErrors.length > 0) {
+		return { success: false, error: "Invalid captureNetwork option", details: captureErrors };
+	}
+	if (capture && resolveCacheMode(body).mode === "only") {
+		return {
+			success: false,
+			error: "Invalid cache option",
+			details: [{ path: "cache", message: 'captureNetwork needs a live scrape; cache "only" never scrapes' }],
+		};
+	}
+	const { errors: localeErrors } = resolveLocaleOption(body.locale);
+	if (localeErrors.length > 0) {
+		return { success: false, error: "Invalid locale option", details: localeErrors };
+	}
+	const { errors: blockErrors } = normalizeBlockResources(body.blockResources);
+	if (blockErrors.length > 0) {
+		return { success: false, error: "Invalid blockResources option", details: blockErrors };
+	}
+	const { errors: chunkingErrors } = normalizeChunkingOption(body.chunking);
+	if (chunkingErrors.length > 0) {
+		return { success: false, error: "Invalid chunking option", details: chunkingErrors };
+	}
+	const { errors: tablesErrors } = normalizeTablesOption(body.tables);
+	if (tablesErrors.length > 0) {
+		return { success: false, error: "Invalid tables option", details: tablesErrors };
+	}
+	const { errors: deepDomErrors } = normalizeDeepDomOption(body.deepDom);
+	if (deepDomErrors.length > 0) {
+		return { success: false, error: "Invalid deepDom option", details: deepDomErrors };
+	}
+	if (body.extractMode != null && !EXTRACT_MODES.includes(body.extractMode)) {
+		return {
+			success: false,
+			error: "Invalid extractMode",
+			details: [{ path: "extractMode", message: `extractMode must be one of: ${EXTRACT_MODES.join(", ")}` }],
+		};
+	}
+	if (body.engine != null && !SCRAPE_ENGINES.includes(body.engine)) {
+		return {
+			success: false,
+			error: "Invalid engine",
+			details: [{ path: "engine", message: `engine must be one of: ${SCRAPE_ENGINES.join(", ")}` }],
+		};
+	}
+	if (body.engine === "fetch" || body.engine === "lightpanda") {
+		const needsChromium = chromiumOnlyOptions(body);
+		if (needsChromium.length > 0) {
+			return {
+				success: false,
+				error: "Invalid engine",
+				details: [
+					{
+						path: "engine",
+						message: `engine "${body.engine}" cannot be combined with: ${needsChromium.join(", ")}; use "chromium" or "auto"`,
+					},
+				],
+			};
+		}
+	}
+	if (body.sessionId != null && resolveCacheMode(body).mode === "only") {
+		return {
+			success: false,
+			error: "Invalid cache option",
+			details: [{ path: "cache", message: 'Session scrapes are never cached; cache "only" never scrapes' }],
+		};
+	}
+	return null;
+}
+
+/** Layout chrome stripped before page HTML is turned into markdown. */
+const SCRAPE_MARKDOWN_BOILERPLATE = [
+	"header",
+	"footer",
+	"nav",
+	"aside",
+	".header",
+	".top",
+	".navbar",
+	"#header",
+	".footer",
+	".bottom",
+	"#footer",
+	".sidebar",
+	".side",
+	".aside",
+	"#sidebar",
+	".modal",
+	".popup",
+	"#modal",
+	".overlay",
+	".ad",
+	".ads",
+	".advert",
+	"#ad",
+	".lang-selector",
+	".language",
+	"#language-selector",
+	".social",
+	".social-media",
+	".social-links",
+	"#social",
+	".menu",
+	".navigation",
+	"#nav",
+	".breadcrumbs",
+	"#breadcrumbs",
+	".share",
+	"#share",
+	".widget",
+	"#widget",
+	".cookie",
+	"#cookie",
+	"script",
+	"style",
+	"noscript",
+];
+
+/**
+ * Page HTML → markdown the way /scrape does it: optional `scope` narrows to the
+ * matched element(s), then `extractMode` picks the conversion:
+ *   semantic (default) — boilerplate (nav, footer, ads, …) removed
+ *   article            — Readability main content + article metadata; falls back
+ *                        to semantic when no article is found
+ *   full               — everything but scripts and styles
+ * @returns {{ markdown: string, scopeInfo: { selector: string, matched: number } | null, article: Object|null, extractMode: string }}
+ */
+function htmlToScrapeMarkdown(
+	html,
+	{ scope = null, extractMode = "semantic", url = null } = {},
+) {
+	const doc = new JSDOM(html, url ? { url } : {}).window.document;
+	let root = doc.body;
+	let scopeInfo = null;
+	if (scope) {
+		let matches = [];
+		try {
+			matches = Array.from(doc.querySelectorAll(scope));
+		} catch {
+			matches = [];
+		}
+		root = doc.createElement("div");
+		for (const el of matches) root.appendChild(el.cloneNode(true));
+		scopeInfo = { selector: scope, matched: matches.length };
+	}
+	if (extractMode === "article") {
+		const articleDoc = scope
+			? new JSDOM(
+					`<!DOCTYPE html><html><head>${doc.head.innerHTML}</head><body>${root.innerHTML}</body></html>`,
+					url ? { url } : {},
+				).window.document
+			: doc;
+		const extracted = extractArticle(articleDoc, url);
+		if (extracted) {
+			return {
+				markdown: extracted.markdown,
+				scopeInfo,
+				article: extracted.article,
+				extractMode: "article",
+			};
+		}
+	}
+	const stripped =
+		extractMode === "full"
+			? ["script", "style", "noscript"]
+			: SCRAPE_MARKDOWN_BOILERPLATE;
+	stripped.forEach((sel) =>
+		root.querySelectorAll(sel).forEach((el) => el.remove()),
+	);
+	const { markdown } = extractSemanticContentWithFormattedMarkdown(root);
+	return {
+		markdown,
+		scopeInfo,
+		article: null,
+		extractMode: extractMode === "full" ? "full" : "semantic",
+	};
+}
+
+/**
+ * Page data for a scrape result (title, headings, metadata, links, images,
+ * semantic content, custom selectors). Runs inside the page via page.evaluate,
+ * or in a JSDOM window for the light engines. Removes layout chrome from the
+ * document it runs in.
+ */
+async function collectScrapedPageData(opts) {
+	const data = {
+		url: window.location.href,
+		title: document.title,
+		content: {},
+		metadata: {},
+		links: [],
+		images: [],
+		screenshot: null,
+		orderedContent: null,
+	};
+	const remove = [
+		"header",
+		"footer",
+		"nav",
+		"aside",
+		".header",
+		".top",
+		".navbar",
+		"#header",
+		".footer",
+		".bottom",
+		"#footer",
+		".sidebar",
+		".side",
+		".aside",
+		"#sidebar",
+		".modal",
+		".popup",
+		"#modal",
+		".overlay",
+		".ad",
+		".ads",
+		".advert",
+		"#ad",
+		".lang-selector",
+		".language",
+		"#language-selector",
+		".social",
+		".social-media",
+		".social-links",
+		"#social",
+		".menu",
+		".navigation",
+		"#nav",
+		".breadcrumbs",
+		"#breadcrumbs",
+		".share",
+		"#share",
+		".widget",
+		"#widget",
+		".cookie",
+		"#cookie",
+		"script",
+		"style",
+		"noscript",
+	];
+	// linkScope "all" (crawler): subresources, rel=canonical and fragment
+	// targets too, taken before scripts and page chrome are stripped.
+	if (opts.linkScope === "all") {
+		const resources = [
+			["script[src]", "script", "src"],
+			['link[rel~="stylesheet"][href]', "stylesheet", "href"],
+			["iframe[src]", "iframe", "src"],
+			["img[src]", "img", "src"],
+			["video[src], video source[src]", "video", "src"],
+			["audio[src], audio source[src]", "audio", "src"],
+			["form[action]", "form", "action"],
+		];
+		const seenResources = new Set();
+		data.subresources = resources.flatMap(([sel, kind, attr]) =>
+			Array.from(document.querySelectorAll(sel))
+				.map((el) => {
+					try {
+						// getAttribute: form.action can be shadowed by a field named "action".
+						return { kind, url: new URL(el.getAttribute(attr), document.baseURI).href };
+					} catch {
+						return { kind, url: null };
+					}
+				})
+				.filter((r) => {
+					if (!r.url || !/^https?:/.test(r.url)) return false;
+					const key = `${r.kind}|${r.url}`;
+					if (seenResources.has(key)) return false;
+					seenResources.add(key);
+					return true;
+				}),
+		);
+		data.canonicalUrl =
+			document.querySelector('link[rel~="canonical" i][href]')?.href || null;
+		data.anchorIds = Array.from(
+			new Set(
+				Array.from(document.querySelectorAll("[id], a[name]")).map(
+					(el) => el.id || el.getAttribute("name"),
+				),
+			),
+		).filter(Boolean);
+	}
+	remove.forEach((sel) =>
+		document.querySelectorAll(sel).forEach((el) => el.remove()),
+	);
+	["h1", "h2", "h3", "h4", "h5", "h6"].forEach((tag) => {
+		data.content[tag] = Array.from(
+			document.querySelectorAll(tag),
+		).map((h) => h.textContent.trim());
+	});
+	if (opts.extractMetadata) {
+		document.querySelectorAll("meta").forEach((meta) => {
+			const name =
+				meta.getAttribute("name") || meta.getAttribute("property");
+			const content = meta.getAttribute("content");
+			if (name && content) data.metadata[name] = content;
+		});
+		document
+			.querySelectorAll('meta[property^="og:"]')
+			.forEach((meta) => {
+				const p = meta.getAttribute("property");
+				const c = meta.getAttribute("content");
+				if (p && c) data.metadata[p] = c;
+			});
+		document
+			.querySelectorAll('meta[name^="twitter:"]')
+			.forEach((meta) => {
+				const n = meta.getAttribute("name");
+				const c = meta.getAttribute("content");
+				if (n && c) data.metadata[n] = c;
+			});
+	}
+	if (opts.includeLinks) {
+		const currentUrl = new URL(window.location.href);
+		const seedDomain = currentUrl.hostname;
+		// linkScope "all" (crawler discovery): every http(s) link, off-site and text-less ones too.
+		const allLinks = opts.linkScope === "all";
+		const seen = new Set();
+		data.links = Array.from(document.querySelectorAll("a[href]"))
+			.map((link) => ({
+				text: link.textContent.trim(),
+				href: link.href,
+				title: link.getAttribute("title") || "",
+			}))
+			.filter((link) => {
+				try {
+					const linkUrl = new URL(link.href);
+					if (allLinks) {
+						if (!/^https?:$/.test(linkUrl.protocol)) return false;
+						// Fragments kept apart: the link audit checks each target.
+						const key = link.href;
+						if (seen.has(key)) return false;
+						seen.add(key);
+						return true;
+					}
+					if (linkUrl.hostname !== seedDomain) return false;
+				} catch {
+					return false;
+				}
+				if (opts.isG2Host && /\/products\//i.test(link.href)) {
+					let label = link.text || link.title;
+					if (!label) {
+						const m = link.href.match(/\/products\/([^/?#]+)/);
+						label = m
+							? decodeURIComponent(m[1].replace(/-/g, " "))
+							: "Product";
+					}
+					link.text = label;
+					const key = link.href.split("#")[0];
+					if (seen.has(key)) return false;
+					seen.add(key);
+					return true;
+				}
+				if (!(link?.text?.length > 0 || link?.title?.length > 0))
+					return false;
+				const key = `${link.text}|${link.href}|${link.title}`;
+				if (seen.has(key)) return false;
+				seen.add(key);
+				return true;
+			});
+	}
+	if (opts.includeSemanticContent) {
+		const ext = (sel, proc = (el) => el.textContent.trim()) =>
+			Array.from(document.querySelectorAll(sel)).map(proc);
+		const extTable = (t) =>
+			Array.from(t.querySelectorAll("tr"))
+				.map((r) =>
+					Array.from(r.querySelectorAll("td, th"))
+						.map((c) => c.textContent.trim())
+						.filter(Boolean),
+				)
+				.filter((r) => r.length > 0);
+		const extList = (l) =>
+			Array.from(l.querySelectorAll("li"))
+				.map((li) => li.textContent.trim())
+				.filter(Boolean);
+		data.content.semanticContent = {
+			articleContent: ext("article"),
+			divs: ext("div"),
+			paragraphs: ext("p"),
+			span: ext("span"),
+			blockquotes: ext("blockquote"),
+			codeBlocks: ext("code"),
+			preformatted: ext("pre"),
+			tables: ext("table", extTable),
+			unorderedLists: ext("ul", extList),
+			orderedLists: ext("ol", extList),
+		};
+	}
+	if (opts.includeImages) {
+		data.images = Array.from(document.querySelectorAll("img[src]"))
+			.filter(
+				(img) =>
+					!["data:image/", "blob:", "image:", "data:"].some((p) =>
+						img.src.startsWith(p),
+					),
+			)
+			.map((img) => ({
+				src: img.src,
+				alt: img.alt || "",
+				title: img.title || "",
+				width: img.naturalWidth || img.width,
+				height: img.naturalHeight || img.height,
+			}));
+	}
+	if (opts.selectors && Object.keys(opts.selectors).length > 0) {
+		data.customSelectors = {};
+		for (const [key, selector] of Object.entries(opts.selectors)) {
+			try {
+				const els = document.querySelectorAll(selector);
+				data.customSelectors[key] =
+					els.length === 1
+						? els[0].textContent.trim()
+						: Array.from(els).map((e) => e.textContent.trim());
+			} catch {
+				data.customSelectors[key] = null;
+			}
+		}
+	}
+	return data;
+}
+
+/** collectScrapedPageData over HTML a light engine returned. */
+async function collectScrapedPageDataFromHtml(html, url, opts) {
+	const dom = new JSDOM(html, { url, runScripts: "outside-only" });
+	try {
+		return await dom.window.eval(
+			`(${collectScrapedPageData.toString()})(${JSON.stringify(opts)})`,
+		);
+	} finally {
+		dom.window.close();
+	}
+}
+
+/**
+ * `tables` for a scrape: data tables inside `scope` (or the whole page), then
+ * those of each deepDom frame, tagged with `frameId`. Indexes run across all.
+ */
+function scrapeTables(html, { scope = null, url = null, tables, frames = [] }) {
+	const doc = new JSDOM(html, url ? { url } : {}).window.document;
+	let root = doc;
+	if (scope) {
+		root = doc.createElement("div");
+		try {
+			for (const el of doc.querySelectorAll(scope)) root.appendChild(el.cloneNode(true));
+		} catch {}
+	}
+	const found = extractTables(root, tables);
+	for (const frame of frames || []) {
+		if (!frame.html || found.length >= tables.maxTables) continue;
+		const frameDoc = new JSDOM(frame.html).window.document;
+		const frameTables = extractTables(frameDoc, {
+			...tables,
+			maxTables: tables.maxTables - found.length,
+		});
+		found.push(...frameTables.map((t) => ({ ...t, frameId: frame.id })));
+	}
+	return found.map((t, index) => ({ ...t, index }));
+}
+
 /**
  * Core scraping logic for a single URL. Returns result object or throws.
  * Used by both /scrape and /scrap-urls-puppeteer.
@@ -4387,11 +5173,44 @@ async function scrapeSingleUrlWithPuppeteer(
 		useProxy = false,
 		aiSummary = false,
 		takeScreenshot = false,
+		extract = null,
+		actions = [],
+		respectRobots = false,
+		cache = null,
+		maxAge = null,
+		scope = null,
+		paginate = null,
+		captureNetwork = null,
+		locale = null,
+		blockResources = null,
+		extractMode = "semantic",
+		deepDom = null,
+		tables = null,
+		engine = "chromium",
+		linkScope = "page",
+		session = null,
 	} = {},
 ) {
 	let targetUrl = rewriteUrl(url) || url;
 
+	// Every caller (routes, jobs, monitors, crawls) goes through here.
+	const blockedUrl = await publicUrlError(targetUrl);
+	if (blockedUrl) {
+		return { ...blockedUrl, url, data: {}, markdown: null, summary: null, screenshot: null };
+	}
+
+	let robotsVerdict = null;
+	if (respectRobots) {
+		robotsVerdict = await checkRobots(targetUrl);
+		if (!robotsVerdict.allowed) return robotsBlockedResult(url, robotsVerdict);
+	}
+	const respectCrawlDelay = () =>
+		robotsVerdict
+			? waitForCrawlDelay(targetUrl, robotsVerdict.crawlDelay)
+			: undefined;
+
 	if (targetUrl.includes("format=json")) {
+		await respectCrawlDelay();
 		const data = await scrapJson(targetUrl);
 		return {
 			success: true,
@@ -4402,6 +5221,7 @@ async function scrapeSingleUrlWithPuppeteer(
 		};
 	}
 	if (targetUrl.includes("format=html")) {
+		await respectCrawlDelay();
 		const html = await scrapHtml(targetUrl);
 		const data = dataExtractionFromHtml(html, {
 			includeSemanticContent,
@@ -4418,43 +5238,299 @@ async function scrapeSingleUrlWithPuppeteer(
 		};
 	}
 
-	if (includeCache) {
-		const snap = await firestore
-			.collection(UNIVERSO_CACHE_COLLECTION)
-			.doc(universoCacheDocId(targetUrl))
-			.get();
-		if (!snap.exists) {
-			throw new Error("Cache miss or fetch error");
-		}
-		const existingData = snap.data();
-		const raw = existingData?.scraped_data;
-		if (raw == null) {
-			throw new Error("Cache miss or fetch error");
+	const cacheMode =
+		resolveCacheMode({ cache, includeCache }).mode || "refresh";
+	const cacheMaxAge = resolveCacheMaxAge(maxAge);
+	const localeProfile = resolveLocaleOption(locale).profile;
+	const deepDomOptions = normalizeDeepDomOption(deepDom).deepDom;
+	const tablesOptions = normalizeTablesOption(tables).tables;
+	const cacheKey = scrapeCacheKey(targetUrl, {
+		includeSemanticContent,
+		includeImages,
+		includeLinks,
+		extractMetadata,
+		takeScreenshot,
+		selectors,
+		actions,
+		waitForSelector,
+		scope,
+		paginate,
+		locale: localeProfile?.locale,
+		extractMode: extractMode === "semantic" ? null : extractMode,
+		deepDom: deepDomOptions,
+		tables: tablesOptions,
+		linkScope: linkScope === "page" ? null : linkScope,
+	});
+	const cacheInfo = (status, entry = null) => ({
+		mode: cacheMode,
+		status,
+		backend: scrapeCache.backendName,
+		...(entry && {
+			storedAt: new Date(entry.storedAt).toISOString(),
+			ageMs: cacheEntryAgeMs(entry),
+		}),
+	});
+
+	// A network capture only exists for a live session, so it never reads the cache.
+	const captureOptions = normalizeCaptureNetwork(captureNetwork).capture;
+	// Logged-in pages are per user: never served from or written to the shared cache.
+	const cacheable = !session;
+	if (
+		cacheable &&
+		!captureOptions &&
+		(cacheMode === "prefer" || cacheMode === "only")
+	) {
+		let entry = await scrapeCache.read(cacheKey);
+		let status = null;
+		if (entry && cacheEntryAgeMs(entry) <= cacheMaxAge) {
+			status = "hit";
+		} else if (
+			entry &&
+			cacheMode === "prefer" &&
+			(await revalidateCacheEntry(targetUrl, entry))
+		) {
+			entry = await scrapeCache.touch(cacheKey, entry);
+			status = "revalidated";
+		}
+		if (status) {
+			const extraction = await buildScrapeExtraction({
+				extract,
+				html: null,
+				markdown: entry.markdown,
+				url: targetUrl,
+				selectors,
+			});
+			return {
+				success: true,
+				data: entry.data,
+				markdown: entry.markdown,
+				summary: null,
+				screenshot: entry.screenshot,
+				...(entry.data?.article && { article: entry.data.article }),
+				...(entry.data?.tables && { tables: entry.data.tables }),
+				...(extraction && { extraction }),
+				cache: cacheInfo(status, entry),
+			};
 		}
-		let parsedData;
-		if (typeof raw === "string") {
-			parsedData = JSON.parse(raw);
-		} else {
-			parsedData = raw;
+		if (cacheMode === "only") {
+			return {
+				success: false,
+				code: CACHE_MISS_CODE,
+				error: CACHE_MISS_CODE,
+				url,
+				data: {},
+				markdown: null,
+				summary: null,
+				screenshot: null,
+				cache: cacheInfo(entry ? "stale" : "miss", entry),
+			};
 		}
-		return {
-			success: true,
-			data: parsedData,
-			markdown: existingData?.markdown ?? null,
-			summary: null,
-			screenshot: existingData?.screenshot ?? null,
-		};
 	}
 
-	const maxAttempts = useProxy ? 3 : 1;
-	let lastError;
+	await respectCrawlDelay();
 
-	for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-		let selectedProxy = null;
-		const { userAgent, extraHTTPHeaders, viewport } = generateRandomHeaders();
+	/** Write a live result back for prefer/refresh; returns the `cache.status` to report. */
+	const storeLiveResult = async ({ data, markdown, screenshot, etag, lastModified }) => {
+		if (!cacheable) return "bypass";
+		if (cacheMode !== "prefer" && cacheMode !== "refresh") {
+			return cacheMode === "bypass" ? "bypass" : "miss";
+		}
+		const written = await scrapeCache.write(cacheKey, {
+			url: targetUrl,
+			data,
+			markdown,
+			screenshot,
+			etag: etag ?? null,
+			lastModified: lastModified ?? null,
+		});
+		return cacheMode === "refresh" && written ? "refresh" : "miss";
+	};
+
+	// PDFs, Word documents and plain text are converted directly, not rendered.
+	// The direct fetch carries no cookies and leaves from this server's own address,
+	// so session, proxied and geo-targeted scrapes always use the browser.
+	const documentResult =
+		session || useProxy || locale ? null : await scrapeDocumentUrl(targetUrl, { timeout });
+	if (documentResult) {
+		if (!documentResult.success) return { ...documentResult, url };
+		const cacheStatus = await storeLiveResult({
+			data: documentResult.data,
+			markdown: documentResult.markdown,
+			screenshot: null,
+			etag: documentResult.etag,
+			lastModified: documentResult.lastModified,
+		});
+		const extraction = await buildScrapeExtraction({
+			extract,
+			html: null,
+			markdown: documentResult.markdown,
+			url: targetUrl,
+			selectors,
+		});
+		const { summary, openRouterSummary } = aiSummary
+			? await summarizeScrapedMarkdown(documentResult.markdown)
+			: { summary: null, openRouterSummary: null };
+		return {
+			success: true,
+			data: documentResult.data,
+			markdown: documentResult.markdown,
+			summary,
+			screenshot: null,
+			document: documentResult.document,
+			...(openRouterSummary && { openRouterSummary }),
+			...(extraction && { extraction }),
+			cache: cacheInfo(cacheStatus),
+		};
+	}
+
+	// engine: fetch / Lightpanda serve the page when they can; auto escalates to
+	// the next engine whenever the result is not meaningful yet.
+	const engineReport = { requested: engine, used: "chromium", escalations: [] };
+	const needsChromium =
+		engine === "chromium"
+			? []
+			: chromiumOnlyOptions({
+					actions,
+					waitForSelector,
+					takeScreenshot,
+					captureNetwork,
+					sessionId: session?.id,
+					locale,
+					useProxy,
+					paginate,
+					deepDom,
+				});
+	if (needsChromium.length > 0) {
+		engineReport.escalations.push({
+			engine,
+			reasons: [
+				{
+					code: "needs_chromium",
+					message: `Options need Chromium: ${needsChromium.join(", ")}`,
+				},
+			],
+		});
+	} else if (engine !== "chromium") {
+		for (const candidate of engine === "auto" ? ["fetch", "lightpanda"] : [engine]) {
+			let rendered;
+			try {
+				rendered = await lightEngineHtml(candidate, targetUrl, { timeout });
+			} catch (err) {
+				if (engine !== "auto") throw err;
+				engineReport.escalations.push({
+					engine: candidate,
+					reasons: [{ code: "engine_error", message: err?.message || "Engine failed" }],
+				});
+				continue;
+			}
+			const pageUrl = rendered.finalUrl;
+			const { markdown, scopeInfo, article, extractMode: extractModeUsed } =
+				htmlToScrapeMarkdown(rendered.html, { scope, extractMode, url: pageUrl });
+			const verdict = assessRenderedContent({
+				html: rendered.html,
+				markdown,
+				status: rendered.status,
+				contentType: rendered.contentType,
+			});
+			const block = classifyBlockedPage({
+				html: rendered.html,
+				status: rendered.status,
+				headers: rendered.headers,
+				url: pageUrl,
+				requestedUrl: targetUrl,
+			});
+			if (engine === "auto" && (!verdict.meaningful || block.blocked)) {
+				engineReport.escalations.push({
+					engine: candidate,
+					reasons: block.blocked
+						? [{ code: "blocked", message: `${block.label} (${block.signals.join("; ")})` }]
+						: verdict.reasons,
+				});
+				continue;
+			}
+
+			let scrapedData = includeSemanticContent
+				? await collectScrapedPageDataFromHtml(rendered.html, pageUrl, {
+						extractMetadata,
+						includeImages,
+						includeLinks,
+						includeSemanticContent,
+						selectors,
+						isG2Host: false,
+						linkScope,
+					})
+				: {};
+			if (includeSemanticContent && scrapedData?.content)
+				removeEmptyKeys(scrapedData.content);
+			if (article) scrapedData = { ...scrapedData, article };
+			if (tablesOptions) {
+				scrapedData = {
+					...scrapedData,
+					tables: scrapeTables(rendered.html, { scope, url: pageUrl, tables: tablesOptions }),
+				};
+			}
+			const extraction = await buildScrapeExtraction({
+				extract,
+				html: rendered.html,
+				markdown,
+				url: targetUrl,
+				selectors,
+			});
+			const { summary, openRouterSummary } = aiSummary
+				? await summarizeScrapedMarkdown(markdown)
+				: { summary: null, openRouterSummary: null };
+			// Block pages are never cached.
+			const cacheStatus = block.blocked
+				? "bypass"
+				: await storeLiveResult({
+						data: scrapedData,
+						markdown,
+						screenshot: null,
+						etag: rendered.headers.etag,
+						lastModified: rendered.headers["last-modified"],
+					});
+			return {
+				success: true,
+				...(block.blocked ? blockedPageFields(block) : { blocked: false }),
+				httpStatus: rendered.status,
+				data: scrapedData,
+				markdown,
+				summary,
+				screenshot: null,
+				...(openRouterSummary && { openRouterSummary }),
+				...(extraction && { extraction }),
+				...(scopeInfo && { scope: scopeInfo }),
+				...(extractMode !== "semantic" && {
+					extractMode: { requested: extractMode, used: extractModeUsed },
+				}),
+				...(scrapedData.article && { article: scrapedData.article }),
+				...(scrapedData.tables && { tables: scrapedData.tables }),
+				engine: {
+					...engineReport,
+					used: candidate,
+					...(engine === "auto" && { textLength: verdict.textLength }),
+				},
+				cache: cacheInfo(cacheStatus),
+			};
+		}
+	}
+
+	const maxAttempts = useProxy ? 3 : 1;
+	let lastError;
+	/** Proxy attempts that hit a block page before the one returned. */
+	const blockedAttempts = [];
+
+	for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+		let selectedProxy = null;
+		const { userAgent, extraHTTPHeaders, viewport } =
+			generateRandomHeaders(localeProfile);
 
 		try {
-			if (useProxy) selectedProxy = proxyManager.getNextProxy();
+			if (useProxy) {
+				selectedProxy = proxyManager.getNextProxy({
+					country: localeProfile?.country,
+				});
+			}
 
 			const poolResult = await browserPool.withPage(async (page) => {
 				await page.setViewport(viewport);
@@ -4468,7 +5544,12 @@ async function scrapeSingleUrlWithPuppeteer(
 					});
 				}
 
-				await page.evaluateOnNewDocument(() => {
+				if (session) await applySessionState(page, session.state);
+				if (localeProfile) {
+					await applyLocaleProfile(page, localeProfile, { url: targetUrl });
+				}
+
+				await page.evaluateOnNewDocument((languages) => {
 					Object.defineProperty(navigator, "webdriver", {
 						get: () => undefined,
 					});
@@ -4476,110 +5557,52 @@ async function scrapeSingleUrlWithPuppeteer(
 						get: () => [1, 2, 3, 4, 5],
 					});
 					Object.defineProperty(navigator, "languages", {
-						get: () => ["en-US", "en"],
+						get: () => languages,
 					});
 					const orig = window.navigator.permissions.query;
 					window.navigator.permissions.query = (p) =>
 						p.name === "notifications"
 							? Promise.resolve({ state: Notification.permission })
 							: orig(p);
-				});
+				}, localeProfile?.languages ?? ["en-US", "en"]);
 
-				let blockedResources = {
-					images: 0,
-					fonts: 0,
-					stylesheets: 0,
-					media: 0,
-				};
 				const isG2Host =
 					/\bg2\.com\b/i.test(targetUrl) || /\bg2crowd\.com\b/i.test(targetUrl);
+				// G2 (and similar SPAs) need real CSS/JS/CDN — empty stylesheets leave UI
+				// display:none / invisible, so markdown + innerText stay empty.
+				const resourceBlocker = createResourceBlocker(
+					isG2Host && blockResources == null
+						? normalizeBlockResources(false).block
+						: normalizeBlockResources(
+								blockResources,
+								takeScreenshot ? SCREENSHOT_BLOCK_DEFAULTS : SCRAPE_BLOCK_DEFAULTS,
+							).block,
+					{ guard: createRequestGuard() },
+				);
 
 				await page.setRequestInterception(true);
 				page.on("request", (request) => {
-					// G2 (and similar SPAs) need real CSS/JS/CDN — empty stylesheets leave UI
-					// display:none / invisible, so markdown + innerText stay empty.
-					if (isG2Host) {
-						request.continue();
-						return;
-					}
-					const resourceType = request.resourceType();
 					const reqUrl = request.url().toLowerCase();
 					if (
-						(reqUrl.includes("vercel") &&
+						!isG2Host &&
+						((reqUrl.includes("vercel") &&
 							(reqUrl.includes("security") || reqUrl.includes("checkpoint"))) ||
-						reqUrl.includes("cloudflare") ||
-						reqUrl.includes("bot-detection") ||
-						reqUrl.includes("challenge")
+							reqUrl.includes("cloudflare") ||
+							reqUrl.includes("bot-detection") ||
+							reqUrl.includes("challenge"))
 					) {
-						request.abort();
-						return;
-					}
-					if (resourceType === "image") {
-						blockedResources.images++;
-						request.abort();
+						resourceBlocker.abort(request, "challenge");
 						return;
 					}
-					const imgExts = [
-						".jpg",
-						".jpeg",
-						".png",
-						".gif",
-						".bmp",
-						".webp",
-						".svg",
-						".ico",
-						".tiff",
-						".tif",
-						".heic",
-						".heif",
-						".avif",
-					];
-					if (imgExts.some((ext) => reqUrl.includes(ext))) {
-						blockedResources.images++;
-						request.abort();
-						return;
-					}
-					const imgServices = [
-						"cdn",
-						"images",
-						"img",
-						"photo",
-						"pic",
-						"media",
-						"assets",
-					];
-					if (
-						imgServices.some((s) => reqUrl.includes(s)) &&
-						[".jpg", ".png", ".gif"].some((e) => reqUrl.includes(e))
-					) {
-						blockedResources.images++;
-						request.abort();
-						return;
-					}
-					if (reqUrl.startsWith("data:image/")) {
-						blockedResources.images++;
-						request.abort();
-						return;
-					}
-					if (resourceType === "stylesheet") {
-						blockedResources.stylesheets++;
-						request.respond({ status: 200, contentType: "text/css", body: "" });
-						return;
-					}
-					if (resourceType === "font") {
-						blockedResources.fonts++;
-						request.abort();
-						return;
-					}
-					if (resourceType === "media") {
-						blockedResources.media++;
-						request.abort();
-						return;
-					}
-					request.continue();
+					resourceBlocker.handle(request);
 				});
 
+				const networkRecorder = captureOptions
+					? startNetworkCapture(page, captureOptions)
+					: null;
+
 				const navStart = Date.now();
+				let navResponse = null;
 				if (targetUrl.includes("reddit.com")) {
 					const redditUrl = targetUrl.endsWith("/")
 						? targetUrl.slice(0, -1) + ".json"
@@ -4608,7 +5631,7 @@ async function scrapeSingleUrlWithPuppeteer(
 						Math.max(Math.max(timeout, 55_000), 45_000),
 						120_000,
 					);
-					await page.goto(targetUrl, {
+					navResponse = await page.goto(targetUrl, {
 						waitUntil: "load",
 						timeout: g2NavTimeout,
 					});
@@ -4654,12 +5677,13 @@ async function scrapeSingleUrlWithPuppeteer(
 					await runG2PostLoadActions(page);
 					await new Promise((r) => setTimeout(r, 1500));
 				} else {
-					await page.goto(targetUrl, {
+					navResponse = await page.goto(targetUrl, {
 						waitUntil: "domcontentloaded",
 						timeout,
 					});
 				}
 				const navLatency = Date.now() - navStart;
+				const navHeaders = navResponse?.headers?.() || {};
 
 				if (waitForSelector) {
 					try {
@@ -4667,195 +5691,17 @@ async function scrapeSingleUrlWithPuppeteer(
 					} catch {}
 				}
 
+				let actionResults = null;
+				const pageActions = normalizePageActions(actions).actions;
+				if (pageActions.length > 0) {
+					actionResults = await runPageActions(page, pageActions);
+				}
+
 				let scrapedData = {};
+				let deepDomInfo = null;
 				if (includeSemanticContent) {
 					scrapedData = await page.evaluate(
-						async (opts) => {
-							const data = {
-								url: window.location.href,
-								title: document.title,
-								content: {},
-								metadata: {},
-								links: [],
-								images: [],
-								screenshot: null,
-								orderedContent: null,
-							};
-							const remove = [
-								"header",
-								"footer",
-								"nav",
-								"aside",
-								".header",
-								".top",
-								".navbar",
-								"#header",
-								".footer",
-								".bottom",
-								"#footer",
-								".sidebar",
-								".side",
-								".aside",
-								"#sidebar",
-								".modal",
-								".popup",
-								"#modal",
-								".overlay",
-								".ad",
-								".ads",
-								".advert",
-								"#ad",
-								".lang-selector",
-								".language",
-								"#language-selector",
-								".social",
-								".social-media",
-								".social-links",
-								"#social",
-								".menu",
-								".navigation",
-								"#nav",
-								".breadcrumbs",
-								"#breadcrumbs",
-								".share",
-								"#share",
-								".widget",
-								"#widget",
-								".cookie",
-								"#cookie",
-								"script",
-								"style",
-								"noscript",
-							];
-							remove.forEach((sel) =>
-								document.querySelectorAll(sel).forEach((el) => el.remove()),
-							);
-							["h1", "h2", "h3", "h4", "h5", "h6"].forEach((tag) => {
-								data.content[tag] = Array.from(
-									document.querySelectorAll(tag),
-								).map((h) => h.textContent.trim());
-							});
-							if (opts.extractMetadata) {
-								document.querySelectorAll("meta").forEach((meta) => {
-									const name =
-										meta.getAttribute("name") || meta.getAttribute("property");
-									const content = meta.getAttribute("content");
-									if (name && content) data.metadata[name] = content;
-								});
-								document
-									.querySelectorAll('meta[property^="og:"]')
-									.forEach((meta) => {
-										const p = meta.getAttribute("property");
-										const c = meta.getAttribute("content");
-										if (p && c) data.metadata[p] = c;
-									});
-								document
-									.querySelectorAll('meta[name^="twitter:"]')
-									.forEach((meta) => {
-										const n = meta.getAttribute("name");
-										const c = meta.getAttribute("content");
-										if (n && c) data.metadata[n] = c;
-									});
-							}
-							if (opts.includeLinks) {
-								const currentUrl = new URL(window.location.href);
-								const seedDomain = currentUrl.hostname;
-								const seen = new Set();
-								data.links = Array.from(document.querySelectorAll("a[href]"))
-									.map((link) => ({
-										text: link.textContent.trim(),
-										href: link.href,
-										title: link.getAttribute("title") || "",
-									}))
-									.filter((link) => {
-										try {
-											if (new URL(link.href).hostname !== seedDomain)
-												return false;
-										} catch {
-											return false;
-										}
-										if (opts.isG2Host && /\/products\//i.test(link.href)) {
-											let label = link.text || link.title;
-											if (!label) {
-												const m = link.href.match(/\/products\/([^/?#]+)/);
-												label = m
-													? decodeURIComponent(m[1].replace(/-/g, " "))
-													: "Product";
-											}
-											link.text = label;
-											const key = link.href.split("#")[0];
-											if (seen.has(key)) return false;
-											seen.add(key);
-											return true;
-										}
-										if (!(link?.text?.length > 0 || link?.title?.length > 0))
-											return false;
-										const key = `${link.text}|${link.href}|${link.title}`;
-										if (seen.has(key)) return false;
-										seen.add(key);
-										return true;
-									});
-							}
-							if (opts.includeSemanticContent) {
-								const ext = (sel, proc = (el) => el.textContent.trim()) =>
-									Array.from(document.querySelectorAll(sel)).map(proc);
-								const extTable = (t) =>
-									Array.from(t.querySelectorAll("tr"))
-										.map((r) =>
-											Array.from(r.querySelectorAll("td, th"))
-												.map((c) => c.textContent.trim())
-												.filter(Boolean),
-										)
-										.filter((r) => r.length > 0);
-								const extList = (l) =>
-									Array.from(l.querySelectorAll("li"))
-										.map((li) => li.textContent.trim())
-										.filter(Boolean);
-								data.content.semanticContent = {
-									articleContent: ext("article"),
-									divs: ext("div"),
-									paragraphs: ext("p"),
-									span: ext("span"),
-									blockquotes: ext("blockquote"),
-									codeBlocks: ext("code"),
-									preformatted: ext("pre"),
-									tables: ext("table", extTable),
-									unorderedLists: ext("ul", extList),
-									orderedLists: ext("ol", extList),
-								};
-							}
-							if (opts.includeImages) {
-								data.images = Array.from(document.querySelectorAll("img[src]"))
-									.filter(
-										(img) =>
-											!["data:image/", "blob:", "image:", "data:"].some((p) =>
-												img.src.startsWith(p),
-											),
-									)
-									.map((img) => ({
-										src: img.src,
-										alt: img.alt || "",
-										title: img.title || "",
-										width: img.naturalWidth || img.width,
-										height: img.naturalHeight || img.height,
-									}));
-							}
-							if (opts.selectors && Object.keys(opts.selectors).length > 0) {
-								data.customSelectors = {};
-								for (const [key, selector] of Object.entries(opts.selectors)) {
-									try {
-										const els = document.querySelectorAll(selector);
-										data.customSelectors[key] =
-											els.length === 1
-												? els[0].textContent.trim()
-												: Array.from(els).map((e) => e.textContent.trim());
-									} catch {
-										data.customSelectors[key] = null;
-									}
-								}
-							}
-							return data;
-						},
+						collectScrapedPageData,
 						{
 							extractMetadata,
 							includeImages,
@@ -4863,67 +5709,73 @@ async function scrapeSingleUrlWithPuppeteer(
 							includeSemanticContent,
 							selectors,
 							isG2Host,
+							linkScope,
 						},
 					);
 				}
 
-				const pageHtml = await page.content();
-				const dom = new JSDOM(pageHtml);
-				const doc = dom.window.document;
-				const remove = [
-					"header",
-					"footer",
-					"nav",
-					"aside",
-					".header",
-					".top",
-					".navbar",
-					"#header",
-					".footer",
-					".bottom",
-					"#footer",
-					".sidebar",
-					".side",
-					".aside",
-					"#sidebar",
-					".modal",
-					".popup",
-					"#modal",
-					".overlay",
-					".ad",
-					".ads",
-					".advert",
-					"#ad",
-					".lang-selector",
-					".language",
-					"#language-selector",
-					".social",
-					".social-media",
-					".social-links",
-					"#social",
-					".menu",
-					".navigation",
-					"#nav",
-					".breadcrumbs",
-					"#breadcrumbs",
-					".share",
-					"#share",
-					".widget",
-					"#widget",
-					".cookie",
-					"#cookie",
-					"script",
-					"style",
-					"noscript",
-				];
-				remove.forEach((sel) =>
-					doc.querySelectorAll(sel).forEach((el) => el.remove()),
-				);
-				let { markdown } = extractSemanticContentWithFormattedMarkdown(
-					doc.body,
-				);
+				// deepDom: composed HTML (open shadow roots inlined) instead of the light DOM.
+				const deep = deepDomOptions ? await collectDeepDom(page, deepDomOptions) : null;
+				const pageHtml = deep ? deep.mainHtml : await page.content();
+				let { markdown, scopeInfo, article, extractMode: extractModeUsed } =
+					htmlToScrapeMarkdown(pageHtml, { scope, extractMode, url: page.url() });
+				const block = classifyBlockedPage({
+					html: pageHtml,
+					status: navResponse?.status?.() ?? null,
+					headers: navHeaders,
+					url: page.url(),
+					requestedUrl: targetUrl,
+				});
+				// Another proxy may get the real page; skip the extraction work.
+				if (block.blocked && useProxy && PROXY_RETRY_LABELS.has(block.label) && attempt < maxAttempts) {
+					return { block, retry: true };
+				}
+				if (article) scrapedData = { ...scrapedData, article };
+				if (deep) {
+					const frameMarkdown = deep.frames.map((frame) => ({
+						id: frame.id,
+						url: frame.url,
+						markdown: frame.html
+							? htmlToScrapeMarkdown(frame.html, {
+									extractMode: extractModeUsed === "full" ? "full" : "semantic",
+									url: frame.url.startsWith("http") ? frame.url : page.url(),
+								}).markdown
+							: "",
+					}));
+					// A scoped scrape only keeps frames that sit inside the scope.
+					markdown = mergeFrameMarkdown(markdown, frameMarkdown, {
+						appendUnplaced: !scope,
+					});
+					scrapedData = {
+						...mergeDeepDomLinks(scrapedData, deep, { pageUrl: page.url(), linkScope }),
+						frames: deep.frames.map(({ html, ...frame }, i) => ({
+							...frame,
+							markdownLength: frameMarkdown[i].markdown.length,
+						})),
+					};
+					deepDomInfo = {
+						...deepDomOptions,
+						shadowRoots: deep.shadowRoots,
+						frameCount: deep.frames.length,
+					};
+				}
+				if (tablesOptions) {
+					scrapedData = {
+						...scrapedData,
+						tables: scrapeTables(pageHtml, {
+							scope,
+							url: page.url(),
+							tables: tablesOptions,
+							frames: deep?.frames,
+						}),
+					};
+				}
 
-				if (isG2Host && (!markdown || String(markdown).trim().length < 80)) {
+				if (
+					isG2Host &&
+					!scope &&
+					(!markdown || String(markdown).trim().length < 80)
+				) {
 					try {
 						const linkMd = await page.evaluate(() => {
 							const seen = new Set();
@@ -4998,6 +5850,14 @@ async function scrapeSingleUrlWithPuppeteer(
 					}
 				}
 
+				const extraction = await buildScrapeExtraction({
+					extract,
+					html: pageHtml,
+					markdown,
+					url: targetUrl,
+					selectors,
+				});
+
 				let screenshotUrl = null;
 				if (takeScreenshot) {
 					try {
@@ -5009,78 +5869,100 @@ async function scrapeSingleUrlWithPuppeteer(
 				}
 
 				if (useProxy && selectedProxy)
-					proxyManager.recordProxyResult(selectedProxy.host, true, navLatency);
-
-				if (!includeCache) {
-					try {
-						const docRef = firestore
-							.collection(UNIVERSO_CACHE_COLLECTION)
-							.doc(universoCacheDocId(targetUrl));
-						const existingSnap = await docRef.get();
-						if (!existingSnap.exists) {
-							await docRef.set({
-								title: scrapedData?.title || "No Title",
-								url: targetUrl,
-								markdown,
-								scraped_at: FieldValue.serverTimestamp(),
-								scraped_data: scrapedData,
-							});
-						}
-					} catch (cacheErr) {
-						console.warn(
-							"[scrape] Firestore universo cache write failed:",
-							cacheErr?.message,
-						);
-					}
-				}
+					proxyManager.recordProxyResult(selectedProxy.host, !block.blocked, navLatency);
 
 				if (includeSemanticContent && scrapedData?.content)
 					removeEmptyKeys(scrapedData.content);
 
-				let summary = null;
-				let openRouterSummary = null;
-				if (aiSummary && markdown && process.env.OPENROUTER_API_KEY) {
-					try {
-						const truncated = markdown.slice(0, 12000);
-						const or = await openRouterChatMessages(
-							process.env.OPENROUTER_API_KEY,
-							[
-								{
-									role: "system",
-									content:
-										"You summarize web page content concisely. Respond with plain text only—no markdown code fences.",
-								},
-								{
-									role: "user",
-									content: `Summarize the following content concisely. Target length: roughly 100–1000 tokens depending on content length.\n\n${truncated}`,
-								},
-							],
-							2048,
-							{ temperature: 0.3 },
-						);
-						summary = String(or.content || "").trim() || null;
-						openRouterSummary = {
-							tokenUsage: or.tokenUsage,
-							usage: or.usage,
-							model: or.model,
-							aiPrompt: or.aiPrompt,
-						};
-					} catch (err) {
-						console.error("[scrape] AI summary failed:", err?.message);
-					}
+				const paginateOptions = normalizePaginateOption(paginate).paginate;
+				if (paginateOptions) {
+					const followed = await followPagination(page, {
+						paginate: paginateOptions,
+						firstMarkdown: markdown,
+						htmlToMarkdown: (html) =>
+							htmlToScrapeMarkdown(html, { scope, extractMode, url: page.url() })
+								.markdown,
+						waitForSelector,
+						timeout,
+						// Each further page is a fetch of its own: same robots rules and Crawl-delay.
+						allowUrl: respectRobots
+							? async (nextUrl) => {
+									const verdict = await checkRobots(nextUrl);
+									if (verdict.allowed) await waitForCrawlDelay(nextUrl, verdict.crawlDelay);
+									return verdict.allowed;
+								}
+							: null,
+					});
+					markdown = followed.markdown;
+					scrapedData = { ...scrapedData, pagination: followed.pagination };
 				}
 
+				const captured = networkRecorder
+					? await networkRecorder.finish(targetUrl)
+					: null;
+				const sessionInfo = session
+					? {
+							id: session.id,
+							refreshed: session.refresh
+								? await refreshSessionFromPage(session, page)
+								: false,
+						}
+					: null;
+
+				const { summary, openRouterSummary } = aiSummary
+					? await summarizeScrapedMarkdown(markdown)
+					: { summary: null, openRouterSummary: null };
+
 				return {
 					summary,
 					scrapedData,
 					markdown,
 					screenshotUrl,
 					openRouterSummary,
+					extraction,
+					actionResults,
+					scopeInfo,
+					extractModeUsed,
+					captured,
+					sessionInfo,
+					deepDomInfo,
+					block,
+					httpStatus: navResponse?.status?.() ?? null,
+					resources: resourceBlocker.stats(),
+					etag: navHeaders.etag || null,
+					lastModified: navHeaders["last-modified"] || null,
 				};
-			});
+			}, { isolated: Boolean(session || localeProfile) });
+
+			if (poolResult.retry) {
+				if (selectedProxy) proxyManager.recordProxyResult(selectedProxy.host, false);
+				blockedAttempts.push({
+					attempt,
+					proxy: selectedProxy?.host ?? null,
+					label: poolResult.block.label,
+					vendor: poolResult.block.vendor,
+				});
+				await randomDelay(300, 1200);
+				continue;
+			}
+
+			const block = poolResult.block;
+			// Block pages are never cached.
+			const cacheStatus = block?.blocked
+				? "bypass"
+				: await storeLiveResult({
+						data: poolResult.scrapedData,
+						markdown: poolResult.markdown,
+						screenshot: poolResult.screenshotUrl,
+						etag: poolResult.etag,
+						lastModified: poolResult.lastModified,
+					});
 
 			return {
 				success: true,
+				...(block?.blocked ? blockedPageFields(block) : { blocked: false }),
+				...(blockedAttempts.length > 0 && { blockedAttempts }),
+				httpStatus: poolResult.httpStatus ?? null,
 				data: poolResult.scrapedData,
 				markdown: poolResult.markdown,
 				summary: poolResult.summary,
@@ -5088,6 +5970,27 @@ async function scrapeSingleUrlWithPuppeteer(
 				...(poolResult.openRouterSummary && {
 					openRouterSummary: poolResult.openRouterSummary,
 				}),
+				...(poolResult.extraction && { extraction: poolResult.extraction }),
+				...(poolResult.actionResults && { actions: poolResult.actionResults }),
+				...(poolResult.scopeInfo && { scope: poolResult.scopeInfo }),
+				...(extractMode !== "semantic" && {
+					extractMode: { requested: extractMode, used: poolResult.extractModeUsed },
+				}),
+				...(poolResult.scrapedData?.article && {
+					article: poolResult.scrapedData.article,
+				}),
+				...(poolResult.scrapedData?.tables && {
+					tables: poolResult.scrapedData.tables,
+				}),
+				...poolResult.captured,
+				...(poolResult.sessionInfo && { session: poolResult.sessionInfo }),
+				...(poolResult.deepDomInfo && { deepDom: poolResult.deepDomInfo }),
+				...(poolResult.resources && { resources: poolResult.resources }),
+				...(localeProfile && {
+					locale: localeSummary(localeProfile, selectedProxy?.country),
+				}),
+				...(engine !== "chromium" && { engine: engineReport }),
+				cache: cacheInfo(cacheStatus),
 			};
 		} catch (attemptError) {
 			lastError = attemptError;
@@ -5104,6 +6007,100 @@ async function scrapeSingleUrlWithPuppeteer(
 	throw lastError || new Error("Scraping failed");
 }
 
+/** Add `chunks` and a `chunking` summary to a scrape result when requested. */
+async function withScrapeChunks(result, chunking, url) {
+	if (!chunking || !result?.markdown) return result;
+	const chunks = await chunkMarkdown(result.markdown, chunking, { url });
+	return { ...result, chunks, chunking: chunkingSummary(chunking, chunks) };
+}
+
+/**
+ * 400 body when the SSRF guard rejects a user-supplied URL (loopback, private
+ * ranges, metadata IPs, …), or null when the URL may be fetched.
+ */
+async function publicUrlError(url) {
+	try {
+		await assertPublicUrl(url);
+		return null;
+	} catch (err) {
+		return { success: false, code: SSRF_BLOCKED_CODE, error: err.message, url };
+	}
+}
+
+/** HTTP status for a deliberate `{ success: false, code }` scrape result. */
+function scrapeFailureStatus(code) {
+	if (code === CACHE_MISS_CODE) return 404;
+	if (code === SSRF_BLOCKED_CODE) return 400;
+	if (code === ROBOTS_BLOCKED_CODE) return 403;
+	if (code === BLOCKED_PAGE_CODES.rate_limited) return 429;
+	if (Object.values(BLOCKED_PAGE_CODES).includes(code)) return 403;
+	if (code === DOCUMENT_ERROR_CODES.TOO_LARGE) return 413;
+	if (code === DOCUMENT_ERROR_CODES.DOWNLOAD_FAILED) return 502;
+	if (Object.values(DOCUMENT_ERROR_CODES).includes(code)) return 422;
+	return 500;
+}
+
+/**
+ * Pick scrapeSingleUrlWithPuppeteer options out of a request body, applying the
+ * route-level defaults shared by /scrape, /scrape-multiple and /jobs/scrape.
+ */
+function scrapeOptionsFromBody(body = {}) {
+	const {
+		selectors = {},
+		waitForSelector = null,
+		timeout = 30000,
+		includeSemanticContent = true,
+		includeImages = true,
+		includeLinks = true,
+		extractMetadata = true,
+		includeCache = false,
+		useProxy = false,
+		aiSummary = false,
+		takeScreenshot = false,
+		extract = null,
+		actions = [],
+		respectRobots = false,
+		cache = null,
+		maxAge = null,
+		scope = null,
+		paginate = null,
+		captureNetwork = null,
+		locale = null,
+		blockResources = null,
+		extractMode = "semantic",
+		deepDom = null,
+		tables = null,
+		engine = "chromium",
+	} = body;
+	return {
+		selectors,
+		waitForSelector,
+		timeout,
+		includeSemanticContent,
+		includeImages,
+		includeLinks,
+		extractMetadata,
+		includeCache,
+		useProxy,
+		aiSummary,
+		takeScreenshot,
+		extract,
+		actions,
+		respectRobots,
+		cache,
+		maxAge,
+		scope,
+		paginate,
+		captureNetwork,
+		locale,
+		blockResources,
+		extractMode,
+		deepDom,
+		tables,
+		engine,
+	};
+}
+
 // New Puppeteer-based URL scraping endpoint (single URL)
 app.post("/scrape", async (c) => {
 	customLogger("Scraping URL with Puppeteer", await c.req.header());
@@ -5138,39 +6135,90 @@ app.post("/scrape", async (c) => {
 	c.header("X-RateLimit-Remaining", String(rl.remaining));
 	c.header("X-RateLimit-Window", "10 minutes");
 
-	let {
-		url,
-		selectors = {},
-		waitForSelector = null,
-		timeout = 30000,
-		includeSemanticContent = true,
-		includeImages = true,
-		includeLinks = true,
-		extractMetadata = true,
-		includeCache = false,
-		useProxy = false,
-		aiSummary = false,
-		takeScreenshot = false,
-	} = await c.req.json();
+	const body = await c.req.json();
+	const { url } = body;
 
 	if (!url || !isValidURL(url)) {
 		return c.json({ error: "URL is required or invalid" }, 400);
 	}
 
+	// format=csv downloads one extracted table instead of the JSON result.
+	const format = c.req.query("format") ?? body.format ?? "json";
+	const tableIndex = Number(c.req.query("table") ?? body.tableIndex ?? 0);
+	if (format !== "json" && format !== "csv") {
+		return c.json(
+			{
+				success: false,
+				error: "Invalid format",
+				details: [{ path: "format", message: 'format must be "json" or "csv"' }],
+				url,
+			},
+			400,
+		);
+	}
+	if (format === "csv" && !(Number.isInteger(tableIndex) && tableIndex >= 0)) {
+		return c.json(
+			{
+				success: false,
+				error: "Invalid tableIndex",
+				details: [{ path: "tableIndex", message: "tableIndex must be a non-negative integer" }],
+				url,
+			},
+			400,
+		);
+	}
+	if (format === "csv" && body.tables == null) body.tables = true;
+
+	const optionsError = scrapeOptionsError(body);
+	if (optionsError) {
+		return c.json({ ...optionsError, url }, 400);
+	}
+	const blockedUrl = await publicUrlError(url);
+	if (blockedUrl) return c.json(blockedUrl, 400);
+
+	const resolved = await resolveRequestSession(c, body);
+	if (resolved.error) {
+		return c.json({ ...resolved.error, url }, resolved.status);
+	}
+
 	try {
-		const result = await scrapeSingleUrlWithPuppeteer(url, {
-			selectors,
-			waitForSelector,
-			timeout,
-			includeSemanticContent,
-			includeImages,
-			includeLinks,
-			extractMetadata,
-			includeCache,
-			useProxy,
-			aiSummary,
-			takeScreenshot,
+		const scraped = await scrapeSingleUrlWithPuppeteer(url, {
+			...scrapeOptionsFromBody(body),
+			session: resolved.session,
 		});
+		if (scraped.success === false) {
+			return c.json(
+				{ ...scraped, url, timestamp: new Date().toISOString() },
+				scrapeFailureStatus(scraped.code),
+			);
+		}
+		if (format === "csv") {
+			const table = scraped.tables?.[tableIndex];
+			if (!table) {
+				return c.json(
+					{
+						success: false,
+						code: TABLE_NOT_FOUND_CODE,
+						error: `No table at index ${tableIndex} (found ${scraped.tables?.length ?? 0})`,
+						url,
+					},
+					404,
+				);
+			}
+			const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, "_");
+			return new Response(tableToCsv(table), {
+				status: 200,
+				headers: {
+					"Content-Type": "text/csv; charset=utf-8",
+					"Content-Disposition": `attachment; filename="${host}-table-${tableIndex}.csv"`,
+				},
+			});
+		}
+		const result = await withScrapeChunks(
+			scraped,
+			normalizeChunkingOption(body.chunking).chunking,
+			url,
+		);
 		return c.json({
 			success: true,
 			...result,
@@ -5221,20 +6269,8 @@ app.post("/scrape-multiple", async (c) => {
 	c.header("X-RateLimit-Limit", String(RATE_LIMIT));
 	c.header("X-RateLimit-Remaining", String(rl.remaining));
 
-	let {
-		urls,
-		selectors = {},
-		waitForSelector = null,
-		timeout = 30000,
-		includeSemanticContent = true,
-		includeImages = true,
-		includeLinks = true,
-		extractMetadata = true,
-		includeCache = false,
-		useProxy = false,
-		aiSummary = false,
-		takeScreenshot = false,
-	} = await c.req.json();
+	const body = await c.req.json();
+	const { urls } = body;
 
 	if (!Array.isArray(urls) || urls.length === 0) {
 		return c.json(
@@ -5253,19 +6289,13 @@ app.post("/scrape-multiple", async (c) => {
 		);
 	}
 
-	const options = {
-		selectors,
-		waitForSelector,
-		timeout,
-		includeSemanticContent,
-		includeImages,
-		includeLinks,
-		extractMetadata,
-		includeCache,
-		useProxy,
-		aiSummary,
-		takeScreenshot,
-	};
+	const optionsError = scrapeOptionsError(body);
+	if (optionsError) {
+		return c.json(optionsError, 400);
+	}
+
+	const options = scrapeOptionsFromBody(body);
+	const chunking = normalizeChunkingOption(body.chunking).chunking;
 
 	const results = await Promise.all(
 		urls.map(async (url) => {
@@ -5282,10 +6312,13 @@ app.post("/scrape-multiple", async (c) => {
 				};
 			}
 			try {
-				const result = await scrapeSingleUrlWithPuppeteer(inputUrl, options);
+				const scraped = await scrapeSingleUrlWithPuppeteer(inputUrl, options);
+				if (scraped.success === false) return { ...scraped, url: inputUrl };
+				const result = await withScrapeChunks(scraped, chunking, inputUrl);
 				return {
 					url: inputUrl,
 					success: true,
+					blocked: false,
 					data: result.data,
 					markdown: result.markdown,
 					summary: result.summary,
@@ -5293,6 +6326,18 @@ app.post("/scrape-multiple", async (c) => {
 					...(result.openRouterSummary && {
 						openRouterSummary: result.openRouterSummary,
 					}),
+					...(result.extraction && { extraction: result.extraction }),
+					...(result.actions && { actions: result.actions }),
+					...(result.article && { article: result.article }),
+					...(result.tables && { tables: result.tables }),
+					...(result.engine && { engine: result.engine }),
+					...(result.network && { network: result.network }),
+					...(result.har && { har: result.har }),
+					...(result.networkStats && { networkStats: result.networkStats }),
+					...(result.chunks && {
+						chunks: result.chunks,
+						chunking: result.chunking,
+					}),
 					error: null,
 				};
 			} catch (err) {
@@ -5313,9 +6358,267 @@ app.post("/scrape-multiple", async (c) => {
 
 	return c.json({
 		success: true,
-		results,
-		timestamp: new Date().toISOString(),
+		results,
+		timestamp: new Date().toISOString(),
+	});
+});
+
+// Async scrape jobs: no per-request URL cap, results paged while the job runs
+app.post("/jobs/scrape", async (c) => {
+	const RATE_LIMIT = 20;
+	const RATE_WINDOW_MS = 10 * 60 * 1000;
+	const clientIp =
+		c.req.header("x-forwarded-for")?.split(",")[0].trim() ||
+		c.req.header("x-real-ip") ||
+		c.req.header("cf-connecting-ip") ||
+		"unknown";
+
+	const rl = rateLimit(clientIp, RATE_LIMIT, RATE_WINDOW_MS);
+	if (!rl.allowed) {
+		c.header("Retry-After", String(rl.retryAfter));
+		return c.json(
+			{
+				success: false,
+				error: "Rate limit exceeded",
+				retryAfter: rl.retryAfter,
+			},
+			429,
+		);
+	}
+
+	const body = await c.req.json().catch(() => ({}));
+	const { urls, concurrency, maxRetries } = body;
+
+	const optionsError = scrapeOptionsError(body);
+	if (optionsError) {
+		return c.json(optionsError, 400);
+	}
+
+	let job;
+	try {
+		job = createScrapeJob({
+			urls,
+			options: scrapeOptionsFromBody(body),
+			scrapeUrl: scrapeSingleUrlWithPuppeteer,
+			concurrency,
+			maxRetries,
+		});
+	} catch (err) {
+		return c.json({ success: false, error: err.message }, 400);
+	}
+
+	return c.json(
+		{
+			success: true,
+			...summarizeScrapeJob(job),
+			statusUrl: `/jobs/${job.id}`,
+			resultsUrl: `/jobs/${job.id}/results`,
+		},
+		202,
+	);
+});
+
+app.get("/jobs/:id", (c) => {
+	const job = getScrapeJob(c.req.param("id"));
+	if (!job) {
+		return c.json({ success: false, error: "Job not found" }, 404);
+	}
+	return c.json({ success: true, ...summarizeScrapeJob(job) });
+});
+
+app.get("/jobs/:id/results", (c) => {
+	const job = getScrapeJob(c.req.param("id"));
+	if (!job) {
+		return c.json({ success: false, error: "Job not found" }, 404);
+	}
+	return c.json({
+		success: true,
+		...pageScrapeJobResults(job, {
+			cursor: c.req.query("cursor"),
+			limit: c.req.query("limit"),
+		}),
+	});
+});
+
+// ─── Page change monitors ────────────────────────────────────────────────────
+// Monitors are owned by the API token's user (see apiTokenMiddleware below).
+// "/monitors/*" also matches "/monitors" itself: one registration, one charge.
+app.use("/monitors/*", apiTokenMiddleware);
+
+startMonitorScheduler({ scrapeUrl: scrapeSingleUrlWithPuppeteer });
+
+function monitorInputError(errors) {
+	return { success: false, error: "Invalid monitor", details: errors };
+}
+
+/** SSRF guard errors for a monitor's page and webhook URLs, in monitor input shape. */
+async function monitorUrlErrors(fields) {
+	const errors = [];
+	for (const path of ["url", "webhookUrl"]) {
+		if (!fields[path]) continue;
+		try {
+			await assertPublicUrl(fields[path]);
+		} catch (err) {
+			errors.push({ path, message: err.message });
+		}
+	}
+	return errors;
+}
+
+app.post("/monitors", async (c) => {
+	const body = await c.req.json().catch(() => ({}));
+	const { fields, errors } = normalizeMonitorInput(body);
+	if (errors.length === 0) errors.push(...(await monitorUrlErrors(fields)));
+	if (errors.length > 0) {
+		return c.json(monitorInputError(errors), 400);
+	}
+	try {
+		const monitor = await createMonitor(c.get("userId"), fields);
+		return c.json({ success: true, monitor: publicMonitor(monitor) }, 201);
+	} catch (err) {
+		if (err.message.startsWith("Maximum")) {
+			return c.json({ success: false, error: err.message }, 400);
+		}
+		console.error("[monitors] create failed:", err?.message);
+		return c.json({ success: false, error: "Failed to create monitor" }, 500);
+	}
+});
+
+app.get("/monitors", async (c) => {
+	const monitors = await listMonitors(c.get("userId"));
+	return c.json({ success: true, monitors: monitors.map(publicMonitor) });
+});
+
+app.get("/monitors/:id", async (c) => {
+	const monitor = await getMonitor(c.get("userId"), c.req.param("id"));
+	if (!monitor) {
+		return c.json({ success: false, error: "Monitor not found" }, 404);
+	}
+	return c.json({ success: true, monitor: publicMonitor(monitor) });
+});
+
+app.patch("/monitors/:id", async (c) => {
+	const body = await c.req.json().catch(() => ({}));
+	const { fields, errors } = normalizeMonitorInput(body, { partial: true });
+	if (errors.length === 0) errors.push(...(await monitorUrlErrors(fields)));
+	if (errors.length > 0) {
+		return c.json(monitorInputError(errors), 400);
+	}
+	const monitor = await updateMonitor(c.get("userId"), c.req.param("id"), fields);
+	if (!monitor) {
+		return c.json({ success: false, error: "Monitor not found" }, 404);
+	}
+	return c.json({ success: true, monitor: publicMonitor(monitor) });
+});
+
+app.delete("/monitors/:id", async (c) => {
+	const deleted = await deleteMonitor(c.get("userId"), c.req.param("id"));
+	if (!deleted) {
+		return c.json({ success: false, error: "Monitor not found" }, 404);
+	}
+	return c.json({ success: true, id: c.req.param("id") });
+});
+
+app.get("/monitors/:id/history", async (c) => {
+	const monitor = await getMonitor(c.get("userId"), c.req.param("id"));
+	if (!monitor) {
+		return c.json({ success: false, error: "Monitor not found" }, 404);
+	}
+	const page = await listMonitorSnapshots(monitor.id, {
+		limit: c.req.query("limit"),
+		cursor: c.req.query("cursor"),
+		includeMarkdown: c.req.query("includeMarkdown") === "true",
+	});
+	return c.json({ success: true, monitorId: monitor.id, ...page });
+});
+
+/** Run a check now (outside the schedule) and return its diff. */
+app.post("/monitors/:id/run", async (c) => {
+	const monitor = await getMonitor(c.get("userId"), c.req.param("id"));
+	if (!monitor) {
+		return c.json({ success: false, error: "Monitor not found" }, 404);
+	}
+	const outcome = await runMonitor(monitor, {
+		scrapeUrl: scrapeSingleUrlWithPuppeteer,
+		trigger: "manual",
 	});
+	return c.json({ success: outcome.status !== "failed", monitorId: monitor.id, ...outcome });
+});
+
+// ─── Named browser sessions ──────────────────────────────────────────────────
+// Cookies/localStorage owned by the API token's user, encrypted at rest; runs on
+// /scrape, /take-screenshot and /browser-agent/execute load them via `sessionId`.
+// "/sessions/*" also matches "/sessions": registered once so it is charged once.
+app.use("/sessions/*", apiTokenMiddleware);
+
+function sessionInputError(errors) {
+	return { success: false, error: "Invalid session", details: errors };
+}
+
+function sessionsUnavailable(c) {
+	return c.json(
+		{
+			success: false,
+			code: "SESSIONS_UNAVAILABLE",
+			error: "Browser sessions are not configured on this server",
+		},
+		503,
+	);
+}
+
+app.post("/sessions", async (c) => {
+	if (!sessionsConfigured()) return sessionsUnavailable(c);
+	const body = await c.req.json().catch(() => ({}));
+	const { fields, errors } = normalizeSessionInput(body);
+	if (errors.length > 0) {
+		return c.json(sessionInputError(errors), 400);
+	}
+	try {
+		const session = await createBrowserSession(c.get("userId"), fields);
+		return c.json({ success: true, session: publicSession(session) }, 201);
+	} catch (err) {
+		if (err.message.startsWith("Maximum")) {
+			return c.json({ success: false, error: err.message }, 400);
+		}
+		console.error("[sessions] create failed:", err?.message);
+		return c.json({ success: false, error: "Failed to create session" }, 500);
+	}
+});
+
+app.get("/sessions", async (c) => {
+	const sessions = await listBrowserSessions(c.get("userId"));
+	return c.json({ success: true, sessions: sessions.map(publicSession) });
+});
+
+app.get("/sessions/:id", async (c) => {
+	const session = await getBrowserSession(c.get("userId"), c.req.param("id"));
+	if (!session) {
+		return c.json({ success: false, error: "Session not found" }, 404);
+	}
+	return c.json({ success: true, session: publicSession(session) });
+});
+
+/** Rename and/or replace the stored cookies / storage state. */
+app.put("/sessions/:id", async (c) => {
+	if (!sessionsConfigured()) return sessionsUnavailable(c);
+	const body = await c.req.json().catch(() => ({}));
+	const { fields, errors } = normalizeSessionInput(body, { partial: true });
+	if (errors.length > 0) {
+		return c.json(sessionInputError(errors), 400);
+	}
+	const session = await updateBrowserSession(c.get("userId"), c.req.param("id"), fields);
+	if (!session) {
+		return c.json({ success: false, error: "Session not found" }, 404);
+	}
+	return c.json({ success: true, session: publicSession(session) });
+});
+
+app.delete("/sessions/:id", async (c) => {
+	const deleted = await deleteBrowserSession(c.get("userId"), c.req.param("id"));
+	if (!deleted) {
+		return c.json({ success: false, error: "Session not found" }, 404);
+	}
+	return c.json({ success: true, id: c.req.param("id") });
 });
 
 /** Parse origin from a full URL string; tolerate relative URLs (returns ""). */
@@ -5490,6 +6793,7 @@ const INKGEST_CONTENT_SKILLS_CONDENSE = new Set([
 /**
  * When combined source markdown is large, one cheap condense call shrinks context before blog/newsletter/etc.
  * Scrapes already use aiSummary when possible; this handles many URLs, long transcripts, or crawl blobs.
+ * Budgets are real tokens; each source is cut on chunk boundaries by the /scrape chunker.
  */
 async function condenseSourcesIfOverBudget(
 	apiKey,
@@ -5501,20 +6805,22 @@ async function condenseSourcesIfOverBudget(
 	if (!preSources?.length || !INKGEST_CONTENT_SKILLS_CONDENSE.has(taskType)) {
 		return preSources;
 	}
-	const totalMd = preSources.reduce(
-		(n, s) => n + String(s.markdown || "").length,
-		0,
+	const sourceTokens = await Promise.all(
+		preSources.map((s) => countTokens(String(s.markdown || ""))),
 	);
-	if (totalMd <= MAX_SOURCE_CHARS_TOTAL_THRESHOLD) return preSources;
+	const totalTokens = sourceTokens.reduce((n, t) => n + t, 0);
+	if (totalTokens <= MAX_SOURCE_TOKENS_TOTAL_THRESHOLD) return preSources;
 
 	const perSlice = Math.floor(
-		MAX_SUMMARY_INPUT_CHARS / Math.max(preSources.length, 1),
+		MAX_SUMMARY_INPUT_TOKENS / Math.max(preSources.length, 1),
 	);
-	const chunks = preSources.map((s, i) => {
-		const md = String(s.markdown || "").slice(0, perSlice);
-		return `--- ${s.url || `Source ${i + 1}`} | ${s.title || ""} ---\n${md}`;
-	});
-	const body = chunks.join("\n\n").slice(0, MAX_SUMMARY_INPUT_CHARS);
+	const chunks = await Promise.all(
+		preSources.map(async (s, i) => {
+			const { text } = await takeTokenBudget(String(s.markdown || ""), perSlice);
+			return `--- ${s.url || `Source ${i + 1}`} | ${s.title || ""} ---\n${text}`;
+		}),
+	);
+	const body = chunks.join("\n\n");
 
 	const condenseMaxOut = Math.min(
 		2800,
@@ -6642,6 +7948,29 @@ app.post("/inkgest-agent", async (c) => {
 								let preSources = useCrawlResult
 									? state.crawlUrlSources
 									: urls.map((u) => sourceByUrl[u]).filter(Boolean);
+
+								// extractMode "article": re-scrape the task's web URLs with
+								// Readability; keep the earlier source for any that fail.
+								if (params.extractMode === "article" && !useCrawlResult) {
+									const articleUrls = urls.filter(
+										(u) => !isYoutubeUrl(u) && !isRedditUrl(u),
+									);
+									if (articleUrls.length > 0) {
+										const articleScraped = await scrapeUrlsViaApi(
+											scrapeBase,
+											articleUrls,
+											{ includeImages: true, extractMode: "article" },
+										);
+										const articleByUrl = Object.fromEntries(
+											(articleScraped.sources || [])
+												.filter((s) => s.markdown)
+												.map((s) => [s.url, s]),
+										);
+										preSources = urls
+											.map((u) => articleByUrl[u] || sourceByUrl[u])
+											.filter(Boolean);
+									}
+								}
 								if (state.imageReadingSources?.length > 0) {
 									preSources = [...preSources, ...state.imageReadingSources];
 								}
@@ -7199,12 +8528,15 @@ async function captureOneScreenshotWithPage(page, options) {
 		fullPage = false,
 		coords,
 		blockDistractions = true,
+		localeProfile = null,
+		blockResources = null,
 	} = options;
 
 	const viewport =
 		SCREENSHOT_VIEWPORT_MAP[device] || SCREENSHOT_VIEWPORT_MAP.desktop;
 	await page.setViewport(viewport);
 	await page.setUserAgent(userAgents.random().toString());
+	if (localeProfile) await applyLocaleProfile(page, localeProfile, { url });
 	await page.setExtraHTTPHeaders({
 		dnt: "1",
 		"upgrade-insecure-requests": "1",
@@ -7214,11 +8546,15 @@ async function captureOneScreenshotWithPage(page, options) {
 		"sec-fetch-mode": "navigate",
 		"sec-fetch-user": "?1",
 		"sec-fetch-dest": "document",
-		"accept-language": "en-US,en;q=0.9",
+		"accept-language": localeProfile?.acceptLanguage ?? "en-US,en;q=0.9",
 	});
+	const resourceBlocker = createResourceBlocker(
+		normalizeBlockResources(blockResources, SCREENSHOT_BLOCK_DEFAULTS).block,
+		{ guard: createRequestGuard() },
+	);
 	await page.setRequestInterception(true);
 	await page.setJavaScriptEnabled(true);
-	page.on("request", (req) => req.continue());
+	page.on("request", (req) => resourceBlocker.handle(req));
 
 	await page.goto(url, { waitUntil, timeout });
 
@@ -7326,12 +8662,14 @@ async function captureOneScreenshotWithPage(page, options) {
 		metadata,
 		markdown,
 		dimensions: { width: viewport.width, height: viewport.height },
+		resources: resourceBlocker.stats(),
 	};
 }
 
 // Take Screenshot API Endpoint (uses browser pool)
 app.post("/take-screenshot", async (c) => {
 	try {
+		const body = await c.req.json();
 		const {
 			url,
 			fullPage,
@@ -7341,7 +8679,7 @@ app.post("/take-screenshot", async (c) => {
 			device = "desktop",
 			waitUntil = "domcontentloaded",
 			blockDistractions = true,
-		} = await c.req.json();
+		} = body;
 
 		if (!url) {
 			return c.json(
@@ -7365,19 +8703,54 @@ app.post("/take-screenshot", async (c) => {
 				400,
 			);
 		}
+		const blockedUrl = await publicUrlError(url);
+		if (blockedUrl) return c.json(blockedUrl, 400);
 
-		const { buffer, metadata, markdown, dimensions } =
-			await browserPool.withPage((page) =>
-				captureOneScreenshotWithPage(page, {
-					url,
-					device,
-					waitUntil,
-					waitForSelector,
-					timeout,
-					fullPage,
-					coords,
-					blockDistractions,
-				}),
+		const { profile: localeProfile, errors: localeErrors } =
+			resolveLocaleOption(body.locale);
+		if (localeErrors.length > 0) {
+			return c.json(
+				{ success: false, error: "Invalid locale option", details: localeErrors },
+				400,
+			);
+		}
+		const { errors: blockErrors } = normalizeBlockResources(body.blockResources);
+		if (blockErrors.length > 0) {
+			return c.json(
+				{ success: false, error: "Invalid blockResources option", details: blockErrors },
+				400,
+			);
+		}
+
+		const { session, error: sessionError, status: sessionStatus } =
+			await resolveRequestSession(c, body);
+		if (sessionError) {
+			return c.json(sessionError, sessionStatus);
+		}
+
+		const { buffer, metadata, markdown, dimensions, resources, sessionInfo } =
+			await browserPool.withPage(
+				async (page) => {
+					if (session) await applySessionState(page, session.state);
+					const shot = await captureOneScreenshotWithPage(page, {
+						url,
+						device,
+						waitUntil,
+						waitForSelector,
+						timeout,
+						fullPage,
+						coords,
+						blockDistractions,
+						localeProfile,
+						blockResources: body.blockResources,
+					});
+					if (!session) return shot;
+					const refreshed = session.refresh
+						? await refreshSessionFromPage(session, page)
+						: false;
+					return { ...shot, sessionInfo: { id: session.id, refreshed } };
+				},
+				{ isolated: Boolean(session || localeProfile) },
 			);
 
 		const uniqueFileName = `screenshots/${Date.now()}-${uuidv4().replace(/[^a-zA-Z0-9]/g, "")}.png`;
@@ -7399,6 +8772,9 @@ app.post("/take-screenshot", async (c) => {
 			metadata,
 			screenshot: screenshotUrl,
 			dimensions,
+			resources,
+			...(sessionInfo && { session: sessionInfo }),
+			...(localeProfile && { locale: localeSummary(localeProfile) }),
 			timestamp: new Date().toISOString(),
 		});
 	} catch (error) {
@@ -7449,9 +8825,11 @@ app.post("/take-screenshot-multiple", async (c) => {
 		};
 		const results = await Promise.all(
 			list.map((url) =>
-				browserPool
-					.withPage((page) =>
-						captureOneScreenshotWithPage(page, { ...opts, url }),
+				assertPublicUrl(url)
+					.then(() =>
+						browserPool.withPage((page) =>
+							captureOneScreenshotWithPage(page, { ...opts, url }),
+						),
 					)
 					.then(async ({ buffer, metadata, markdown, dimensions }) => {
 						const uniqueFileName = `screenshots/${Date.now()}-${uuidv4().replace(/[^a-zA-Z0-9]/g, "")}.png`;
@@ -7518,7 +8896,7 @@ function normalizeWebsiteUrl(input) {
 
 async function isLikelyStaticSite(url) {
 	try {
-		const resp = await fetch(url, {
+		const resp = await safeFetch(url, {
 			signal: AbortSignal.timeout(12000),
 			redirect: "follow",
 			headers: {
@@ -7869,17 +9247,28 @@ function getScrapeBaseUrl(c) {
 	return resolvePublicApiOrigin(c, fromUrl || envHint);
 }
 
-/** Fetch sitemap XML and extract same-domain <loc> URLs. Tries sitemap index (first 3 child sitemaps). */
-async function fetchSitemapUrls(origin, domain, maxUrls = 500) {
+/**
+ * Fetch sitemap XML and extract same-domain <loc> URLs. Tries sitemap index (first 3 child sitemaps).
+ * With `respectRobots`, sitemaps declared in robots.txt are tried first and disallowed URLs are dropped.
+ */
+async function fetchSitemapUrls(
+	origin,
+	domain,
+	maxUrls = 500,
+	{ respectRobots = false } = {},
+) {
 	const urls = new Set();
 	const tried = new Set();
+	const robots = respectRobots ? await getRobotsForOrigin(origin) : null;
+	const robotsAllows = (u) =>
+		!robots || evaluateRobots(robots, u.pathname + u.search).allowed;
 
 	async function parseSitemapXml(xmlUrl) {
 		if (tried.has(xmlUrl) || urls.size >= maxUrls) return;
 		tried.add(xmlUrl);
 		let text;
 		try {
-			const res = await fetch(xmlUrl, {
+			const res = await safeFetch(xmlUrl, {
 				signal: AbortSignal.timeout(15000),
 				headers: { "User-Agent": "Mozilla/5.0 (compatible; CrawlBot/1.0)" },
 			});
@@ -7907,13 +9296,21 @@ async function fetchSitemapUrls(origin, domain, maxUrls = 500) {
 			try {
 				const u = new URL(loc);
 				if (u.hostname !== domain && u.origin !== origin) continue;
+				if (!robotsAllows(u)) continue;
 				urls.add(loc);
 				if (urls.size >= maxUrls) return;
 			} catch {}
 		}
 	}
 
-	await parseSitemapXml(`${origin}/sitemap.xml`);
+	for (const declared of robots?.sitemaps || []) {
+		try {
+			const u = new URL(declared);
+			if (u.hostname === domain || u.origin === origin)
+				await parseSitemapXml(u.href);
+		} catch {}
+	}
+	if (urls.size === 0) await parseSitemapXml(`${origin}/sitemap.xml`);
 	if (urls.size === 0) await parseSitemapXml(`${origin}/sitemap_index.xml`);
 	if (urls.size === 0) await parseSitemapXml(`${origin}/sitemap/sitemap.xml`);
 	return urls;
@@ -7949,11 +9346,69 @@ function isSitemapUrl(urlString) {
 	}
 }
 
+/**
+ * scrapeSingleUrlWithPuppeteer options for one crawled page. Links are needed
+ * from every page to expand the frontier, so semantic content (where links are
+ * collected) is always on.
+ */
+function crawlPageScrapeOptions({ timeout, scrapeContent, respectRobots, aiSummary = false }) {
+	return {
+		timeout: Math.min(Number(timeout) || 60000, 60000),
+		includeLinks: true,
+		includeSemanticContent: true,
+		includeImages: false,
+		extractMetadata: scrapeContent,
+		respectRobots,
+		aiSummary,
+		linkScope: "all",
+	};
+}
+
+/**
+ * Crawl a site from `seedUrl` (sitemap URLs seed the frontier when
+ * `useSitemap`) and return the finished crawl state with page results kept
+ * and, with `keepEdges`, the internal link edges.
+ */
+async function crawlSite(seedUrl, crawl, { useSitemap, respectRobots, pageOptions, keepEdges = false }) {
+	// Sitemap URLs supplement link discovery (sitemaps often list only updated pages).
+	const sitemapUrls = useSitemap
+		? Array.from(
+				await fetchSitemapUrls(seedUrl.origin, seedUrl.hostname, crawl.maxUrls, {
+					respectRobots,
+				}),
+			).filter((u) => !isSitemapUrl(u))
+		: [];
+	const state = createCrawlState(seedUrl.href, crawl, { sitemapUrls });
+	await runCrawl(state, {
+		scrapePage: (pageUrl) => scrapeSingleUrlWithPuppeteer(pageUrl, pageOptions),
+		keepResults: true,
+		keepEdges,
+		ignoreUrl: isSitemapUrl,
+	});
+	return state;
+}
+
+/**
+ * Duplicate clusters among a crawl's scraped pages (`dedupe` option).
+ * @returns {{ clusters: Object[], duplicateOf: Map<string, string> }}
+ */
+function crawlDuplicateClusters(state, dedupe) {
+	const pages = state.records
+		.filter((r) => !r.external && r.result?.success)
+		.map((r) => ({
+			url: r.url,
+			markdown: r.result.markdown,
+			canonicalUrl: r.canonicalUrl,
+			depth: r.depth,
+		}));
+	return findDuplicateClusters(pages, dedupe);
+}
+
 app.post("/crawl-url", async (c) => {
 	try {
+		const body = await c.req.json();
 		const {
 			url,
-			maxUrls = 100,
 			timeout = 60000,
 			useSitemap = true,
 			scrapeContent = false,
@@ -7964,7 +9419,10 @@ app.post("/crawl-url", async (c) => {
 			screenshotMaxUrls = 10,
 			screenshotWaitUntil = "domcontentloaded",
 			screenshotTimeout = 20000,
-		} = await c.req.json();
+			respectRobots = true,
+			includeGraph = false,
+			dedupe: dedupeOption = null,
+		} = body;
 
 		// Desktop dimensions by default (same as /take-screenshot)
 		const SCREENSHOT_DIMENSIONS = {
@@ -7985,66 +9443,56 @@ app.post("/crawl-url", async (c) => {
 		} catch {
 			return c.json({ success: false, error: "Invalid URL format" }, 400);
 		}
+		const blockedUrl = await publicUrlError(url);
+		if (blockedUrl) return c.json(blockedUrl, 400);
+
+		const { crawl, errors: crawlErrors } = normalizeCrawlOptions(body, {
+			defaultConcurrency: Number.parseInt(process.env.BROWSER_POOL_SIZE, 10) || 3,
+		});
+		const { dedupe, errors: dedupeErrors } = normalizeDedupeOption(dedupeOption);
+		if (!crawl || dedupeErrors.length > 0) {
+			return c.json(
+				{
+					success: false,
+					error: "Invalid crawl options",
+					details: [...crawlErrors, ...dedupeErrors],
+				},
+				400,
+			);
+		}
 
 		const domain = seedUrl.hostname;
-		const origin = seedUrl.origin;
 		const homePage = seedUrl.href;
 		const scrapeBase = getScrapeBaseUrl(c);
-		const SCRAPE_MULTIPLE_BATCH = 20; // scrape-multiple max per request
-		const maxNested = Math.min(Number(maxUrls) || 100, 500);
 
-		const allUrlsSet = new Set();
-		allUrlsSet.add(homePage);
-		let homeResult = null;
-
-		// 1) Always scrape home page first for link discovery (and homePageData)
-		try {
-			const scrapeRes = await fetch(`${scrapeBase}/scrape`, {
-				method: "POST",
-				headers: { "Content-Type": "application/json" },
-				signal: AbortSignal.timeout(timeout),
-				body: JSON.stringify({
-					url: homePage,
-					timeout: Math.min(timeout, 30000),
-					includeLinks: true,
-					// NOTE: in /scrape implementation, links are extracted inside the
-					// semanticContent evaluate block. So we must enable it here even when
-					// scrapeContent is false, otherwise we only discover the homepage URL.
-					includeSemanticContent: true,
-					includeImages: false,
-					extractMetadata: false,
-					takeScreenshot: false,
-				}),
-			});
-			const scrapeData = await scrapeRes.json().catch(() => ({}));
-			if (scrapeData.success) {
-				homeResult = scrapeData;
-				if (scrapeData.data?.links) {
-					const nested = extractSameDomainLinks(
-						scrapeData.data.links,
-						origin,
-						domain,
-					);
-					nested.forEach((u) => allUrlsSet.add(u));
-				}
-			}
-		} catch (err) {
-			console.warn("[crawl-url] Home scrape failed:", err?.message);
-		}
-
-		// 2) Optionally add sitemap URLs (supplement; sitemap often only has updated URLs)
-		if (useSitemap) {
-			const sitemapUrls = await fetchSitemapUrls(origin, domain, maxNested);
-			sitemapUrls.forEach((u) => allUrlsSet.add(u));
-		}
-
-		// 3) Remove sitemap URLs from output (no domain/sitemap/ or *.xml sitemap links)
-		for (const u of Array.from(allUrlsSet)) {
-			if (isSitemapUrl(u)) allUrlsSet.delete(u);
-		}
+		const state = await crawlSite(seedUrl, crawl, {
+			useSitemap,
+			respectRobots,
+			pageOptions: crawlPageScrapeOptions({ timeout, scrapeContent, respectRobots }),
+			keepEdges: includeGraph === true,
+		});
 
-		const allUrls = Array.from(allUrlsSet).slice(0, maxNested + 1);
-		const nestedUrls = allUrls.filter((u) => u !== homePage);
+		// dedupe: each cluster of duplicates is reported, and only its
+		// representative stays in allUrls / nestedResults.
+		const duplicates = dedupe ? crawlDuplicateClusters(state, dedupe) : null;
+		const collapsed = duplicates?.duplicateOf ?? new Map();
+		const pages = state.records.map(({ result, ...record }) =>
+			dedupe ? { ...record, duplicateOf: collapsed.get(record.url) ?? null } : record,
+		);
+		const crawled = state.records.filter((r) => r.result);
+		const seedRecord = crawled.find((r) => r.source === "seed");
+		const homeResult = seedRecord?.result?.success ? seedRecord.result : null;
+		const blockedByRobots = crawled
+			.filter((r) => r.code === ROBOTS_BLOCKED_CODE)
+			.map((r) => r.url);
+		const robotsBlockedSet = new Set(blockedByRobots);
+		// Every in-scope URL found, crawled or still queued when the budget ran out.
+		const allUrls = [
+			...crawled
+				.filter((r) => !r.external && !robotsBlockedSet.has(r.url) && !collapsed.has(r.url))
+				.map((r) => r.url),
+			...state.frontier.filter((item) => !item.external).map((item) => item.url),
+		];
 
 		// Optional: take screenshots (browser pool, parallel, capped)
 		let screenshots = [];
@@ -8089,80 +9537,342 @@ app.post("/crawl-url", async (c) => {
 					metadata: null,
 					markdown: null,
 					success: false,
-					error: err?.message || "Screenshot failed",
-					dimensions: { ...dimensions },
-				}));
-			}
+					error: err?.message || "Screenshot failed",
+					dimensions: { ...dimensions },
+				}));
+			}
+		}
+
+		const payload = {
+			success: true,
+			seedUrl: homePage,
+			domain,
+			allUrls,
+			totalUrls: allUrls.length,
+			usedSitemap: useSitemap,
+			respectRobots,
+			blockedByRobots: respectRobots
+				? blockedByRobots.map((u) => ({ url: u, code: ROBOTS_BLOCKED_CODE }))
+				: undefined,
+			homePageData: homeResult
+				? {
+						success: homeResult.success,
+						markdown: homeResult.markdown,
+						data: homeResult.data,
+						url: homePage,
+					}
+				: null,
+			crawl: { ...crawl, ...summarizeCrawl(state) },
+			pages,
+			graph: includeGraph === true ? buildLinkGraph(state) : undefined,
+			duplicates: dedupe
+				? { ...dedupe, collapsed: collapsed.size, clusters: duplicates.clusters }
+				: undefined,
+			screenshots: takeScreenshot ? screenshots : undefined,
+			timestamp: new Date().toISOString(),
+		};
+
+		if (!scrapeContent) {
+			return c.json({ ...payload, nestedResults: [] });
+		}
+
+		const nestedResults = crawled
+			.filter((r) => r.source !== "seed" && !collapsed.has(r.url))
+			.map(({ url: pageUrl, result }) => ({
+				url: pageUrl,
+				success: Boolean(result.success),
+				data: result.data ?? {},
+				markdown: result.markdown ?? null,
+				summary: result.summary ?? null,
+				screenshot: result.screenshot ?? null,
+				...(result.code && { code: result.code }),
+				error: result.success ? null : result.error || "Scrape failed",
+			}));
+
+		return c.json({
+			...payload,
+			nestedResults,
+		});
+	} catch (error) {
+		console.error("❌ crawl-url API error:", error);
+		return c.json(
+			{
+				success: false,
+				error: "Internal server error",
+				details: error?.message,
+			},
+			500,
+		);
+	}
+});
+
+// ─── llms.txt ────────────────────────────────────────────────────────────────
+// Crawl a (docs) site and turn it into llms.txt + llms-full.txt (lib/llmsTxt.js).
+// Takes the /crawl-url crawl options; `format` "llms.txt" / "llms-full.txt"
+// downloads the file instead of the JSON report.
+
+app.post("/generate-llms-txt", async (c) => {
+	const body = await c.req.json().catch(() => ({}));
+	const {
+		url,
+		timeout = 60000,
+		useSitemap = true,
+		respectRobots = true,
+		aiSummary = false,
+		title = null,
+		description = null,
+		format = "json",
+		dedupe: dedupeOption = null,
+	} = body;
+	if (!url || typeof url !== "string") {
+		return c.json({ success: false, error: "URL is required" }, 400);
+	}
+	let seedUrl;
+	try {
+		seedUrl = new URL(url);
+	} catch {
+		return c.json({ success: false, error: "Invalid URL format" }, 400);
+	}
+	if (!LLMS_TXT_FORMATS.includes(format)) {
+		return c.json(
+			{ success: false, error: `format must be one of: ${LLMS_TXT_FORMATS.join(", ")}` },
+			400,
+		);
+	}
+	const blockedUrl = await publicUrlError(url);
+	if (blockedUrl) return c.json(blockedUrl, 400);
+
+	const { crawl, errors } = normalizeCrawlOptions(body, {
+		defaultConcurrency: Number.parseInt(process.env.BROWSER_POOL_SIZE, 10) || 3,
+	});
+	const { dedupe, errors: dedupeErrors } = normalizeDedupeOption(dedupeOption);
+	if (!crawl || dedupeErrors.length > 0) {
+		return c.json(
+			{ success: false, error: "Invalid crawl options", details: [...errors, ...dedupeErrors] },
+			400,
+		);
+	}
+
+	try {
+		const state = await crawlSite(seedUrl, crawl, {
+			useSitemap,
+			respectRobots,
+			pageOptions: crawlPageScrapeOptions({
+				timeout,
+				scrapeContent: true,
+				respectRobots,
+				aiSummary: aiSummary === true,
+			}),
+		});
+
+		// dedupe: one page per duplicate cluster in the files.
+		const duplicates = dedupe ? crawlDuplicateClusters(state, dedupe) : null;
+		const collapsed = duplicates?.duplicateOf ?? new Map();
+		const crawled = state.records.filter((r) => r.result);
+		const pages = crawled
+			.filter((r) => r.result.success && r.result.markdown && !collapsed.has(r.url))
+			.map((r) => llmsPageFromResult(r.url, r.result));
+		const skipped = crawled
+			.filter((r) => !(r.result.success && r.result.markdown))
+			.map((r) => ({
+				url: r.url,
+				status: r.status,
+				code: r.code ?? null,
+				error: r.error || (r.result.success ? "No content" : "Scrape failed"),
+			}));
+		if (pages.length === 0) {
+			return c.json(
+				{
+					success: false,
+					error: "No pages could be scraped",
+					seedUrl: seedUrl.href,
+					skipped,
+					crawl: { ...crawl, ...summarizeCrawl(state) },
+				},
+				502,
+			);
 		}
 
-		const payload = {
+		const llms = await buildLlmsTxt({ seedUrl: seedUrl.href, pages, title, description });
+		if (format !== "json") {
+			return new Response(format === "llms.txt" ? llms.llmsTxt : llms.llmsFullTxt, {
+				status: 200,
+				headers: {
+					"Content-Type": "text/plain; charset=utf-8",
+					"Content-Disposition": `attachment; filename="${format}"`,
+				},
+			});
+		}
+		return c.json({
 			success: true,
-			seedUrl: homePage,
-			domain,
-			allUrls,
-			totalUrls: allUrls.length,
-			usedSitemap: useSitemap,
-			homePageData: homeResult
-				? {
-						success: homeResult.success,
-						markdown: homeResult.markdown,
-						data: homeResult.data,
-						url: homePage,
-					}
-				: null,
-			screenshots: takeScreenshot ? screenshots : undefined,
+			seedUrl: seedUrl.href,
+			...llms,
+			skipped,
+			duplicates: dedupe
+				? { ...dedupe, collapsed: collapsed.size, clusters: duplicates.clusters }
+				: undefined,
+			crawl: { ...crawl, ...summarizeCrawl(state) },
 			timestamp: new Date().toISOString(),
-		};
+		});
+	} catch (error) {
+		console.error("❌ generate-llms-txt API error:", error);
+		return c.json(
+			{
+				success: false,
+				error: "Internal server error",
+				details: error?.message,
+			},
+			500,
+		);
+	}
+});
 
-		if (!scrapeContent) {
-			return c.json({ ...payload, nestedResults: [] });
-		}
+// ─── Link audit ──────────────────────────────────────────────────────────────
+// Crawl a site, then check every link found on it (lib/linkAudit.js). Takes the
+// /crawl-url crawl options; `format: "csv"` downloads one row per issue and
+// source page.
+
+app.post("/link-audit", async (c) => {
+	const body = await c.req.json().catch(() => ({}));
+	const {
+		url,
+		timeout = 60000,
+		useSitemap = true,
+		respectRobots = true,
+		format = "json",
+	} = body;
+	if (!url || typeof url !== "string") {
+		return c.json({ success: false, error: "URL is required" }, 400);
+	}
+	let seedUrl;
+	try {
+		seedUrl = new URL(url);
+	} catch {
+		return c.json({ success: false, error: "Invalid URL format" }, 400);
+	}
+	if (!LINK_AUDIT_FORMATS.includes(format)) {
+		return c.json(
+			{ success: false, error: `format must be one of: ${LINK_AUDIT_FORMATS.join(", ")}` },
+			400,
+		);
+	}
+	const blockedUrl = await publicUrlError(url);
+	if (blockedUrl) return c.json(blockedUrl, 400);
+
+	const { crawl, errors } = normalizeCrawlOptions(body, {
+		defaultConcurrency: Number.parseInt(process.env.BROWSER_POOL_SIZE, 10) || 3,
+	});
+	if (!crawl) {
+		return c.json({ success: false, error: "Invalid crawl options", details: errors }, 400);
+	}
+	const audit = linkAuditOptions(body);
 
-		// scrapeContent: true — normal JSON response (can take minutes)
-		const chunks = [];
-		for (let i = 0; i < nestedUrls.length; i += SCRAPE_MULTIPLE_BATCH) {
-			chunks.push(nestedUrls.slice(i, i + SCRAPE_MULTIPLE_BATCH));
+	try {
+		const state = await crawlSite(seedUrl, crawl, {
+			useSitemap,
+			respectRobots,
+			pageOptions: crawlPageScrapeOptions({ timeout, scrapeContent: false, respectRobots }),
+		});
+		const report = await auditCrawlLinks(state, audit);
+		if (format === "csv") {
+			const host = seedUrl.hostname.replace(/[^a-z0-9.-]/gi, "_");
+			return new Response(linkAuditCsv(report), {
+				status: 200,
+				headers: {
+					"Content-Type": "text/csv; charset=utf-8",
+					"Content-Disposition": `attachment; filename="${host}-link-audit.csv"`,
+				},
+			});
 		}
+		return c.json({
+			success: true,
+			seedUrl: seedUrl.href,
+			audit,
+			...report,
+			crawl: { ...crawl, ...summarizeCrawl(state) },
+			timestamp: new Date().toISOString(),
+		});
+	} catch (error) {
+		console.error("❌ link-audit API error:", error);
+		return c.json(
+			{
+				success: false,
+				error: "Internal server error",
+				details: error?.message,
+			},
+			500,
+		);
+	}
+});
 
-		// Batch requests in parallel; pool/puppeteer will backpressure internally.
-		const nestedTimeoutMs = Math.max(Number(timeout) || 60000, 5 * 60 * 1000);
-		const settled = await Promise.allSettled(
-			chunks.map(async (chunk) => {
-				const res = await fetch(`${scrapeBase}/scrape-multiple`, {
-					method: "POST",
-					headers: { "Content-Type": "application/json" },
-					signal: AbortSignal.timeout(nestedTimeoutMs),
-					body: JSON.stringify({
-						urls: chunk,
-						// Per-URL scrape timeout inside /scrape-multiple
-						timeout: Math.min(nestedTimeoutMs, 60000),
-						includeLinks: false,
-						includeSemanticContent: true,
-						includeImages: false,
-						extractMetadata: true,
-					}),
-				});
-				const data = await res.json().catch(() => ({}));
-				return data.results || [];
-			}),
+// ─── Link graph ──────────────────────────────────────────────────────────────
+// Crawl a site and return its internal link graph (lib/linkGraph.js): nodes
+// with depth, inbound / outbound counts and PageRank, edges, and sitemap
+// orphans. Takes the /crawl-url crawl options; `format` "dot" / "mermaid"
+// downloads the graph in that notation.
+
+app.post("/crawl-graph", async (c) => {
+	const body = await c.req.json().catch(() => ({}));
+	const {
+		url,
+		timeout = 60000,
+		useSitemap = true,
+		respectRobots = true,
+		format = "json",
+	} = body;
+	if (!url || typeof url !== "string") {
+		return c.json({ success: false, error: "URL is required" }, 400);
+	}
+	let seedUrl;
+	try {
+		seedUrl = new URL(url);
+	} catch {
+		return c.json({ success: false, error: "Invalid URL format" }, 400);
+	}
+	if (!GRAPH_FORMATS.includes(format)) {
+		return c.json(
+			{ success: false, error: `format must be one of: ${GRAPH_FORMATS.join(", ")}` },
+			400,
 		);
+	}
+	const blockedUrl = await publicUrlError(url);
+	if (blockedUrl) return c.json(blockedUrl, 400);
 
-		const nestedResults = settled.flatMap((r, idx) => {
-			if (r.status === "fulfilled") return r.value;
-			const chunk = chunks[idx] || [];
-			return chunk.map((u) => ({
-				url: u,
-				success: false,
-				error: r.reason?.message || "Scrape failed",
-			}));
-		});
+	const { crawl, errors } = normalizeCrawlOptions(body, {
+		defaultConcurrency: Number.parseInt(process.env.BROWSER_POOL_SIZE, 10) || 3,
+	});
+	if (!crawl) {
+		return c.json({ success: false, error: "Invalid crawl options", details: errors }, 400);
+	}
 
+	try {
+		const state = await crawlSite(seedUrl, crawl, {
+			useSitemap,
+			respectRobots,
+			pageOptions: crawlPageScrapeOptions({ timeout, scrapeContent: false, respectRobots }),
+			keepEdges: true,
+		});
+		const graph = buildLinkGraph(state);
+		if (format !== "json") {
+			const host = seedUrl.hostname.replace(/[^a-z0-9.-]/gi, "_");
+			const dot = format === "dot";
+			return new Response(dot ? graphToDot(graph, { name: host }) : graphToMermaid(graph), {
+				status: 200,
+				headers: {
+					"Content-Type": dot ? "text/vnd.graphviz; charset=utf-8" : "text/plain; charset=utf-8",
+					"Content-Disposition": `attachment; filename="${host}-links.${dot ? "dot" : "mmd"}"`,
+				},
+			});
+		}
 		return c.json({
-			...payload,
-			nestedResults,
+			success: true,
+			seedUrl: seedUrl.href,
+			...graph,
+			crawl: { ...crawl, ...summarizeCrawl(state) },
+			timestamp: new Date().toISOString(),
 		});
 	} catch (error) {
-		console.error("❌ crawl-url API error:", error);
+		console.error("❌ crawl-graph API error:", error);
 		return c.json(
 			{
 				success: false,
@@ -8174,6 +9884,187 @@ app.post("/crawl-url", async (c) => {
 	}
 });
 
+// ─── Crawl jobs ──────────────────────────────────────────────────────────────
+// Same crawl options as /crawl-url, run in the background with checkpoints
+// (see lib/crawlJobs.js).
+
+startCrawlJobRunner({
+	scrapePage: (pageUrl, job) =>
+		scrapeSingleUrlWithPuppeteer(pageUrl, crawlPageScrapeOptions(job.scrape)),
+	findSitemapUrls: async (job) => {
+		const seed = new URL(job.seedUrl);
+		const urls = await fetchSitemapUrls(seed.origin, seed.hostname, job.crawl.maxUrls, {
+			respectRobots: job.scrape.respectRobots,
+		});
+		return Array.from(urls).filter((u) => !isSitemapUrl(u));
+	},
+	ignoreUrl: isSitemapUrl,
+});
+
+app.post("/crawl", async (c) => {
+	const RATE_LIMIT = 10;
+	const RATE_WINDOW_MS = 10 * 60 * 1000;
+	const clientIp =
+		c.req.header("x-forwarded-for")?.split(",")[0].trim() ||
+		c.req.header("x-real-ip") ||
+		c.req.header("cf-connecting-ip") ||
+		"unknown";
+
+	const rl = rateLimit(clientIp, RATE_LIMIT, RATE_WINDOW_MS);
+	if (!rl.allowed) {
+		c.header("Retry-After", String(rl.retryAfter));
+		return c.json(
+			{
+				success: false,
+				error: "Rate limit exceeded",
+				retryAfter: rl.retryAfter,
+			},
+			429,
+		);
+	}
+
+	const body = await c.req.json().catch(() => ({}));
+	const {
+		url,
+		timeout = 60000,
+		useSitemap = true,
+		scrapeContent = false,
+		respectRobots = true,
+	} = body;
+	if (!url || typeof url !== "string") {
+		return c.json({ success: false, error: "URL is required" }, 400);
+	}
+	try {
+		new URL(url);
+	} catch {
+		return c.json({ success: false, error: "Invalid URL format" }, 400);
+	}
+	const blockedUrl = await publicUrlError(url);
+	if (blockedUrl) return c.json(blockedUrl, 400);
+
+	const { crawl, errors } = normalizeCrawlOptions(body, {
+		defaultConcurrency: Number.parseInt(process.env.BROWSER_POOL_SIZE, 10) || 3,
+		maxUrlsLimit: CRAWL_JOB_MAX_URLS,
+	});
+	if (!crawl) {
+		return c.json({ success: false, error: "Invalid crawl options", details: errors }, 400);
+	}
+
+	const job = await createCrawlJob({
+		seedUrl: new URL(url).href,
+		crawl,
+		scrape: {
+			timeout: Number(timeout) || 60000,
+			scrapeContent: scrapeContent === true,
+			respectRobots: respectRobots !== false,
+			useSitemap: useSitemap !== false,
+		},
+	});
+	return c.json(
+		{
+			success: true,
+			...summarizeCrawlJob(job),
+			statusUrl: `/crawl/${job.id}`,
+			resultsUrl: `/crawl/${job.id}/results`,
+			streamUrl: `/crawl/${job.id}/stream`,
+		},
+		202,
+	);
+});
+
+app.get("/crawl/:id", async (c) => {
+	const job = await getCrawlJob(c.req.param("id"));
+	if (!job) {
+		return c.json({ success: false, error: "Crawl job not found" }, 404);
+	}
+	return c.json({ success: true, ...summarizeCrawlJob(job) });
+});
+
+app.get("/crawl/:id/results", async (c) => {
+	const job = await getCrawlJob(c.req.param("id"));
+	if (!job) {
+		return c.json({ success: false, error: "Crawl job not found" }, 404);
+	}
+	return c.json({
+		success: true,
+		...(await pageCrawlJobResults(job, {
+			cursor: c.req.query("cursor"),
+			limit: c.req.query("limit"),
+		})),
+	});
+});
+
+// Server-sent events: one `result` event per crawled page (id = log position,
+// so a reconnect can pass it back as ?cursor=), `status` on changes, then `end`.
+app.get("/crawl/:id/stream", async (c) => {
+	const id = c.req.param("id");
+	const job = await getCrawlJob(id);
+	if (!job) {
+		return c.json({ success: false, error: "Crawl job not found" }, 404);
+	}
+	const cursor =
+		c.req.query("cursor") ?? c.req.header("last-event-id")?.replace(/^\d+$/, (n) => String(Number(n) + 1));
+	const encoder = new TextEncoder();
+	const abort = new AbortController();
+	const stream = new ReadableStream({
+		start(controller) {
+			controller.enqueue(encoder.encode(": stream-open\n\n"));
+			void (async () => {
+				try {
+					for await (const event of followCrawlJob(id, { cursor, signal: abort.signal })) {
+						const data = event.type === "result" ? event.entry : event;
+						const idLine = event.type === "result" ? `id: ${event.entry.seq}\n` : "";
+						controller.enqueue(
+							encoder.encode(`${idLine}event: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`),
+						);
+					}
+					const final = await getCrawlJob(id);
+					controller.enqueue(
+						encoder.encode(
+							`event: end\ndata: ${JSON.stringify(final ? summarizeCrawlJob(final) : { jobId: id })}\n\n`,
+						),
+					);
+				} catch (err) {
+					console.error(`[crawl-job ${id}] stream failed:`, err);
+					try {
+						controller.enqueue(
+							encoder.encode(`event: end\ndata: ${JSON.stringify({ jobId: id, error: err?.message || "Stream failed" })}\n\n`),
+						);
+					} catch (_) {
+						/* ignore */
+					}
+				}
+				try {
+					controller.close();
+				} catch (_) {
+					/* ignore */
+				}
+			})();
+		},
+		cancel() {
+			abort.abort();
+		},
+	});
+	return new Response(stream, {
+		status: 200,
+		headers: {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			"X-Accel-Buffering": "no",
+		},
+	});
+});
+
+for (const action of ["pause", "resume", "cancel"]) {
+	app.post(`/crawl/:id/${action}`, async (c) => {
+		const { job, error } = await controlCrawlJob(c.req.param("id"), action);
+		if (!job) return c.json({ success: false, error }, 404);
+		if (error) return c.json({ success: false, error, ...summarizeCrawlJob(job) }, 409);
+		return c.json({ success: true, ...summarizeCrawlJob(job) });
+	});
+}
+
 const parseRedditData = (data, url) => {
 	// Reddit comments page returns array [postListing, commentsListing]; subreddit returns single object
 	let listing = data;
@@ -8369,7 +10260,7 @@ app.post("/scrape-reddit", async (c) => {
 
 		try {
 			// Fetch Reddit JSON — minimal headers (no User-Agent) to avoid bot blocking
-			const response = await fetch(jsonUrl, {
+			const response = await safeFetch(jsonUrl, {
 				headers: {
 					Accept: "application/json",
 				},
@@ -8389,7 +10280,7 @@ app.post("/scrape-reddit", async (c) => {
 			// Fetch the webpage content
 			const newUrl = new URL(url.replace(".json", ""));
 			const hostname = newUrl.hostname;
-			const metadataResponse = await fetch(`https://${hostname}`, {
+			const metadataResponse = await safeFetch(`https://${hostname}`, {
 				headers: {
 					"User-Agent": userAgents.random().toString(),
 					Accept:
@@ -8589,7 +10480,7 @@ app.post("/scrape-reddit", async (c) => {
 					console.log("🔄 JSON API blocked, trying alternative approach...");
 
 					// Fallback: retry with minimal headers (no User-Agent)
-					const fallbackResp = await fetch(jsonUrl, {
+					const fallbackResp = await safeFetch(jsonUrl, {
 						headers: { Accept: "application/json" },
 						signal: AbortSignal.timeout(30000),
 					});
@@ -9143,7 +11034,9 @@ app.post("/image-to-code", async (c) => {
 				400,
 			);
 		}
-		const imgFetchRes = await fetch(imageUrl);
+		const blockedUrl = await publicUrlError(imageUrl);
+		if (blockedUrl) return c.json(blockedUrl, 400);
+		const imgFetchRes = await safeFetch(imageUrl);
 		if (!imgFetchRes.ok) {
 			return c.json({ error: "Failed to fetch image from imageUrl" }, 400);
 		}
@@ -9339,7 +11232,7 @@ async function normalizeImageInput(img) {
 		};
 	}
 	if (img.url && typeof img.url === "string") {
-		const res = await fetch(img.url, { signal: AbortSignal.timeout(15_000) });
+		const res = await safeFetch(img.url, { signal: AbortSignal.timeout(15_000) });
 		if (!res.ok) throw new Error(`Failed to fetch image: ${res.status}`);
 		const buf = await res.arrayBuffer();
 		const base64 = Buffer.from(buf).toString("base64");
@@ -10148,10 +12041,12 @@ app.post("/fetch-metadata", async (c) => {
 				400,
 			);
 		}
+		const blockedUrl = await publicUrlError(url);
+		if (blockedUrl) return c.json(blockedUrl, 400);
 
 		try {
 			// Fetch the webpage content
-			const response = await fetch(url, {
+			const response = await safeFetch(url, {
 				headers: {
 					"User-Agent": userAgents.random().toString(),
 					Accept:
@@ -10947,11 +12842,7 @@ async function deductCredit(userId) {
  * deducts one credit after the downstream handler returns a 2xx response.
  */
 async function apiTokenMiddleware(c, next) {
-	const authHdr =
-		c.req.header("Authorization") || c.req.header("authorization");
-	const rawToken = authHdr?.startsWith("Bearer ")
-		? authHdr.slice(7).trim()
-		: authHdr?.trim();
+	const rawToken = bearerTokenFromRequest(c);
 
 	if (!rawToken) {
 		return c.json(
@@ -10994,6 +12885,82 @@ async function apiTokenMiddleware(c, next) {
 	}
 }
 
+/** Raw API token from `Authorization: Bearer <token>` (or a bare token). */
+function bearerTokenFromRequest(c) {
+	const authHdr =
+		c.req.header("Authorization") || c.req.header("authorization");
+	return authHdr?.startsWith("Bearer ")
+		? authHdr.slice(7).trim()
+		: authHdr?.trim();
+}
+
+/**
+ * Resolve `sessionId` / `refreshSession` from a request body on routes that are
+ * otherwise open (/scrape, /take-screenshot, /browser-agent/execute). The API
+ * token proves ownership of the session; no credit is charged for it.
+ * @returns {Promise<{ session: Object|null } | { error: Object, status: number }>}
+ */
+async function resolveRequestSession(c, body = {}) {
+	if (body.sessionId == null) return { session: null };
+	if (typeof body.sessionId !== "string" || !body.sessionId.trim()) {
+		return {
+			status: 400,
+			error: {
+				success: false,
+				error: "Invalid sessionId",
+				details: [{ path: "sessionId", message: "sessionId must be a string" }],
+			},
+		};
+	}
+	if (!sessionsConfigured()) {
+		return {
+			status: 503,
+			error: {
+				success: false,
+				code: "SESSIONS_UNAVAILABLE",
+				error: "Browser sessions are not configured on this server",
+			},
+		};
+	}
+	const rawToken = bearerTokenFromRequest(c);
+	if (!rawToken) {
+		return {
+			status: 401,
+			error: {
+				success: false,
+				code: "MISSING_TOKEN",
+				error: "sessionId requires Authorization: Bearer <token>",
+			},
+		};
+	}
+	const verified = await verifyApiToken(rawToken);
+	if (!verified.valid) {
+		return {
+			status: verified.code === "NO_CREDITS" ? 402 : 401,
+			error: { success: false, code: verified.code, error: verified.error },
+		};
+	}
+	let session;
+	try {
+		session = await loadBrowserSession(verified.userId, body.sessionId.trim());
+	} catch (err) {
+		console.error("[sessions] load failed:", err?.message);
+		return {
+			status: 500,
+			error: { success: false, error: "Failed to load session" },
+		};
+	}
+	if (!session) {
+		return {
+			status: 404,
+			error: { success: false, code: "SESSION_NOT_FOUND", error: "Session not found" },
+		};
+	}
+	return {
+		session: { ...session, refresh: body.refreshSession === true, token: rawToken },
+	};
+}
+
 // ── Step 1: Token management endpoints ───────────────────────────────────────
 
 /** POST /api-token/create — generate (or regenerate) an API token for a user. */
@@ -11679,7 +13646,7 @@ async function buildCodegenUserMessageFromUrl({
 		}
 
 		try {
-			const rawRes = await fetch(url, {
+			const rawRes = await safeFetch(url, {
 				headers: {
 					"User-Agent":
 						"Mozilla/5.0 (compatible; CodegenBot/1.0; +https://ihatereading.in)",
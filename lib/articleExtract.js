@@ -0,0 +1,113 @@
+/**
+ * Article extraction for /scrape `extractMode: "article"`.
+ *
+ * Mozilla Readability isolates the main content (dropping nav, footers,
+ * comments and related-post rails); the result is converted with the same
+ * semantic markdown pipeline as the rest of /scrape. Metadata comes from
+ * Readability first, then meta tags and JSON-LD.
+ */
+
+import { Readability, isProbablyReaderable } from "@mozilla/readability";
+import { JSDOM } from "jsdom";
+import { extractSemanticContentWithFormattedMarkdown } from "./extractSemanticContent.js";
+
+export const EXTRACT_MODES = ["semantic", "article", "full"];
+
+const WORDS_PER_MINUTE = 230;
+/** Below this much text Readability has most likely picked the wrong block. */
+const MIN_ARTICLE_CHARS = 200;
+
+function metaContent(doc, selectors) {
+	for (const selector of selectors) {
+		const value = doc.querySelector(selector)?.getAttribute("content")?.trim();
+		if (value) return value;
+	}
+	return null;
+}
+
+/** First `datePublished` / `image` in any JSON-LD block (incl. @graph). */
+function jsonLdField(doc, field) {
+	for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+		let parsed;
+		try {
+			parsed = JSON.parse(script.textContent);
+		} catch {
+			continue;
+		}
+		const nodes = [parsed, ...(Array.isArray(parsed) ? parsed : []), ...(parsed?.["@graph"] || [])];
+		for (const node of nodes) {
+			const value = node?.[field];
+			if (!value) continue;
+			if (typeof value === "string") return value;
+			if (Array.isArray(value) && value.length > 0) {
+				return typeof value[0] === "string" ? value[0] : value[0]?.url ?? null;
+			}
+			if (value.url) return value.url;
+		}
+	}
+	return null;
+}
+
+function absoluteUrl(href, base) {
+	if (!href) return null;
+	try {
+		return new URL(href, base).href;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Run Readability on page HTML. The document is not modified.
+ *
+ * @param {Document} doc   Parsed page (created with `url` so relative links resolve)
+ * @param {string} url
+ * @returns {{ markdown: string, article: Object } | null} null when no article was found
+ */
+export function extractArticle(doc, url) {
+	const readerable = isProbablyReaderable(doc);
+	const parsed = new Readability(doc.cloneNode(true), { keepClasses: false }).parse();
+	if (!parsed?.content || (parsed.textContent || "").trim().length < MIN_ARTICLE_CHARS) {
+		return null;
+	}
+
+	const contentDoc = new JSDOM(`<!DOCTYPE html><body>${parsed.content}</body>`, { url }).window
+		.document;
+	const { markdown } = extractSemanticContentWithFormattedMarkdown(contentDoc.body);
+
+	const wordCount = (parsed.textContent.match(/\S+/g) || []).length;
+	const leadImage = absoluteUrl(
+		metaContent(doc, ['meta[property="og:image"]', 'meta[name="twitter:image"]']) ||
+			jsonLdField(doc, "image") ||
+			contentDoc.querySelector("img[src]")?.getAttribute("src"),
+		url,
+	);
+	const publishedTime =
+		parsed.publishedTime ||
+		metaContent(doc, [
+			'meta[property="article:published_time"]',
+			'meta[name="date"]',
+			'meta[itemprop="datePublished"]',
+		]) ||
+		jsonLdField(doc, "datePublished") ||
+		doc.querySelector("article time[datetime], time[datetime]")?.getAttribute("datetime") ||
+		null;
+
+	const title = parsed.title?.trim() || null;
+	return {
+		markdown: title && !/^#\s/.test(markdown) ? `# ${title}\n\n${markdown}` : markdown,
+		article: {
+			title,
+			byline: parsed.byline?.trim() || null,
+			publishedTime,
+			siteName:
+				parsed.siteName?.trim() || metaContent(doc, ['meta[property="og:site_name"]']) || null,
+			excerpt: parsed.excerpt?.trim() || null,
+			leadImage,
+			lang: parsed.lang || doc.documentElement.getAttribute("lang") || null,
+			wordCount,
+			readingTimeMinutes: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)),
+			readerable,
+		},
+	};
+}
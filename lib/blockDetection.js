@@ -0,0 +1,270 @@
+/**
+ * Block-page classifier shared by /scrape and /google-search: was the page we
+ * got the content, or an anti-bot wall standing in front of it?
+ *
+ *   challenge     JavaScript / WAF interstitial (Cloudflare, Akamai, Imperva, …)
+ *   captcha       human verification (DataDome, PerimeterX, reCAPTCHA, Turnstile, …)
+ *   login_wall    sign-in required before the content is shown
+ *   paywall       subscription required (partial content may still be present)
+ *   geo_block     not available in the visitor's country / region
+ *   rate_limited  too many requests
+ *
+ * Signals are status codes, response headers and DOM / text fingerprints.
+ * Widget fingerprints (a reCAPTCHA on a contact form, a "Sign in" link) only
+ * count on thin pages, so ordinary pages that embed them are not flagged. The
+ * same goes for paywall markup: metered sites mark full articles
+ * isAccessibleForFree:false and show "already a subscriber?" next to them.
+ */
+
+export const BLOCK_LABELS = [
+	"challenge",
+	"captcha",
+	"login_wall",
+	"paywall",
+	"geo_block",
+	"rate_limited",
+];
+
+/** Typed `code` a blocked scrape result carries, per label. */
+export const BLOCKED_PAGE_CODES = {
+	challenge: "BOT_CHALLENGE",
+	captcha: "CAPTCHA_REQUIRED",
+	login_wall: "LOGIN_REQUIRED",
+	paywall: "PAYWALL",
+	geo_block: "GEO_BLOCKED",
+	rate_limited: "RATE_LIMITED",
+};
+
+/** Labels another exit IP can get past; login and paywalls follow the account, not the IP. */
+export const PROXY_RETRY_LABELS = new Set(["challenge", "captcha", "geo_block", "rate_limited"]);
+
+/** Below this much visible text a page is a candidate for widget-based rules. */
+const THIN_TEXT_CHARS = 1500;
+
+// ─── Fingerprints ────────────────────────────────────────────────────────────
+
+/**
+ * Vendor rules, checked in order. `html` / `text` / `title` are regexes over the
+ * raw HTML, the visible text and <title>; `headers` maps lowercase header names
+ * to a regex over their value (`any: true`: one of them is enough); `status`
+ * lists the statuses the rule needs. A rule matches when every field it
+ * declares matches; `thin: true` rules only apply to thin pages.
+ */
+const VENDOR_RULES = [
+	// Cloudflare
+	{ vendor: "cloudflare", label: "challenge", headers: { "cf-mitigated": /challenge/i } },
+	{ vendor: "cloudflare", label: "rate_limited", html: /error code:?\s*1015|cf-error-code">1015/i },
+	{ vendor: "cloudflare", label: "geo_block", html: /error code:?\s*1009|cf-error-code">1009/i },
+	{ vendor: "cloudflare", label: "captcha", html: /cf-turnstile|challenges\.cloudflare\.com\/turnstile/i, thin: true },
+	{
+		vendor: "cloudflare",
+		label: "challenge",
+		// challenge-platform scripts are also injected into ordinary pages.
+		html: /\/cdn-cgi\/challenge-platform\/|cf-browser-verification|cf_chl_opt|id="challenge-form"/i,
+		thin: true,
+	},
+	{ vendor: "cloudflare", label: "challenge", title: /^(just a moment|attention required!? \| cloudflare|please wait)/i, headers: { server: /cloudflare/i } },
+	{ vendor: "cloudflare", label: "challenge", status: [403, 503], headers: { server: /cloudflare/i }, text: /access denied|error code:?\s*10\d\d|ray id/i },
+
+	// Akamai
+	{ vendor: "akamai", label: "challenge", status: [403], headers: { server: /akamaighost/i } },
+	{ vendor: "akamai", label: "challenge", html: /you don't have permission to access .* on this server[\s\S]*reference #\d/i },
+	{ vendor: "akamai", label: "challenge", html: /sec-if-cpt-container|\/_sec\/cp_challenge\//i },
+
+	// DataDome
+	{ vendor: "datadome", label: "captcha", html: /(geo|ct)\.captcha-delivery\.com|dd\.captcha-delivery/i },
+	{ vendor: "datadome", label: "captcha", status: [403, 405], headers: { "x-datadome": /./, "x-dd-b": /./ }, any: true },
+
+	// PerimeterX / HUMAN
+	{ vendor: "perimeterx", label: "captcha", html: /px-captcha|_pxCaptcha|captcha\.px-cdn\.net/i },
+	{ vendor: "perimeterx", label: "captcha", text: /press (&|and) hold/i, thin: true },
+
+	// Imperva / Incapsula
+	{ vendor: "imperva", label: "challenge", html: /_Incapsula_Resource|incapsula incident id|Request unsuccessful\. Incapsula/i },
+
+	// AWS WAF
+	{ vendor: "aws-waf", label: "captcha", headers: { "x-amzn-waf-action": /captcha/i } },
+	{ vendor: "aws-waf", label: "challenge", headers: { "x-amzn-waf-action": /challenge/i } },
+	{ vendor: "aws-waf", label: "challenge", html: /awswaf\.com|aws-waf-token|gokuProps/i, thin: true },
+
+	// Sucuri
+	{ vendor: "sucuri", label: "challenge", html: /sucuri website firewall - (access denied|cloudproxy)/i },
+
+	// Vercel
+	{ vendor: "vercel", label: "challenge", headers: { "x-vercel-mitigated": /challenge/i } },
+
+	// Google
+	{ vendor: "google", label: "captcha", text: /unusual traffic from your computer network/i },
+];
+
+/** Generic rules, used when no vendor rule matched. */
+const GENERIC_RULES = [
+	{ label: "captcha", html: /class="g-recaptcha|www\.google\.com\/recaptcha\/api|hcaptcha\.com\/1\/api|class="h-captcha/i, thin: true },
+	{
+		label: "captcha",
+		text: /(verify (that )?you are (a )?human|are you a robot|confirm you('| a)re not a robot|complete the security check|prove you('| a)re human)/i,
+		thin: true,
+	},
+	{
+		label: "challenge",
+		text: /(checking (if the site connection is secure|your browser)|enable javascript and cookies to continue|automated (access|requests?|queries) (is |are |has been )?(blocked|detected)|access to this page has been denied|bot (traffic )?detected)/i,
+		thin: true,
+	},
+	{
+		label: "rate_limited",
+		text: /(too many requests|rate limit(ed| exceeded)|you have been rate limited)/i,
+		thin: true,
+	},
+	{
+		label: "geo_block",
+		text: /(not available in your (country|region|location)|unavailable in your (country|region)|is not available in your area|content is not available in your location|blocked in your (country|region))/i,
+		thin: true,
+	},
+	{
+		label: "paywall",
+		html: /"isAccessibleForFree"\s*:\s*"?false"?/i,
+		thin: true,
+	},
+	{
+		label: "paywall",
+		text: /(subscribe (now )?to (continue|keep) reading|this (article|content|story) is (for|only available to) (paid )?subscribers|already a subscriber\? (sign|log) in|you('ve| have) reached your (free )?(article )?limit)/i,
+		thin: true,
+	},
+	{
+		label: "login_wall",
+		text: /((sign|log) ?in (to|required to) (continue|view|see|access|read)|you (must|need to) (be )?(sign(ed)?|log(ged)?) ?in|please (sign|log) ?in|members only|login required)/i,
+		thin: true,
+	},
+];
+
+const STATUS_LABELS = {
+	401: "login_wall",
+	402: "paywall",
+	407: "login_wall",
+	429: "rate_limited",
+	451: "geo_block",
+};
+
+const LOGIN_PATH = /\/(log-?in|sign-?in|auth|sso|accounts?\/(log-?in|sign-?in)|session\/new|uas\/login)(\/|$|\?)/i;
+
+// ─── Classifier ──────────────────────────────────────────────────────────────
+
+function lowerHeaders(headers) {
+	const out = {};
+	const entries =
+		typeof headers?.entries === "function" ? headers.entries() : Object.entries(headers || {});
+	for (const [name, value] of entries) out[String(name).toLowerCase()] = String(value);
+	return out;
+}
+
+/** Visible text of an HTML document, without tags, scripts or styles. */
+function visibleText(html) {
+	return String(html || "")
+		.replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, " ")
+		.replace(/<[^>]+>/g, " ")
+		.replace(/&nbsp;/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+function ruleMatches(rule, page) {
+	if (rule.thin && !page.thin) return false;
+	if (rule.status && !rule.status.includes(page.status)) return false;
+	const checks = [];
+	if (rule.html) checks.push(rule.html.test(page.html));
+	if (rule.text) checks.push(rule.text.test(page.text));
+	if (rule.title) checks.push(rule.title.test(page.title));
+	if (rule.headers) {
+		const headerChecks = Object.entries(rule.headers).map(
+			([name, pattern]) => page.headers[name] != null && pattern.test(page.headers[name]),
+		);
+		checks.push(rule.any ? headerChecks.some(Boolean) : headerChecks.every(Boolean));
+	}
+	return checks.length > 0 ? checks.every(Boolean) : Boolean(rule.status);
+}
+
+function describe(rule) {
+	const parts = [];
+	if (rule.status) parts.push(`status ${rule.status.join("/")}`);
+	if (rule.headers) parts.push(`header ${Object.keys(rule.headers).join(rule.any ? " | " : " + ")}`);
+	if (rule.title) parts.push("title");
+	if (rule.html) parts.push("markup");
+	if (rule.text) parts.push("text");
+	return parts.join(", ");
+}
+
+/**
+ * Classify a fetched / rendered page.
+ *
+ * @param {{ html?: string, text?: string|null, status?: number|null, headers?: Object|Headers, url?: string|null, requestedUrl?: string|null }} page
+ *   `text` defaults to the visible text of `html` (pass markdown when there is
+ *   one); `url` is the final URL, `requestedUrl` the one asked for.
+ * @returns {{ blocked: boolean, label: string|null, vendor: string|null, status: number|null, signals: string[] }}
+ */
+export function classifyBlockedPage({
+	html = "",
+	text = null,
+	status = null,
+	headers = {},
+	url = null,
+	requestedUrl = null,
+} = {}) {
+	const source = String(html || "");
+	const pageText = String(text ?? visibleText(source))
+		.replace(/\s+/g, " ")
+		.trim();
+	const page = {
+		html: source,
+		text: pageText,
+		title: (source.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || "").trim(),
+		status: status ?? null,
+		headers: lowerHeaders(headers),
+		thin: pageText.length < THIN_TEXT_CHARS,
+	};
+	const verdict = (label, vendor, signals) => ({
+		blocked: true,
+		label,
+		vendor: vendor ?? null,
+		status: page.status,
+		signals,
+	});
+
+	for (const rule of VENDOR_RULES) {
+		if (ruleMatches(rule, page)) {
+			return verdict(rule.label, rule.vendor, [`${rule.vendor}: ${describe(rule)}`]);
+		}
+	}
+	if (STATUS_LABELS[page.status]) {
+		return verdict(STATUS_LABELS[page.status], null, [`status ${page.status}`]);
+	}
+	// Redirected from a content URL to a sign-in page.
+	if (url && requestedUrl && LOGIN_PATH.test(safePath(url)) && !LOGIN_PATH.test(safePath(requestedUrl))) {
+		return verdict("login_wall", null, [`redirected to ${safePath(url)}`]);
+	}
+	for (const rule of GENERIC_RULES) {
+		if (ruleMatches(rule, page)) {
+			return verdict(rule.label, null, [describe(rule)]);
+		}
+	}
+	return { blocked: false, label: null, vendor: null, status: page.status, signals: [] };
+}
+
+function safePath(url) {
+	try {
+		const u = new URL(url);
+		return `${u.pathname}${u.search}`;
+	} catch {
+		return "";
+	}
+}
+
+/** `{ success: false, code }` fields for a blocked scrape result. */
+export function blockedPageFields(verdict) {
+	return {
+		success: false,
+		code: BLOCKED_PAGE_CODES[verdict.label],
+		error: `Blocked by ${verdict.vendor || "the site"} (${verdict.label.replace("_", " ")})`,
+		blocked: true,
+		block: verdict,
+	};
+}
@@ -0,0 +1,383 @@
+/**
+ * Named browser sessions — cookies + localStorage that /scrape, /take-screenshot
+ * and /browser-agent/execute can start from (`sessionId`), for pages behind a login.
+ *
+ * State uses Playwright's storage-state shape:
+ *   { cookies: [{ name, value, domain, path, expires, httpOnly, secure, sameSite }],
+ *     origins: [{ origin, localStorage: [{ name, value }] }] }
+ *
+ * Sessions live in Firestore `browserSessions`, owned by the API token's user.
+ * The state is AES-256-GCM encrypted with SESSION_ENCRYPTION_KEY; only counts
+ * and domains are stored in clear. A run with `refreshSession: true` writes the
+ * page's final cookies (and the current origin's localStorage) back.
+ */
+
+import crypto from "crypto";
+import { Timestamp } from "firebase-admin/firestore";
+import { firestore } from "../config/firebase.js";
+
+const SESSIONS_COLL = "browserSessions";
+const MAX_SESSIONS_PER_USER =
+	parseInt(process.env.BROWSER_SESSION_MAX_PER_USER, 10) || 20;
+const MAX_COOKIES = 500;
+const MAX_ORIGINS = 50;
+/** Encrypted state must fit comfortably in a 1 MiB Firestore document. */
+const MAX_STATE_BYTES = 512 * 1024;
+const SAME_SITE = { strict: "Strict", lax: "Lax", none: "None" };
+
+function generateSessionId() {
+	return crypto.randomBytes(12).toString("base64url").slice(0, 16);
+}
+
+// ─── Encryption ──────────────────────────────────────────────────────────────
+
+function encryptionKey() {
+	const raw = process.env.SESSION_ENCRYPTION_KEY;
+	if (!raw) throw new Error("SESSION_ENCRYPTION_KEY is not configured");
+	// Any secret string works; hashing gives the 32 bytes AES-256 needs.
+	return crypto.createHash("sha256").update(raw).digest();
+}
+
+export function sessionsConfigured() {
+	return Boolean(process.env.SESSION_ENCRYPTION_KEY);
+}
+
+function encryptState(state) {
+	const iv = crypto.randomBytes(12);
+	const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+	const ciphertext = Buffer.concat([
+		cipher.update(JSON.stringify(state), "utf8"),
+		cipher.final(),
+	]);
+	return {
+		ciphertext: ciphertext.toString("base64"),
+		iv: iv.toString("base64"),
+		tag: cipher.getAuthTag().toString("base64"),
+	};
+}
+
+function decryptState({ ciphertext, iv, tag }) {
+	const decipher = crypto.createDecipheriv(
+		"aes-256-gcm",
+		encryptionKey(),
+		Buffer.from(iv, "base64"),
+	);
+	decipher.setAuthTag(Buffer.from(tag, "base64"));
+	const plain = Buffer.concat([
+		decipher.update(Buffer.from(ciphertext, "base64")),
+		decipher.final(),
+	]);
+	return JSON.parse(plain.toString("utf8"));
+}
+
+// ─── Input ───────────────────────────────────────────────────────────────────
+
+function normalizeCookie(raw, path, errors) {
+	if (!raw || typeof raw !== "object") {
+		errors.push({ path, message: "Cookie must be an object" });
+		return null;
+	}
+	if (typeof raw.name !== "string" || !raw.name || typeof raw.value !== "string") {
+		errors.push({ path, message: "Cookie needs string name and value" });
+		return null;
+	}
+	if (!raw.domain && !raw.url) {
+		errors.push({ path, message: "Cookie needs domain or url" });
+		return null;
+	}
+	const cookie = { name: raw.name, value: raw.value };
+	if (raw.url) cookie.url = String(raw.url);
+	if (raw.domain) cookie.domain = String(raw.domain);
+	cookie.path = typeof raw.path === "string" ? raw.path : "/";
+	const expires = Number(raw.expires ?? raw.expirationDate);
+	if (Number.isFinite(expires) && expires > 0) cookie.expires = expires;
+	if (raw.httpOnly != null) cookie.httpOnly = Boolean(raw.httpOnly);
+	if (raw.secure != null) cookie.secure = Boolean(raw.secure);
+	const sameSite = SAME_SITE[String(raw.sameSite || "").toLowerCase()];
+	if (sameSite) cookie.sameSite = sameSite;
+	return cookie;
+}
+
+function normalizeOrigins(origins, errors) {
+	if (origins == null) return [];
+	if (!Array.isArray(origins)) {
+		errors.push({ path: "storageState.origins", message: "origins must be an array" });
+		return [];
+	}
+	if (origins.length > MAX_ORIGINS) {
+		errors.push({ path: "storageState.origins", message: `Maximum ${MAX_ORIGINS} origins` });
+		return [];
+	}
+	return origins
+		.map((o, i) => {
+			let origin;
+			try {
+				origin = new URL(o?.origin).origin;
+			} catch {
+				errors.push({ path: `storageState.origins[${i}].origin`, message: "origin must be a URL" });
+				return null;
+			}
+			const items = Array.isArray(o.localStorage) ? o.localStorage : [];
+			return {
+				origin,
+				localStorage: items
+					.filter((kv) => typeof kv?.name === "string")
+					.map((kv) => ({ name: kv.name, value: String(kv.value ?? "") })),
+			};
+		})
+		.filter(Boolean);
+}
+
+/**
+ * Validate a create/update body: `name` plus `cookies` and/or `storageState`.
+ * @returns {{ fields: { name?: string, state?: Object }, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeSessionInput(body = {}, { partial = false } = {}) {
+	const fields = {};
+	const errors = [];
+
+	if (!partial || body.name !== undefined) {
+		if (typeof body.name !== "string" || !body.name.trim() || body.name.length > 100) {
+			errors.push({ path: "name", message: "name must be a string of 1–100 characters" });
+		} else {
+			fields.name = body.name.trim();
+		}
+	}
+
+	const hasState = body.cookies !== undefined || body.storageState !== undefined;
+	if (!hasState) {
+		if (!partial) {
+			errors.push({ path: "cookies", message: "Provide cookies or storageState" });
+		}
+		return { fields, errors };
+	}
+
+	const storageState = body.storageState ?? {};
+	if (typeof storageState !== "object" || Array.isArray(storageState)) {
+		errors.push({ path: "storageState", message: "storageState must be an object" });
+		return { fields, errors };
+	}
+	const rawCookies = [
+		...(Array.isArray(body.cookies) ? body.cookies.map((c, i) => [c, `cookies[${i}]`]) : []),
+		...(Array.isArray(storageState.cookies)
+			? storageState.cookies.map((c, i) => [c, `storageState.cookies[${i}]`])
+			: []),
+	];
+	if (body.cookies !== undefined && !Array.isArray(body.cookies)) {
+		errors.push({ path: "cookies", message: "cookies must be an array" });
+	}
+	if (rawCookies.length > MAX_COOKIES) {
+		errors.push({ path: "cookies", message: `Maximum ${MAX_COOKIES} cookies` });
+		return { fields, errors };
+	}
+	const cookies = rawCookies
+		.map(([c, path]) => normalizeCookie(c, path, errors))
+		.filter(Boolean);
+	const origins = normalizeOrigins(storageState.origins, errors);
+
+	const state = { cookies, origins };
+	if (Buffer.byteLength(JSON.stringify(state)) > MAX_STATE_BYTES) {
+		errors.push({ path: "storageState", message: `Session state exceeds ${MAX_STATE_BYTES} bytes` });
+	}
+	if (errors.length === 0) fields.state = state;
+	return { fields, errors };
+}
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+function sessionsColl() {
+	return firestore.collection(SESSIONS_COLL);
+}
+
+/** Clear-text summary stored beside the ciphertext so listings never decrypt. */
+function stateSummary(state) {
+	const domains = new Set();
+	for (const c of state.cookies) {
+		const host = c.domain || (() => {
+			try {
+				return new URL(c.url).hostname;
+			} catch {
+				return null;
+			}
+		})();
+		if (host) domains.add(host.replace(/^\./, ""));
+	}
+	for (const o of state.origins) domains.add(new URL(o.origin).hostname);
+	return {
+		domains: [...domains].sort(),
+		cookieCount: state.cookies.length,
+		originCount: state.origins.length,
+	};
+}
+
+/** Public shape for API responses — never includes cookie values. */
+export function publicSession(data) {
+	return {
+		id: data.id,
+		name: data.name,
+		domains: data.domains ?? [],
+		cookieCount: data.cookieCount ?? 0,
+		originCount: data.originCount ?? 0,
+		createdAt: data.createdAt?.toMillis?.() ?? null,
+		updatedAt: data.updatedAt?.toMillis?.() ?? null,
+		lastUsedAt: data.lastUsedAt?.toMillis?.() ?? null,
+		lastRefreshedAt: data.lastRefreshedAt?.toMillis?.() ?? null,
+	};
+}
+
+export async function createBrowserSession(ownerId, { name, state }) {
+	const existing = await sessionsColl().where("ownerId", "==", ownerId).count().get();
+	if (existing.data().count >= MAX_SESSIONS_PER_USER) {
+		throw new Error(`Maximum ${MAX_SESSIONS_PER_USER} sessions per user`);
+	}
+	const id = generateSessionId();
+	const doc = {
+		id,
+		ownerId,
+		name,
+		...stateSummary(state),
+		encryptedState: encryptState(state),
+		createdAt: Timestamp.now(),
+		updatedAt: Timestamp.now(),
+		lastUsedAt: null,
+		lastRefreshedAt: null,
+	};
+	await sessionsColl().doc(id).set(doc);
+	return doc;
+}
+
+/** @returns {Promise<Object|null>} null when missing or owned by someone else */
+export async function getBrowserSession(ownerId, id) {
+	const snap = await sessionsColl().doc(String(id)).get();
+	if (!snap.exists) return null;
+	const data = snap.data();
+	return data.ownerId === ownerId ? data : null;
+}
+
+export async function listBrowserSessions(ownerId) {
+	const snap = await sessionsColl()
+		.where("ownerId", "==", ownerId)
+		.limit(MAX_SESSIONS_PER_USER)
+		.get();
+	return snap.docs
+		.map((d) => d.data())
+		.sort((a, b) => (b.createdAt?.toMillis?.() ?? 0) - (a.createdAt?.toMillis?.() ?? 0));
+}
+
+/** Rename and/or replace the stored state. */
+export async function updateBrowserSession(ownerId, id, { name, state }) {
+	const current = await getBrowserSession(ownerId, id);
+	if (!current) return null;
+	const update = { updatedAt: Timestamp.now() };
+	if (name !== undefined) update.name = name;
+	if (state !== undefined) {
+		Object.assign(update, stateSummary(state), { encryptedState: encryptState(state) });
+	}
+	await sessionsColl().doc(id).update(update);
+	return { ...current, ...update };
+}
+
+export async function deleteBrowserSession(ownerId, id) {
+	const current = await getBrowserSession(ownerId, id);
+	if (!current) return false;
+	await sessionsColl().doc(id).delete();
+	return true;
+}
+
+/**
+ * Decrypt a session for a run and stamp `lastUsedAt`.
+ * @returns {Promise<{ id: string, ownerId: string, state: Object }|null>}
+ */
+export async function loadBrowserSession(ownerId, id) {
+	const session = await getBrowserSession(ownerId, id);
+	if (!session) return null;
+	const state = decryptState(session.encryptedState);
+	sessionsColl()
+		.doc(session.id)
+		.update({ lastUsedAt: Timestamp.now() })
+		.catch(() => {});
+	return { id: session.id, ownerId, state };
+}
+
+// ─── Pages ───────────────────────────────────────────────────────────────────
+
+/**
+ * Load a session into a fresh page before navigation: cookies directly, and
+ * localStorage on each new document of a matching origin.
+ * @param {import('puppeteer-core').Page} page
+ */
+export async function applySessionState(page, state) {
+	if (state.cookies.length > 0) await page.setCookie(...state.cookies);
+	if (state.origins.length > 0) {
+		await page.evaluateOnNewDocument((origins) => {
+			const entry = origins.find((o) => o.origin === location.origin);
+			if (!entry) return;
+			for (const { name, value } of entry.localStorage) {
+				try {
+					localStorage.setItem(name, value);
+				} catch {}
+			}
+		}, state.origins);
+	}
+}
+
+/**
+ * The page's current cookies (all domains in its browser context) and the
+ * current origin's localStorage, merged over `previous` origins.
+ * @param {import('puppeteer-core').Page} page
+ */
+export async function captureSessionState(page, previous) {
+	const client = await page.createCDPSession();
+	let cookies = [];
+	try {
+		({ cookies } = await client.send("Network.getAllCookies"));
+	} finally {
+		await client.detach().catch(() => {});
+	}
+	const current = await page
+		.evaluate(() => ({
+			origin: location.origin,
+			localStorage: Object.entries(localStorage).map(([name, value]) => ({ name, value })),
+		}))
+		.catch(() => null);
+
+	const origins = (previous?.origins || []).filter((o) => o.origin !== current?.origin);
+	if (current && current.origin !== "null" && current.localStorage.length > 0) {
+		origins.push(current);
+	}
+	return {
+		cookies: cookies.slice(0, MAX_COOKIES).map((c) => ({
+			name: c.name,
+			value: c.value,
+			domain: c.domain,
+			path: c.path,
+			...(c.expires > 0 && { expires: c.expires }),
+			httpOnly: c.httpOnly,
+			secure: c.secure,
+			...(c.sameSite && { sameSite: c.sameSite }),
+		})),
+		origins: origins.slice(-MAX_ORIGINS),
+	};
+}
+
+/**
+ * Write a run's final state back to the session (`refreshSession: true`).
+ * Never throws; returns whether the refresh was stored.
+ */
+export async function refreshSessionFromPage(session, page) {
+	try {
+		const state = await captureSessionState(page, session.state);
+		await sessionsColl()
+			.doc(session.id)
+			.update({
+				...stateSummary(state),
+				encryptedState: encryptState(state),
+				updatedAt: Timestamp.now(),
+				lastRefreshedAt: Timestamp.now(),
+			});
+		return true;
+	} catch (err) {
+		console.warn(`[sessions] refresh of ${session.id} failed:`, err?.message);
+		return false;
+	}
+}
@@ -0,0 +1,212 @@
+/**
+ * Token-aware markdown chunking for LLM callers (`chunking` on /scrape and
+ * /scrape-multiple) and the inkgest source budget.
+ *
+ *   chunking: true | { maxTokens?: 512, overlap?: 50, strategy?: "heading" | "recursive" }
+ *
+ *   heading    one chunk per markdown section; sections over maxTokens are split
+ *              recursively (with overlap) and keep their heading path
+ *   recursive  LangChain's markdown-aware recursive splitter over the whole text
+ *
+ * Tokens are counted with tiktoken's cl100k_base encoding. Offsets are character
+ * positions in the markdown the chunks were cut from.
+ */
+
+import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
+import { clampInt } from "./numbers.js";
+
+export const CHUNKING_STRATEGIES = ["heading", "recursive"];
+export const TOKENIZER = "cl100k_base";
+
+const DEFAULT_MAX_TOKENS = 512;
+const MIN_MAX_TOKENS = 64;
+const MAX_MAX_TOKENS = 8192;
+const DEFAULT_OVERLAP = 50;
+
+const HEADING_LINE = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm;
+
+let encoderPromise = null;
+
+/** Shared cl100k encoder; tiktoken is WASM, so it loads once per process. */
+function getEncoder() {
+	if (!encoderPromise) {
+		encoderPromise = import("tiktoken").then(({ get_encoding }) => get_encoding(TOKENIZER));
+		encoderPromise.catch(() => {
+			encoderPromise = null;
+		});
+	}
+	return encoderPromise;
+}
+
+export async function countTokens(text) {
+	if (!text) return 0;
+	const encoder = await getEncoder();
+	// "all": text that happens to contain <|endoftext|> must not throw.
+	return encoder.encode(text, "all").length;
+}
+
+/**
+ * Check a `chunking` option from a request body.
+ * @returns {{ chunking: { maxTokens: number, overlap: number, strategy: string }|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeChunkingOption(option) {
+	if (option == null || option === false) return { chunking: null, errors: [] };
+	const spec = option === true ? {} : option;
+	if (typeof spec !== "object" || Array.isArray(spec)) {
+		return {
+			chunking: null,
+			errors: [{ path: "chunking", message: "chunking must be true or an object" }],
+		};
+	}
+	const strategy = spec.strategy ?? "heading";
+	if (!CHUNKING_STRATEGIES.includes(strategy)) {
+		return {
+			chunking: null,
+			errors: [
+				{
+					path: "chunking.strategy",
+					message: `strategy must be one of: ${CHUNKING_STRATEGIES.join(", ")}`,
+				},
+			],
+		};
+	}
+	const maxTokens = clampInt(spec.maxTokens, MIN_MAX_TOKENS, MAX_MAX_TOKENS, DEFAULT_MAX_TOKENS);
+	const overlap = clampInt(spec.overlap, 0, Math.floor(maxTokens / 2), Math.min(DEFAULT_OVERLAP, Math.floor(maxTokens / 2)));
+	return { chunking: { maxTokens, overlap, strategy }, errors: [] };
+}
+
+// ─── Sections ────────────────────────────────────────────────────────────────
+
+/** Heading positions in order: { offset, level, text }. */
+function headingsOf(markdown) {
+	const headings = [];
+	for (const m of markdown.matchAll(HEADING_LINE)) {
+		headings.push({ offset: m.index, level: m[1].length, text: m[2].trim() });
+	}
+	return headings;
+}
+
+/** Heading path active at `offset`, e.g. ["Guide", "Install"]. */
+function headingPathAt(headings, offset) {
+	const stack = [];
+	for (const h of headings) {
+		if (h.offset > offset) break;
+		while (stack.length > 0 && stack[stack.length - 1].level >= h.level) stack.pop();
+		stack.push(h);
+	}
+	return stack.map((h) => h.text);
+}
+
+/** Split at every heading; text before the first heading is its own section. */
+function sectionsOf(markdown, headings) {
+	const bounds = [0, ...headings.map((h) => h.offset).filter((o) => o > 0), markdown.length];
+	const sections = [];
+	for (let i = 0; i < bounds.length - 1; i++) {
+		const text = markdown.slice(bounds[i], bounds[i + 1]);
+		if (text.trim()) sections.push({ start: bounds[i], text });
+	}
+	return sections;
+}
+
+/**
+ * Recursively split `text` and map each piece back to its offset in the source.
+ * Pieces are searched forward from the previous piece's start, which keeps
+ * overlapping pieces in order.
+ */
+async function splitWithOffsets(text, baseOffset, { maxTokens, overlap }) {
+	const encoder = await getEncoder();
+	const splitter = RecursiveCharacterTextSplitter.fromLanguage("markdown", {
+		chunkSize: maxTokens,
+		chunkOverlap: overlap,
+		lengthFunction: (t) => encoder.encode(t, "all").length,
+	});
+	const pieces = await splitter.splitText(text);
+	const out = [];
+	let cursor = 0;
+	for (const piece of pieces) {
+		let at = text.indexOf(piece, cursor);
+		if (at === -1) at = text.indexOf(piece);
+		if (at === -1) at = cursor;
+		out.push({ text: piece, start: baseOffset + at, end: baseOffset + at + piece.length });
+		cursor = at + 1;
+	}
+	return out;
+}
+
+// ─── Chunking ────────────────────────────────────────────────────────────────
+
+/**
+ * Cut markdown into token-bounded chunks.
+ *
+ * @param {string} markdown
+ * @param {{ maxTokens: number, overlap: number, strategy: string }} chunking  Output of normalizeChunkingOption
+ * @param {{ url?: string|null }} [meta]
+ * @returns {Promise<Array<{ index: number, text: string, headingPath: string[], startOffset: number, endOffset: number, tokens: number, url: string|null }>>}
+ */
+export async function chunkMarkdown(markdown, chunking, { url = null } = {}) {
+	const source = String(markdown || "");
+	if (!source.trim()) return [];
+	const encoder = await getEncoder();
+	const tokensOf = (t) => encoder.encode(t, "all").length;
+	const headings = headingsOf(source);
+
+	let pieces;
+	if (chunking.strategy === "recursive") {
+		pieces = await splitWithOffsets(source, 0, chunking);
+	} else {
+		pieces = [];
+		for (const section of sectionsOf(source, headings)) {
+			const trimmed = section.text.trimEnd();
+			if (tokensOf(trimmed) <= chunking.maxTokens) {
+				pieces.push({ text: trimmed, start: section.start, end: section.start + trimmed.length });
+			} else {
+				pieces.push(...(await splitWithOffsets(section.text, section.start, chunking)));
+			}
+		}
+	}
+
+	return pieces.map((piece, index) => ({
+		index,
+		text: piece.text,
+		headingPath: headingPathAt(headings, piece.start),
+		startOffset: piece.start,
+		endOffset: piece.end,
+		tokens: tokensOf(piece.text),
+		url,
+	}));
+}
+
+/**
+ * Leading part of `markdown` that fits in `maxTokens`, cut on chunk boundaries
+ * (heading sections first) rather than mid-sentence.
+ * @returns {Promise<{ text: string, tokens: number, truncated: boolean }>}
+ */
+export async function takeTokenBudget(markdown, maxTokens) {
+	const source = String(markdown || "");
+	const total = await countTokens(source);
+	if (total <= maxTokens) return { text: source, tokens: total, truncated: false };
+
+	const chunks = await chunkMarkdown(source, {
+		maxTokens: Math.max(MIN_MAX_TOKENS, Math.min(maxTokens, 1024)),
+		overlap: 0,
+		strategy: "heading",
+	});
+	const kept = [];
+	let tokens = 0;
+	for (const chunk of chunks) {
+		if (tokens + chunk.tokens > maxTokens) break;
+		kept.push(chunk.text);
+		tokens += chunk.tokens;
+	}
+	return { text: kept.join("\n\n"), tokens, truncated: true };
+}
+
+/** Response block for `chunking`: settings plus totals. */
+export function chunkingSummary(chunking, chunks) {
+	return {
+		...chunking,
+		tokenizer: TOKENIZER,
+		count: chunks.length,
+		totalTokens: chunks.reduce((n, c) => n + c.tokens, 0),
+	};
+}
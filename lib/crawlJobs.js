@@ -0,0 +1,710 @@
+/**
+ * Crawl jobs — persistent, resumable site crawls (POST /crawl, GET /crawl/:id …).
+ *
+ * A job runs lib/siteCrawler.js in the background and checkpoints its state
+ * (frontier, visited set, per-URL records) every CHECKPOINT_EVERY_PAGES pages
+ * or CHECKPOINT_MS, so a timeout, a deploy or a browser crash costs at most the
+ * pages since then. Each finished page is written to the job's result log as it
+ * lands; callers page through it with a cursor or stream it.
+ *
+ *   queued → running → completed
+ *                    ↘ paused → (resume) → queued
+ *                    ↘ cancelled | failed
+ *
+ * Runners hold a lease on the job (refreshed by a heartbeat). A
+ * "running" job whose lease ran out belonged to an instance that died; the
+ * sweeper on any instance claims it and continues from the last checkpoint.
+ * Set CRAWL_JOB_RUNNER=off to keep an instance from running jobs.
+ *
+ * Storage is pluggable via CRAWL_JOB_STORE:
+ *   firestore — `crawlJobs/{id}` + `results` subcollection (default; survives deploys)
+ *   fs        — JSON files under CRAWL_JOB_DIR (default ./cache/crawl-jobs)
+ *   memory    — in-process only (tests, single short-lived instances)
+ */
+
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import fsp from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import zlib from "zlib";
+import { firestore } from "../config/firebase.js";
+import {
+	createCrawlState,
+	restoreCrawlState,
+	runCrawl,
+	serializeCrawlState,
+	summarizeCrawl,
+} from "./siteCrawler.js";
+import { clampInt } from "./numbers.js";
+
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
+
+export const CRAWL_JOB_STATUSES = ["queued", "running", "paused", "cancelled", "completed", "failed"];
+const FINAL_STATUSES = new Set(["cancelled", "completed", "failed"]);
+
+export const CRAWL_JOB_MAX_URLS = Math.max(
+	1,
+	parseInt(process.env.CRAWL_JOB_MAX_URLS, 10) || 5000,
+);
+const MAX_ACTIVE_JOBS = Math.max(1, parseInt(process.env.CRAWL_JOB_MAX_ACTIVE, 10) || 2);
+const LEASE_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 20 * 1000;
+const SWEEP_MS = 60 * 1000;
+/** A checkpoint rewrites the whole state; take one per this many pages or this long. */
+const CHECKPOINT_EVERY_PAGES = 25;
+const CHECKPOINT_MS = 15 * 1000;
+const RESULTS_PAGE_MAX = 200;
+/** Firestore documents cap at 1 MiB; keep per-page markdown well under it. */
+const MAX_RESULT_MARKDOWN_CHARS = 400_000;
+
+const JOBS_COLL = "crawlJobs";
+const RESULTS_SUBCOLL = "results";
+const STATE_SUBCOLL = "state";
+
+const INSTANCE_ID = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+
+/**
+ * @typedef {Object} CrawlJob
+ * @property {string} id
+ * @property {"queued"|"running"|"paused"|"cancelled"|"completed"|"failed"} status
+ * @property {string} seedUrl
+ * @property {Object} crawl            normalizeCrawlOptions output
+ * @property {{ timeout: number, scrapeContent: boolean, respectRobots: boolean, useSitemap: boolean }} scrape
+ * @property {Object|null} progress    summarizeCrawl output at the last checkpoint
+ * @property {number} resultsCount     Entries in the result log
+ * @property {number} runMs            Time spent running, summed over resumes
+ * @property {"pause"|"cancel"|null} control  Requested by a route, applied by the runner
+ * @property {string|null} leaseOwner
+ * @property {number|null} leaseUntil
+ * @property {string|null} error
+ * @property {number} createdAt
+ * @property {number|null} startedAt
+ * @property {number} updatedAt
+ * @property {number|null} completedAt
+ */
+
+function generateJobId() {
+	return crypto.randomBytes(12).toString("base64url").slice(0, 16);
+}
+
+/** A claimable job: queued, or running under an expired lease. */
+function isClaimable(job, now) {
+	if (job.status === "queued") return !job.leaseUntil || job.leaseUntil < now;
+	return job.status === "running" && (!job.leaseUntil || job.leaseUntil < now);
+}
+
+// ─── Stores ──────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} CrawlJobStore
+ * @property {string} name
+ * @property {(job: CrawlJob) => Promise<void>} put
+ * @property {(id: string) => Promise<CrawlJob|null>} get
+ * @property {(id: string, patch: Object) => Promise<void>} update
+ * @property {(id: string, owner: string, now: number) => Promise<CrawlJob|null>} claim
+ * @property {(now: number, limit: number) => Promise<CrawlJob[]>} listClaimable
+ * @property {(id: string, checkpoint: Object) => Promise<void>} saveCheckpoint
+ * @property {(id: string) => Promise<Object|null>} loadCheckpoint
+ * @property {(id: string, entry: Object) => Promise<void>} putResult   entry.seq is its position in the log
+ * @property {(id: string, cursor: number, limit: number) => Promise<Object[]>} readResults
+ */
+
+/** In-process store. Values are cloned in and out so callers can't mutate them. */
+export function createMemoryCrawlJobStore() {
+	const jobs = new Map();
+	const checkpoints = new Map();
+	const results = new Map();
+	const store = {
+		name: "memory",
+		async put(job) {
+			jobs.set(job.id, structuredClone(job));
+		},
+		async get(id) {
+			return jobs.has(id) ? structuredClone(jobs.get(id)) : null;
+		},
+		async update(id, patch) {
+			if (jobs.has(id)) jobs.set(id, { ...jobs.get(id), ...structuredClone(patch) });
+		},
+		async claim(id, owner, now) {
+			const job = jobs.get(id);
+			if (!job || !isClaimable(job, now)) return null;
+			Object.assign(job, { status: "running", leaseOwner: owner, leaseUntil: now + LEASE_MS });
+			return structuredClone(job);
+		},
+		async listClaimable(now, limit) {
+			return [...jobs.values()]
+				.filter((j) => isClaimable(j, now))
+				.sort((a, b) => a.createdAt - b.createdAt)
+				.slice(0, limit)
+				.map((j) => structuredClone(j));
+		},
+		async saveCheckpoint(id, checkpoint) {
+			checkpoints.set(id, structuredClone(checkpoint));
+		},
+		async loadCheckpoint(id) {
+			return checkpoints.has(id) ? structuredClone(checkpoints.get(id)) : null;
+		},
+		async putResult(id, entry) {
+			if (!results.has(id)) results.set(id, []);
+			results.get(id)[entry.seq] = structuredClone(entry);
+		},
+		async readResults(id, cursor, limit) {
+			const out = [];
+			const log = results.get(id) || [];
+			for (let seq = cursor; seq < log.length && out.length < limit; seq++) {
+				if (log[seq]) out.push(log[seq]);
+			}
+			return out;
+		},
+	};
+	return store;
+}
+
+/**
+ * One directory per job: job.json, checkpoint.json and results.jsonl. JSON
+ * files are written to a temp file and renamed; the result log is append-only
+ * and a re-crawled page's later line wins on read. job.json updates are
+ * read-modify-write, so they are serialized per job (single instance only).
+ */
+export function createFsCrawlJobStore({
+	dir = process.env.CRAWL_JOB_DIR || path.join(process.cwd(), "cache", "crawl-jobs"),
+} = {}) {
+	const jobDir = (id) => path.join(dir, id.replace(/[^A-Za-z0-9_-]/g, ""));
+	const readJson = async (file) => {
+		try {
+			return JSON.parse(await fsp.readFile(file, "utf8"));
+		} catch (err) {
+			if (err?.code === "ENOENT") return null;
+			throw err;
+		}
+	};
+	const writeJson = async (file, value) => {
+		await fsp.mkdir(path.dirname(file), { recursive: true });
+		const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+		await fsp.writeFile(tmp, JSON.stringify(value));
+		await fsp.rename(tmp, file);
+	};
+	const jobFile = (id) => path.join(jobDir(id), "job.json");
+	const locks = new Map();
+	const locked = (id, fn) => {
+		const run = (locks.get(id) || Promise.resolve()).then(fn);
+		const tail = run.catch(() => {});
+		locks.set(id, tail);
+		tail.then(() => {
+			if (locks.get(id) === tail) locks.delete(id);
+		});
+		return run;
+	};
+	const store = {
+		name: "fs",
+		put: (job) => writeJson(jobFile(job.id), job),
+		get: (id) => readJson(jobFile(id)),
+		update: (id, patch) =>
+			locked(id, async () => {
+				const job = await readJson(jobFile(id));
+				if (job) await writeJson(jobFile(id), { ...job, ...patch });
+			}),
+		claim: (id, owner, now) =>
+			locked(id, async () => {
+				const job = await readJson(jobFile(id));
+				if (!job || !isClaimable(job, now)) return null;
+				const claimed = { ...job, status: "running", leaseOwner: owner, leaseUntil: now + LEASE_MS };
+				await writeJson(jobFile(id), claimed);
+				return claimed;
+			}),
+		async listClaimable(now, limit) {
+			let ids = [];
+			try {
+				ids = await fsp.readdir(dir);
+			} catch (err) {
+				if (err?.code !== "ENOENT") throw err;
+			}
+			const found = [];
+			for (const id of ids) {
+				const job = await readJson(jobFile(id)).catch(() => null);
+				if (job && isClaimable(job, now)) found.push(job);
+			}
+			return found.sort((a, b) => a.createdAt - b.createdAt).slice(0, limit);
+		},
+		saveCheckpoint: (id, checkpoint) =>
+			writeJson(path.join(jobDir(id), "checkpoint.json"), checkpoint),
+		loadCheckpoint: (id) => readJson(path.join(jobDir(id), "checkpoint.json")),
+		async putResult(id, entry) {
+			await fsp.mkdir(jobDir(id), { recursive: true });
+			await fsp.appendFile(path.join(jobDir(id), "results.jsonl"), `${JSON.stringify(entry)}\n`);
+		},
+		async readResults(id, cursor, limit) {
+			let text = "";
+			try {
+				text = await fsp.readFile(path.join(jobDir(id), "results.jsonl"), "utf8");
+			} catch (err) {
+				if (err?.code !== "ENOENT") throw err;
+			}
+			const bySeq = new Map();
+			for (const line of text.split("\n")) {
+				if (!line) continue;
+				try {
+					const entry = JSON.parse(line);
+					bySeq.set(entry.seq, entry);
+				} catch {
+					/* torn last line after a crash */
+				}
+			}
+			// Positions a crashed run never wrote are skipped, as in the other stores.
+			return [...bySeq.keys()]
+				.filter((seq) => seq >= cursor)
+				.sort((a, b) => a - b)
+				.slice(0, limit)
+				.map((seq) => bySeq.get(seq));
+		},
+	};
+	return store;
+}
+
+/**
+ * Firestore store. The checkpoint lives deflated in `state/checkpoint` — the
+ * visited set of a large crawl would not fit the 1 MiB document limit as JSON.
+ */
+export function createFirestoreCrawlJobStore() {
+	const coll = () => firestore.collection(JOBS_COLL);
+	const seqId = (seq) => String(seq).padStart(8, "0");
+	// Round-trip drops `undefined`, which Firestore rejects.
+	const plain = (value) => JSON.parse(JSON.stringify(value));
+	return {
+		name: "firestore",
+		put: (job) => coll().doc(job.id).set(plain(job)),
+		async get(id) {
+			const snap = await coll().doc(id).get();
+			return snap.exists ? snap.data() : null;
+		},
+		update: (id, patch) => coll().doc(id).update(plain(patch)),
+		claim(id, owner, now) {
+			const ref = coll().doc(id);
+			return firestore.runTransaction(async (tx) => {
+				const snap = await tx.get(ref);
+				if (!snap.exists || !isClaimable(snap.data(), now)) return null;
+				const patch = { status: "running", leaseOwner: owner, leaseUntil: now + LEASE_MS };
+				tx.update(ref, patch);
+				return { ...snap.data(), ...patch };
+			});
+		},
+		async listClaimable(now, limit) {
+			const snap = await coll()
+				.where("status", "in", ["queued", "running"])
+				.limit(limit * 5)
+				.get();
+			return snap.docs
+				.map((d) => d.data())
+				.filter((j) => isClaimable(j, now))
+				.sort((a, b) => a.createdAt - b.createdAt)
+				.slice(0, limit);
+		},
+		async saveCheckpoint(id, checkpoint) {
+			const gz = await deflate(JSON.stringify(checkpoint));
+			await coll().doc(id).collection(STATE_SUBCOLL).doc("checkpoint").set({ gz });
+		},
+		async loadCheckpoint(id) {
+			const snap = await coll().doc(id).collection(STATE_SUBCOLL).doc("checkpoint").get();
+			if (!snap.exists) return null;
+			return JSON.parse((await inflate(snap.data().gz)).toString("utf8"));
+		},
+		putResult: (id, entry) =>
+			coll().doc(id).collection(RESULTS_SUBCOLL).doc(seqId(entry.seq)).set(plain(entry)),
+		async readResults(id, cursor, limit) {
+			const snap = await coll()
+				.doc(id)
+				.collection(RESULTS_SUBCOLL)
+				.orderBy("seq")
+				.startAt(cursor)
+				.limit(limit)
+				.get();
+			return snap.docs.map((d) => d.data());
+		},
+	};
+}
+
+/** Pick a store by name ("firestore" | "fs" | "memory"). */
+export function createCrawlJobStore(name) {
+	switch (String(name || "").toLowerCase()) {
+		case "memory":
+			return createMemoryCrawlJobStore();
+		case "fs":
+		case "filesystem":
+			return createFsCrawlJobStore();
+		case "firestore":
+			return createFirestoreCrawlJobStore();
+		default:
+			console.warn(`[crawl-job] Unknown CRAWL_JOB_STORE "${name}", using fs`);
+			return createFsCrawlJobStore();
+	}
+}
+
+// ─── Runner ──────────────────────────────────────────────────────────────────
+
+const store = createCrawlJobStore(process.env.CRAWL_JOB_STORE || "firestore");
+
+/** Jobs this instance is running: id → { stop, segmentStart, state }. */
+const active = new Map();
+/** "result" / "status" events per job id, for streams on this instance. */
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let runnerDeps = null;
+let sweepTimer = null;
+
+/** Result log entry for one page. Content only when the job keeps it. */
+function resultEntry(seq, record, result, scrapeContent) {
+	const entry = { seq, ...record };
+	if (scrapeContent && result?.success) {
+		const { links, subresources, anchorIds, ...data } = result.data || {};
+		const markdown = result.markdown ?? null;
+		entry.data = data;
+		entry.markdown =
+			markdown && markdown.length > MAX_RESULT_MARKDOWN_CHARS
+				? markdown.slice(0, MAX_RESULT_MARKDOWN_CHARS)
+				: markdown;
+		if (markdown && markdown.length > MAX_RESULT_MARKDOWN_CHARS) entry.markdownTruncated = true;
+	}
+	return entry;
+}
+
+/**
+ * Lease refresh + progress for the job document. Also picks up a pause /
+ * cancel requested through another instance.
+ */
+async function heartbeat(job, run, patch = {}) {
+	const now = Date.now();
+	await store.update(job.id, {
+		progress: summarizeCrawl(run.state),
+		runMs: job.runMs + (now - run.segmentStart),
+		leaseOwner: INSTANCE_ID,
+		leaseUntil: now + LEASE_MS,
+		updatedAt: now,
+		...patch,
+	});
+	const latest = await store.get(job.id);
+	if (latest?.control && !run.stop) run.stop = latest.control;
+}
+
+async function runJob(job) {
+	const { scrapePage, findSitemapUrls, ignoreUrl } = runnerDeps;
+	const run = { stop: null, segmentStart: Date.now(), state: null };
+	active.set(job.id, run);
+	try {
+		const saved = await store.loadCheckpoint(job.id);
+		if (saved) {
+			run.state = restoreCrawlState(saved);
+		} else {
+			const sitemapUrls = job.scrape.useSitemap ? await findSitemapUrls(job) : [];
+			run.state = createCrawlState(job.seedUrl, job.crawl, { sitemapUrls });
+			await store.saveCheckpoint(job.id, serializeCrawlState(run.state));
+		}
+		await heartbeat(job, run, {
+			status: "running",
+			control: null,
+			startedAt: job.startedAt ?? run.segmentStart,
+		});
+		events.emit(job.id, { type: "status", status: "running" });
+
+		const timer = setInterval(() => {
+			heartbeat(job, run).catch((err) =>
+				console.warn(`[crawl-job ${job.id}] heartbeat failed:`, err?.message),
+			);
+		}, HEARTBEAT_MS);
+		timer.unref?.();
+
+		// Writes run in page order: a page's log entries, then the checkpoint
+		// (when one is due) taken right after it. A checkpoint therefore never
+		// counts a log entry that was not written; after a crash, pages past it
+		// are crawled again and overwrite their own log positions.
+		let writes = Promise.resolve();
+		let pagesSinceCheckpoint = 0;
+		let lastCheckpointAt = Date.now();
+		let done;
+		try {
+			({ done } = await runCrawl(run.state, {
+				scrapePage: (url) => scrapePage(url, job),
+				ignoreUrl,
+				shouldStop: () => Boolean(run.stop),
+				onPage: (records, result) => {
+					const resultsCount = run.state.records.length;
+					const firstSeq = resultsCount - records.length;
+					const entries = records.map((record, i) =>
+						resultEntry(firstSeq + i, record, i === 0 ? result : null, job.scrape.scrapeContent),
+					);
+					pagesSinceCheckpoint++;
+					let checkpoint = null;
+					if (
+						pagesSinceCheckpoint >= CHECKPOINT_EVERY_PAGES ||
+						Date.now() - lastCheckpointAt >= CHECKPOINT_MS
+					) {
+						checkpoint = serializeCrawlState(run.state);
+						pagesSinceCheckpoint = 0;
+						lastCheckpointAt = Date.now();
+					}
+					writes = writes
+						.then(async () => {
+							for (const entry of entries) await store.putResult(job.id, entry);
+							if (checkpoint) await store.saveCheckpoint(job.id, checkpoint);
+							await store.update(job.id, { resultsCount, updatedAt: Date.now() });
+						})
+						.catch((err) =>
+							console.warn(`[crawl-job ${job.id}] checkpoint failed:`, err?.message),
+						);
+					for (const entry of entries) events.emit(job.id, { type: "result", entry });
+				},
+			}));
+		} finally {
+			clearInterval(timer);
+		}
+		await writes;
+		await store.saveCheckpoint(job.id, serializeCrawlState(run.state));
+
+		const status =
+			run.stop === "cancel" ? "cancelled" : run.stop === "pause" || !done ? "paused" : "completed";
+		const now = Date.now();
+		await heartbeat(job, run, {
+			status,
+			control: null,
+			resultsCount: run.state.records.length,
+			leaseOwner: null,
+			leaseUntil: null,
+			...(FINAL_STATUSES.has(status) && { completedAt: now }),
+		});
+		events.emit(job.id, { type: "status", status });
+		console.log(
+			`✅ [crawl-job ${job.id}] ${status} after ${run.state.records.length} record(s)`,
+		);
+	} catch (err) {
+		console.error(`[crawl-job ${job.id}] failed:`, err);
+		const now = Date.now();
+		await store
+			.update(job.id, {
+				status: "failed",
+				error: err?.message || "Crawl failed",
+				leaseOwner: null,
+				leaseUntil: null,
+				updatedAt: now,
+				completedAt: now,
+			})
+			.catch(() => {});
+		events.emit(job.id, { type: "status", status: "failed" });
+	} finally {
+		active.delete(job.id);
+		setImmediate(() => sweep().catch(() => {}));
+	}
+}
+
+/** Claim and start queued / orphaned jobs while this instance has room. */
+async function sweep() {
+	if (!runnerDeps) return;
+	const room = MAX_ACTIVE_JOBS - active.size;
+	if (room <= 0) return;
+	const now = Date.now();
+	const candidates = await store.listClaimable(now, room);
+	for (const candidate of candidates) {
+		if (active.has(candidate.id) || active.size >= MAX_ACTIVE_JOBS) continue;
+		const job = await store.claim(candidate.id, INSTANCE_ID, now);
+		if (!job) continue;
+		if (job.control === "cancel") {
+			await store.update(job.id, {
+				status: "cancelled",
+				control: null,
+				leaseOwner: null,
+				leaseUntil: null,
+				completedAt: now,
+				updatedAt: now,
+			});
+			continue;
+		}
+		runJob(job);
+	}
+}
+
+/**
+ * Start running crawl jobs on this instance: picks up jobs left behind by a
+ * restart now and sweeps for queued / orphaned ones every minute.
+ *
+ * @param {Object} deps
+ * @param {(url: string, job: CrawlJob) => Promise<Object>} deps.scrapePage
+ * @param {(job: CrawlJob) => Promise<string[]>} deps.findSitemapUrls
+ * @param {(url: string) => boolean} [deps.ignoreUrl]
+ */
+export function startCrawlJobRunner(deps) {
+	if (sweepTimer || process.env.CRAWL_JOB_RUNNER === "off") return;
+	runnerDeps = deps;
+	const safeSweep = () =>
+		sweep().catch((err) => console.error("[crawl-job] sweep failed:", err?.message));
+	safeSweep();
+	sweepTimer = setInterval(safeSweep, SWEEP_MS);
+	sweepTimer.unref?.();
+}
+
+// ─── API ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Queue a crawl job; a runner picks it up right away when it has room.
+ * @param {{ seedUrl: string, crawl: Object, scrape: CrawlJob["scrape"] }} params
+ * @returns {Promise<CrawlJob>}
+ */
+export async function createCrawlJob({ seedUrl, crawl, scrape }) {
+	const now = Date.now();
+	/** @type {CrawlJob} */
+	const job = {
+		id: generateJobId(),
+		status: "queued",
+		seedUrl,
+		crawl,
+		scrape,
+		progress: null,
+		resultsCount: 0,
+		runMs: 0,
+		control: null,
+		leaseOwner: null,
+		leaseUntil: null,
+		error: null,
+		createdAt: now,
+		startedAt: null,
+		updatedAt: now,
+		completedAt: null,
+	};
+	await store.put(job);
+	setImmediate(() => sweep().catch(() => {}));
+	return job;
+}
+
+/** @returns {Promise<CrawlJob|null>} */
+export function getCrawlJob(id) {
+	return store.get(id);
+}
+
+/**
+ * Pause, resume or cancel a job.
+ * @returns {Promise<{ job: CrawlJob|null, error: string|null }>}
+ */
+export async function controlCrawlJob(id, action) {
+	const job = await store.get(id);
+	if (!job) return { job: null, error: "Crawl job not found" };
+	if (FINAL_STATUSES.has(job.status)) {
+		return { job, error: `Crawl job is already ${job.status}` };
+	}
+	const now = Date.now();
+	if (action === "resume") {
+		if (job.status !== "paused") return { job, error: `Crawl job is ${job.status}, not paused` };
+		await store.update(id, { status: "queued", control: null, updatedAt: now });
+		setImmediate(() => sweep().catch(() => {}));
+	} else if (job.status === "paused" || job.status === "queued") {
+		// Not running anywhere: apply directly.
+		if (action === "cancel") {
+			await store.update(id, { status: "cancelled", control: null, completedAt: now, updatedAt: now });
+		} else if (job.status === "queued") {
+			await store.update(id, { status: "paused", updatedAt: now });
+		}
+	} else {
+		const run = active.get(id);
+		if (run) run.stop = action;
+		await store.update(id, { control: action, updatedAt: now });
+	}
+	events.emit(id, { type: "control", action });
+	return { job: await store.get(id), error: null };
+}
+
+/** Status payload for GET /crawl/:id: progress counts and an ETA. */
+export function summarizeCrawlJob(job) {
+	const run = active.get(job.id);
+	const now = Date.now();
+	const progress = run?.state ? summarizeCrawl(run.state) : job.progress;
+	const runMs = run ? job.runMs + (now - run.segmentStart) : job.runMs;
+	const crawled = progress ? progress.scraped + progress.failed + progress.blocked : 0;
+	const remaining = progress
+		? Math.max(
+				0,
+				Math.min(progress.queued + progress.inFlight, job.crawl.maxUrls - crawled),
+			)
+		: null;
+	const msPerPage = crawled > 0 ? runMs / crawled : null;
+	const running = job.status === "running" || job.status === "queued";
+	return {
+		jobId: job.id,
+		status: job.status,
+		seedUrl: job.seedUrl,
+		...(job.control && { pending: job.control }),
+		progress: progress
+			? {
+					...progress,
+					crawled,
+					maxUrls: job.crawl.maxUrls,
+					percent: Math.min(100, Math.round((crawled / Math.max(1, crawled + remaining)) * 100)),
+				}
+			: null,
+		resultsAvailable: job.resultsCount,
+		pagesPerMinute: msPerPage ? Math.round((60_000 / msPerPage) * 10) / 10 : null,
+		etaMs: running && msPerPage && remaining != null ? Math.round(remaining * msPerPage) : null,
+		runMs,
+		crawl: job.crawl,
+		scrape: job.scrape,
+		error: job.error,
+		createdAt: job.createdAt,
+		startedAt: job.startedAt,
+		updatedAt: job.updatedAt,
+		completedAt: job.completedAt,
+	};
+}
+
+/**
+ * One page of the result log. `cursor` is a log position, so a cursor returned
+ * while the job runs stays valid as more pages land.
+ */
+export async function pageCrawlJobResults(job, { cursor = 0, limit = 50 } = {}) {
+	const start = clampInt(cursor, 0, Number.MAX_SAFE_INTEGER, 0);
+	const size = clampInt(limit, 1, RESULTS_PAGE_MAX, 50);
+	const results = await store.readResults(job.id, start, size);
+	const nextCursor = results.length > 0 ? results[results.length - 1].seq + 1 : start;
+	return {
+		jobId: job.id,
+		status: job.status,
+		cursor: start,
+		nextCursor,
+		hasMore: nextCursor < job.resultsCount || !FINAL_STATUSES.has(job.status),
+		results,
+	};
+}
+
+/**
+ * Follow a job's result log from `cursor` until the job stops running: yields
+ * `{ type: "result", entry }` for each page, `{ type: "status", … }` on status
+ * changes, then returns. Works for jobs running on other instances by polling.
+ */
+export async function* followCrawlJob(id, { cursor = 0, pollMs = 2000, signal } = {}) {
+	let next = clampInt(cursor, 0, Number.MAX_SAFE_INTEGER, 0);
+	let lastStatus = null;
+	while (!signal?.aborted) {
+		const job = await store.get(id);
+		if (!job) return;
+		for (;;) {
+			const batch = await store.readResults(id, next, RESULTS_PAGE_MAX);
+			for (const entry of batch) yield { type: "result", entry };
+			if (batch.length > 0) next = batch[batch.length - 1].seq + 1;
+			if (batch.length < RESULTS_PAGE_MAX) break;
+		}
+		if (job.status !== lastStatus) {
+			lastStatus = job.status;
+			yield { type: "status", ...summarizeCrawlJob(job) };
+		}
+		// Paused jobs end the stream too; the caller reconnects with its cursor.
+		if (job.status !== "running" && job.status !== "queued") return;
+		await new Promise((resolve) => {
+			const wake = () => {
+				clearTimeout(timer);
+				events.off(id, wake);
+				signal?.removeEventListener?.("abort", wake);
+				resolve();
+			};
+			const timer = setTimeout(wake, pollMs);
+			events.on(id, wake);
+			signal?.addEventListener?.("abort", wake);
+		});
+	}
+}
@@ -0,0 +1,302 @@
+/**
+ * Shadow DOM + iframe extraction for /scrape (`deepDom: true | {...}`).
+ *
+ *   deepDom: true | { shadowDom?: true, frames?: true, maxFrames?: 20 }
+ *
+ * Each frame is serialized in composed order — open shadow roots inlined in
+ * place of their host's light children, <slot>s replaced by what is assigned to
+ * them — so web-component content reaches the markdown converter. Every
+ * <iframe> becomes a placeholder; after conversion mergeFrameMarkdown() puts
+ * the frame's own markdown there between `<!-- frame N: url -->` markers, which
+ * keeps the merged output in document order. Frames whose placeholder did not
+ * survive extraction (e.g. stripped as boilerplate) are appended at the end,
+ * except on scoped scrapes.
+ */
+
+const DEFAULT_MAX_FRAMES = 20;
+const MAX_FRAMES_LIMIT = 50;
+const MAX_LINKS_PER_FRAME = 200;
+const MAX_IMAGES_PER_FRAME = 100;
+/** Cross-origin frames can hang on evaluate; one slow ad frame must not stall the scrape. */
+const FRAME_TIMEOUT_MS = 5000;
+const PLACEHOLDER = "SCRAPEFRAME";
+
+function withTimeout(promise, ms) {
+	let timer;
+	return Promise.race([
+		promise,
+		new Promise((_, reject) => {
+			timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+		}),
+	]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check a `deepDom` option from a request body.
+ * @returns {{ deepDom: { shadowDom: boolean, frames: boolean, maxFrames: number }|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeDeepDomOption(option) {
+	if (option == null || option === false) return { deepDom: null, errors: [] };
+	const spec = option === true ? {} : option;
+	if (typeof spec !== "object" || Array.isArray(spec)) {
+		return {
+			deepDom: null,
+			errors: [{ path: "deepDom", message: "deepDom must be true or an object" }],
+		};
+	}
+	const maxFrames = Number.parseInt(spec.maxFrames, 10);
+	return {
+		deepDom: {
+			shadowDom: spec.shadowDom !== false,
+			frames: spec.frames !== false,
+			maxFrames: Number.isFinite(maxFrames)
+				? Math.min(Math.max(maxFrames, 0), MAX_FRAMES_LIMIT)
+				: DEFAULT_MAX_FRAMES,
+		},
+		errors: [],
+	};
+}
+
+/**
+ * In-page serializer (runs inside each frame). Returns composed HTML plus the
+ * links/images found along the way, shadow content included.
+ */
+function serializeComposedDocument({ shadowDom, placeholder, maxLinks, maxImages }) {
+	const VOID = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+	const SKIP = new Set(["script", "style", "noscript", "template"]);
+	const esc = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+	const escAttr = (s) => s.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+	const links = [];
+	const images = [];
+	let shadowRoots = 0;
+
+	const walk = (node) => {
+		if (node.nodeType === 3) return esc(node.data);
+		if (node.nodeType !== 1) return "";
+		const tag = node.localName;
+		if (SKIP.has(tag)) return "";
+		if (tag === "iframe" || tag === "frame") {
+			const id = node.getAttribute("data-scrape-frame");
+			return id ? `<p>${placeholder}${id}</p>` : "";
+		}
+		if (tag === "a" && node.href && links.length < maxLinks) {
+			links.push({
+				text: (node.textContent || "").replace(/\s+/g, " ").trim().slice(0, 300),
+				href: node.href,
+			});
+		}
+		if (tag === "img" && (node.currentSrc || node.src) && images.length < maxImages) {
+			images.push({ src: node.currentSrc || node.src, alt: node.alt || "" });
+		}
+		let attrs = "";
+		for (const a of node.attributes) attrs += ` ${a.name}="${escAttr(a.value)}"`;
+		if (VOID.has(tag)) return `<${tag}${attrs}>`;
+
+		let children;
+		if (tag === "slot") {
+			const assigned = node.assignedNodes({ flatten: true });
+			children = assigned.length > 0 ? assigned : Array.from(node.childNodes);
+		} else if (shadowDom && node.shadowRoot) {
+			shadowRoots++;
+			children = Array.from(node.shadowRoot.childNodes);
+		} else {
+			children = Array.from(node.childNodes);
+		}
+		return `<${tag}${attrs}>${children.map(walk).join("")}</${tag}>`;
+	};
+
+	const head = document.head
+		? Array.from(document.head.children)
+				.filter((el) => ["TITLE", "META", "BASE", "LINK"].includes(el.tagName))
+				.map((el) => el.outerHTML)
+				.join("")
+		: "";
+	const body = document.body ? walk(document.body) : "";
+	return {
+		html: `<!DOCTYPE html><html><head>${head}</head>${body}</html>`,
+		title: document.title || null,
+		links,
+		images,
+		shadowRoots,
+	};
+}
+
+/**
+ * Serialize the main frame and (optionally) every child frame.
+ *
+ * @param {import('puppeteer-core').Page} page
+ * @param {{ shadowDom: boolean, frames: boolean, maxFrames: number }} deepDom
+ * @returns {Promise<{ mainHtml: string, shadowRoots: number, links: Object[], images: Object[], frames: Array<{ id: number, url: string, name: string|null, parentId: number|null, crossOrigin: boolean, title: string|null, html: string, links: Object[], images: Object[], error?: string }> }>}
+ */
+export async function collectDeepDom(page, deepDom) {
+	const main = page.mainFrame();
+	const mainOrigin = (() => {
+		try {
+			return new URL(main.url()).origin;
+		} catch {
+			return null;
+		}
+	})();
+	const serializeArgs = {
+		shadowDom: deepDom.shadowDom,
+		placeholder: PLACEHOLDER,
+		maxLinks: MAX_LINKS_PER_FRAME,
+		maxImages: MAX_IMAGES_PER_FRAME,
+	};
+
+	// Tag each <iframe> element with its frame id first, so serialization of the
+	// parent can leave a placeholder exactly where the frame sits.
+	const childFrames = deepDom.frames
+		? page
+				.frames()
+				.filter((f) => f !== main && f.url() && f.url() !== "about:blank")
+				.slice(0, deepDom.maxFrames)
+		: [];
+	const ids = new Map(childFrames.map((f, i) => [f, i + 1]));
+	for (const frame of childFrames) {
+		try {
+			const owner = await withTimeout(frame.frameElement(), FRAME_TIMEOUT_MS);
+			if (owner) {
+				await owner.evaluate(
+					(el, id) => el.setAttribute("data-scrape-frame", id),
+					String(ids.get(frame)),
+				);
+				await owner.dispose();
+			}
+		} catch {}
+	}
+
+	const mainResult = await main.evaluate(serializeComposedDocument, serializeArgs);
+	let shadowRoots = mainResult.shadowRoots;
+
+	const frames = [];
+	for (const frame of childFrames) {
+		const url = frame.url();
+		let origin = null;
+		try {
+			origin = new URL(url).origin;
+		} catch {}
+		const info = {
+			id: ids.get(frame),
+			url,
+			name: (() => {
+				try {
+					return frame.name() || null;
+				} catch {
+					return null;
+				}
+			})(),
+			parentId: ids.get(frame.parentFrame()) ?? null,
+			crossOrigin: url !== "about:srcdoc" && origin !== mainOrigin,
+		};
+		try {
+			const result = await withTimeout(
+				frame.evaluate(serializeComposedDocument, serializeArgs),
+				FRAME_TIMEOUT_MS,
+			);
+			shadowRoots += result.shadowRoots;
+			frames.push({
+				...info,
+				title: result.title,
+				html: result.html,
+				links: result.links,
+				images: result.images,
+			});
+		} catch (err) {
+			frames.push({
+				...info,
+				title: null,
+				html: "",
+				links: [],
+				images: [],
+				error: err?.message || "Frame not readable",
+			});
+		}
+	}
+
+	return {
+		mainHtml: mainResult.html,
+		shadowRoots,
+		links: mainResult.links,
+		images: mainResult.images,
+		frames,
+	};
+}
+
+/**
+ * Add the main frame's links and images that `data` (collected from the light
+ * DOM) is missing — the ones inside shadow roots. Lists that were not requested
+ * (absent on `data`) stay absent; links follow the same scope rules.
+ *
+ * @param {Object} data                 scrape `data` with optional `links` / `images`
+ * @param {{ links: Object[], images: Object[] }} deep  collectDeepDom output
+ * @param {{ pageUrl: string, linkScope?: "page"|"all" }} opts
+ * @returns {Object} `data` with the merged lists
+ */
+export function mergeDeepDomLinks(data, deep, { pageUrl, linkScope = "page" }) {
+	let host = null;
+	try {
+		host = new URL(pageUrl).hostname;
+	} catch {}
+	const out = { ...data };
+	if (Array.isArray(data.links)) {
+		const seen = new Set(data.links.map((l) => l.href));
+		const extra = deep.links.filter((link) => {
+			let u;
+			try {
+				u = new URL(link.href);
+			} catch {
+				return false;
+			}
+			if (!/^https?:$/.test(u.protocol) || seen.has(link.href)) return false;
+			if (linkScope !== "all" && (u.hostname !== host || !link.text)) return false;
+			seen.add(link.href);
+			return true;
+		});
+		out.links = [...data.links, ...extra.map((l) => ({ ...l, title: "" }))];
+	}
+	if (Array.isArray(data.images)) {
+		const seen = new Set(data.images.map((img) => img.src));
+		const extra = deep.images.filter((img) => {
+			if (!/^https?:/.test(img.src) || seen.has(img.src)) return false;
+			seen.add(img.src);
+			return true;
+		});
+		out.images = [...data.images, ...extra.map((img) => ({ ...img, title: "" }))];
+	}
+	return out;
+}
+
+/**
+ * Put each frame's markdown where its placeholder landed in the parent's
+ * markdown (nested frames resolve through their parents).
+ *
+ * @param {string} markdown                       Main-frame markdown with placeholders
+ * @param {Array<{ id: number, url: string, markdown: string }>} frames
+ * @param {{ appendUnplaced?: boolean }} [opts]  Append frames whose placeholder is gone
+ * @returns {string}
+ */
+export function mergeFrameMarkdown(markdown, frames, { appendUnplaced = true } = {}) {
+	const block = (f) =>
+		`<!-- frame ${f.id}: ${f.url} -->\n\n${f.markdown.trim()}\n\n<!-- /frame ${f.id} -->`;
+	const tokenFor = (id) => new RegExp(`${PLACEHOLDER}${id}(?!\\d)`);
+	const pending = frames.filter((f) => f.markdown && f.markdown.trim());
+
+	let out = markdown;
+	while (pending.length > 0) {
+		const at = pending.findIndex((f) => tokenFor(f.id).test(out));
+		if (at !== -1) {
+			const [frame] = pending.splice(at, 1);
+			out = out.replace(tokenFor(frame.id), () => block(frame));
+		} else if (appendUnplaced) {
+			// Appended blocks can carry placeholders of their own nested frames.
+			out = `${out.trimEnd()}\n\n${block(pending.shift())}`;
+		} else {
+			break;
+		}
+	}
+	// Placeholders never resolved (empty or unreadable frames) are dropped.
+	return out
+		.replace(new RegExp(`${PLACEHOLDER}\\d+`, "g"), "")
+		.replace(/\n{3,}/g, "\n\n");
+}
@@ -0,0 +1,664 @@
+/**
+ * Document inputs for scrapeSingleUrlWithPuppeteer: PDF, DOCX and plain text.
+ *
+ * Before the browser path, the URL's content type is probed (HEAD, then the
+ * file extension). Documents are downloaded and converted straight to the
+ * usual `{ data, markdown }` shape instead of rendering Chrome's PDF viewer:
+ *   pdf   — pdfjs text layer; headings from font size, column-aligned rows as
+ *           tables, `<!-- page N -->` markers between pages
+ *   docx  — mammoth HTML → turndown markdown with pipe tables
+ *   text  — text/plain, text/markdown, text/csv passed through
+ * Document properties (author, created date, page count, …) go to `data.metadata`.
+ * Password-protected, scanned-only (no text layer) and unsupported files come
+ * back as `{ success: false, code }` results with the codes below.
+ */
+
+import JSZip from "jszip";
+import { JSDOM } from "jsdom";
+import mammoth from "mammoth";
+import TurndownService from "turndown";
+import { SSRF_BLOCKED_CODE, safeFetch } from "./ssrfGuard.js";
+
+export const DOCUMENT_ERROR_CODES = {
+	PASSWORD_PROTECTED: "DOCUMENT_PASSWORD_PROTECTED",
+	SCANNED: "DOCUMENT_SCANNED_NO_TEXT",
+	UNSUPPORTED: "DOCUMENT_UNSUPPORTED",
+	TOO_LARGE: "DOCUMENT_TOO_LARGE",
+	PARSE_FAILED: "DOCUMENT_PARSE_FAILED",
+	DOWNLOAD_FAILED: "DOCUMENT_DOWNLOAD_FAILED",
+};
+
+const MAX_DOCUMENT_BYTES =
+	parseInt(process.env.SCRAPE_DOCUMENT_MAX_BYTES, 10) || 25 * 1024 * 1024;
+const MAX_PDF_PAGES = parseInt(process.env.SCRAPE_DOCUMENT_MAX_PAGES, 10) || 300;
+const PROBE_TIMEOUT_MS = 10_000;
+/** Below this many text characters per page a PDF is treated as scanned images. */
+const MIN_TEXT_CHARS_PER_PAGE = 10;
+
+const USER_AGENT =
+	"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
+
+const DOCX_CONTENT_TYPE =
+	"application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const CONTENT_TYPES = {
+	"application/pdf": "pdf",
+	"application/x-pdf": "pdf",
+	[DOCX_CONTENT_TYPE]: "docx",
+	"application/msword": "doc",
+	"text/plain": "text",
+	"text/markdown": "text",
+	"text/x-markdown": "text",
+	"text/csv": "text",
+};
+const EXTENSIONS = {
+	pdf: "pdf",
+	docx: "docx",
+	doc: "doc",
+	txt: "text",
+	md: "text",
+	markdown: "text",
+	csv: "text",
+};
+/** Content types that say nothing about the payload; fall back to the file name. */
+const GENERIC_CONTENT_TYPES = new Set([
+	"application/octet-stream",
+	"binary/octet-stream",
+	"application/download",
+	"application/force-download",
+	"",
+]);
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+function typeFromFilename(name) {
+	const m = String(name || "").toLowerCase().match(/\.([a-z]+)$/);
+	return m ? EXTENSIONS[m[1]] || null : null;
+}
+
+/** Document kind from the URL's file extension alone. */
+function typeFromUrl(url) {
+	try {
+		return typeFromFilename(new URL(url).pathname);
+	} catch {
+		return null;
+	}
+}
+
+function filenameFromDisposition(header) {
+	if (!header) return null;
+	const star = header.match(/filename\*\s*=\s*[^']*''([^;]+)/i);
+	if (star) {
+		try {
+			return decodeURIComponent(star[1].trim());
+		} catch {
+			return star[1].trim();
+		}
+	}
+	const plain = header.match(/filename\s*=\s*"?([^";]+)"?/i);
+	return plain ? plain[1].trim() : null;
+}
+
+function parseContentType(header) {
+	const [type, ...params] = String(header || "").split(";");
+	const charset = params
+		.map((p) => p.trim().match(/^charset=("?)([^"]+)\1$/i))
+		.find(Boolean)?.[2];
+	return { mime: type.trim().toLowerCase(), charset: charset || null };
+}
+
+/**
+ * Document kind from response headers, or null for web pages.
+ * Generic binary types fall back to the Content-Disposition filename, then the URL path.
+ */
+export function detectDocumentType(url, headers = {}) {
+	const { mime } = parseContentType(headers["content-type"]);
+	if (CONTENT_TYPES[mime]) return CONTENT_TYPES[mime];
+	if (!GENERIC_CONTENT_TYPES.has(mime)) return null;
+	const fromDisposition = typeFromFilename(
+		filenameFromDisposition(headers["content-disposition"]),
+	);
+	if (fromDisposition) return fromDisposition;
+	return typeFromUrl(url);
+}
+
+/** Magic-number check on the downloaded bytes; wins over headers when they disagree. */
+function sniffBytes(buf) {
+	if (buf.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+	if (buf[0] === 0x50 && buf[1] === 0x4b && buf[2] === 0x03 && buf[3] === 0x04) return "zip";
+	if (buf.readUInt32BE(0) === 0xd0cf11e0 && buf.readUInt32BE(4) === 0xa1b11ae1) return "ole";
+	return null;
+}
+
+async function probeHeaders(url, timeout) {
+	try {
+		const res = await safeFetch(url, {
+			method: "HEAD",
+			redirect: "follow",
+			headers: { "User-Agent": USER_AGENT, Accept: "*/*" },
+			signal: AbortSignal.timeout(Math.min(timeout, PROBE_TIMEOUT_MS)),
+		});
+		if (!res.ok) return null;
+		return Object.fromEntries(res.headers);
+	} catch {
+		return null;
+	}
+}
+
+// ─── Download ────────────────────────────────────────────────────────────────
+
+const DOCUMENT_CODES = new Set(Object.values(DOCUMENT_ERROR_CODES));
+
+function documentError(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+async function downloadDocument(url, timeout) {
+	const res = await safeFetch(url, {
+		redirect: "follow",
+		headers: { "User-Agent": USER_AGENT, Accept: "*/*" },
+		signal: AbortSignal.timeout(timeout),
+	});
+	if (!res.ok) {
+		await res.body?.cancel().catch(() => {});
+		throw documentError(
+			DOCUMENT_ERROR_CODES.DOWNLOAD_FAILED,
+			`Document download failed: HTTP ${res.status}`,
+		);
+	}
+	const headers = Object.fromEntries(res.headers);
+	const declared = Number(headers["content-length"]);
+	if (declared > MAX_DOCUMENT_BYTES) {
+		await res.body?.cancel().catch(() => {});
+		throw documentError(
+			DOCUMENT_ERROR_CODES.TOO_LARGE,
+			`Document is ${declared} bytes; the limit is ${MAX_DOCUMENT_BYTES}`,
+		);
+	}
+	const chunks = [];
+	let size = 0;
+	for await (const chunk of res.body) {
+		size += chunk.length;
+		if (size > MAX_DOCUMENT_BYTES) {
+			await res.body.cancel().catch(() => {});
+			throw documentError(
+				DOCUMENT_ERROR_CODES.TOO_LARGE,
+				`Document exceeds the ${MAX_DOCUMENT_BYTES} byte limit`,
+			);
+		}
+		chunks.push(chunk);
+	}
+	return { buffer: Buffer.concat(chunks), headers, finalUrl: res.finalUrl };
+}
+
+// ─── PDF ─────────────────────────────────────────────────────────────────────
+
+let pdfjsPromise = null;
+function loadPdfjs() {
+	// Legacy build runs in Node without DOM globals; imported lazily because it's large.
+	pdfjsPromise ||= import("pdfjs-dist/legacy/build/pdf.mjs");
+	return pdfjsPromise;
+}
+
+/** "D:20230115103000+01'00'" → ISO string. */
+function parsePdfDate(value) {
+	const m = String(value || "").match(
+		/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz]|[+-]\d{2}'?\d{2}'?)?/,
+	);
+	if (!m) return null;
+	const [, y, mo = "01", d = "01", h = "00", mi = "00", s = "00", tz] = m;
+	let offset = "Z";
+	if (tz && !/z/i.test(tz)) {
+		const digits = tz.replace(/'/g, "");
+		offset = `${digits.slice(0, 3)}:${digits.slice(3, 5) || "00"}`;
+	}
+	const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`);
+	return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/** Group positioned text items into lines of cells (a wide horizontal gap starts a new cell). */
+function pdfItemsToLines(items) {
+	const glyphs = items
+		// pdfjs emits whitespace-only items to span column gaps; the gap itself is what we measure.
+		.filter((it) => typeof it.str === "string" && it.str.trim().length > 0)
+		.map((it) => ({
+			text: it.str,
+			x: it.transform[4],
+			y: it.transform[5],
+			width: it.width,
+			size: Math.abs(it.transform[3]) || it.height || 10,
+		}))
+		.sort((a, b) => b.y - a.y || a.x - b.x);
+
+	const lines = [];
+	for (const g of glyphs) {
+		const line = lines[lines.length - 1];
+		if (line && Math.abs(line.y - g.y) < Math.max(line.size, g.size) * 0.5) {
+			line.glyphs.push(g);
+			line.size = Math.max(line.size, g.size);
+		} else {
+			lines.push({ y: g.y, size: g.size, glyphs: [g] });
+		}
+	}
+
+	return lines.map((line) => {
+		line.glyphs.sort((a, b) => a.x - b.x);
+		const cells = [];
+		let cell = "";
+		let prevEnd = null;
+		for (const g of line.glyphs) {
+			const gap = prevEnd == null ? 0 : g.x - prevEnd;
+			if (prevEnd != null && gap > line.size * 2) {
+				cells.push(cell.trim());
+				cell = "";
+			} else if (prevEnd != null && gap > line.size * 0.15 && !/\s$/.test(cell)) {
+				cell += " ";
+			}
+			cell += g.text;
+			prevEnd = g.x + g.width;
+		}
+		cells.push(cell.trim());
+		return { y: line.y, size: line.size, cells: cells.filter(Boolean) };
+	}).filter((l) => l.cells.length > 0);
+}
+
+/** Body font size = the size carrying the most characters. */
+function dominantFontSize(lines) {
+	const weight = new Map();
+	for (const l of lines) {
+		const key = Math.round(l.size * 2) / 2;
+		const chars = l.cells.join("").length;
+		weight.set(key, (weight.get(key) || 0) + chars);
+	}
+	let best = 0;
+	let bestWeight = -1;
+	for (const [size, w] of weight) {
+		if (w > bestWeight) {
+			best = size;
+			bestWeight = w;
+		}
+	}
+	return best || 10;
+}
+
+function escapeCell(text) {
+	return text.replace(/\|/g, "\\|");
+}
+
+function tableMarkdown(rows) {
+	const width = rows[0].cells.length;
+	const out = [
+		`| ${rows[0].cells.map(escapeCell).join(" | ")} |`,
+		`| ${Array(width).fill("---").join(" | ")} |`,
+	];
+	for (const row of rows.slice(1)) out.push(`| ${row.cells.map(escapeCell).join(" | ")} |`);
+	return out.join("\n");
+}
+
+/** Markdown for one page's lines. `headingLevels` maps a rounded font size to 1–3. */
+function pdfPageMarkdown(lines, bodySize, headingLevels) {
+	const blocks = [];
+	let paragraph = null;
+	let prevY = null;
+	const flush = () => {
+		if (paragraph) blocks.push(paragraph);
+		paragraph = null;
+	};
+
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+
+		// A run of ≥2 lines with the same number (≥2) of cells reads as a table.
+		if (line.cells.length >= 2) {
+			let j = i + 1;
+			while (j < lines.length && lines[j].cells.length === line.cells.length) j++;
+			if (j - i >= 2) {
+				flush();
+				blocks.push(tableMarkdown(lines.slice(i, j)));
+				i = j - 1;
+				prevY = lines[j - 1].y;
+				continue;
+			}
+		}
+
+		const text = line.cells.join(" ");
+		const level = headingLevels.get(Math.round(line.size * 2) / 2);
+		if (level && text.length <= 150) {
+			flush();
+			blocks.push(`${"#".repeat(level)} ${text}`);
+			prevY = line.y;
+			continue;
+		}
+
+		const gap = prevY == null ? 0 : prevY - line.y;
+		if (paragraph && gap <= Math.max(line.size, bodySize) * 1.8) {
+			paragraph = /[A-Za-z]-$/.test(paragraph) && /^[a-z]/.test(text)
+				? paragraph.slice(0, -1) + text
+				: `${paragraph} ${text}`;
+		} else {
+			flush();
+			paragraph = text;
+		}
+		prevY = line.y;
+	}
+	flush();
+	return blocks.join("\n\n");
+}
+
+async function convertPdf(buffer) {
+	const pdfjs = await loadPdfjs();
+	let pdf;
+	try {
+		pdf = await pdfjs.getDocument({
+			data: new Uint8Array(buffer),
+			isEvalSupported: false,
+			disableFontFace: true,
+			useSystemFonts: false,
+			verbosity: 0,
+		}).promise;
+	} catch (err) {
+		if (err?.name === "PasswordException") {
+			throw documentError(
+				DOCUMENT_ERROR_CODES.PASSWORD_PROTECTED,
+				"PDF is password-protected",
+			);
+		}
+		throw documentError(
+			DOCUMENT_ERROR_CODES.PARSE_FAILED,
+			`Could not parse PDF: ${err?.message || err}`,
+		);
+	}
+
+	try {
+		const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+		const pageCount = pdf.numPages;
+		const pagesRead = Math.min(pageCount, MAX_PDF_PAGES);
+
+		const pages = [];
+		for (let n = 1; n <= pagesRead; n++) {
+			const page = await pdf.getPage(n);
+			const content = await page.getTextContent();
+			pages.push(pdfItemsToLines(content.items));
+			page.cleanup();
+		}
+
+		const allLines = pages.flat();
+		const textChars = allLines.reduce((sum, l) => sum + l.cells.join("").length, 0);
+		if (textChars < pagesRead * MIN_TEXT_CHARS_PER_PAGE) {
+			throw documentError(
+				DOCUMENT_ERROR_CODES.SCANNED,
+				"PDF has no text layer (scanned images); OCR is not supported",
+			);
+		}
+
+		const bodySize = dominantFontSize(allLines);
+		const headingSizes = [
+			...new Set(
+				allLines
+					.map((l) => Math.round(l.size * 2) / 2)
+					.filter((s) => s >= bodySize * 1.15),
+			),
+		]
+			.sort((a, b) => b - a)
+			.slice(0, 3);
+		const headingLevels = new Map(headingSizes.map((s, i) => [s, i + 1]));
+
+		const markdown = pages
+			.map(
+				(lines, i) =>
+					`<!-- page ${i + 1} -->\n\n${pdfPageMarkdown(lines, bodySize, headingLevels)}`,
+			)
+			.join("\n\n");
+
+		return {
+			title: info.Title || null,
+			markdown,
+			metadata: {
+				title: info.Title || null,
+				author: info.Author || null,
+				subject: info.Subject || null,
+				keywords: info.Keywords || null,
+				creator: info.Creator || null,
+				producer: info.Producer || null,
+				createdAt: parsePdfDate(info.CreationDate),
+				modifiedAt: parsePdfDate(info.ModDate),
+				pageCount,
+				pdfVersion: info.PDFFormatVersion || null,
+			},
+			truncated: pagesRead < pageCount,
+		};
+	} finally {
+		await pdf.destroy().catch(() => {});
+	}
+}
+
+// ─── DOCX ────────────────────────────────────────────────────────────────────
+
+function xmlText(xml, tag) {
+	const m = xml?.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+	if (!m) return null;
+	return m[1]
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, "'")
+		.replace(/&amp;/g, "&")
+		.trim() || null;
+}
+
+function tableCellText(turndown, cell) {
+	return turndown
+		.turndown(cell.innerHTML)
+		.replace(/\s*\n+\s*/g, " ")
+		.replace(/\|/g, "\\|")
+		.trim();
+}
+
+/** Word HTML → markdown. Tables become pipe tables; the first row is the header. */
+function docxHtmlToMarkdown(html) {
+	const turndown = new TurndownService({
+		headingStyle: "atx",
+		bulletListMarker: "-",
+		codeBlockStyle: "fenced",
+	});
+	turndown.addRule("table", {
+		filter: "table",
+		replacement: (_content, node) => {
+			const rows = Array.from(node.querySelectorAll("tr")).map((tr) =>
+				Array.from(tr.children).map((cell) => tableCellText(turndown, cell)),
+			);
+			if (rows.length === 0) return "";
+			const width = Math.max(...rows.map((r) => r.length));
+			const line = (cells) =>
+				`| ${Array.from({ length: width }, (_, i) => cells[i] ?? "").join(" | ")} |`;
+			return `\n\n${[
+				line(rows[0]),
+				line(Array(width).fill("---")),
+				...rows.slice(1).map(line),
+			].join("\n")}\n\n`;
+		},
+	});
+	return turndown.turndown(html).trim();
+}
+
+async function convertDocx(buffer) {
+	let zip;
+	try {
+		zip = await JSZip.loadAsync(buffer);
+	} catch (err) {
+		throw documentError(
+			DOCUMENT_ERROR_CODES.PARSE_FAILED,
+			`Could not open DOCX: ${err?.message || err}`,
+		);
+	}
+	if (!zip.file("word/document.xml")) {
+		throw documentError(
+			DOCUMENT_ERROR_CODES.UNSUPPORTED,
+			"Zip archive is not a Word document",
+		);
+	}
+	const core = await zip.file("docProps/core.xml")?.async("string");
+	const app = await zip.file("docProps/app.xml")?.async("string");
+
+	const { value: html } = await mammoth.convertToHtml({ buffer });
+	const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
+	const body = dom.window.document.body;
+	const text = body.textContent.replace(/\s+/g, "");
+	if (!text && body.querySelector("img")) {
+		throw documentError(
+			DOCUMENT_ERROR_CODES.SCANNED,
+			"Document contains only images (scanned); OCR is not supported",
+		);
+	}
+	const markdown = docxHtmlToMarkdown(html);
+	const pages = parseInt(xmlText(app, "Pages"), 10);
+
+	return {
+		title: xmlText(core, "dc:title"),
+		markdown,
+		metadata: {
+			title: xmlText(core, "dc:title"),
+			author: xmlText(core, "dc:creator"),
+			subject: xmlText(core, "dc:subject"),
+			keywords: xmlText(core, "cp:keywords"),
+			lastModifiedBy: xmlText(core, "cp:lastModifiedBy"),
+			createdAt: xmlText(core, "dcterms:created"),
+			modifiedAt: xmlText(core, "dcterms:modified"),
+			pageCount: Number.isFinite(pages) ? pages : null,
+			application: xmlText(app, "Application"),
+		},
+		truncated: false,
+	};
+}
+
+// ─── Text ────────────────────────────────────────────────────────────────────
+
+function convertText(buffer, charset) {
+	let text;
+	try {
+		text = new TextDecoder(charset || "utf-8").decode(buffer);
+	} catch {
+		text = buffer.toString("utf8");
+	}
+	text = text.replace(/^\uFEFF/, "");
+	return {
+		title: null,
+		markdown: text,
+		metadata: {
+			charset: charset || "utf-8",
+			lineCount: text.split(/\r?\n/).length,
+		},
+		truncated: false,
+	};
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+
+function documentFailure(url, code, error) {
+	return {
+		success: false,
+		code,
+		error,
+		url,
+		data: {},
+		markdown: null,
+		summary: null,
+		screenshot: null,
+	};
+}
+
+/** Last path segment of `url`, percent-decoded when that is valid. */
+function fileNameOf(url) {
+	const name = new URL(url).pathname.split("/").pop() || "";
+	try {
+		return decodeURIComponent(name);
+	} catch {
+		return name;
+	}
+}
+
+/**
+ * Scrape `url` as a document if it is one. Probe and download go out directly
+ * from this server, so proxied or geo-targeted scrapes must not come here.
+ *
+ * @param {string} url
+ * @param {{ timeout?: number }} [opts]
+ * @returns {Promise<null | { success: true, data: Object, markdown: string, document: Object } | { success: false, code: string, error: string }>}
+ *   null when the URL is a web page (use the browser path)
+ */
+export async function scrapeDocumentUrl(url, { timeout = 30000 } = {}) {
+	const probed = await probeHeaders(url, timeout);
+	const declared = probed ? detectDocumentType(url, probed) : typeFromUrl(url);
+	if (!declared) return null;
+
+	let download;
+	try {
+		download = await downloadDocument(url, timeout);
+	} catch (err) {
+		if (DOCUMENT_CODES.has(err?.code) || err?.code === SSRF_BLOCKED_CODE) {
+			return documentFailure(url, err.code, err.message);
+		}
+		// Timeouts, DNS and connection errors.
+		return documentFailure(
+			url,
+			DOCUMENT_ERROR_CODES.DOWNLOAD_FAILED,
+			`Document download failed: ${err?.message || "network error"}`,
+		);
+	}
+	const { buffer, headers, finalUrl } = download;
+	const { mime, charset } = parseContentType(headers["content-type"]);
+	const detected = detectDocumentType(finalUrl, headers);
+	// HEAD and GET can disagree (e.g. HEAD unsupported); a GET that serves HTML goes to the browser.
+	if (!detected && mime === "text/html") return null;
+	let kind = detected || declared;
+
+	const sniffed = buffer.length >= 8 ? sniffBytes(buffer) : null;
+	if (sniffed === "pdf") kind = "pdf";
+	else if (sniffed === "zip" && kind !== "text") kind = "docx";
+	else if (sniffed === "ole") {
+		// Encrypted OOXML is wrapped in an OLE container; plain OLE is legacy .doc.
+		return kind === "docx"
+			? documentFailure(url, DOCUMENT_ERROR_CODES.PASSWORD_PROTECTED, "Document is password-protected")
+			: documentFailure(url, DOCUMENT_ERROR_CODES.UNSUPPORTED, "Legacy .doc files are not supported; use DOCX or PDF");
+	}
+
+	let converted;
+	try {
+		if (kind === "pdf") converted = await convertPdf(buffer);
+		else if (kind === "docx") converted = await convertDocx(buffer);
+		else if (kind === "text") converted = convertText(buffer, charset);
+		else {
+			return documentFailure(
+				url,
+				DOCUMENT_ERROR_CODES.UNSUPPORTED,
+				`Unsupported document type: ${mime || kind}`,
+			);
+		}
+	} catch (err) {
+		if (DOCUMENT_CODES.has(err?.code)) return documentFailure(url, err.code, err.message);
+		return documentFailure(
+			url,
+			DOCUMENT_ERROR_CODES.PARSE_FAILED,
+			err?.message || "Document conversion failed",
+		);
+	}
+
+	const document = {
+		type: kind,
+		contentType: mime || null,
+		bytes: buffer.length,
+		truncated: converted.truncated,
+	};
+	return {
+		success: true,
+		data: {
+			title: converted.title || fileNameOf(finalUrl) || null,
+			url: finalUrl,
+			metadata: converted.metadata,
+			document,
+		},
+		markdown: converted.markdown,
+		document,
+		etag: headers.etag || null,
+		lastModified: headers["last-modified"] || null,
+	};
+}
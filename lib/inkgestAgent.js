@@ -473,7 +473,12 @@ async function scrapeUrlsViaApi(baseUrl, urls, options = {}) {
 		.slice(0, MAX_URLS);
 	if (validUrls.length === 0) return { sources: [], errors: [] };
 
-	const { includeImages = true, aiSummary = false, useProxy = false } = options;
+	const {
+		includeImages = true,
+		aiSummary = false,
+		useProxy = false,
+		extractMode = null,
+	} = options;
 	const body = {
 		urls: validUrls,
 		timeout: 30000,
@@ -488,6 +493,7 @@ async function scrapeUrlsViaApi(baseUrl, urls, options = {}) {
 			process.env.INKGEST_USE_PROXY === "1",
 		aiSummary,
 		takeScreenshot: false,
+		...(extractMode && { extractMode }),
 	};
 
 	const SCRAPE_FETCH_TIMEOUT_MS = 90_000; // 90s — scrape can be slow for multiple URLs
@@ -536,7 +542,15 @@ async function scrapeUrlsViaApi(baseUrl, urls, options = {}) {
 			.map((l) => (typeof l === "string" ? l : l?.url || l))
 			.filter(Boolean);
 		return {
-			sources: [{ url: validUrls[0], markdown, title, links }],
+			sources: [
+				{
+					url: validUrls[0],
+					markdown,
+					title,
+					links,
+					...(data.article && { article: data.article }),
+				},
+			],
 			errors: [],
 		};
 	}
@@ -557,7 +571,8 @@ async function scrapeUrlsViaApi(baseUrl, urls, options = {}) {
 			const links = (r.data?.links || [])
 				.map((l) => (typeof l === "string" ? l : l?.url || l))
 				.filter(Boolean);
-			return { url, markdown, title, links };
+			const article = r.article ?? r.data?.article;
+			return { url, markdown, title, links, ...(article && { article }) };
 		});
 		const errors = data.results
 			.filter((r) => r.success === false)
@@ -740,6 +755,7 @@ Rules:
 - For "scrape X" without a deliverable intent: suggest ONLY article or blog with params.urls — the system scrapes automatically. Do NOT add an explicit scrape task.
 - table: add when user says "table", "create a table", "extract as table". Set prompt describing columns. useCrawlResult: true so executor uses crawl data.
 - blog / article: default output when user does not specify table/newsletter/etc. useCrawlResult: true when paired with crawl-url.
+- params.extractMode: "article" on any content task whose URLs are single blog posts or news articles (not listing/home pages). Sources are then re-scraped with article extraction: main text only (no nav, footers, related posts) plus byline and publish date.
 - newsletter / substack / linkedin / twitter: only when user explicitly asks for that format.
 - landing-page-generator: when user wants an HTML landing page; use scraped content or prompt for copy. Can use useCrawlResult: true.
 - image-gallery-creator: when user wants an array of images for a gallery; uses scraped content to extract/curate image URLs. useCrawlResult: true when paired with crawl.
@@ -781,6 +797,9 @@ const MAX_SOURCE_CHARS_INFOG = 12000;
 const MAX_SOURCE_CHARS_TOTAL_THRESHOLD = 18000;
 const MAX_SUMMARY_INPUT_CHARS = 35000; // max chars sent to summarization LLM
 const MAX_SUMMARY_OUTPUT_CHARS = 8000; // max chars from summarization output
+/** Token budgets for the condense step (cl100k tokens, counted by lib/chunking.js) */
+const MAX_SOURCE_TOKENS_TOTAL_THRESHOLD = 4500;
+const MAX_SUMMARY_INPUT_TOKENS = 9000;
 
 /** System prompt for infographics-svg-generator — 4–5 infographic objects from 9 types */
 const INFOGraphics_SYSTEM_PROMPT = `You are a world-class data visualisation designer and editorial analyst.
@@ -1113,4 +1132,6 @@ export {
 	MAX_SOURCE_CHARS_TOTAL_THRESHOLD,
 	MAX_SUMMARY_INPUT_CHARS,
 	MAX_SUMMARY_OUTPUT_CHARS,
+	MAX_SOURCE_TOKENS_TOTAL_THRESHOLD,
+	MAX_SUMMARY_INPUT_TOKENS,
 };
@@ -10,6 +10,7 @@ import puppeteer from "puppeteer-core";
 import { firestore } from "../config/firebase.js";
 import { Timestamp, FieldValue } from "firebase-admin/firestore";
 import crypto from "crypto";
+import { applySessionState, refreshSessionFromPage } from "./browserSessions.js";
 
 let _browserAgentSparticuzPathPromise = null;
 
@@ -83,6 +84,9 @@ const BrowserAgentInput = z.object({
 	url: z.string().url(),
 	goal: z.string().min(1).max(500),
 	maxDepth: z.number().min(1).max(10).default(5),
+	// Resolved to a decrypted session by index.js before the router runs.
+	sessionId: z.string().optional(),
+	refreshSession: z.boolean().optional(),
 });
 
 const BrowserAgentOutput = z.object({
@@ -148,14 +152,18 @@ function getScrapeApiBase() {
  * Fetch scraped content for a URL using the existing /scrape endpoint.
  * Returns { markdown, data } or null on failure.
  */
-async function fetchScrapedContent(url, timeoutMs = 20000) {
+async function fetchScrapedContent(url, timeoutMs = 20000, session = null) {
 	const base = getScrapeApiBase().replace(/\/$/, "");
 	try {
 		const res = await fetch(`${base}/scrape`, {
 			method: "POST",
-			headers: { "Content-Type": "application/json" },
+			headers: {
+				"Content-Type": "application/json",
+				...(session && { Authorization: `Bearer ${session.token}` }),
+			},
 			body: JSON.stringify({
 				url,
+				...(session && { sessionId: session.id }),
 				includeSemanticContent: true,
 				includeLinks: true,
 				includeImages: false,
@@ -279,7 +287,7 @@ async function extractDomSnapshot(page) {
  * Execute one agent action. Returns either a result string or
  * { result, scrapedContent } for navigate (so we can feed /scrape content to the LLM).
  */
-async function executeAction(page, decision) {
+async function executeAction(page, decision, session = null) {
 	try {
 		switch (decision.action) {
 			case "navigate": {
@@ -287,7 +295,7 @@ async function executeAction(page, decision) {
 					waitUntil: "networkidle2",
 					timeout: 15000,
 				});
-				const scraped = await fetchScrapedContent(decision.target, 20000);
+				const scraped = await fetchScrapedContent(decision.target, 20000, session);
 				return {
 					result: "navigated successfully",
 					scrapedContent: scraped,
@@ -346,7 +354,7 @@ async function executeAction(page, decision) {
 
 // --- ReAct Loop ---
 
-async function runBrowserAgentLoop(page, input, jobId) {
+async function runBrowserAgentLoop(page, input, jobId, session = null) {
 	const trail = [];
 	let totalTokensUsed = 0;
 	let mergedData = {};
@@ -383,7 +391,7 @@ async function runBrowserAgentLoop(page, input, jobId) {
 	}
 
 	// Fetch scraped content for initial URL using /scrape endpoint
-	const initialScraped = await fetchScrapedContent(input.url, 20000);
+	const initialScraped = await fetchScrapedContent(input.url, 20000, session);
 	currentScrapedContent = initialScraped;
 	const scrapedPreview = initialScraped?.markdown
 		? initialScraped.markdown.slice(0, 500) + (initialScraped.markdown.length > 500 ? "..." : "")
@@ -519,7 +527,7 @@ ${domSnapshot}`,
 		}
 
 		// 7. Execute action
-		const actionResultRaw = await executeAction(page, decision);
+		const actionResultRaw = await executeAction(page, decision, session);
 		const resultText =
 			typeof actionResultRaw === "string"
 				? actionResultRaw
@@ -575,7 +583,7 @@ ${domSnapshot}`,
 
 // --- Run Job (background) ---
 
-async function runJob(jobId, input) {
+async function runJob(jobId, input, session = null) {
 	const startTime = Date.now();
 	let browser;
 
@@ -590,7 +598,10 @@ async function runJob(jobId, input) {
 		browser = await launchBrowserAgentChromium();
 
 		const page = await browser.newPage();
-		const result = await runBrowserAgentLoop(page, input, jobId);
+		if (session) await applySessionState(page, session.state);
+		const result = await runBrowserAgentLoop(page, input, jobId, session);
+		// Save the cookies the agent ended with (e.g. after logging in or renewing).
+		if (session?.refresh) await refreshSessionFromPage(session, page);
 
 		await page.close();
 
@@ -699,6 +710,7 @@ browserAgentRouter.post("/execute", async (c) => {
 				url: input?.url,
 				goal: input?.goal,
 				maxDepth: input?.maxDepth,
+				sessionId: input?.sessionId ?? null,
 			},
 			trail: [],
 			result: null,
@@ -711,7 +723,7 @@ browserAgentRouter.post("/execute", async (c) => {
 			cancelledAt: null,
 		});
 
-		runJob(jobId, input).catch((err) => {
+		runJob(jobId, input, c.get("browserSession") ?? null).catch((err) => {
 			console.error("[browser-agent] runJob error:", err);
 		});
 
@@ -0,0 +1,462 @@
+/**
+ * Site-wide link audit over a finished crawl (/link-audit).
+ *
+ * Every distinct link target found on the crawled pages is checked once:
+ * HEAD first, GET when HEAD is refused or errors, redirects followed hop by hop
+ * so the whole chain is recorded. A target ends up in one state:
+ *
+ *   ok                  2xx without redirects
+ *   redirect            2xx after one or more redirects
+ *   broken              4xx / 5xx (after redirects)
+ *   restricted          401 / 403 / 429 / 999 — bot walls more often than dead links
+ *   loop                a redirect came back to a URL already in the chain
+ *   too_many_redirects  more than `maxRedirects` hops
+ *   timeout             no answer within `linkTimeout`
+ *   error               DNS / connection / TLS failure, or an SSRF-blocked target
+ *
+ * On top of that: `#fragment` links whose target page has no such id / name
+ * (from the crawl where the page was crawled, else the fetched HTML), https →
+ * http redirect downgrades, and mixed content (http subresources on https
+ * pages). Each issue lists the pages it was found on.
+ */
+
+import { safeFetch, SSRF_BLOCKED_CODE } from "./ssrfGuard.js";
+import { isInternalUrl, normalizeCrawlUrl } from "./siteCrawler.js";
+import { tableToCsv } from "./tableExtract.js";
+import { clampInt } from "./numbers.js";
+
+export const LINK_STATES = [
+	"ok",
+	"redirect",
+	"broken",
+	"restricted",
+	"loop",
+	"too_many_redirects",
+	"timeout",
+	"error",
+];
+export const LINK_AUDIT_FORMATS = ["json", "csv"];
+
+const USER_AGENT =
+	"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
+const DEFAULT_TIMEOUT_MS = 10_000;
+const DEFAULT_MAX_LINKS = 1000;
+const MAX_MAX_LINKS = 5000;
+const DEFAULT_CONCURRENCY = 8;
+const MAX_CONCURRENCY = 20;
+const DEFAULT_MAX_REDIRECTS = 10;
+/** HEAD answers that say nothing about the page; GET decides instead. */
+const HEAD_FALLBACK_STATUSES = new Set([400, 403, 404, 405, 406, 429, 500, 501, 502, 503]);
+const RESTRICTED_STATUSES = new Set([401, 403, 429, 999]);
+/** Subresources that can act on the page; browsers block these outright. */
+const ACTIVE_MIXED_KINDS = new Set(["script", "stylesheet", "iframe", "form"]);
+/** HTML read for fragment checks on pages the crawl did not cover. */
+const MAX_ANCHOR_HTML_BYTES = 5 * 1024 * 1024;
+/** Source pages listed per issue; `sourceCount` has the full number. */
+const MAX_SOURCES = 50;
+
+/** Audit options from a /link-audit body (out-of-range numbers are clamped). */
+export function linkAuditOptions(body = {}) {
+	return {
+		checkExternal: body.checkExternal !== false,
+		checkAnchors: body.checkAnchors !== false,
+		includeOk: body.includeOk === true,
+		maxLinks: clampInt(body.maxLinks, 1, MAX_MAX_LINKS, DEFAULT_MAX_LINKS),
+		linkTimeout: clampInt(body.linkTimeout, 1000, 60_000, DEFAULT_TIMEOUT_MS),
+		checkConcurrency: clampInt(body.checkConcurrency, 1, MAX_CONCURRENCY, DEFAULT_CONCURRENCY),
+		maxRedirects: clampInt(body.maxRedirects, 1, 20, DEFAULT_MAX_REDIRECTS),
+	};
+}
+
+// ─── Checking one URL ────────────────────────────────────────────────────────
+
+function withoutHash(url) {
+	const u = new URL(url);
+	u.hash = "";
+	return u.href;
+}
+
+/** id / name values in an HTML document. */
+function htmlAnchorIds(html) {
+	const ids = new Set();
+	for (const m of html.matchAll(/<[a-z][^>]*?\s(?:id|name)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+		ids.add(m[1] ?? m[2] ?? m[3]);
+	}
+	return [...ids];
+}
+
+async function readLimited(res, maxBytes) {
+	const reader = res.body?.getReader();
+	if (!reader) return "";
+	const chunks = [];
+	let size = 0;
+	while (size < maxBytes) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		chunks.push(value);
+		size += value.length;
+	}
+	await reader.cancel().catch(() => {});
+	return Buffer.concat(chunks).subarray(0, maxBytes).toString("utf8");
+}
+
+function failureState(err) {
+	const code = err?.code || err?.cause?.code || null;
+	if (err?.name === "TimeoutError" || err?.name === "AbortError" || code === "UND_ERR_CONNECT_TIMEOUT") {
+		return { state: "timeout", code: "TIMEOUT", error: "Timed out" };
+	}
+	if (code === SSRF_BLOCKED_CODE) {
+		// The guard reports unresolvable hosts under its own code too.
+		const unresolved = /^Could not resolve /.test(err.message);
+		return { state: "error", code: unresolved ? "DNS_FAILED" : code, error: err.message };
+	}
+	return {
+		state: "error",
+		code: code || "FETCH_FAILED",
+		error: err?.cause?.message || err?.message || "Request failed",
+	};
+}
+
+/**
+ * Check one URL (fragment ignored): HEAD with GET fallback, redirects followed
+ * manually.
+ * @param {string} url
+ * @param {{ timeoutMs?: number, maxRedirects?: number, wantAnchors?: boolean }} [opts]
+ *   wantAnchors: GET the final page and return its id / name values
+ * @returns {Promise<{ url: string, state: string, status: number|null, finalUrl: string|null,
+ *   chain: Array<{ url: string, status: number, method: string }>, redirects: number,
+ *   downgrade: boolean, contentType: string|null, anchorIds?: string[], code: string|null,
+ *   error: string|null, durationMs: number }>}
+ */
+export async function checkLink(
+	url,
+	{ timeoutMs = DEFAULT_TIMEOUT_MS, maxRedirects = DEFAULT_MAX_REDIRECTS, wantAnchors = false } = {},
+) {
+	const started = Date.now();
+	const signal = AbortSignal.timeout(timeoutMs);
+	const chain = [];
+	const result = (fields) => {
+		const redirects = Math.max(chain.length - 1, 0);
+		return {
+			url,
+			status: chain.at(-1)?.status ?? null,
+			finalUrl: chain.at(-1)?.url ?? null,
+			chain,
+			redirects,
+			downgrade: chain.some(
+				(hop, i) => i > 0 && hop.url.startsWith("http:") && chain[i - 1].url.startsWith("https:"),
+			),
+			contentType: null,
+			code: null,
+			error: null,
+			...fields,
+			durationMs: Date.now() - started,
+		};
+	};
+	const request = (target, method) =>
+		safeFetch(target, {
+			method,
+			redirect: "manual",
+			signal,
+			headers: {
+				"User-Agent": USER_AGENT,
+				Accept: "text/html,application/xhtml+xml,*/*;q=0.8",
+				"Accept-Language": "en-US,en;q=0.9",
+			},
+		});
+
+	let current = withoutHash(url);
+	const visited = new Set();
+	try {
+		for (;;) {
+			if (visited.has(current)) {
+				chain.push({ url: current, status: null, method: null });
+				return result({ state: "loop", code: "REDIRECT_LOOP", error: `Redirect loop back to ${current}` });
+			}
+			visited.add(current);
+			let method = wantAnchors ? "GET" : "HEAD";
+			let res = await request(current, method);
+			if (method === "HEAD" && HEAD_FALLBACK_STATUSES.has(res.status)) {
+				await res.body?.cancel().catch(() => {});
+				method = "GET";
+				res = await request(current, method);
+			}
+			chain.push({ url: current, status: res.status, method });
+			const location = res.headers.get("location");
+			if (res.status >= 300 && res.status < 400 && location) {
+				await res.body?.cancel().catch(() => {});
+				if (chain.length > maxRedirects) {
+					return result({
+						state: "too_many_redirects",
+						code: "TOO_MANY_REDIRECTS",
+						error: `More than ${maxRedirects} redirects`,
+					});
+				}
+				current = withoutHash(new URL(location, current).href);
+				continue;
+			}
+			const contentType = res.headers.get("content-type");
+			let anchorIds;
+			if (wantAnchors && res.status < 400 && /html/i.test(contentType || "")) {
+				anchorIds = htmlAnchorIds(await readLimited(res, MAX_ANCHOR_HTML_BYTES));
+			} else {
+				await res.body?.cancel().catch(() => {});
+			}
+			const state =
+				res.status >= 400
+					? RESTRICTED_STATUSES.has(res.status)
+						? "restricted"
+						: "broken"
+					: chain.length > 1
+						? "redirect"
+						: "ok";
+			return result({
+				state,
+				contentType,
+				...(anchorIds && { anchorIds }),
+				...(res.status >= 400 && { code: `HTTP_${res.status}`, error: `HTTP ${res.status}` }),
+			});
+		}
+	} catch (err) {
+		return result(failureState(err));
+	}
+}
+
+// ─── Crawl audit ─────────────────────────────────────────────────────────────
+
+/** Run `tasks` ({ host, run }) with a global and a per-host concurrency cap. */
+async function runPool(tasks, concurrency, perHost) {
+	const queue = [...tasks];
+	const activeByHost = new Map();
+	const running = new Set();
+	while (queue.length > 0 || running.size > 0) {
+		const index =
+			running.size < concurrency
+				? queue.findIndex((t) => (activeByHost.get(t.host) || 0) < perHost)
+				: -1;
+		if (index === -1) {
+			await Promise.race(running);
+			continue;
+		}
+		const [task] = queue.splice(index, 1);
+		activeByHost.set(task.host, (activeByHost.get(task.host) || 0) + 1);
+		const promise = task
+			.run()
+			.catch(() => {})
+			.finally(() => {
+				running.delete(promise);
+				activeByHost.set(task.host, activeByHost.get(task.host) - 1);
+			});
+		running.add(promise);
+	}
+}
+
+function fragmentOf(url) {
+	const hash = new URL(url).hash.slice(1);
+	if (!hash || hash === "top" || hash.startsWith(":~:") || hash.startsWith("!")) return null;
+	try {
+		return decodeURIComponent(hash);
+	} catch {
+		return hash;
+	}
+}
+
+function addSource(sources, pageUrl, text) {
+	if (!sources.has(pageUrl)) sources.set(pageUrl, text || "");
+}
+
+function listSources(sources) {
+	return {
+		sources: [...sources].slice(0, MAX_SOURCES).map(([pageUrl, text]) => ({ pageUrl, text })),
+		sourceCount: sources.size,
+	};
+}
+
+/**
+ * Check every link found in a crawl (runCrawl with `keepResults`, pages
+ * scraped with linkScope "all").
+ * @param {Object} state   Crawl state
+ * @param {ReturnType<typeof linkAuditOptions>} options
+ */
+export async function auditCrawlLinks(state, options) {
+	const crawledPages = state.records.filter((r) => r.result?.success);
+	/** Crawled page data by normalized URL, for fragment checks without a refetch. */
+	const pageByUrl = new Map(crawledPages.map((r) => [r.url, r.result.data || {}]));
+
+	/** target URL (no fragment) → { internal, sources, fragments: Map(fragment → sources) } */
+	const targets = new Map();
+	const mixedContent = [];
+	let linkOccurrences = 0;
+	for (const record of crawledPages) {
+		const data = record.result.data || {};
+		const pageIsHttps = record.url.startsWith("https:");
+		for (const link of data.links || []) {
+			let target;
+			try {
+				target = withoutHash(link.href);
+			} catch {
+				continue;
+			}
+			linkOccurrences++;
+			const internal = isInternalUrl(state, target);
+			if (!internal && !options.checkExternal) continue;
+			if (!targets.has(target)) {
+				targets.set(target, { internal, sources: new Map(), fragments: new Map() });
+			}
+			const entry = targets.get(target);
+			addSource(entry.sources, record.url, link.text || link.title);
+			const fragment = options.checkAnchors ? fragmentOf(link.href) : null;
+			if (fragment) {
+				if (!entry.fragments.has(fragment)) entry.fragments.set(fragment, new Map());
+				addSource(entry.fragments.get(fragment), record.url, link.text || link.title);
+			}
+		}
+		if (pageIsHttps) {
+			for (const resource of data.subresources || []) {
+				if (!resource.url.startsWith("http:")) continue;
+				mixedContent.push({
+					pageUrl: record.url,
+					resourceUrl: resource.url,
+					kind: resource.kind,
+					active: ACTIVE_MIXED_KINDS.has(resource.kind),
+				});
+			}
+		}
+	}
+
+	// Internal targets first: they are the site's own to fix.
+	const ordered = [...targets].sort(([, a], [, b]) => Number(b.internal) - Number(a.internal));
+	const toCheck = ordered.slice(0, options.maxLinks);
+	const checks = new Map();
+	await runPool(
+		toCheck.map(([target, entry]) => {
+			const crawled = pageByUrl.get(normalizeCrawlUrl(target, state.options));
+			return {
+				host: new URL(target).host,
+				run: async () => {
+					checks.set(
+						target,
+						await checkLink(target, {
+							timeoutMs: options.linkTimeout,
+							maxRedirects: options.maxRedirects,
+							wantAnchors: entry.fragments.size > 0 && !crawled?.anchorIds,
+						}),
+					);
+				},
+			};
+		}),
+		options.checkConcurrency,
+		state.options.perHostConcurrency,
+	);
+
+	const links = [];
+	const missingAnchors = [];
+	const counts = Object.fromEntries(LINK_STATES.map((s) => [s, 0]));
+	for (const [target, entry] of toCheck) {
+		const check = checks.get(target);
+		if (!check) continue;
+		counts[check.state]++;
+		const { anchorIds: fetchedIds, ...fields } = check;
+		if (entry.fragments.size > 0 && check.status != null && check.status < 400) {
+			const crawled = pageByUrl.get(normalizeCrawlUrl(check.finalUrl || target, state.options));
+			const ids = new Set(crawled?.anchorIds ?? fetchedIds ?? []);
+			// No ids known (non-HTML target): nothing to compare against.
+			if (crawled?.anchorIds || fetchedIds) {
+				for (const [fragment, sources] of entry.fragments) {
+					if (ids.has(fragment)) continue;
+					missingAnchors.push({
+						url: `${target}#${encodeURIComponent(fragment)}`,
+						targetUrl: target,
+						fragment,
+						internal: entry.internal,
+						...listSources(sources),
+					});
+				}
+			}
+		}
+		if (!options.includeOk && check.state === "ok") continue;
+		links.push({ ...fields, internal: entry.internal, ...listSources(entry.sources) });
+	}
+
+	const isIssue = (l) => !["ok", "redirect"].includes(l.state);
+	return {
+		summary: {
+			pagesCrawled: crawledPages.length,
+			linksFound: linkOccurrences,
+			uniqueTargets: targets.size,
+			checked: checks.size,
+			notChecked: targets.size - toCheck.length,
+			...counts,
+			missingAnchors: missingAnchors.length,
+			downgrades: links.filter((l) => l.downgrade).length,
+			mixedContent: mixedContent.length,
+		},
+		brokenLinks: links.filter(isIssue),
+		redirects: links.filter((l) => l.redirects > 0 && !isIssue(l)),
+		missingAnchors,
+		mixedContent,
+		...(options.includeOk && { links }),
+	};
+}
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+
+const CSV_HEADERS = [
+	"issue",
+	"url",
+	"state",
+	"status",
+	"finalUrl",
+	"redirects",
+	"chain",
+	"internal",
+	"sourcePage",
+	"linkText",
+	"error",
+];
+
+/** One CSV row per issue and source page (so each broken link lists where it is). */
+export function linkAuditCsv(report) {
+	const records = [];
+	const chainText = (chain) =>
+		chain.map((hop) => `${hop.url} (${hop.status ?? "loop"})`).join(" -> ");
+	const linkRows = (issue, link) =>
+		link.sources.map(({ pageUrl, text }) => ({
+			issue,
+			url: link.url,
+			state: link.state,
+			status: link.status,
+			finalUrl: link.finalUrl,
+			redirects: link.redirects,
+			chain: chainText(link.chain),
+			internal: link.internal,
+			sourcePage: pageUrl,
+			linkText: text,
+			error: link.error,
+		}));
+	for (const link of report.brokenLinks) records.push(...linkRows(link.state, link));
+	for (const link of report.redirects) {
+		records.push(...linkRows(link.downgrade ? "https_downgrade" : "redirect", link));
+	}
+	for (const anchor of report.missingAnchors) {
+		for (const { pageUrl, text } of anchor.sources) {
+			records.push({
+				issue: "missing_anchor",
+				url: anchor.url,
+				internal: anchor.internal,
+				sourcePage: pageUrl,
+				linkText: text,
+				error: `No element with id or name "${anchor.fragment}"`,
+			});
+		}
+	}
+	for (const item of report.mixedContent) {
+		records.push({
+			issue: item.active ? "mixed_content_active" : "mixed_content_passive",
+			url: item.resourceUrl,
+			sourcePage: item.pageUrl,
+			linkText: item.kind,
+		});
+	}
+	return tableToCsv({ headers: CSV_HEADERS, records });
+}
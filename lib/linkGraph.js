@@ -0,0 +1,189 @@
+/**
+ * Internal link graph of a crawl (/crawl-graph, /crawl-url `includeGraph`),
+ * built from the edges runCrawl keeps with `keepEdges`.
+ *
+ *   nodes    crawled pages plus in-scope pages they link to that were not
+ *            crawled (budget / depth); depth, inbound / outbound counts and a
+ *            PageRank score each
+ *   edges    page → page, one per linked pair
+ *   orphans  sitemap pages no crawled page links to
+ *
+ * Exports: JSON, Graphviz DOT and Mermaid flowchart.
+ */
+
+export const GRAPH_FORMATS = ["json", "dot", "mermaid"];
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-8;
+
+function pathLabel(url) {
+	try {
+		const u = new URL(url);
+		return `${u.pathname}${u.search}` || "/";
+	} catch {
+		return url;
+	}
+}
+
+/**
+ * PageRank by power iteration; pages without outbound links spread their score
+ * over every page. Scores sum to 1.
+ * @param {number} count
+ * @param {Array<[number, number]>} edges  node index pairs
+ */
+function pageRank(count, edges) {
+	if (count === 0) return [];
+	const outLinks = Array.from({ length: count }, () => []);
+	for (const [from, to] of edges) outLinks[from].push(to);
+	let ranks = new Array(count).fill(1 / count);
+	for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+		let dangling = 0;
+		for (let i = 0; i < count; i++) {
+			if (outLinks[i].length === 0) dangling += ranks[i];
+		}
+		const base = (1 - DAMPING) / count + (DAMPING * dangling) / count;
+		const next = new Array(count).fill(base);
+		for (let i = 0; i < count; i++) {
+			const share = (DAMPING * ranks[i]) / (outLinks[i].length || 1);
+			for (const to of outLinks[i]) next[to] += share;
+		}
+		let delta = 0;
+		for (let i = 0; i < count; i++) delta += Math.abs(next[i] - ranks[i]);
+		ranks = next;
+		if (delta < TOLERANCE) break;
+	}
+	return ranks;
+}
+
+/**
+ * Link graph of a crawl state.
+ * @returns {{ nodes: Array<{ id: string, url: string, path: string, depth: number|null, status: string,
+ *   httpStatus: number|null, title: string|null, inSitemap: boolean, inbound: number, outbound: number,
+ *   pageRank: number, orphan: boolean }>, edges: Array<{ source: string, target: string }>,
+ *   orphans: string[], stats: Object }}
+ */
+export function buildLinkGraph(state) {
+	const nodes = [];
+	const indexByUrl = new Map();
+	const addNode = (url, fields) => {
+		if (indexByUrl.has(url)) return indexByUrl.get(url);
+		indexByUrl.set(url, nodes.length);
+		nodes.push({
+			id: `n${nodes.length}`,
+			url,
+			path: pathLabel(url),
+			depth: null,
+			status: "not_crawled",
+			httpStatus: null,
+			title: null,
+			inSitemap: false,
+			...fields,
+		});
+		return nodes.length - 1;
+	};
+
+	for (const record of state.records) {
+		if (record.external) continue;
+		addNode(record.url, {
+			depth: record.depth,
+			status: record.status,
+			httpStatus: record.httpStatus,
+			title: record.title,
+			inSitemap: record.source === "sitemap",
+		});
+	}
+	const queued = [...(state.inFlight ?? []), ...state.frontier].filter((item) => !item.external);
+	for (const item of queued) {
+		addNode(item.url, { depth: item.depth, status: "queued", inSitemap: item.source === "sitemap" });
+	}
+
+	const pairs = [];
+	for (const [from, to] of state.edges ?? []) {
+		pairs.push([addNode(from, {}), addNode(to, {})]);
+	}
+	const inbound = new Array(nodes.length).fill(0);
+	const outbound = new Array(nodes.length).fill(0);
+	for (const [from, to] of pairs) {
+		outbound[from]++;
+		inbound[to]++;
+	}
+	const ranks = pageRank(nodes.length, pairs);
+	const seedIndex = indexByUrl.get(state.seedUrl);
+
+	const orphans = [];
+	nodes.forEach((node, i) => {
+		node.inbound = inbound[i];
+		node.outbound = outbound[i];
+		node.pageRank = Number(ranks[i].toFixed(6));
+		node.orphan = node.inSitemap && inbound[i] === 0 && i !== seedIndex;
+		if (node.orphan) orphans.push(node.url);
+	});
+
+	return {
+		nodes,
+		edges: pairs.map(([from, to]) => ({ source: nodes[from].id, target: nodes[to].id })),
+		orphans,
+		stats: {
+			nodes: nodes.length,
+			edges: pairs.length,
+			crawled: nodes.filter((n) => n.status !== "queued" && n.status !== "not_crawled").length,
+			orphans: orphans.length,
+			deadEnds: nodes.filter((n) => n.status === "scraped" && n.outbound === 0).length,
+			// Orphans are only certain when every page that could link to them was crawled.
+			complete: state.frontier.length === 0,
+		},
+	};
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+function dotString(value) {
+	return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/** Graphviz DOT: orphans filled red, pages that were not crawled dashed. */
+export function graphToDot(graph, { name = "site" } = {}) {
+	const lines = [
+		`digraph ${dotString(name)} {`,
+		"\trankdir=LR;",
+		'\tnode [shape=box, style="rounded", fontname="Helvetica"];',
+	];
+	for (const node of graph.nodes) {
+		const attrs = [`label=${dotString(node.path)}`, `tooltip=${dotString(node.url)}`];
+		if (node.orphan) attrs.push('style="rounded,filled"', 'fillcolor="#fde2e2"', 'color="#c0392b"');
+		else if (node.status === "queued" || node.status === "not_crawled") attrs.push('style="rounded,dashed"');
+		else if (node.status !== "scraped") attrs.push('color="#c0392b"');
+		lines.push(`\t${node.id} [${attrs.join(", ")}];`);
+	}
+	for (const edge of graph.edges) lines.push(`\t${edge.source} -> ${edge.target};`);
+	lines.push("}");
+	return `${lines.join("\n")}\n`;
+}
+
+function mermaidLabel(value) {
+	return `"${String(value).replace(/"/g, "#quot;")}"`;
+}
+
+/** Mermaid flowchart: same styling as the DOT export, as classes. */
+export function graphToMermaid(graph) {
+	const lines = ["flowchart LR"];
+	for (const node of graph.nodes) lines.push(`\t${node.id}[${mermaidLabel(node.path)}]`);
+	for (const edge of graph.edges) lines.push(`\t${edge.source} --> ${edge.target}`);
+	const classes = {
+		orphan: graph.nodes.filter((n) => n.orphan),
+		uncrawled: graph.nodes.filter((n) => !n.orphan && (n.status === "queued" || n.status === "not_crawled")),
+		failed: graph.nodes.filter(
+			(n) => !n.orphan && !["scraped", "queued", "not_crawled"].includes(n.status),
+		),
+	};
+	lines.push(
+		"\tclassDef orphan fill:#fde2e2,stroke:#c0392b",
+		"\tclassDef uncrawled stroke-dasharray:4 3",
+		"\tclassDef failed stroke:#c0392b",
+	);
+	for (const [name, members] of Object.entries(classes)) {
+		if (members.length > 0) lines.push(`\tclass ${members.map((n) => n.id).join(",")} ${name}`);
+	}
+	return `${lines.join("\n")}\n`;
+}
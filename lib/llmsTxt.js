@@ -0,0 +1,330 @@
+/**
+ * llms.txt / llms-full.txt from a crawled site (/generate-llms-txt), following
+ * https://llmstxt.org:
+ *
+ *   # Site name
+ *
+ *   > One-paragraph summary
+ *
+ *   ## Section
+ *
+ *   - [Page title](https://…): one-line description
+ *
+ *   ## Optional
+ *
+ *   - […](…): pages an agent can skip when context is short
+ *
+ * Sections come from the first URL path segment below the seed (descending
+ * while every page shares it); a section's name is the heading of its index
+ * page, else the humanized segment. Single-page sections fold into the first
+ * one. Blog, changelog, legal and similar sections go under "Optional".
+ *
+ * llms-full.txt concatenates each page's cleaned markdown in the same order,
+ * one `# Title` / `Source: url` block per page. Token counts use the chunking
+ * tokenizer (cl100k_base).
+ */
+
+import { countTokens, TOKENIZER } from "./chunking.js";
+
+export const LLMS_TXT_FORMATS = ["json", "llms.txt", "llms-full.txt"];
+
+const MAX_DESCRIPTION_CHARS = 200;
+const MAX_HEADING_TITLE_CHARS = 80;
+/** Stop descending into shared path prefixes after this many segments. */
+const MAX_PREFIX_DEPTH = 3;
+const OPTIONAL_SEGMENTS =
+	/^(blog|posts?|news|press|changelog|changes|releases?|release-notes|updates|legal|privacy|terms|tos|cookies?|careers|jobs|community|events|archive)$/i;
+const TITLE_SEPARATORS = / [|–—·-] /;
+const ACRONYMS = /^(api|apis|sdk|sdks|cli|faq|faqs|ui|ux|http|json|sql|css|html|sso|ai|ml)$/i;
+const DEFAULT_SECTION = "Docs";
+const OPTIONAL_SECTION = "Optional";
+
+// ─── Page fields ─────────────────────────────────────────────────────────────
+
+function oneLine(text, max = MAX_DESCRIPTION_CHARS) {
+	const line = String(text || "")
+		.replace(/\s+/g, " ")
+		.trim();
+	if (line.length <= max) return line;
+	const cut = line.slice(0, max);
+	return `${cut.slice(0, Math.max(cut.lastIndexOf(" "), max * 0.6)).replace(/[\s,.;:]+$/, "")}…`;
+}
+
+/** First prose paragraph of a markdown document (no headings, lists, code or images). */
+function firstParagraph(markdown) {
+	let inFence = false;
+	for (const block of String(markdown || "").split(/\n\s*\n/)) {
+		const trimmed = block.trim();
+		const fences = (trimmed.match(/^```/gm) || []).length;
+		if (inFence || fences > 0) {
+			if (fences % 2 === 1) inFence = !inFence;
+			continue;
+		}
+		if (!trimmed || /^(#|[-*+>|]|\d+\.|!\[|<)/.test(trimmed)) continue;
+		const text = trimmed
+			.replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+			.replace(/[*_`]/g, "");
+		if (text.length >= 40) return text;
+	}
+	return "";
+}
+
+function humanize(segment) {
+	let decoded = segment;
+	try {
+		decoded = decodeURIComponent(segment);
+	} catch {
+		/* a literal % — use the segment as it is */
+	}
+	const words = decoded
+		.replace(/\.[a-z0-9]+$/i, "")
+		.replace(/[-_]+/g, " ")
+		.trim()
+		.split(" ")
+		.map((w) => (ACRONYMS.test(w) ? w.toUpperCase() : w));
+	const text = words.join(" ");
+	return text ? text[0].toUpperCase() + text.slice(1) : segment;
+}
+
+function pathSegments(url) {
+	try {
+		return new URL(url).pathname.split("/").filter(Boolean);
+	} catch {
+		return [];
+	}
+}
+
+/**
+ * The fields llms.txt needs from a scrapeSingleUrlWithPuppeteer result.
+ * @returns {{ url: string, title: string, heading: string|null, description: string, markdown: string, siteName: string|null }}
+ */
+export function llmsPageFromResult(url, result) {
+	const data = result?.data ?? {};
+	const meta = data.metadata ?? {};
+	const heading = data.content?.h1?.find((h) => h && h.length <= MAX_HEADING_TITLE_CHARS) ?? null;
+	const markdown = String(result?.markdown || "");
+	const description =
+		meta.description ||
+		meta["og:description"] ||
+		meta["twitter:description"] ||
+		result?.summary ||
+		firstParagraph(markdown);
+	return {
+		url,
+		title: String(data.title || "").trim(),
+		heading: heading ? oneLine(heading, MAX_HEADING_TITLE_CHARS) : null,
+		description: oneLine(description),
+		markdown,
+		siteName: meta["og:site_name"] || meta["application-name"] || null,
+	};
+}
+
+/**
+ * " | Acme Docs" style suffix shared by at least half of the titles, or null.
+ * Such suffixes are dropped from link titles.
+ */
+function sharedTitleSuffix(titles) {
+	const counts = new Map();
+	for (const title of titles) {
+		const parts = title.split(TITLE_SEPARATORS);
+		if (parts.length < 2) continue;
+		const suffix = parts[parts.length - 1].trim();
+		counts.set(suffix, (counts.get(suffix) || 0) + 1);
+	}
+	let best = null;
+	for (const [suffix, count] of counts) {
+		if (count >= 2 && count >= titles.length / 2 && (!best || count > best.count)) {
+			best = { suffix, count };
+		}
+	}
+	return best?.suffix ?? null;
+}
+
+function linkTitle(page, suffix) {
+	if (page.heading) return page.heading;
+	let title = page.title;
+	if (suffix && title.endsWith(suffix)) {
+		title = title.slice(0, -suffix.length).replace(/ [|–—·-]\s*$/, "").trim();
+	}
+	if (title) return oneLine(title, MAX_HEADING_TITLE_CHARS);
+	const segments = pathSegments(page.url);
+	return segments.length ? humanize(segments[segments.length - 1]) : page.url;
+}
+
+// ─── Sections ────────────────────────────────────────────────────────────────
+
+/**
+ * Group pages into sections by URL path below the seed.
+ * @returns {Array<{ name: string, path: string, optional: boolean, pages: Object[] }>}
+ */
+function groupSections(seedUrl, pages, titleOf) {
+	const seedSegments = pathSegments(seedUrl).filter((s) => !/\.[a-z0-9]+$/i.test(s));
+	const relative = pages.map((page) => {
+		const segments = pathSegments(page.url);
+		const below = seedSegments.every((s, i) => segments[i] === s);
+		return { page, segments: below ? segments.slice(seedSegments.length) : segments };
+	});
+
+	// Descend while every non-index page sits under the same segment (/docs/…).
+	const prefix = [];
+	while (prefix.length < MAX_PREFIX_DEPTH) {
+		const nested = relative.filter((r) => r.segments.length > prefix.length + 1);
+		if (nested.length < 2) break;
+		const segment = nested[0].segments[prefix.length];
+		const shared = relative.every(
+			(r) => r.segments.length <= prefix.length || r.segments[prefix.length] === segment,
+		);
+		if (!shared) break;
+		prefix.push(segment);
+	}
+
+	const depth = prefix.length;
+	const parents = new Set(
+		relative.filter((r) => r.segments.length > depth + 1).map((r) => r.segments[depth]),
+	);
+	const groups = new Map();
+	for (const r of relative) {
+		// /guides/… pages and the /guides index page share a section; a lone
+		// /privacy still counts as optional.
+		const segment = r.segments[depth];
+		const key = segment && (parents.has(segment) || OPTIONAL_SEGMENTS.test(segment)) ? segment : "";
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(r);
+	}
+
+	const basePath = `/${[...seedSegments, ...prefix].join("/")}`;
+	const root = { name: null, path: basePath, optional: false, pages: [] };
+	const optional = { name: OPTIONAL_SECTION, path: null, optional: true, pages: [] };
+	const sections = [];
+	for (const [key, members] of groups) {
+		if (!key) {
+			root.pages.push(...members.map((m) => m.page));
+			continue;
+		}
+		if (OPTIONAL_SEGMENTS.test(key)) {
+			optional.pages.push(...members.map((m) => m.page));
+			continue;
+		}
+		if (members.length < 2) {
+			root.pages.push(...members.map((m) => m.page));
+			continue;
+		}
+		const index = members.find((m) => m.segments.length === depth + 1);
+		// The index page leads its section.
+		const ordered = index ? [index, ...members.filter((m) => m !== index)] : members;
+		sections.push({
+			name: index?.page.heading || (index ? titleOf(index.page) : null) || humanize(key),
+			path: `${basePath === "/" ? "" : basePath}/${key}`,
+			optional: false,
+			pages: ordered.map((m) => m.page),
+		});
+	}
+	if (root.pages.length > 0) {
+		root.name = sections.length === 0 ? DEFAULT_SECTION : "Overview";
+		sections.unshift(root);
+	}
+	if (optional.pages.length > 0) sections.push(optional);
+	return sections;
+}
+
+// ─── Output ──────────────────────────────────────────────────────────────────
+
+function escapeLinkText(text) {
+	return String(text).replace(/([[\]\\])/g, "\\$1");
+}
+
+/** Page markdown for llms-full.txt: no duplicate title, no empty links, tidy blank lines. */
+function cleanMarkdown(markdown, title) {
+	let text = String(markdown || "")
+		.replace(/\r\n?/g, "\n")
+		.replace(/^\s*\[?skip to (main )?content\]?(\([^)]*\))?\s*$/gim, "")
+		.replace(/(^|[^!])\[\s*\]\([^)]*\)/g, "$1")
+		.replace(/[ \t]+$/gm, "")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+	const firstLine = text.match(/^#\s+(.+)\n?/);
+	if (firstLine && firstLine[1].trim().toLowerCase() === String(title).trim().toLowerCase()) {
+		text = text.slice(firstLine[0].length).trim();
+	}
+	return text;
+}
+
+/**
+ * Build llms.txt and llms-full.txt.
+ *
+ * @param {{ seedUrl: string, pages: Array<ReturnType<typeof llmsPageFromResult>>, title?: string|null, description?: string|null }} input
+ *   `pages` in crawl order, the seed first.
+ * @returns {Promise<{ llmsTxt: string, llmsFullTxt: string, title: string, description: string,
+ *   sections: Array<{ name: string, path: string|null, optional: boolean, pageCount: number, tokens: number }>,
+ *   pages: Array<{ url: string, title: string, description: string, section: string, tokens: number }>,
+ *   tokens: { llmsTxt: number, llmsFullTxt: number, tokenizer: string } }>}
+ */
+export async function buildLlmsTxt({ seedUrl, pages, title = null, description = null }) {
+	const suffix = sharedTitleSuffix(pages.map((p) => p.title).filter(Boolean));
+	const titleOf = (page) => linkTitle(page, suffix);
+	const seedPage = pages[0] ?? null;
+	const siteTitle =
+		oneLine(title, MAX_HEADING_TITLE_CHARS) ||
+		seedPage?.siteName ||
+		suffix ||
+		(seedPage?.title ? seedPage.title.split(TITLE_SEPARATORS)[0].trim() : "") ||
+		new URL(seedUrl).hostname;
+	const siteDescription = oneLine(description || seedPage?.description || "", 400);
+
+	const sections = groupSections(seedUrl, pages, titleOf);
+
+	const lines = [`# ${siteTitle}`, ""];
+	if (siteDescription) lines.push(`> ${siteDescription}`, "");
+	const fullBlocks = [`# ${siteTitle}`];
+	if (siteDescription) fullBlocks.push(`> ${siteDescription}`);
+
+	const sectionSummaries = [];
+	const pageSummaries = [];
+	for (const section of sections) {
+		lines.push(`## ${section.name}`, "");
+		let sectionTokens = 0;
+		for (const page of section.pages) {
+			const pageTitle = titleOf(page);
+			lines.push(
+				`- [${escapeLinkText(pageTitle)}](${page.url})${page.description ? `: ${page.description}` : ""}`,
+			);
+			const block = [`# ${pageTitle}`, `Source: ${page.url}`, "", cleanMarkdown(page.markdown, pageTitle)]
+				.join("\n")
+				.trim();
+			const tokens = await countTokens(block);
+			sectionTokens += tokens;
+			fullBlocks.push(block);
+			pageSummaries.push({
+				url: page.url,
+				title: pageTitle,
+				description: page.description,
+				section: section.name,
+				tokens,
+			});
+		}
+		lines.push("");
+		sectionSummaries.push({
+			name: section.name,
+			path: section.path,
+			optional: section.optional,
+			pageCount: section.pages.length,
+			tokens: sectionTokens,
+		});
+	}
+
+	const llmsTxt = `${lines.join("\n").trim()}\n`;
+	const llmsFullTxt = `${fullBlocks.join("\n\n")}\n`;
+	return {
+		llmsTxt,
+		llmsFullTxt,
+		title: siteTitle,
+		description: siteDescription,
+		sections: sectionSummaries,
+		pages: pageSummaries,
+		tokens: {
+			llmsTxt: await countTokens(llmsTxt),
+			llmsFullTxt: await countTokens(llmsFullTxt),
+			tokenizer: TOKENIZER,
+		},
+	};
+}
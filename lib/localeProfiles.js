@@ -0,0 +1,207 @@
+/**
+ * Locale emulation profiles (`locale` option on /scrape, /take-screenshot and
+ * /google-search). One profile keeps every regional signal consistent:
+ * Accept-Language, navigator.language(s), Intl locale, timezone, geolocation,
+ * the local currency, and the proxy country when `useProxy` is on.
+ *
+ * Currency is a best-effort hint. Browsers have no currency setting, so it is
+ * sent as the currency cookies common storefronts read, on the target site
+ * only. Sites that pick currency from the visitor's IP follow the proxy
+ * country instead.
+ *
+ *   locale: "de-DE"
+ *   locale: { locale: "en-IN", timezone?, geolocation?: { latitude, longitude, accuracy? }, currency? }
+ */
+
+/** Capital-city defaults per supported locale. */
+const LOCALE_PROFILES = {
+	"en-US": { timezone: "America/New_York", geolocation: [40.7128, -74.006], currency: "USD" },
+	"en-GB": { timezone: "Europe/London", geolocation: [51.5074, -0.1278], currency: "GBP" },
+	"en-CA": { timezone: "America/Toronto", geolocation: [43.6532, -79.3832], currency: "CAD" },
+	"en-AU": { timezone: "Australia/Sydney", geolocation: [-33.8688, 151.2093], currency: "AUD" },
+	"en-IN": { timezone: "Asia/Kolkata", geolocation: [28.6139, 77.209], currency: "INR" },
+	"en-SG": { timezone: "Asia/Singapore", geolocation: [1.3521, 103.8198], currency: "SGD" },
+	"de-DE": { timezone: "Europe/Berlin", geolocation: [52.52, 13.405], currency: "EUR" },
+	"de-AT": { timezone: "Europe/Vienna", geolocation: [48.2082, 16.3738], currency: "EUR" },
+	"de-CH": { timezone: "Europe/Zurich", geolocation: [47.3769, 8.5417], currency: "CHF" },
+	"fr-FR": { timezone: "Europe/Paris", geolocation: [48.8566, 2.3522], currency: "EUR" },
+	"es-ES": { timezone: "Europe/Madrid", geolocation: [40.4168, -3.7038], currency: "EUR" },
+	"es-MX": { timezone: "America/Mexico_City", geolocation: [19.4326, -99.1332], currency: "MXN" },
+	"it-IT": { timezone: "Europe/Rome", geolocation: [41.9028, 12.4964], currency: "EUR" },
+	"nl-NL": { timezone: "Europe/Amsterdam", geolocation: [52.3676, 4.9041], currency: "EUR" },
+	"pl-PL": { timezone: "Europe/Warsaw", geolocation: [52.2297, 21.0122], currency: "PLN" },
+	"sv-SE": { timezone: "Europe/Stockholm", geolocation: [59.3293, 18.0686], currency: "SEK" },
+	"tr-TR": { timezone: "Europe/Istanbul", geolocation: [41.0082, 28.9784], currency: "TRY" },
+	"pt-BR": { timezone: "America/Sao_Paulo", geolocation: [-23.5505, -46.6333], currency: "BRL" },
+	"pt-PT": { timezone: "Europe/Lisbon", geolocation: [38.7223, -9.1393], currency: "EUR" },
+	"ja-JP": { timezone: "Asia/Tokyo", geolocation: [35.6762, 139.6503], currency: "JPY" },
+	"ko-KR": { timezone: "Asia/Seoul", geolocation: [37.5665, 126.978], currency: "KRW" },
+	"zh-CN": { timezone: "Asia/Shanghai", geolocation: [31.2304, 121.4737], currency: "CNY" },
+	"zh-TW": { timezone: "Asia/Taipei", geolocation: [25.033, 121.5654], currency: "TWD" },
+	"id-ID": { timezone: "Asia/Jakarta", geolocation: [-6.2088, 106.8456], currency: "IDR" },
+	"ar-AE": { timezone: "Asia/Dubai", geolocation: [25.2048, 55.2708], currency: "AED" },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALE_PROFILES);
+
+/**
+ * Currency cookies read by common storefronts: Shopify (cart_currency),
+ * Amazon (i18n-prefs), WooCommerce Multi Currency (wmc_current_currency) and
+ * WooCommerce Currency Switcher (woocs_current_currency).
+ */
+const STOREFRONT_CURRENCY_COOKIES = [
+	"cart_currency",
+	"i18n-prefs",
+	"wmc_current_currency",
+	"woocs_current_currency",
+];
+
+/** "de" → "de-DE": the first supported locale for a bare language. */
+function matchLocale(tag) {
+	let canonical;
+	try {
+		[canonical] = Intl.getCanonicalLocales(tag);
+	} catch {
+		return null;
+	}
+	if (LOCALE_PROFILES[canonical]) return canonical;
+	const language = canonical.split("-")[0];
+	if (canonical !== language) return null;
+	return SUPPORTED_LOCALES.find((l) => l.startsWith(`${language}-`)) ?? null;
+}
+
+function isValidTimezone(tz) {
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: tz });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Resolve a `locale` option into a full profile.
+ * @returns {{ profile: Object|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function resolveLocaleOption(option) {
+	if (option == null || option === "") return { profile: null, errors: [] };
+	const spec = typeof option === "string" ? { locale: option } : option;
+	if (typeof spec !== "object" || Array.isArray(spec) || typeof spec.locale !== "string") {
+		return {
+			profile: null,
+			errors: [{ path: "locale", message: 'locale must be a tag like "de-DE" or { locale, ... }' }],
+		};
+	}
+
+	const errors = [];
+	const locale = matchLocale(spec.locale);
+	if (!locale) {
+		errors.push({
+			path: "locale",
+			message: `Unsupported locale "${spec.locale}". Supported: ${SUPPORTED_LOCALES.join(", ")}`,
+		});
+		return { profile: null, errors };
+	}
+	if (spec.timezone != null && !isValidTimezone(spec.timezone)) {
+		errors.push({ path: "locale.timezone", message: "timezone must be an IANA zone like Europe/Berlin" });
+	}
+	const geo = spec.geolocation;
+	if (
+		geo != null &&
+		!(
+			Number.isFinite(geo.latitude) &&
+			Number.isFinite(geo.longitude) &&
+			Math.abs(geo.latitude) <= 90 &&
+			Math.abs(geo.longitude) <= 180
+		)
+	) {
+		errors.push({ path: "locale.geolocation", message: "geolocation needs numeric latitude and longitude" });
+	}
+	if (spec.currency != null && !/^[A-Z]{3}$/.test(String(spec.currency))) {
+		errors.push({ path: "locale.currency", message: "currency must be an ISO 4217 code like EUR" });
+	}
+	if (errors.length > 0) return { profile: null, errors };
+
+	const defaults = LOCALE_PROFILES[locale];
+	const [language, region] = locale.split("-");
+	const languages = language === "en" ? [locale, "en"] : [locale, language, "en-US", "en"];
+	return {
+		profile: {
+			locale,
+			language,
+			country: region.toLowerCase(),
+			languages,
+			acceptLanguage:
+				language === "en"
+					? `${locale},en;q=0.9`
+					: `${locale},${language};q=0.9,en-US;q=0.8,en;q=0.7`,
+			timezone: spec.timezone ?? defaults.timezone,
+			geolocation: geo
+				? { latitude: geo.latitude, longitude: geo.longitude, accuracy: geo.accuracy ?? 100 }
+				: { latitude: defaults.geolocation[0], longitude: defaults.geolocation[1], accuracy: 100 },
+			currency: spec.currency ?? defaults.currency,
+		},
+		errors: [],
+	};
+}
+
+/**
+ * Apply a profile to a fresh page before navigation. Geolocation permission and
+ * the currency cookies are set for `url`'s site only, so pages should use an
+ * isolated context. Accept-Language is left to the caller, which owns
+ * setExtraHTTPHeaders.
+ *
+ * @param {import('puppeteer-core').Page} page
+ * @param {Object} profile  Output of resolveLocaleOption
+ * @param {{ url?: string }} [opts]
+ */
+export async function applyLocaleProfile(page, profile, { url } = {}) {
+	await page.emulateTimezone(profile.timezone);
+
+	const client = await page.createCDPSession();
+	try {
+		// Intl defaults (number, date and currency formatting) follow the locale.
+		await client.send("Emulation.setLocaleOverride", { locale: profile.locale });
+	} catch {
+	} finally {
+		await client.detach().catch(() => {});
+	}
+
+	if (url) {
+		try {
+			await page
+				.browserContext()
+				.overridePermissions(new URL(url).origin, ["geolocation"]);
+		} catch {}
+		try {
+			await page.setCookie(
+				...STOREFRONT_CURRENCY_COOKIES.map((name) => ({ name, value: profile.currency, url })),
+			);
+		} catch {}
+	}
+	await page.setGeolocation(profile.geolocation);
+
+	// configurable, so the scrape stealth patch can redefine with the same values.
+	await page.evaluateOnNewDocument((languages) => {
+		Object.defineProperty(navigator, "language", {
+			get: () => languages[0],
+			configurable: true,
+		});
+		Object.defineProperty(navigator, "languages", {
+			get: () => languages,
+			configurable: true,
+		});
+	}, profile.languages);
+}
+
+/** Public summary returned on responses as `locale`. */
+export function localeSummary(profile, proxyCountry = null) {
+	return {
+		locale: profile.locale,
+		languages: profile.languages,
+		timezone: profile.timezone,
+		geolocation: profile.geolocation,
+		currency: profile.currency,
+		...(proxyCountry && { proxyCountry }),
+	};
+}
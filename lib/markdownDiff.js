@@ -0,0 +1,188 @@
+/**
+ * Line- and section-level diff between two markdown snapshots (page monitors).
+ *
+ * Lines are compared after whitespace normalisation so re-wrapped text doesn't
+ * count as a change. Sections are keyed by their heading path
+ * ("Pricing > Team plan") and reported as added / removed / changed.
+ * `changeScore` is changed lines over the larger snapshot, 0 (same) … 1 (rewritten).
+ */
+
+/** Above this many cells the exact LCS table is skipped for a multiset diff. */
+const MAX_LCS_CELLS = 4_000_000;
+const MAX_DIFF_LINES_RETURNED = 500;
+
+function normalizeLine(line) {
+	return line.replace(/\s+/g, " ").trim();
+}
+
+function toLines(markdown) {
+	return String(markdown || "")
+		.split(/\r?\n/)
+		.map(normalizeLine)
+		.filter(Boolean);
+}
+
+/**
+ * Edit script between two line arrays: [{ op: " " | "+" | "-", text }].
+ * Exact LCS for normal pages; for huge ones a multiset diff that still gets
+ * counts right but may misplace moved lines.
+ */
+function diffLines(a, b) {
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) start++;
+	let endA = a.length;
+	let endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+
+	const head = a.slice(0, start).map((text) => ({ op: " ", text }));
+	const tail = a.slice(endA).map((text) => ({ op: " ", text }));
+	const midA = a.slice(start, endA);
+	const midB = b.slice(start, endB);
+	const n = midA.length;
+	const m = midB.length;
+
+	let middle;
+	if ((n + 1) * (m + 1) <= MAX_LCS_CELLS) {
+		// lcs[i][j] = LCS length of midA[i:] and midB[j:], flattened row-major.
+		const w = m + 1;
+		const lcs = new Uint32Array((n + 1) * w);
+		for (let i = n - 1; i >= 0; i--) {
+			for (let j = m - 1; j >= 0; j--) {
+				lcs[i * w + j] =
+					midA[i] === midB[j]
+						? lcs[(i + 1) * w + j + 1] + 1
+						: Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+			}
+		}
+		middle = [];
+		let i = 0;
+		let j = 0;
+		while (i < n && j < m) {
+			if (midA[i] === midB[j]) {
+				middle.push({ op: " ", text: midA[i] });
+				i++;
+				j++;
+			} else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) {
+				middle.push({ op: "-", text: midA[i++] });
+			} else {
+				middle.push({ op: "+", text: midB[j++] });
+			}
+		}
+		while (i < n) middle.push({ op: "-", text: midA[i++] });
+		while (j < m) middle.push({ op: "+", text: midB[j++] });
+	} else {
+		const counts = new Map();
+		for (const line of midA) counts.set(line, (counts.get(line) || 0) + 1);
+		middle = [];
+		for (const line of midB) {
+			const c = counts.get(line) || 0;
+			if (c > 0) {
+				counts.set(line, c - 1);
+				middle.push({ op: " ", text: line });
+			} else {
+				middle.push({ op: "+", text: line });
+			}
+		}
+		for (const [line, c] of counts) {
+			for (let k = 0; k < c; k++) middle.push({ op: "-", text: line });
+		}
+	}
+	return [...head, ...middle, ...tail];
+}
+
+/** Map heading path → normalised body lines. Content before the first heading is "(top)". */
+function splitSections(lines) {
+	const sections = new Map();
+	const stack = [];
+	let key = "(top)";
+	sections.set(key, []);
+	for (const line of lines) {
+		const m = line.match(/^(#{1,6})\s+(.*)$/);
+		if (m) {
+			const level = m[1].length;
+			while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+			stack.push({ level, title: m[2].trim() });
+			key = stack.map((s) => s.title).join(" > ");
+			if (!sections.has(key)) sections.set(key, []);
+			continue;
+		}
+		sections.get(key).push(line);
+	}
+	if (sections.get("(top)").length === 0) sections.delete("(top)");
+	return sections;
+}
+
+function countOps(ops) {
+	let added = 0;
+	let removed = 0;
+	for (const o of ops) {
+		if (o.op === "+") added++;
+		else if (o.op === "-") removed++;
+	}
+	return { added, removed };
+}
+
+/**
+ * Diff two markdown snapshots.
+ *
+ * @param {string} previous
+ * @param {string} current
+ * @returns {{
+ *   changed: boolean,
+ *   changeScore: number,
+ *   stats: { added: number, removed: number, unchanged: number, previousLines: number, currentLines: number },
+ *   lines: Array<{ op: "+" | "-", text: string }>,
+ *   truncated: boolean,
+ *   sections: Array<{ heading: string, status: "added" | "removed" | "changed", added: number, removed: number }>
+ * }}
+ */
+export function diffMarkdown(previous, current) {
+	const a = toLines(previous);
+	const b = toLines(current);
+	const ops = diffLines(a, b);
+	const { added, removed } = countOps(ops);
+	const unchanged = ops.length - added - removed;
+
+	const sectionsA = splitSections(a);
+	const sectionsB = splitSections(b);
+	const sections = [];
+	for (const [heading, bodyB] of sectionsB) {
+		const bodyA = sectionsA.get(heading);
+		if (!bodyA) {
+			sections.push({ heading, status: "added", added: bodyB.length, removed: 0 });
+			continue;
+		}
+		const counts = countOps(diffLines(bodyA, bodyB));
+		if (counts.added || counts.removed) {
+			sections.push({ heading, status: "changed", ...counts });
+		}
+	}
+	for (const [heading, bodyA] of sectionsA) {
+		if (!sectionsB.has(heading)) {
+			sections.push({ heading, status: "removed", added: 0, removed: bodyA.length });
+		}
+	}
+
+	const changedOps = ops.filter((o) => o.op !== " ");
+	const denominator = Math.max(a.length, b.length, 1);
+	return {
+		changed: changedOps.length > 0,
+		changeScore: Math.min(
+			1,
+			Math.round((Math.max(added, removed) / denominator) * 1000) / 1000,
+		),
+		stats: {
+			added,
+			removed,
+			unchanged,
+			previousLines: a.length,
+			currentLines: b.length,
+		},
+		lines: changedOps.slice(0, MAX_DIFF_LINES_RETURNED),
+		truncated: changedOps.length > MAX_DIFF_LINES_RETURNED,
+		sections,
+	};
+}
@@ -0,0 +1,250 @@
+/**
+ * Duplicate clustering for crawl results (`dedupe` on /crawl-url and
+ * /generate-llms-txt):
+ *
+ *   dedupe: true | { similarity?: 0.95, minWords?: 50 }
+ *
+ * Pages end up in one cluster when any of these hold:
+ *
+ *   canonical       same rel=canonical target, or one is the other's canonical
+ *   exact           identical text once markdown links / images / whitespace
+ *                   are normalized away
+ *   near_duplicate  64-bit SimHash over 3-word shingles within the Hamming
+ *                   distance `similarity` allows (0.95 → 3 bits). Pages under
+ *                   `minWords` words are left out: short pages (soft 404s,
+ *                   stubs) look alike without being duplicates.
+ *
+ * Each cluster keeps one representative: the canonical target when it was
+ * crawled, else the shallowest page, then the one with the shortest URL.
+ */
+
+export const DEDUPE_REASONS = ["canonical", "exact", "near_duplicate"];
+export const SIMHASH_BITS = 64;
+
+const DEFAULT_SIMILARITY = 0.95;
+const MIN_SIMILARITY = 0.8;
+const DEFAULT_MIN_WORDS = 50;
+const SHINGLE_WORDS = 3;
+
+/**
+ * Check a `dedupe` option from a request body.
+ * @returns {{ dedupe: { similarity: number, maxDistance: number, minWords: number }|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeDedupeOption(option) {
+	if (option == null || option === false) return { dedupe: null, errors: [] };
+	const spec = option === true ? {} : option;
+	if (typeof spec !== "object" || Array.isArray(spec)) {
+		return {
+			dedupe: null,
+			errors: [{ path: "dedupe", message: "dedupe must be true or { similarity?, minWords? }" }],
+		};
+	}
+	const errors = [];
+	const similarity = spec.similarity == null ? DEFAULT_SIMILARITY : Number(spec.similarity);
+	if (!Number.isFinite(similarity) || similarity < MIN_SIMILARITY || similarity > 1) {
+		errors.push({
+			path: "dedupe.similarity",
+			message: `dedupe.similarity must be a number from ${MIN_SIMILARITY} to 1`,
+		});
+	}
+	const minWords = spec.minWords == null ? DEFAULT_MIN_WORDS : Number.parseInt(spec.minWords, 10);
+	if (!Number.isFinite(minWords) || minWords < 1) {
+		errors.push({ path: "dedupe.minWords", message: "dedupe.minWords must be a positive integer" });
+	}
+	if (errors.length > 0) return { dedupe: null, errors };
+	return {
+		dedupe: {
+			similarity,
+			maxDistance: Math.floor(SIMHASH_BITS * (1 - similarity) + 1e-9),
+			minWords,
+		},
+		errors: [],
+	};
+}
+
+// ─── Fingerprints ────────────────────────────────────────────────────────────
+
+/** Words of a markdown document, link targets and images dropped. */
+function contentWords(markdown) {
+	const text = String(markdown || "")
+		.replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+		.replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+		.replace(/https?:\/\/\S+/g, " ")
+		.toLowerCase();
+	return text.match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function fnv1a(str) {
+	let h = 0x811c9dc5;
+	for (let i = 0; i < str.length; i++) {
+		h ^= str.charCodeAt(i);
+		h = Math.imul(h, 0x01000193);
+	}
+	return h >>> 0;
+}
+
+/** murmur3 finalizer: spreads FNV's weak low bits over all 32. */
+function fmix32(h) {
+	h ^= h >>> 16;
+	h = Math.imul(h, 0x85ebca6b);
+	h ^= h >>> 13;
+	h = Math.imul(h, 0xc2b2ae35);
+	h ^= h >>> 16;
+	return h >>> 0;
+}
+
+function popcount32(n) {
+	n -= (n >>> 1) & 0x55555555;
+	n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+	return (Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24) & 0xff;
+}
+
+/**
+ * 64-bit SimHash of a word list as two 32-bit halves.
+ * @returns {[number, number]}
+ */
+function simHash(words) {
+	const weights = new Array(SIMHASH_BITS).fill(0);
+	const count = Math.max(words.length - SHINGLE_WORDS + 1, 1);
+	for (let i = 0; i < count; i++) {
+		const h = fnv1a(words.slice(i, i + SHINGLE_WORDS).join(" "));
+		const halves = [fmix32(h), fmix32(h ^ 0x9e3779b9)];
+		for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+			const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+			weights[bit] += set ? 1 : -1;
+		}
+	}
+	const out = [0, 0];
+	for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+		if (weights[bit] > 0) out[bit >> 5] |= 1 << (bit & 31);
+	}
+	return [out[0] >>> 0, out[1] >>> 0];
+}
+
+function hammingDistance(a, b) {
+	return popcount32((a[0] ^ b[0]) >>> 0) + popcount32((a[1] ^ b[1]) >>> 0);
+}
+
+function hashHex([hi, lo]) {
+	return hi.toString(16).padStart(8, "0") + lo.toString(16).padStart(8, "0");
+}
+
+// ─── Clustering ──────────────────────────────────────────────────────────────
+
+function queryParamCount(url) {
+	try {
+		return [...new URL(url).searchParams].length;
+	} catch {
+		return 0;
+	}
+}
+
+/**
+ * Cluster duplicate pages.
+ *
+ * @param {Array<{ url: string, markdown?: string|null, canonicalUrl?: string|null, depth?: number }>} pages
+ *   in crawl order
+ * @param {ReturnType<typeof normalizeDedupeOption>["dedupe"]} dedupe
+ * @returns {{ clusters: Array<{ representative: string, size: number, members: Array<{ url: string,
+ *   reason: string, similarity: number|null }> }>, duplicateOf: Map<string, string> }}
+ *   duplicateOf: collapsed URL → its cluster's representative
+ */
+export function findDuplicateClusters(pages, dedupe) {
+	const parent = pages.map((_, i) => i);
+	const find = (i) => {
+		while (parent[i] !== i) {
+			parent[i] = parent[parent[i]];
+			i = parent[i];
+		}
+		return i;
+	};
+	const union = (a, b) => {
+		const ra = find(a);
+		const rb = find(b);
+		if (ra !== rb) parent[rb] = ra;
+	};
+
+	const indexByUrl = new Map(pages.map((p, i) => [p.url, i]));
+	const fingerprints = pages.map((page) => {
+		const words = contentWords(page.markdown);
+		return {
+			key: page.canonicalUrl || page.url,
+			text: words.join(" "),
+			hash: words.length >= dedupe.minWords ? simHash(words) : null,
+		};
+	});
+
+	const byKey = new Map();
+	const byText = new Map();
+	fingerprints.forEach((fp, i) => {
+		// Canonical: pages naming the same canonical, and the canonical page itself.
+		const target = indexByUrl.get(fp.key);
+		if (target != null && target !== i) union(target, i);
+		if (byKey.has(fp.key)) union(byKey.get(fp.key), i);
+		else byKey.set(fp.key, i);
+		if (!fp.text) return;
+		if (byText.has(fp.text)) union(byText.get(fp.text), i);
+		else byText.set(fp.text, i);
+	});
+	for (let i = 0; i < fingerprints.length; i++) {
+		if (!fingerprints[i].hash) continue;
+		for (let j = i + 1; j < fingerprints.length; j++) {
+			if (!fingerprints[j].hash || find(i) === find(j)) continue;
+			if (hammingDistance(fingerprints[i].hash, fingerprints[j].hash) <= dedupe.maxDistance) {
+				union(i, j);
+			}
+		}
+	}
+
+	const groups = new Map();
+	pages.forEach((_, i) => {
+		const root = find(i);
+		if (!groups.has(root)) groups.set(root, []);
+		groups.get(root).push(i);
+	});
+
+	const clusters = [];
+	const duplicateOf = new Map();
+	for (const members of groups.values()) {
+		if (members.length < 2) continue;
+		const isCanonicalTarget = (i) =>
+			members.some((j) => j !== i && fingerprints[j].key === pages[i].url);
+		const [rep] = [...members].sort(
+			(a, b) =>
+				Number(isCanonicalTarget(b)) - Number(isCanonicalTarget(a)) ||
+				(pages[a].depth ?? 0) - (pages[b].depth ?? 0) ||
+				queryParamCount(pages[a].url) - queryParamCount(pages[b].url) ||
+				pages[a].url.length - pages[b].url.length ||
+				a - b,
+		);
+		const repFp = fingerprints[rep];
+		const collapsed = members
+			.filter((i) => i !== rep)
+			.map((i) => {
+				const fp = fingerprints[i];
+				const distance = fp.hash && repFp.hash ? hammingDistance(fp.hash, repFp.hash) : null;
+				const reason =
+					fp.key === repFp.key || fp.key === pages[rep].url
+						? "canonical"
+						: fp.text && fp.text === repFp.text
+							? "exact"
+							: "near_duplicate";
+				duplicateOf.set(pages[i].url, pages[rep].url);
+				return {
+					url: pages[i].url,
+					reason,
+					similarity:
+						distance == null ? null : Number((1 - distance / SIMHASH_BITS).toFixed(4)),
+					...(fp.hash && { simhash: hashHex(fp.hash) }),
+				};
+			});
+		clusters.push({
+			representative: pages[rep].url,
+			size: members.length,
+			...(repFp.hash && { simhash: hashHex(repFp.hash) }),
+			members: collapsed,
+		});
+	}
+	clusters.sort((a, b) => b.size - a.size);
+	return { clusters, duplicateOf };
+}
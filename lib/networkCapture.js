@@ -0,0 +1,415 @@
+/**
+ * Network capture for /scrape (`captureNetwork: true | {...}`).
+ *
+ * Records requests and responses on the pooled Puppeteer page from navigation
+ * until extraction finishes, so the XHR/fetch JSON an SPA renders from can be
+ * read directly instead of reverse-engineered.
+ *
+ * Options:
+ *   format         "network" (default) — entries with parsed JSON bodies
+ *                  "har"                — HAR 1.2 log
+ *   resourceTypes  default ["xhr", "fetch"]; "all" records everything
+ *   urlFilter      substrings or "/regex/flags" strings; any match keeps the request
+ *   contentTypes   response MIME prefixes, e.g. ["application/json"]
+ *   maxBodyBytes   per-response body cap (default 256 KiB, max 5 MiB); larger
+ *                  declared bodies are not read at all, and all bodies of one
+ *                  capture share a MAX_TOTAL_BODY_BYTES budget
+ *   includeBodies  default true
+ *   includeRequestBodies  default false — POST bodies can carry credentials
+ *                  that header redaction does not reach
+ *   redactHeaders  extra header names to redact (auth/cookie headers always are)
+ *   maxEntries     default 500
+ */
+
+import { clampInt } from "./numbers.js";
+
+const DEFAULT_RESOURCE_TYPES = ["xhr", "fetch"];
+const DEFAULT_MAX_BODY_BYTES = 256 * 1024;
+const MAX_BODY_BYTES_LIMIT = 5 * 1024 * 1024;
+const DEFAULT_MAX_ENTRIES = 500;
+const MAX_ENTRIES_LIMIT = 2000;
+const MAX_TOTAL_BODY_BYTES = 20 * 1024 * 1024;
+/** How long finish() waits for in-flight body reads before giving up on them. */
+const BODY_SETTLE_TIMEOUT_MS = 3000;
+const REDACTED = "[REDACTED]";
+
+const ALWAYS_REDACTED_HEADERS = [
+	"authorization",
+	"proxy-authorization",
+	"cookie",
+	"set-cookie",
+	"x-api-key",
+	"x-auth-token",
+	"x-csrf-token",
+	"x-xsrf-token",
+];
+
+const TEXT_MIME = /^(text\/|application\/(json|.*\+json|javascript|xml|.*\+xml|x-www-form-urlencoded|graphql))/i;
+
+function toStringArray(value) {
+	if (value == null) return null;
+	return (Array.isArray(value) ? value : [value]).filter(
+		(v) => typeof v === "string" && v.length > 0,
+	);
+}
+
+/** "/api\/v\d/i" → RegExp; anything else → substring matcher. */
+function compileUrlFilter(pattern) {
+	const m = pattern.match(/^\/(.+)\/([a-z]*)$/);
+	if (m) {
+		const re = new RegExp(m[1], m[2]);
+		return (url) => re.test(url);
+	}
+	return (url) => url.includes(pattern);
+}
+
+/**
+ * Check a `captureNetwork` option from a request body.
+ * @returns {{ capture: Object|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeCaptureNetwork(option) {
+	if (option == null || option === false) return { capture: null, errors: [] };
+	const opts = option === true ? {} : option;
+	if (typeof opts !== "object" || Array.isArray(opts)) {
+		return {
+			capture: null,
+			errors: [{ path: "captureNetwork", message: "captureNetwork must be true or an object" }],
+		};
+	}
+
+	const errors = [];
+	const format = opts.format ?? "network";
+	if (format !== "network" && format !== "har") {
+		errors.push({ path: "captureNetwork.format", message: 'format must be "network" or "har"' });
+	}
+
+	const urlFilter = toStringArray(opts.urlFilter);
+	const urlMatchers = [];
+	for (const pattern of urlFilter || []) {
+		try {
+			urlMatchers.push(compileUrlFilter(pattern));
+		} catch (err) {
+			errors.push({ path: "captureNetwork.urlFilter", message: `Invalid pattern ${pattern}: ${err.message}` });
+		}
+	}
+
+	const resourceTypes =
+		opts.resourceTypes === "all" ? null : (toStringArray(opts.resourceTypes) ?? DEFAULT_RESOURCE_TYPES);
+	if (errors.length > 0) return { capture: null, errors };
+
+	return {
+		capture: {
+			format,
+			resourceTypes: resourceTypes?.map((t) => t.toLowerCase()) ?? null,
+			urlMatchers,
+			contentTypes: toStringArray(opts.contentTypes)?.map((t) => t.toLowerCase()) ?? null,
+			maxBodyBytes: clampInt(opts.maxBodyBytes, 0, MAX_BODY_BYTES_LIMIT, DEFAULT_MAX_BODY_BYTES),
+			includeBodies: opts.includeBodies !== false,
+			includeRequestBodies: opts.includeRequestBodies === true,
+			redactHeaders: new Set([
+				...ALWAYS_REDACTED_HEADERS,
+				...(toStringArray(opts.redactHeaders) || []).map((h) => h.toLowerCase()),
+			]),
+			maxEntries: clampInt(opts.maxEntries, 1, MAX_ENTRIES_LIMIT, DEFAULT_MAX_ENTRIES),
+		},
+		errors: [],
+	};
+}
+
+function redactHeaders(headers, redact) {
+	const out = {};
+	for (const [name, value] of Object.entries(headers || {})) {
+		out[name] = redact.has(name.toLowerCase()) ? REDACTED : value;
+	}
+	return out;
+}
+
+function mimeOf(headers) {
+	const ct = Object.entries(headers || {}).find(([k]) => k.toLowerCase() === "content-type")?.[1];
+	return String(ct || "").split(";")[0].trim().toLowerCase();
+}
+
+// ─── Recording ───────────────────────────────────────────────────────────────
+
+/**
+ * Start recording on a page. Call before navigation. Only observes — request
+ * interception (continue/abort) stays with the caller's own listener.
+ *
+ * @param {import('puppeteer-core').Page} page
+ * @param {Object} capture Output of normalizeCaptureNetwork
+ * @returns {{ finish: (pageUrl: string) => Promise<{ network?: Object[], har?: Object, networkStats: Object }> }}
+ */
+export function startNetworkCapture(page, capture) {
+	const startedAt = new Date();
+	/** @type {Map<import('puppeteer-core').HTTPRequest, Object>} */
+	const records = new Map();
+	const pendingBodies = new Set();
+	let dropped = 0;
+	let bodyBytes = 0;
+	let bodiesSkipped = 0;
+
+	const wanted = (request) => {
+		if (capture.resourceTypes && !capture.resourceTypes.includes(request.resourceType())) {
+			return false;
+		}
+		if (capture.urlMatchers.length > 0 && !capture.urlMatchers.some((m) => m(request.url()))) {
+			return false;
+		}
+		return true;
+	};
+
+	const onRequest = (request) => {
+		if (!wanted(request)) return;
+		if (records.size >= capture.maxEntries) {
+			dropped++;
+			return;
+		}
+		records.set(request, {
+			url: request.url(),
+			method: request.method(),
+			resourceType: request.resourceType(),
+			requestHeaders: redactHeaders(request.headers(), capture.redactHeaders),
+			requestBody: capture.includeRequestBodies ? (request.postData() ?? null) : null,
+			startedAt: Date.now(),
+			finishedAt: null,
+			status: null,
+			statusText: null,
+			responseHeaders: null,
+			mimeType: null,
+			fromCache: false,
+			serverIp: null,
+			timing: null,
+			body: null,
+			bodyEncoding: null,
+			bodySize: null,
+			bodyTruncated: false,
+			failed: null,
+		});
+	};
+
+	const onResponse = (response) => {
+		const record = records.get(response.request());
+		if (!record) return;
+		const headers = response.headers();
+		record.status = response.status();
+		record.statusText = response.statusText();
+		record.responseHeaders = redactHeaders(headers, capture.redactHeaders);
+		record.mimeType = mimeOf(headers);
+		record.fromCache = response.fromCache();
+		record.serverIp = response.remoteAddress?.()?.ip || null;
+		record.timing = response.timing?.() ?? null;
+	};
+
+	const onFinished = (request) => {
+		const record = records.get(request);
+		if (!record) return;
+		record.finishedAt = Date.now();
+		const response = request.response();
+		if (!response || !capture.includeBodies) return;
+		// Redirects and 204/304 have no body to read.
+		if (record.status >= 300 && record.status < 400) return;
+		if (record.status === 204) return;
+		// buffer() holds the whole body: skip what is declared too large or over the budget.
+		const declared = Number.parseInt(response.headers()["content-length"], 10);
+		if (declared > capture.maxBodyBytes || bodyBytes >= MAX_TOTAL_BODY_BYTES) {
+			record.bodySize = Number.isFinite(declared) ? declared : null;
+			record.bodyTruncated = true;
+			bodiesSkipped++;
+			return;
+		}
+		const read = response
+			.buffer()
+			.then((buf) => {
+				record.bodySize = buf.length;
+				const slice = buf.subarray(
+					0,
+					Math.min(capture.maxBodyBytes, Math.max(MAX_TOTAL_BODY_BYTES - bodyBytes, 0)),
+				);
+				bodyBytes += slice.length;
+				record.bodyTruncated = slice.length < buf.length;
+				if (TEXT_MIME.test(record.mimeType || "")) {
+					record.body = slice.toString("utf8");
+					record.bodyEncoding = null;
+				} else {
+					record.body = slice.toString("base64");
+					record.bodyEncoding = "base64";
+				}
+			})
+			.catch(() => {})
+			.finally(() => pendingBodies.delete(read));
+		pendingBodies.add(read);
+	};
+
+	const onFailed = (request) => {
+		const record = records.get(request);
+		if (!record) return;
+		record.finishedAt = Date.now();
+		record.failed = request.failure()?.errorText || "failed";
+	};
+
+	page.on("request", onRequest);
+	page.on("response", onResponse);
+	page.on("requestfinished", onFinished);
+	page.on("requestfailed", onFailed);
+
+	return {
+		async finish(pageUrl) {
+			page.off("request", onRequest);
+			page.off("response", onResponse);
+			page.off("requestfinished", onFinished);
+			page.off("requestfailed", onFailed);
+			await Promise.race([
+				Promise.allSettled([...pendingBodies]),
+				new Promise((r) => setTimeout(r, BODY_SETTLE_TIMEOUT_MS)),
+			]);
+
+			let entries = [...records.values()];
+			if (capture.contentTypes) {
+				entries = entries.filter(
+					(e) => e.mimeType && capture.contentTypes.some((t) => e.mimeType.startsWith(t)),
+				);
+			}
+			const networkStats = {
+				recorded: entries.length,
+				droppedOverLimit: dropped,
+				bodiesSkipped,
+				failed: entries.filter((e) => e.failed).length,
+			};
+			return capture.format === "har"
+				? { har: toHar(entries, { pageUrl, startedAt }), networkStats }
+				: { network: entries.map(toNetworkEntry), networkStats };
+		},
+	};
+}
+
+// ─── Output formats ──────────────────────────────────────────────────────────
+
+function parseJsonBody(entry) {
+	if (entry.body == null || entry.bodyEncoding || entry.bodyTruncated) return undefined;
+	if (!/json/.test(entry.mimeType || "")) return undefined;
+	try {
+		return JSON.parse(entry.body);
+	} catch {
+		return undefined;
+	}
+}
+
+function toNetworkEntry(entry) {
+	const json = parseJsonBody(entry);
+	return {
+		url: entry.url,
+		method: entry.method,
+		resourceType: entry.resourceType,
+		status: entry.status,
+		statusText: entry.statusText,
+		mimeType: entry.mimeType,
+		requestHeaders: entry.requestHeaders,
+		requestBody: entry.requestBody,
+		responseHeaders: entry.responseHeaders,
+		...(json !== undefined ? { json } : { body: entry.body, bodyEncoding: entry.bodyEncoding }),
+		bodySize: entry.bodySize,
+		bodyTruncated: entry.bodyTruncated,
+		fromCache: entry.fromCache,
+		failed: entry.failed,
+		startedAt: new Date(entry.startedAt).toISOString(),
+		durationMs: entry.finishedAt ? entry.finishedAt - entry.startedAt : null,
+	};
+}
+
+function harHeaders(headers) {
+	return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function harQueryString(url) {
+	try {
+		return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+	} catch {
+		return [];
+	}
+}
+
+/** CDP ResourceTiming → HAR timings (ms; -1 = not applicable). */
+function harTimings(entry) {
+	const t = entry.timing;
+	const total = entry.finishedAt ? entry.finishedAt - entry.startedAt : 0;
+	if (!t) {
+		return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+	}
+	const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(0, end - start) : -1);
+	const wait = span(t.sendEnd, t.receiveHeadersEnd);
+	const send = span(t.sendStart, t.sendEnd);
+	const receive = Math.max(0, total - Math.max(0, t.receiveHeadersEnd));
+	return {
+		blocked: -1,
+		dns: span(t.dnsStart, t.dnsEnd),
+		connect: span(t.connectStart, t.connectEnd),
+		ssl: span(t.sslStart, t.sslEnd),
+		send: send < 0 ? 0 : send,
+		wait: wait < 0 ? 0 : wait,
+		receive,
+	};
+}
+
+function toHar(entries, { pageUrl, startedAt }) {
+	const pageId = "page_1";
+	return {
+		log: {
+			version: "1.2",
+			creator: { name: "ihatereading-scraper", version: "1.0" },
+			pages: [
+				{
+					startedDateTime: startedAt.toISOString(),
+					id: pageId,
+					title: pageUrl,
+					pageTimings: { onContentLoad: -1, onLoad: -1 },
+				},
+			],
+			entries: entries.map((e) => {
+				const time = e.finishedAt ? e.finishedAt - e.startedAt : 0;
+				const reqMime = mimeOf(e.requestHeaders) || "application/octet-stream";
+				const location = Object.entries(e.responseHeaders || {}).find(
+					([k]) => k.toLowerCase() === "location",
+				)?.[1];
+				return {
+					pageref: pageId,
+					startedDateTime: new Date(e.startedAt).toISOString(),
+					time,
+					request: {
+						method: e.method,
+						url: e.url,
+						httpVersion: "HTTP/1.1",
+						cookies: [],
+						headers: harHeaders(e.requestHeaders),
+						queryString: harQueryString(e.url),
+						...(e.requestBody != null && {
+							postData: { mimeType: reqMime, text: e.requestBody },
+						}),
+						headersSize: -1,
+						bodySize: e.requestBody != null ? Buffer.byteLength(e.requestBody) : 0,
+					},
+					response: {
+						status: e.status ?? 0,
+						statusText: e.statusText || e.failed || "",
+						httpVersion: "HTTP/1.1",
+						cookies: [],
+						headers: harHeaders(e.responseHeaders),
+						content: {
+							size: e.bodySize ?? 0,
+							mimeType: e.mimeType || "x-unknown",
+							...(e.body != null && { text: e.body }),
+							...(e.bodyEncoding && { encoding: e.bodyEncoding }),
+							...(e.bodyTruncated && { comment: "truncated to maxBodyBytes" }),
+						},
+						redirectURL: location || "",
+						headersSize: -1,
+						bodySize: e.bodySize ?? -1,
+					},
+					cache: {},
+					timings: harTimings(e),
+					...(e.serverIp && { serverIPAddress: e.serverIp }),
+					...(e.failed && { comment: e.failed }),
+				};
+			}),
+		},
+	};
+}
@@ -0,0 +1,10 @@
+/**
+ * Number parsing shared by the request-option normalizers.
+ */
+
+/** `value` as an integer clamped to [min, max]; `fallback` when it is not a number. */
+export function clampInt(value, min, max, fallback) {
+	const n = Number.parseInt(value, 10);
+	if (!Number.isFinite(n)) return fallback;
+	return Math.min(Math.max(n, min), max);
+}
@@ -0,0 +1,251 @@
+/**
+ * Pre-scrape page actions for /scrape and /scrape-multiple (`actions: [...]`).
+ * Steps run in order on the pooled Puppeteer page after navigation and before
+ * extraction, so content behind "Load more" buttons, tabs, accordions or
+ * search boxes is in the DOM when we read it.
+ *
+ * Supported steps:
+ *   { type: "click", selector, clickCount?, waitForNavigation? }
+ *   { type: "type", selector, text, delay?, clear? }
+ *   { type: "press", key, selector? }
+ *   { type: "scroll", direction?: "down"|"up"|"bottom"|"top", amount?, times?, delay?, selector? }
+ *   { type: "waitForSelector", selector, timeout?, visible? }
+ *   { type: "waitForTimeout", ms }
+ *   { type: "evaluate", script }   // async function body; its return value is reported
+ *
+ * Any step may set `optional: true` to keep going when it fails. Otherwise the
+ * first failure stops the script and later steps are reported as "skipped".
+ */
+
+const MAX_PAGE_ACTIONS = 50;
+const MAX_ACTION_TIMEOUT_MS = 30_000;
+const DEFAULT_ACTION_TIMEOUT_MS = 10_000;
+const MAX_WAIT_MS = 15_000;
+const MAX_SCROLL_TIMES = 50;
+const MAX_EVALUATE_RESULT_CHARS = 10_000;
+
+const REQUIRED_FIELDS = {
+	click: ["selector"],
+	type: ["selector", "text"],
+	press: ["key"],
+	scroll: [],
+	waitForSelector: ["selector"],
+	waitForTimeout: ["ms"],
+	evaluate: ["script"],
+};
+
+function sleep(ms) {
+	return new Promise((r) => setTimeout(r, ms));
+}
+
+function clampMs(value, fallback, max) {
+	const n = Number(value);
+	if (!Number.isFinite(n) || n < 0) return fallback;
+	return Math.min(n, max);
+}
+
+/**
+ * Check an `actions` array from a request body.
+ * @returns {{ actions: Object[], errors: Array<{index: number, message: string}> }}
+ */
+export function normalizePageActions(actions) {
+	if (actions == null) return { actions: [], errors: [] };
+	if (!Array.isArray(actions)) {
+		return {
+			actions: [],
+			errors: [{ index: -1, message: "actions must be an array" }],
+		};
+	}
+	if (actions.length > MAX_PAGE_ACTIONS) {
+		return {
+			actions: [],
+			errors: [{ index: -1, message: `Maximum ${MAX_PAGE_ACTIONS} actions` }],
+		};
+	}
+
+	const errors = [];
+	actions.forEach((step, index) => {
+		if (!step || typeof step !== "object" || Array.isArray(step)) {
+			errors.push({ index, message: "Action must be an object" });
+			return;
+		}
+		const required = REQUIRED_FIELDS[step.type];
+		if (!required) {
+			errors.push({
+				index,
+				message: `Unknown action type "${step.type}". Use one of: ${Object.keys(REQUIRED_FIELDS).join(", ")}`,
+			});
+			return;
+		}
+		for (const field of required) {
+			if (step[field] === undefined || step[field] === null || step[field] === "") {
+				errors.push({ index, message: `${step.type} requires "${field}"` });
+			}
+		}
+		if (step.type === "evaluate" && typeof step.script !== "string") {
+			errors.push({ index, message: "evaluate.script must be a string" });
+		}
+		if (
+			step.type === "scroll" &&
+			step.direction !== undefined &&
+			!["down", "up", "bottom", "top"].includes(step.direction)
+		) {
+			errors.push({
+				index,
+				message: 'scroll.direction must be "down", "up", "bottom" or "top"',
+			});
+		}
+	});
+	return { actions: errors.length ? [] : actions, errors };
+}
+
+function truncateEvaluateResult(value) {
+	if (value === undefined) return null;
+	let json;
+	try {
+		json = JSON.stringify(value);
+	} catch {
+		return String(value).slice(0, MAX_EVALUATE_RESULT_CHARS);
+	}
+	if (json === undefined) return null;
+	if (json.length <= MAX_EVALUATE_RESULT_CHARS) return value;
+	return json.slice(0, MAX_EVALUATE_RESULT_CHARS);
+}
+
+async function runStep(page, step, defaultTimeout) {
+	const timeout = clampMs(step.timeout, defaultTimeout, MAX_ACTION_TIMEOUT_MS);
+
+	switch (step.type) {
+		case "click": {
+			await page.waitForSelector(step.selector, { visible: true, timeout });
+			const clickCount = Math.max(1, Math.min(Number(step.clickCount) || 1, 3));
+			if (step.waitForNavigation) {
+				await Promise.all([
+					page
+						.waitForNavigation({ waitUntil: "domcontentloaded", timeout })
+						.catch(() => {}),
+					page.click(step.selector, { clickCount, delay: 40 }),
+				]);
+			} else {
+				await page.click(step.selector, { clickCount, delay: 40 });
+			}
+			return null;
+		}
+		case "type": {
+			await page.waitForSelector(step.selector, { visible: true, timeout });
+			if (step.clear) {
+				await page.$eval(step.selector, (el) => {
+					if ("value" in el) el.value = "";
+					else el.textContent = "";
+				});
+			}
+			await page.type(step.selector, String(step.text), {
+				delay: clampMs(step.delay, 30, 500),
+			});
+			return null;
+		}
+		case "press": {
+			if (step.selector) {
+				await page.waitForSelector(step.selector, { timeout });
+				await page.focus(step.selector);
+			}
+			await page.keyboard.press(String(step.key));
+			return null;
+		}
+		case "scroll": {
+			const times = Math.max(1, Math.min(Number(step.times) || 1, MAX_SCROLL_TIMES));
+			const delay = clampMs(step.delay, 500, 5000);
+			for (let i = 0; i < times; i++) {
+				await page.evaluate(
+					({ direction, amount, selector }) => {
+						const target = selector ? document.querySelector(selector) : null;
+						const el = target || document.scrollingElement || document.body;
+						const by = Number(amount) || window.innerHeight * 0.9;
+						if (direction === "bottom") el.scrollTo(0, el.scrollHeight);
+						else if (direction === "top") el.scrollTo(0, 0);
+						else el.scrollBy(0, direction === "up" ? -by : by);
+					},
+					{
+						direction: step.direction || "down",
+						amount: step.amount,
+						selector: step.selector || null,
+					},
+				);
+				await sleep(delay);
+			}
+			return null;
+		}
+		case "waitForSelector": {
+			await page.waitForSelector(step.selector, {
+				timeout,
+				visible: Boolean(step.visible),
+			});
+			return null;
+		}
+		case "waitForTimeout": {
+			await sleep(clampMs(step.ms, 0, MAX_WAIT_MS));
+			return null;
+		}
+		case "evaluate": {
+			const value = await Promise.race([
+				// String form goes through CDP Runtime.evaluate, so page CSP
+				// (no unsafe-eval) doesn't block it the way new Function() would.
+				page.evaluate(`(async () => {\n${step.script}\n})()`),
+				sleep(timeout).then(() => {
+					throw new Error(`evaluate timed out after ${timeout}ms`);
+				}),
+			]);
+			return truncateEvaluateResult(value);
+		}
+		default:
+			throw new Error(`Unknown action type "${step.type}"`);
+	}
+}
+
+/**
+ * Run actions in order. Never throws; each step's outcome is returned so the
+ * response shows exactly which step failed.
+ *
+ * @param {import('puppeteer-core').Page} page
+ * @param {Object[]} actions Output of normalizePageActions
+ * @param {{ timeout?: number }} [opts] Default per-step timeout
+ * @returns {Promise<Array<{index: number, type: string, status: "ok"|"failed"|"skipped", durationMs: number, error?: string, result?: any}>>}
+ */
+export async function runPageActions(page, actions, { timeout } = {}) {
+	const defaultTimeout = clampMs(
+		timeout,
+		DEFAULT_ACTION_TIMEOUT_MS,
+		MAX_ACTION_TIMEOUT_MS,
+	);
+	const results = [];
+	let stopped = false;
+
+	for (let index = 0; index < actions.length; index++) {
+		const step = actions[index];
+		if (stopped) {
+			results.push({ index, type: step.type, status: "skipped", durationMs: 0 });
+			continue;
+		}
+		const t0 = Date.now();
+		try {
+			const value = await runStep(page, step, defaultTimeout);
+			results.push({
+				index,
+				type: step.type,
+				status: "ok",
+				durationMs: Date.now() - t0,
+				...(step.type === "evaluate" && { result: value }),
+			});
+		} catch (err) {
+			results.push({
+				index,
+				type: step.type,
+				status: "failed",
+				durationMs: Date.now() - t0,
+				error: err?.message || String(err),
+			});
+			if (!step.optional) stopped = true;
+		}
+	}
+	return results;
+}
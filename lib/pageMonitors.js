@@ -0,0 +1,689 @@
+/**
+ * Page change monitors (POST /monitors …).
+ *
+ * A monitor re-scrapes one URL (optionally narrowed to a CSS `scope`) on a
+ * schedule. Every content change is stored as a snapshot with its markdown and
+ * a line/section diff against the previous snapshot; unchanged checks only bump
+ * the monitor's counters. When a change scores at least `minChangeScore`, the
+ * monitor's webhook and/or email (Resend) are notified.
+ *
+ * Storage: Firestore `pageMonitors/{id}` with a `snapshots` subcollection.
+ * Scheduling: an in-process ticker claims due monitors with a transaction on
+ * `nextRunAtMs`, so several instances can run the ticker without double runs.
+ * Set MONITOR_SCHEDULER=off to disable the ticker on an instance.
+ */
+
+import crypto from "crypto";
+import { Timestamp, FieldValue } from "firebase-admin/firestore";
+import { Resend } from "resend";
+import { firestore } from "../config/firebase.js";
+import { diffMarkdown } from "./markdownDiff.js";
+import { safeFetch } from "./ssrfGuard.js";
+import { clampInt } from "./numbers.js";
+
+const MONITORS_COLL = "pageMonitors";
+const SNAPSHOTS_SUBCOLL = "snapshots";
+
+export const MONITOR_SCHEDULES = { hourly: 60, daily: 24 * 60, weekly: 7 * 24 * 60 };
+
+const MIN_INTERVAL_MINUTES =
+	parseInt(process.env.MONITOR_MIN_INTERVAL_MINUTES, 10) || 5;
+const MAX_INTERVAL_MINUTES = 30 * 24 * 60;
+const MAX_MONITORS_PER_USER =
+	parseInt(process.env.MONITOR_MAX_PER_USER, 10) || 50;
+const MONITOR_TICK_MS = 60 * 1000;
+const MONITOR_TICK_BATCH = 5;
+/**
+ * Firestore documents cap at 1 MiB (UTF-8 bytes). Markdown and diff share one
+ * budget under that, leaving room for the other snapshot fields.
+ */
+const MAX_SNAPSHOT_BYTES = 900_000;
+const MAX_SNAPSHOT_MARKDOWN_BYTES = 600_000;
+const MAX_STORED_DIFF_LINE_CHARS = 1000;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const HISTORY_PAGE_MAX = 50;
+
+const resend = process.env.RESEND_API_KEY
+	? new Resend(process.env.RESEND_API_KEY)
+	: null;
+
+/**
+ * @typedef {Object} PageMonitor
+ * @property {string} id
+ * @property {string} ownerId
+ * @property {string} url
+ * @property {string|null} scope            CSS selector the markdown is limited to
+ * @property {string|null} waitForSelector
+ * @property {boolean} respectRobots
+ * @property {number} intervalMinutes
+ * @property {number} minChangeScore       0–1; lower-scoring changes are stored but not notified
+ * @property {string|null} webhookUrl
+ * @property {string|null} email
+ * @property {boolean} active
+ * @property {number|null} nextRunAtMs     null while paused
+ * @property {string|null} lastSnapshotId
+ * @property {string|null} lastContentHash
+ */
+
+function generateMonitorId() {
+	return crypto.randomBytes(12).toString("base64url").slice(0, 16);
+}
+
+function isHttpUrl(value) {
+	if (!value || typeof value !== "string") return false;
+	try {
+		const u = new URL(value);
+		return u.protocol === "http:" || u.protocol === "https:";
+	} catch {
+		return false;
+	}
+}
+
+function hashMarkdown(markdown) {
+	return crypto.createHash("sha256").update(markdown).digest("hex");
+}
+
+// ─── Input ───────────────────────────────────────────────────────────────────
+
+/**
+ * Validate a create (or, with `partial`, update) body.
+ * `schedule` is a preset ("hourly" | "daily" | "weekly") or `intervalMinutes`.
+ * @returns {{ fields: Object, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeMonitorInput(body = {}, { partial = false } = {}) {
+	const fields = {};
+	const errors = [];
+	const has = (key) => body[key] !== undefined;
+
+	if (!partial || has("url")) {
+		if (!isHttpUrl(body.url)) {
+			errors.push({ path: "url", message: "url must be an http(s) URL" });
+		} else {
+			fields.url = body.url;
+		}
+	}
+
+	for (const key of ["scope", "waitForSelector"]) {
+		if (!has(key)) continue;
+		if (body[key] === null || body[key] === "") {
+			fields[key] = null;
+		} else if (typeof body[key] !== "string") {
+			errors.push({ path: key, message: `${key} must be a CSS selector string` });
+		} else {
+			fields[key] = body[key].trim();
+		}
+	}
+
+	if (has("schedule") && has("intervalMinutes")) {
+		errors.push({
+			path: "schedule",
+			message: "Use either schedule or intervalMinutes, not both",
+		});
+	} else if (has("schedule")) {
+		if (!MONITOR_SCHEDULES[body.schedule]) {
+			errors.push({
+				path: "schedule",
+				message: `schedule must be one of: ${Object.keys(MONITOR_SCHEDULES).join(", ")}`,
+			});
+		} else {
+			fields.intervalMinutes = MONITOR_SCHEDULES[body.schedule];
+		}
+	} else if (has("intervalMinutes")) {
+		const n = Number(body.intervalMinutes);
+		if (
+			!Number.isInteger(n) ||
+			n < MIN_INTERVAL_MINUTES ||
+			n > MAX_INTERVAL_MINUTES
+		) {
+			errors.push({
+				path: "intervalMinutes",
+				message: `intervalMinutes must be an integer between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`,
+			});
+		} else {
+			fields.intervalMinutes = n;
+		}
+	} else if (!partial) {
+		fields.intervalMinutes = MONITOR_SCHEDULES.daily;
+	}
+
+	if (has("minChangeScore")) {
+		const n = Number(body.minChangeScore);
+		if (!Number.isFinite(n) || n < 0 || n > 1) {
+			errors.push({
+				path: "minChangeScore",
+				message: "minChangeScore must be a number between 0 and 1",
+			});
+		} else {
+			fields.minChangeScore = n;
+		}
+	} else if (!partial) {
+		fields.minChangeScore = 0;
+	}
+
+	if (has("webhookUrl")) {
+		if (body.webhookUrl === null || body.webhookUrl === "") {
+			fields.webhookUrl = null;
+		} else if (!isHttpUrl(body.webhookUrl)) {
+			errors.push({ path: "webhookUrl", message: "webhookUrl must be an http(s) URL" });
+		} else {
+			fields.webhookUrl = body.webhookUrl;
+		}
+	}
+
+	if (has("email")) {
+		if (body.email === null || body.email === "") {
+			fields.email = null;
+		} else if (
+			typeof body.email !== "string" ||
+			!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email.trim())
+		) {
+			errors.push({ path: "email", message: "email must be an email address" });
+		} else {
+			fields.email = body.email.trim();
+		}
+	}
+
+	for (const key of ["active", "respectRobots"]) {
+		if (!has(key)) continue;
+		if (typeof body[key] !== "boolean") {
+			errors.push({ path: key, message: `${key} must be a boolean` });
+		} else {
+			fields[key] = body[key];
+		}
+	}
+
+	return { fields, errors };
+}
+
+// ─── CRUD ────────────────────────────────────────────────────────────────────
+
+function monitorsColl() {
+	return firestore.collection(MONITORS_COLL);
+}
+
+/** Public shape for API responses. */
+export function publicMonitor(data) {
+	return {
+		id: data.id,
+		url: data.url,
+		scope: data.scope ?? null,
+		waitForSelector: data.waitForSelector ?? null,
+		respectRobots: Boolean(data.respectRobots),
+		intervalMinutes: data.intervalMinutes,
+		minChangeScore: data.minChangeScore ?? 0,
+		webhookUrl: data.webhookUrl ?? null,
+		email: data.email ?? null,
+		active: Boolean(data.active),
+		nextRunAt: data.nextRunAtMs ?? null,
+		lastRunAt: data.lastRunAt?.toMillis?.() ?? null,
+		lastStatus: data.lastStatus ?? null,
+		lastError: data.lastError ?? null,
+		lastChangedAt: data.lastChangedAt?.toMillis?.() ?? null,
+		lastChangeScore: data.lastChangeScore ?? null,
+		lastSnapshotId: data.lastSnapshotId ?? null,
+		checkCount: data.checkCount ?? 0,
+		snapshotCount: data.snapshotCount ?? 0,
+		createdAt: data.createdAt?.toMillis?.() ?? null,
+		updatedAt: data.updatedAt?.toMillis?.() ?? null,
+	};
+}
+
+/**
+ * Create a monitor for `ownerId`. Its first check (the baseline snapshot) is
+ * due immediately. Throws when the owner is at MONITOR_MAX_PER_USER.
+ * @returns {Promise<PageMonitor>}
+ */
+export async function createMonitor(ownerId, fields) {
+	const existing = await monitorsColl()
+		.where("ownerId", "==", ownerId)
+		.count()
+		.get();
+	if (existing.data().count >= MAX_MONITORS_PER_USER) {
+		throw new Error(`Maximum ${MAX_MONITORS_PER_USER} monitors per user`);
+	}
+
+	const id = generateMonitorId();
+	const active = fields.active ?? true;
+	const monitor = {
+		id,
+		ownerId,
+		url: fields.url,
+		scope: fields.scope ?? null,
+		waitForSelector: fields.waitForSelector ?? null,
+		respectRobots: fields.respectRobots ?? false,
+		intervalMinutes: fields.intervalMinutes,
+		minChangeScore: fields.minChangeScore ?? 0,
+		webhookUrl: fields.webhookUrl ?? null,
+		email: fields.email ?? null,
+		active,
+		nextRunAtMs: active ? Date.now() : null,
+		lastRunAt: null,
+		lastStatus: null,
+		lastError: null,
+		lastChangedAt: null,
+		lastChangeScore: null,
+		lastSnapshotId: null,
+		lastContentHash: null,
+		checkCount: 0,
+		snapshotCount: 0,
+		createdAt: Timestamp.now(),
+		updatedAt: Timestamp.now(),
+	};
+	await monitorsColl().doc(id).set(monitor);
+	return monitor;
+}
+
+/** @returns {Promise<PageMonitor|null>} null when missing or owned by someone else */
+export async function getMonitor(ownerId, id) {
+	const snap = await monitorsColl().doc(id).get();
+	if (!snap.exists) return null;
+	const data = snap.data();
+	return data.ownerId === ownerId ? data : null;
+}
+
+export async function listMonitors(ownerId) {
+	const snap = await monitorsColl()
+		.where("ownerId", "==", ownerId)
+		.limit(MAX_MONITORS_PER_USER)
+		.get();
+	return snap.docs
+		.map((d) => d.data())
+		.sort((a, b) => (b.createdAt?.toMillis?.() ?? 0) - (a.createdAt?.toMillis?.() ?? 0));
+}
+
+/**
+ * Apply validated fields. Pausing clears the schedule; resuming or changing the
+ * interval makes the next check due one interval from now. Changing the URL or
+ * scope starts a new baseline.
+ * @returns {Promise<PageMonitor|null>}
+ */
+export async function updateMonitor(ownerId, id, fields) {
+	const current = await getMonitor(ownerId, id);
+	if (!current) return null;
+
+	const next = { ...fields, updatedAt: Timestamp.now() };
+	const active = fields.active ?? current.active;
+	const interval = fields.intervalMinutes ?? current.intervalMinutes;
+	const retargeted =
+		(fields.url !== undefined && fields.url !== current.url) ||
+		(fields.scope !== undefined && fields.scope !== current.scope);
+
+	if (!active) {
+		next.nextRunAtMs = null;
+	} else if (retargeted) {
+		next.nextRunAtMs = Date.now();
+	} else if (!current.active || fields.intervalMinutes !== undefined) {
+		next.nextRunAtMs = Date.now() + interval * 60 * 1000;
+	}
+	if (retargeted) {
+		next.lastSnapshotId = null;
+		next.lastContentHash = null;
+	}
+
+	await monitorsColl().doc(id).update(next);
+	return { ...current, ...next };
+}
+
+/** Delete a monitor and its snapshots. @returns {Promise<boolean>} */
+export async function deleteMonitor(ownerId, id) {
+	const current = await getMonitor(ownerId, id);
+	if (!current) return false;
+	const ref = monitorsColl().doc(id);
+	await firestore.recursiveDelete(ref);
+	return true;
+}
+
+/**
+ * Newest-first snapshot history. `cursor` is the last snapshot id of the previous page.
+ * Markdown bodies are omitted unless `includeMarkdown` is set.
+ */
+export async function listMonitorSnapshots(
+	id,
+	{ limit, cursor, includeMarkdown = false } = {},
+) {
+	const size = clampInt(limit, 1, HISTORY_PAGE_MAX, 20);
+	const coll = monitorsColl().doc(id).collection(SNAPSHOTS_SUBCOLL);
+	let query = coll.orderBy("takenAt", "desc").limit(size + 1);
+	if (cursor) {
+		const after = await coll.doc(String(cursor)).get();
+		if (after.exists) query = query.startAfter(after);
+	}
+	const snap = await query.get();
+	const docs = snap.docs.slice(0, size);
+	return {
+		snapshots: docs.map((d) => {
+			const s = d.data();
+			return {
+				id: s.id,
+				takenAt: s.takenAt?.toMillis?.() ?? null,
+				trigger: s.trigger,
+				baseline: Boolean(s.baseline),
+				contentHash: s.contentHash,
+				changeScore: s.changeScore ?? null,
+				diff: s.diff ?? null,
+				notifications: s.notifications ?? [],
+				markdownTruncated: Boolean(s.markdownTruncated),
+				...(includeMarkdown && { markdown: s.markdown }),
+			};
+		}),
+		nextCursor: snap.docs.length > size ? docs[docs.length - 1].id : null,
+	};
+}
+
+// ─── Notifications ───────────────────────────────────────────────────────────
+
+function notificationPayload(monitor, snapshot) {
+	return {
+		event: "monitor.changed",
+		monitorId: monitor.id,
+		url: monitor.url,
+		scope: monitor.scope ?? null,
+		snapshotId: snapshot.id,
+		detectedAt: snapshot.takenAt.toMillis(),
+		changeScore: snapshot.changeScore,
+		diff: snapshot.diff,
+	};
+}
+
+async function sendWebhook(monitor, payload) {
+	try {
+		const res = await safeFetch(monitor.webhookUrl, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(payload),
+			signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+		});
+		await res.body?.cancel().catch(() => {});
+		return {
+			channel: "webhook",
+			ok: res.ok,
+			status: res.status,
+			...(!res.ok && { error: `Webhook responded ${res.status}` }),
+		};
+	} catch (err) {
+		return { channel: "webhook", ok: false, error: err?.message || "Webhook failed" };
+	}
+}
+
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;");
+}
+
+async function sendEmail(monitor, payload) {
+	if (!resend || !process.env.MONITOR_EMAIL_FROM) {
+		return {
+			channel: "email",
+			ok: false,
+			error: "Email not configured (RESEND_API_KEY / MONITOR_EMAIL_FROM)",
+		};
+	}
+	const { diff } = payload;
+	const sectionItems = diff.sections
+		.slice(0, 20)
+		.map(
+			(s) =>
+				`<li>${escapeHtml(s.heading)} — ${s.status} (+${s.added} / -${s.removed})</li>`,
+		)
+		.join("");
+	const lineItems = diff.lines
+		.slice(0, 40)
+		.map((l) => `${l.op} ${escapeHtml(l.text)}`)
+		.join("\n");
+	try {
+		const { error } = await resend.emails.send({
+			from: process.env.MONITOR_EMAIL_FROM,
+			to: monitor.email,
+			subject: `Change detected: ${monitor.url}`,
+			html: `<p><a href="${escapeHtml(monitor.url)}">${escapeHtml(monitor.url)}</a> changed (score ${payload.changeScore}).</p>${sectionItems ? `<ul>${sectionItems}</ul>` : ""}<pre>${lineItems}</pre>`,
+		});
+		if (error) return { channel: "email", ok: false, error: error.message };
+		return { channel: "email", ok: true };
+	} catch (err) {
+		return { channel: "email", ok: false, error: err?.message || "Email failed" };
+	}
+}
+
+async function notifyChange(monitor, snapshot) {
+	const payload = notificationPayload(monitor, snapshot);
+	const sends = [];
+	if (monitor.webhookUrl) sends.push(sendWebhook(monitor, payload));
+	if (monitor.email) sends.push(sendEmail(monitor, payload));
+	return Promise.all(sends);
+}
+
+// ─── Runs ────────────────────────────────────────────────────────────────────
+
+/** `text` cut to at most `maxBytes` of UTF-8 without splitting a character. */
+function truncateUtf8(text, maxBytes) {
+	const bytes = Buffer.from(text, "utf8");
+	if (bytes.length <= maxBytes) return { text, truncated: false };
+	let end = maxBytes;
+	// Back up over continuation bytes (10xxxxxx) to a character boundary.
+	while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+	return { text: bytes.subarray(0, end).toString("utf8"), truncated: true };
+}
+
+/** The diff as stored on a snapshot: sections and lines kept while they fit `maxBytes`. */
+function storedDiff(diff, maxBytes) {
+	let budget = maxBytes - Buffer.byteLength(JSON.stringify(diff.stats)) - 100;
+	let truncated = diff.truncated;
+	const take = (items) => {
+		const kept = [];
+		for (const item of items) {
+			const size = Buffer.byteLength(JSON.stringify(item)) + 1;
+			if (size > budget) {
+				truncated = true;
+				break;
+			}
+			budget -= size;
+			kept.push(item);
+		}
+		return kept;
+	};
+	const sections = take(diff.sections);
+	const lines = take(
+		diff.lines.map((l) => ({ op: l.op, text: l.text.slice(0, MAX_STORED_DIFF_LINE_CHARS) })),
+	);
+	return { stats: diff.stats, sections, lines, truncated };
+}
+
+/**
+ * Check one monitor now: scrape, compare against the last snapshot, store a
+ * new snapshot if the content changed and notify. Never throws — scrape and
+ * storage failures are recorded as `lastStatus: "failed"` (as far as the
+ * monitor document can still be written).
+ *
+ * @param {PageMonitor} monitor
+ * @param {Object} params
+ * @param {(url: string, options: Object) => Promise<Object>} params.scrapeUrl
+ * @param {"schedule"|"manual"} [params.trigger]
+ * @returns {Promise<{ status: "baseline"|"changed"|"unchanged"|"failed", snapshotId: string|null, changeScore: number|null, diff: Object|null, notifications: Object[], error: string|null }>}
+ */
+export async function runMonitor(monitor, params) {
+	try {
+		return await checkMonitor(monitor, params);
+	} catch (err) {
+		const error = `Monitor check failed: ${err?.message || "storage error"}`;
+		await monitorsColl()
+			.doc(monitor.id)
+			.update({ lastRunAt: Timestamp.now(), lastStatus: "failed", lastError: error })
+			.catch(() => {});
+		return { status: "failed", snapshotId: null, changeScore: null, diff: null, notifications: [], error };
+	}
+}
+
+async function checkMonitor(monitor, { scrapeUrl, trigger = "schedule" }) {
+	const ref = monitorsColl().doc(monitor.id);
+	const runUpdate = {
+		lastRunAt: Timestamp.now(),
+		checkCount: FieldValue.increment(1),
+	};
+
+	let markdown;
+	try {
+		const result = await scrapeUrl(monitor.url, {
+			scope: monitor.scope,
+			waitForSelector: monitor.waitForSelector,
+			respectRobots: monitor.respectRobots,
+			cache: "bypass",
+			includeSemanticContent: false,
+			includeImages: false,
+			includeLinks: false,
+			extractMetadata: false,
+		});
+		if (result?.success === false) {
+			throw new Error(result.code || result.error || "Scraping failed");
+		}
+		if (monitor.scope && result.scope?.matched === 0) {
+			throw new Error(`Scope "${monitor.scope}" matched no elements`);
+		}
+		markdown = String(result.markdown || "");
+	} catch (err) {
+		const error = err?.message || "Scraping failed";
+		await ref.update({ ...runUpdate, lastStatus: "failed", lastError: error });
+		return { status: "failed", snapshotId: null, changeScore: null, diff: null, notifications: [], error };
+	}
+
+	const capped = truncateUtf8(markdown, MAX_SNAPSHOT_MARKDOWN_BYTES);
+	markdown = capped.text;
+	const markdownTruncated = capped.truncated;
+	const contentHash = hashMarkdown(markdown);
+	const unchanged = { status: "unchanged", snapshotId: monitor.lastSnapshotId, changeScore: 0, diff: null, notifications: [], error: null };
+
+	if (monitor.lastSnapshotId && contentHash === monitor.lastContentHash) {
+		await ref.update({ ...runUpdate, lastStatus: "unchanged", lastError: null });
+		return unchanged;
+	}
+
+	let diff = null;
+	if (monitor.lastSnapshotId) {
+		const prev = await ref
+			.collection(SNAPSHOTS_SUBCOLL)
+			.doc(monitor.lastSnapshotId)
+			.get();
+		diff = diffMarkdown(prev.exists ? prev.data().markdown : "", markdown);
+		// Whitespace-only changes: remember the new hash, keep the old snapshot.
+		if (!diff.changed) {
+			await ref.update({
+				...runUpdate,
+				lastStatus: "unchanged",
+				lastError: null,
+				lastContentHash: contentHash,
+			});
+			return unchanged;
+		}
+	}
+
+	const snapshot = {
+		id: generateMonitorId(),
+		takenAt: Timestamp.now(),
+		trigger,
+		baseline: !diff,
+		contentHash,
+		markdown,
+		markdownTruncated,
+		changeScore: diff ? diff.changeScore : null,
+		diff: diff
+			? storedDiff(diff, MAX_SNAPSHOT_BYTES - Buffer.byteLength(markdown, "utf8"))
+			: null,
+		notifications: [],
+	};
+	const snapshotRef = ref.collection(SNAPSHOTS_SUBCOLL).doc(snapshot.id);
+	try {
+		await snapshotRef.set(snapshot);
+	} catch (err) {
+		const error = `Could not store snapshot: ${err?.message || "write failed"}`;
+		await ref.update({ ...runUpdate, lastStatus: "failed", lastError: error });
+		return { status: "failed", snapshotId: null, changeScore: null, diff: null, notifications: [], error };
+	}
+	await ref.update({
+		...runUpdate,
+		lastStatus: diff ? "changed" : "baseline",
+		lastError: null,
+		lastSnapshotId: snapshot.id,
+		lastContentHash: contentHash,
+		snapshotCount: FieldValue.increment(1),
+		...(diff && {
+			lastChangedAt: snapshot.takenAt,
+			lastChangeScore: diff.changeScore,
+		}),
+	});
+
+	let notifications = [];
+	if (diff && diff.changeScore >= (monitor.minChangeScore ?? 0)) {
+		notifications = await notifyChange(monitor, snapshot);
+		if (notifications.length > 0) {
+			// The snapshot is stored; a failed bookkeeping write must not turn it into a failure.
+			await snapshotRef
+				.update({ notifications })
+				.catch((err) => console.warn(`[monitor ${monitor.id}] notifications not saved:`, err?.message));
+		}
+	}
+
+	return {
+		status: diff ? "changed" : "baseline",
+		snapshotId: snapshot.id,
+		changeScore: snapshot.changeScore,
+		diff: snapshot.diff,
+		notifications,
+		error: null,
+	};
+}
+
+// ─── Scheduler ───────────────────────────────────────────────────────────────
+
+let schedulerTimer = null;
+let ticking = false;
+
+/** Move `nextRunAtMs` forward in a transaction; only the instance that wins runs the check. */
+async function claimDueMonitor(ref, now) {
+	return firestore.runTransaction(async (tx) => {
+		const snap = await tx.get(ref);
+		if (!snap.exists) return null;
+		const m = snap.data();
+		if (!m.active || m.nextRunAtMs == null || m.nextRunAtMs > now) return null;
+		tx.update(ref, { nextRunAtMs: now + m.intervalMinutes * 60 * 1000 });
+		return m;
+	});
+}
+
+async function tick(scrapeUrl) {
+	if (ticking) return;
+	ticking = true;
+	try {
+		const now = Date.now();
+		const due = await monitorsColl()
+			.where("nextRunAtMs", "<=", now)
+			.limit(MONITOR_TICK_BATCH)
+			.get();
+		for (const doc of due.docs) {
+			// One monitor's failure must not hold up the rest of the batch.
+			try {
+				const monitor = await claimDueMonitor(doc.ref, now);
+				if (!monitor) continue;
+				const outcome = await runMonitor(monitor, { scrapeUrl, trigger: "schedule" });
+				if (outcome.status === "failed") {
+					console.warn(`⚠️ [monitor ${monitor.id}] ${monitor.url}:`, outcome.error);
+				}
+			} catch (err) {
+				console.error(`[monitor ${doc.id}] run failed:`, err?.message);
+			}
+		}
+	} finally {
+		ticking = false;
+	}
+}
+
+/** Start the once-a-minute ticker (no-op if already running or MONITOR_SCHEDULER=off). */
+export function startMonitorScheduler({ scrapeUrl }) {
+	if (schedulerTimer || process.env.MONITOR_SCHEDULER === "off") return;
+	schedulerTimer = setInterval(() => {
+		tick(scrapeUrl).catch((err) =>
+			console.error("[monitor] scheduler tick failed:", err?.message),
+		);
+	}, MONITOR_TICK_MS);
+	schedulerTimer.unref?.();
+}
@@ -0,0 +1,315 @@
+/**
+ * Pagination for /scrape (`paginate: {...}`). Runs on the pooled Puppeteer page
+ * after the first page has been extracted, and follows it for up to `maxPages`:
+ *
+ *   { mode: "nextLink", nextSelector }            follow an <a href> or click a button
+ *   { mode: "urlPattern", urlTemplate, startPage?, step? }
+ *                                                  "…/page/{page}" — page 2 is `startPage`
+ *   { mode: "infiniteScroll", scrollDelayMs? }    scroll until the page stops growing
+ *
+ * Common options: maxPages (incl. the first page), itemSelector (what counts as
+ * one listing item; links otherwise), stopSelector (stop once it's present),
+ * stopOnNoNewItems (default true), delayMs between pages.
+ *
+ * Every page contributes its markdown to the merged output (`<!-- page N -->`
+ * markers) and its items, minus any already seen on an earlier page.
+ *
+ * With an `allowUrl` hook (robots.txt), a next page whose URL it rejects ends
+ * pagination with stoppedReason "robotsDisallowed" instead of being loaded.
+ */
+
+import { clampInt } from "./numbers.js";
+
+export const PAGINATE_MODES = ["nextLink", "urlPattern", "infiniteScroll"];
+
+const MAX_PAGES_LIMIT = 50;
+const DEFAULT_MAX_PAGES = 5;
+const MAX_DELAY_MS = 10_000;
+const MAX_ITEMS_PER_PAGE = 500;
+const NAV_TIMEOUT_MS = 30_000;
+
+function sleep(ms) {
+	return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Check a `paginate` option from a request body.
+ * @returns {{ paginate: Object|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizePaginateOption(paginate) {
+	if (paginate == null || paginate === false) return { paginate: null, errors: [] };
+	if (typeof paginate !== "object" || Array.isArray(paginate)) {
+		return {
+			paginate: null,
+			errors: [{ path: "paginate", message: "paginate must be an object" }],
+		};
+	}
+
+	const errors = [];
+	const mode = paginate.mode;
+	if (!PAGINATE_MODES.includes(mode)) {
+		errors.push({
+			path: "paginate.mode",
+			message: `mode must be one of: ${PAGINATE_MODES.join(", ")}`,
+		});
+	}
+	if (mode === "nextLink" && (typeof paginate.nextSelector !== "string" || !paginate.nextSelector.trim())) {
+		errors.push({ path: "paginate.nextSelector", message: "nextLink mode requires nextSelector" });
+	}
+	if (mode === "urlPattern") {
+		if (typeof paginate.urlTemplate !== "string" || !paginate.urlTemplate.includes("{page}")) {
+			errors.push({
+				path: "paginate.urlTemplate",
+				message: 'urlPattern mode requires a urlTemplate containing "{page}"',
+			});
+		} else {
+			try {
+				const u = new URL(paginate.urlTemplate.replace("{page}", "2"));
+				if (u.protocol !== "http:" && u.protocol !== "https:") throw new Error();
+			} catch {
+				errors.push({ path: "paginate.urlTemplate", message: "urlTemplate must be an http(s) URL" });
+			}
+		}
+	}
+	for (const key of ["itemSelector", "stopSelector"]) {
+		if (paginate[key] != null && typeof paginate[key] !== "string") {
+			errors.push({ path: `paginate.${key}`, message: `${key} must be a CSS selector string` });
+		}
+	}
+	if (errors.length > 0) return { paginate: null, errors };
+
+	return {
+		paginate: {
+			mode,
+			nextSelector: paginate.nextSelector || null,
+			urlTemplate: paginate.urlTemplate || null,
+			startPage: clampInt(paginate.startPage, 0, Number.MAX_SAFE_INTEGER, 2),
+			step: clampInt(paginate.step, 1, Number.MAX_SAFE_INTEGER, 1),
+			maxPages: clampInt(paginate.maxPages, 1, MAX_PAGES_LIMIT, DEFAULT_MAX_PAGES),
+			itemSelector: paginate.itemSelector || null,
+			stopSelector: paginate.stopSelector || null,
+			stopOnNoNewItems: paginate.stopOnNoNewItems !== false,
+			delayMs: clampInt(paginate.delayMs, 0, MAX_DELAY_MS, 1000),
+			scrollDelayMs: clampInt(paginate.scrollDelayMs, 250, MAX_DELAY_MS, 1500),
+		},
+		errors: [],
+	};
+}
+
+// ─── In-page helpers ─────────────────────────────────────────────────────────
+
+/** Items on the current page: `itemSelector` matches, or every content link. */
+async function collectItems(page, itemSelector) {
+	return page.evaluate(
+		(selector, max) => {
+			const clean = (s) => String(s || "").replace(/\s+/g, " ").trim();
+			if (selector) {
+				let els = [];
+				try {
+					els = Array.from(document.querySelectorAll(selector));
+				} catch {
+					return [];
+				}
+				return els.slice(0, max).map((el) => {
+					const link = el.matches("a[href]") ? el : el.querySelector("a[href]");
+					const img = el.querySelector("img[src]");
+					return {
+						text: clean(el.innerText || el.textContent).slice(0, 1000),
+						href: link ? link.href : null,
+						image: img ? img.src : null,
+					};
+				});
+			}
+			const root = document.querySelector("main") || document.body;
+			return Array.from(root.querySelectorAll("a[href]"))
+				.filter((a) => /^https?:/.test(a.href) && !a.closest("nav, header, footer"))
+				.slice(0, max)
+				.map((a) => ({ text: clean(a.innerText || a.textContent).slice(0, 300), href: a.href, image: null }));
+		},
+		itemSelector,
+		MAX_ITEMS_PER_PAGE,
+	);
+}
+
+function itemKey(item) {
+	return item.href ? `href:${item.href.split("#")[0]}` : `text:${item.text}`;
+}
+
+async function selectorPresent(page, selector) {
+	if (!selector) return false;
+	try {
+		return Boolean(await page.$(selector));
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Move to the next page in nextLink mode. Anchors with a real href are loaded
+ * with goto; anything else is clicked and we wait for navigation or a DOM change.
+ * @returns {Promise<string|null>} reason to stop, or null when the next page is loaded
+ */
+async function goToNextLink(page, selector, timeout, allowUrl) {
+	const target = await page
+		.$eval(selector, (el) => {
+			const disabled =
+				el.hasAttribute("disabled") ||
+				el.getAttribute("aria-disabled") === "true" ||
+				/\bdisabled\b/.test(el.className || "");
+			const href = el.closest("a[href]")?.href || null;
+			return { disabled, href };
+		})
+		.catch(() => null);
+	if (!target) return "noNextLink";
+	if (target.disabled) return "nextLinkDisabled";
+
+	if (target.href && /^https?:/.test(target.href)) {
+		if (target.href.split("#")[0] === page.url().split("#")[0]) return "repeatedUrl";
+		if (allowUrl && !(await allowUrl(target.href))) return "robotsDisallowed";
+		const res = await page.goto(target.href, { waitUntil: "domcontentloaded", timeout });
+		if (res && res.status() >= 400) return "httpError";
+		return null;
+	}
+
+	const before = await page.evaluate(() => document.body?.innerText.length || 0);
+	await Promise.all([
+		page.waitForNavigation({ waitUntil: "domcontentloaded", timeout }).catch(() => {}),
+		page.click(selector),
+	]);
+	await page
+		.waitForFunction((len) => (document.body?.innerText.length || 0) !== len, { timeout: 5000 }, before)
+		.catch(() => {});
+	return null;
+}
+
+// ─── Runner ──────────────────────────────────────────────────────────────────
+
+/**
+ * Follow pagination from the already-loaded first page.
+ *
+ * @param {import('puppeteer-core').Page} page
+ * @param {Object} params
+ * @param {Object} params.paginate          Output of normalizePaginateOption
+ * @param {string} params.firstMarkdown     Markdown already extracted from page 1
+ * @param {(html: string) => string} params.htmlToMarkdown
+ * @param {string|null} [params.waitForSelector]
+ * @param {number} [params.timeout]
+ * @param {(url: string) => Promise<boolean>} [params.allowUrl]  checked before loading each next page
+ * @returns {Promise<{ markdown: string, pagination: { mode: string, pagesScraped: number, stoppedReason: string, duplicatesRemoved: number, pages: Array<{ page: number, url: string, items: Object[], duplicatesRemoved: number }> } }>}
+ */
+export async function followPagination(
+	page,
+	{
+		paginate,
+		firstMarkdown,
+		htmlToMarkdown,
+		waitForSelector = null,
+		timeout = NAV_TIMEOUT_MS,
+		allowUrl = null,
+	},
+) {
+	const navTimeout = Math.min(timeout, NAV_TIMEOUT_MS);
+	const seen = new Set();
+	const pages = [];
+	const markdownParts = [];
+	let duplicatesTotal = 0;
+	let stoppedReason = "maxPages";
+
+	const record = async (pageNumber, markdown) => {
+		const all = await collectItems(page, paginate.itemSelector);
+		const items = [];
+		for (const item of all) {
+			const key = itemKey(item);
+			if (seen.has(key)) continue;
+			seen.add(key);
+			items.push(item);
+		}
+		const duplicatesRemoved = all.length - items.length;
+		duplicatesTotal += duplicatesRemoved;
+		pages.push({ page: pageNumber, url: page.url(), items, duplicatesRemoved });
+		if (markdown != null) markdownParts.push(`<!-- page ${pageNumber} -->\n\n${markdown}`);
+		return items.length;
+	};
+
+	await record(1, paginate.mode === "infiniteScroll" ? null : firstMarkdown);
+	const visited = new Set([page.url().split("#")[0]]);
+
+	for (let n = 2; n <= paginate.maxPages; n++) {
+		if (await selectorPresent(page, paginate.stopSelector)) {
+			stoppedReason = "stopSelector";
+			break;
+		}
+		if (paginate.delayMs > 0 && paginate.mode !== "infiniteScroll") await sleep(paginate.delayMs);
+
+		let stop = null;
+		try {
+			if (paginate.mode === "nextLink") {
+				stop = await goToNextLink(page, paginate.nextSelector, navTimeout, allowUrl);
+			} else if (paginate.mode === "urlPattern") {
+				const url = paginate.urlTemplate.replace(
+					/\{page\}/g,
+					String(paginate.startPage + (n - 2) * paginate.step),
+				);
+				if (visited.has(url.split("#")[0])) {
+					stop = "repeatedUrl";
+				} else if (allowUrl && !(await allowUrl(url))) {
+					stop = "robotsDisallowed";
+				} else {
+					const res = await page.goto(url, { waitUntil: "domcontentloaded", timeout: navTimeout });
+					if (res && res.status() >= 400) stop = "httpError";
+				}
+			} else {
+				const before = await page.evaluate(() => document.scrollingElement?.scrollHeight || 0);
+				await page.evaluate(() => {
+					const el = document.scrollingElement || document.body;
+					el.scrollTo(0, el.scrollHeight);
+				});
+				await sleep(paginate.scrollDelayMs);
+				const after = await page.evaluate(() => document.scrollingElement?.scrollHeight || 0);
+				if (after <= before) stop = "endOfScroll";
+			}
+		} catch (err) {
+			console.warn(`[paginate] page ${n} failed:`, err?.message);
+			stop = "navigationFailed";
+		}
+		if (stop) {
+			stoppedReason = stop;
+			break;
+		}
+
+		if (paginate.mode !== "infiniteScroll") {
+			visited.add(page.url().split("#")[0]);
+			if (waitForSelector) {
+				await page.waitForSelector(waitForSelector, { timeout: 10000 }).catch(() => {});
+			}
+		}
+
+		const markdown =
+			paginate.mode === "infiniteScroll" ? null : htmlToMarkdown(await page.content());
+		const newItems = await record(n, markdown);
+		if (newItems === 0 && paginate.stopOnNoNewItems) {
+			// Nothing new usually means the site served the last page again.
+			if (markdown != null) markdownParts.pop();
+			pages.pop();
+			stoppedReason = "noNewItems";
+			break;
+		}
+	}
+
+	// Infinite scroll keeps one growing document: its final state is the merged page.
+	const markdown =
+		paginate.mode === "infiniteScroll"
+			? htmlToMarkdown(await page.content())
+			: markdownParts.join("\n\n");
+
+	return {
+		markdown,
+		pagination: {
+			mode: paginate.mode,
+			pagesScraped: pages.length,
+			stoppedReason,
+			duplicatesRemoved: duplicatesTotal,
+			pages,
+		},
+	};
+}
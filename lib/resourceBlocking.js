@@ -0,0 +1,240 @@
+/**
+ * Request blocking for pooled pages (`blockResources` on /scrape and
+ * /take-screenshot).
+ *
+ *   blockResources: true | false | ["image", "trackers", ...] | {
+ *     types:    categories to block (defaults depend on the route)
+ *     patterns: extra URLs to block — substrings, "*" globs or "/regex/flags"
+ *     allow:    URLs never blocked, same syntax (wins over everything else)
+ *   }
+ *
+ * Categories: image, media, font, stylesheet, script, trackers. "trackers" uses
+ * the ads/analytics domain list below. Blocked stylesheets get an empty 200 so
+ * pages that wait on CSS still load. With a request guard (lib/ssrfGuard.js),
+ * requests to private addresses are aborted as "private_network" whatever the
+ * option says.
+ */
+
+export const RESOURCE_CATEGORIES = ["image", "media", "font", "stylesheet", "script", "trackers"];
+
+/** Text extraction needs neither pixels nor styling. */
+export const SCRAPE_BLOCK_DEFAULTS = ["image", "media", "font", "stylesheet", "trackers"];
+/** Screenshots keep everything that is visible; only trackers go. */
+export const SCREENSHOT_BLOCK_DEFAULTS = ["trackers"];
+
+const IMAGE_EXT = /\.(jpe?g|png|gif|bmp|webp|svg|ico|tiff?|heic|heif|avif)$/i;
+const FONT_EXT = /\.(woff2?|ttf|otf|eot)$/i;
+const MEDIA_EXT = /\.(mp4|webm|ogg|mp3|wav|m4a|m3u8|mov)$/i;
+
+/** Ads, analytics and session-replay hosts; subdomains match too. */
+const TRACKER_DOMAINS = new Set([
+	"doubleclick.net",
+	"googlesyndication.com",
+	"googleadservices.com",
+	"google-analytics.com",
+	"googletagmanager.com",
+	"googletagservices.com",
+	"adservice.google.com",
+	"connect.facebook.net",
+	"analytics.tiktok.com",
+	"ads-twitter.com",
+	"analytics.twitter.com",
+	"snap.licdn.com",
+	"px.ads.linkedin.com",
+	"bat.bing.com",
+	"clarity.ms",
+	"hotjar.com",
+	"hotjar.io",
+	"fullstory.com",
+	"mouseflow.com",
+	"crazyegg.com",
+	"luckyorange.com",
+	"segment.io",
+	"cdn.segment.com",
+	"mixpanel.com",
+	"amplitude.com",
+	"heap.io",
+	"heapanalytics.com",
+	"js.hs-analytics.net",
+	"track.hubspot.com",
+	"scorecardresearch.com",
+	"quantserve.com",
+	"chartbeat.com",
+	"chartbeat.net",
+	"nr-data.net",
+	"js-agent.newrelic.com",
+	"criteo.com",
+	"criteo.net",
+	"taboola.com",
+	"outbrain.com",
+	"adnxs.com",
+	"rubiconproject.com",
+	"pubmatic.com",
+	"openx.net",
+	"casalemedia.com",
+	"adsrvr.org",
+	"amazon-adsystem.com",
+	"moatads.com",
+	"doubleverify.com",
+	"adroll.com",
+	"bidswitch.net",
+	"sharethrough.com",
+	"teads.tv",
+	"media.net",
+	"mc.yandex.ru",
+]);
+
+function isTrackerHost(hostname) {
+	const parts = hostname.toLowerCase().split(".");
+	for (let i = 0; i < parts.length - 1; i++) {
+		if (TRACKER_DOMAINS.has(parts.slice(i).join("."))) return true;
+	}
+	return false;
+}
+
+/** "/ads?\//i" → RegExp, "*.example.com/*" → glob, anything else → substring. */
+function compilePattern(pattern) {
+	const re = pattern.match(/^\/(.+)\/([a-z]*)$/);
+	if (re) {
+		const compiled = new RegExp(re[1], re[2]);
+		return (url) => compiled.test(url);
+	}
+	if (pattern.includes("*")) {
+		const glob = new RegExp(
+			pattern
+				.split("*")
+				.map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+				.join(".*"),
+			"i",
+		);
+		return (url) => glob.test(url);
+	}
+	return (url) => url.includes(pattern);
+}
+
+function compileList(list, path, errors) {
+	if (list == null) return [];
+	const items = Array.isArray(list) ? list : [list];
+	const matchers = [];
+	for (const [i, pattern] of items.entries()) {
+		if (typeof pattern !== "string" || !pattern) {
+			errors.push({ path: `${path}[${i}]`, message: "pattern must be a non-empty string" });
+			continue;
+		}
+		try {
+			matchers.push(compilePattern(pattern));
+		} catch (err) {
+			errors.push({ path: `${path}[${i}]`, message: `Invalid pattern: ${err.message}` });
+		}
+	}
+	return matchers;
+}
+
+/**
+ * Resolve a `blockResources` option against the route's defaults.
+ * @returns {{ block: { types: string[], patterns: Function[], allow: Function[] }|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeBlockResources(option, defaults = SCRAPE_BLOCK_DEFAULTS) {
+	if (option == null || option === true) {
+		return { block: { types: [...defaults], patterns: [], allow: [] }, errors: [] };
+	}
+	if (option === false) return { block: { types: [], patterns: [], allow: [] }, errors: [] };
+
+	const spec = Array.isArray(option) ? { types: option } : option;
+	if (typeof spec !== "object") {
+		return {
+			block: null,
+			errors: [{ path: "blockResources", message: "blockResources must be a boolean, an array or an object" }],
+		};
+	}
+
+	const errors = [];
+	const types = spec.types ?? defaults;
+	if (!Array.isArray(types) || types.some((t) => !RESOURCE_CATEGORIES.includes(t))) {
+		errors.push({
+			path: "blockResources.types",
+			message: `types must be an array of: ${RESOURCE_CATEGORIES.join(", ")}`,
+		});
+	}
+	const patterns = compileList(spec.patterns, "blockResources.patterns", errors);
+	const allow = compileList(spec.allow, "blockResources.allow", errors);
+	if (errors.length > 0) return { block: null, errors };
+	return { block: { types: [...new Set(types)], patterns, allow }, errors: [] };
+}
+
+/**
+ * Category a request would be blocked under, or null to let it through.
+ * The main document is never blocked.
+ */
+function blockCategory(request, block) {
+	const url = request.url();
+	const type = request.resourceType();
+	if (type === "document" && request.isNavigationRequest()) return null;
+	if (block.allow.some((m) => m(url))) return null;
+	if (block.patterns.some((m) => m(url))) return "pattern";
+	if (url.startsWith("data:")) {
+		return url.startsWith("data:image/") && block.types.includes("image") ? "image" : null;
+	}
+
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return null;
+	}
+	if (block.types.includes("trackers") && isTrackerHost(parsed.hostname)) return "trackers";
+
+	const path = parsed.pathname;
+	const category =
+		type === "image" || (type !== "document" && IMAGE_EXT.test(path))
+			? "image"
+			: type === "media" || MEDIA_EXT.test(path)
+				? "media"
+				: type === "font" || FONT_EXT.test(path)
+					? "font"
+					: type === "stylesheet"
+						? "stylesheet"
+						: type === "script"
+							? "script"
+							: null;
+	return category && block.types.includes(category) ? category : null;
+}
+
+/**
+ * Request-interception handler plus counters. The caller enables interception
+ * and routes each request through `handle`; `abort` records blocks the caller
+ * decides on itself.
+ *
+ * @param {{ types: string[], patterns: Function[], allow: Function[] }} block
+ * @param {{ guard?: { blocks: (url: string) => Promise<string|null> } }} [opts]
+ */
+export function createResourceBlocker(block, { guard = null } = {}) {
+	const blockedByCategory = {};
+	let blocked = 0;
+	let allowed = 0;
+
+	const abort = (request, category) => {
+		blocked++;
+		blockedByCategory[category] = (blockedByCategory[category] || 0) + 1;
+		if (category === "stylesheet") {
+			return request.respond({ status: 200, contentType: "text/css", body: "" }).catch(() => {});
+		}
+		return request.abort().catch(() => {});
+	};
+
+	return {
+		async handle(request) {
+			if (guard && (await guard.blocks(request.url()))) {
+				return abort(request, "private_network");
+			}
+			const category = blockCategory(request, block);
+			if (category) return abort(request, category);
+			allowed++;
+			return request.continue().catch(() => {});
+		},
+		abort,
+		stats() {
+			return { blocked, allowed, blockedByCategory: { ...blockedByCategory }, types: block.types };
+		},
+	};
+}
@@ -0,0 +1,308 @@
+/**
+ * robots.txt compliance (RFC 9309) shared by /scrape, /scrape-multiple, /jobs/scrape,
+ * /crawl-url and sitemap discovery.
+ *
+ * - One cached parse per origin (ROBOTS_CACHE_TTL_MS, default 1 h).
+ * - Group selection: the groups naming ROBOTS_USER_AGENT's product token exactly, else `*`.
+ * - Rule precedence: longest matching path wins; on a tie Allow beats Disallow.
+ *   `*` and `$` wildcards are supported.
+ * - 4xx robots.txt → everything allowed; 5xx / unreachable → everything disallowed
+ *   (RFC 9309 §2.3.1.3–4).
+ * - Crawl-delay is honoured per origin through waitForCrawlDelay().
+ */
+
+import { safeFetch } from "./ssrfGuard.js";
+
+export const ROBOTS_BLOCKED_CODE = "BLOCKED_BY_ROBOTS";
+
+const ROBOTS_USER_AGENT = (
+	process.env.ROBOTS_USER_AGENT || "ihatereadingbot"
+).toLowerCase();
+const ROBOTS_CACHE_TTL_MS =
+	parseInt(process.env.ROBOTS_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+const ROBOTS_CACHE_MAX_ENTRIES = 2000;
+const ROBOTS_FETCH_TIMEOUT_MS = 10_000;
+/** RFC 9309 §2.5: parsers must handle at least 500 KiB. */
+const ROBOTS_MAX_BYTES = 500 * 1024;
+/** Upper bound on honoured Crawl-delay so one site can't stall a worker forever. */
+const MAX_CRAWL_DELAY_SEC = 30;
+
+/** @type {Map<string, { robots: ParsedRobots, expiresAt: number }>} */
+const robotsCache = new Map();
+/** @type {Map<string, Promise<ParsedRobots>>} */
+const inflight = new Map();
+/** @type {Map<string, number>} origin → earliest timestamp the next request may start */
+const nextSlotByOrigin = new Map();
+
+/**
+ * @typedef {Object} RobotsGroup
+ * @property {string[]} agents
+ * @property {Array<{ allow: boolean, path: string }>} rules
+ * @property {number|null} crawlDelay
+ */
+
+/**
+ * @typedef {Object} ParsedRobots
+ * @property {RobotsGroup[]} groups
+ * @property {string[]} sitemaps
+ * @property {"parsed"|"allow-all"|"disallow-all"} mode
+ * @property {number|null} status   HTTP status of the robots.txt fetch
+ */
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse robots.txt text into user-agent groups. Consecutive `User-agent` lines
+ * share one group; rules before any `User-agent` line are ignored.
+ * @returns {ParsedRobots}
+ */
+export function parseRobotsTxt(text) {
+	const groups = [];
+	const sitemaps = [];
+	let current = null;
+	let lastWasAgent = false;
+
+	for (const rawLine of String(text || "").split(/\r?\n|\r/)) {
+		const line = rawLine.replace(/#.*$/, "").trim();
+		if (!line) continue;
+		const idx = line.indexOf(":");
+		if (idx === -1) continue;
+		const key = line.slice(0, idx).trim().toLowerCase();
+		const value = line.slice(idx + 1).trim();
+
+		if (key === "user-agent") {
+			if (!current || !lastWasAgent) {
+				current = { agents: [], rules: [], crawlDelay: null };
+				groups.push(current);
+			}
+			current.agents.push(value.toLowerCase());
+			lastWasAgent = true;
+			continue;
+		}
+		lastWasAgent = false;
+
+		if (key === "sitemap") {
+			if (value) sitemaps.push(value);
+			continue;
+		}
+		if (!current) continue;
+		if (key === "allow" || key === "disallow") {
+			// Empty Disallow means "allow everything" — no rule needed.
+			if (!value) continue;
+			current.rules.push({ allow: key === "allow", path: value });
+		} else if (key === "crawl-delay") {
+			const n = Number(value);
+			if (Number.isFinite(n) && n >= 0) current.crawlDelay = n;
+		}
+	}
+	return { groups, sitemaps, mode: "parsed", status: 200 };
+}
+
+/**
+ * Groups that apply to `agent`: those naming its product token (case-insensitive,
+ * whole token — RFC 9309 §2.2.1, so `bot` does not match "ihatereadingbot"),
+ * else `*`. Rules of several matching groups are combined by the caller.
+ */
+function selectGroups(robots, agent = ROBOTS_USER_AGENT) {
+	const token = agent.toLowerCase().split("/")[0].trim();
+	const named = robots.groups.filter((g) => g.agents.includes(token));
+	if (named.length > 0) return named;
+	return robots.groups.filter((g) => g.agents.includes("*"));
+}
+
+function patternToRegExp(pattern) {
+	const anchored = pattern.endsWith("$");
+	const body = (anchored ? pattern.slice(0, -1) : pattern)
+		.split("*")
+		.map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+		.join(".*");
+	return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+function normalizeRulePath(path) {
+	try {
+		return encodeURI(decodeURI(path));
+	} catch {
+		return path;
+	}
+}
+
+/**
+ * Decide whether a path (pathname + search) may be fetched.
+ * @returns {{ allowed: boolean, rule: { allow: boolean, path: string } | null, crawlDelay: number|null }}
+ */
+export function evaluateRobots(robots, pathWithQuery, agent = ROBOTS_USER_AGENT) {
+	if (robots.mode === "allow-all") {
+		return { allowed: true, rule: null, crawlDelay: null };
+	}
+	if (robots.mode === "disallow-all") {
+		return { allowed: false, rule: { allow: false, path: "/" }, crawlDelay: null };
+	}
+
+	const groups = selectGroups(robots, agent);
+	const target = normalizeRulePath(pathWithQuery || "/");
+	let winner = null;
+	let crawlDelay = null;
+
+	for (const group of groups) {
+		if (group.crawlDelay != null) crawlDelay = group.crawlDelay;
+		for (const rule of group.rules) {
+			if (!patternToRegExp(normalizeRulePath(rule.path)).test(target)) continue;
+			const len = rule.path.length;
+			if (
+				!winner ||
+				len > winner.path.length ||
+				(len === winner.path.length && rule.allow && !winner.allow)
+			) {
+				winner = rule;
+			}
+		}
+	}
+
+	// /robots.txt itself is always fetchable.
+	if (target === "/robots.txt") return { allowed: true, rule: null, crawlDelay };
+	return { allowed: winner ? winner.allow : true, rule: winner, crawlDelay };
+}
+
+// ─── Fetch + cache ───────────────────────────────────────────────────────────
+
+async function fetchRobots(origin) {
+	const robotsUrl = `${origin}/robots.txt`;
+	let res;
+	try {
+		res = await safeFetch(robotsUrl, {
+			redirect: "follow",
+			signal: AbortSignal.timeout(ROBOTS_FETCH_TIMEOUT_MS),
+			headers: {
+				"User-Agent": `Mozilla/5.0 (compatible; ${ROBOTS_USER_AGENT}/1.0)`,
+				Accept: "text/plain,*/*;q=0.8",
+			},
+		});
+	} catch {
+		return { groups: [], sitemaps: [], mode: "disallow-all", status: null };
+	}
+
+	if (res.status >= 400 && res.status < 500) {
+		return { groups: [], sitemaps: [], mode: "allow-all", status: res.status };
+	}
+	if (!res.ok) {
+		return { groups: [], sitemaps: [], mode: "disallow-all", status: res.status };
+	}
+	const buf = Buffer.from(await res.arrayBuffer());
+	const parsed = parseRobotsTxt(buf.subarray(0, ROBOTS_MAX_BYTES).toString("utf8"));
+	return { ...parsed, status: res.status };
+}
+
+/**
+ * Cached robots.txt for an origin. Concurrent callers share one fetch.
+ * @param {string} origin e.g. "https://example.com"
+ * @returns {Promise<ParsedRobots>}
+ */
+export async function getRobotsForOrigin(origin) {
+	const cached = robotsCache.get(origin);
+	if (cached && cached.expiresAt > Date.now()) return cached.robots;
+
+	if (!inflight.has(origin)) {
+		inflight.set(
+			origin,
+			fetchRobots(origin)
+				.then((robots) => {
+					if (robotsCache.size >= ROBOTS_CACHE_MAX_ENTRIES) {
+						robotsCache.delete(robotsCache.keys().next().value);
+					}
+					robotsCache.set(origin, {
+						robots,
+						expiresAt: Date.now() + ROBOTS_CACHE_TTL_MS,
+					});
+					return robots;
+				})
+				.finally(() => inflight.delete(origin)),
+		);
+	}
+	return inflight.get(origin);
+}
+
+/**
+ * Check one URL against its origin's robots.txt.
+ * Non-http(s) URLs are reported as allowed (robots.txt doesn't apply).
+ *
+ * @param {string} url
+ * @returns {Promise<{ allowed: boolean, url: string, robotsUrl: string|null, rule: Object|null, crawlDelay: number|null, robotsStatus: number|null }>}
+ */
+export async function checkRobots(url) {
+	let u;
+	try {
+		u = new URL(url);
+	} catch {
+		return { allowed: true, url, robotsUrl: null, rule: null, crawlDelay: null, robotsStatus: null };
+	}
+	if (u.protocol !== "http:" && u.protocol !== "https:") {
+		return { allowed: true, url, robotsUrl: null, rule: null, crawlDelay: null, robotsStatus: null };
+	}
+	const robots = await getRobotsForOrigin(u.origin);
+	const verdict = evaluateRobots(robots, u.pathname + u.search);
+	return {
+		...verdict,
+		url,
+		robotsUrl: `${u.origin}/robots.txt`,
+		robotsStatus: robots.status,
+	};
+}
+
+/**
+ * Filter a URL list down to what robots.txt allows.
+ * @returns {Promise<{ allowed: string[], blocked: string[] }>}
+ */
+export async function filterUrlsByRobots(urls) {
+	const allowed = [];
+	const blocked = [];
+	for (const url of urls) {
+		const verdict = await checkRobots(url);
+		(verdict.allowed ? allowed : blocked).push(url);
+	}
+	return { allowed, blocked };
+}
+
+/**
+ * Reserve the next request slot for an origin and wait until it opens, so
+ * concurrent workers hitting the same site are spaced by its Crawl-delay.
+ */
+export async function waitForCrawlDelay(url, crawlDelaySec) {
+	if (!crawlDelaySec || crawlDelaySec <= 0) return;
+	let origin;
+	try {
+		origin = new URL(url).origin;
+	} catch {
+		return;
+	}
+	const delayMs = Math.min(crawlDelaySec, MAX_CRAWL_DELAY_SEC) * 1000;
+	const now = Date.now();
+	if (nextSlotByOrigin.size > ROBOTS_CACHE_MAX_ENTRIES) {
+		for (const [key, at] of nextSlotByOrigin) {
+			if (at < now) nextSlotByOrigin.delete(key);
+		}
+	}
+	const slot = Math.max(now, nextSlotByOrigin.get(origin) || 0);
+	nextSlotByOrigin.set(origin, slot + delayMs);
+	if (slot > now) await new Promise((r) => setTimeout(r, slot - now));
+}
+
+/** Result object returned instead of scraping a disallowed URL. */
+export function robotsBlockedResult(url, verdict) {
+	return {
+		success: false,
+		blocked: true,
+		code: ROBOTS_BLOCKED_CODE,
+		error: ROBOTS_BLOCKED_CODE,
+		url,
+		robots: {
+			robotsUrl: verdict.robotsUrl,
+			rule: verdict.rule,
+			robotsStatus: verdict.robotsStatus,
+		},
+		data: {},
+		markdown: null,
+		summary: null,
+		screenshot: null,
+	};
+}
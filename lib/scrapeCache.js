@@ -0,0 +1,329 @@
+/**
+ * Scrape cache for scrapeSingleUrlWithPuppeteer (`cache` / `maxAge` options).
+ *
+ * Modes:
+ *   prefer  — serve a fresh entry; revalidate a stale one with ETag / Last-Modified,
+ *             otherwise scrape live and write back
+ *   only    — serve from cache or report CACHE_MISS; never scrape
+ *   bypass  — ignore the cache entirely
+ *   refresh — always scrape live and overwrite the entry (default)
+ *
+ * Storage is pluggable via SCRAPE_CACHE_BACKEND:
+ *   memory    — in-process LRU (SCRAPE_CACHE_MEMORY_MAX entries)
+ *   fs        — JSON files under SCRAPE_CACHE_DIR (default ./cache/scrape)
+ *   firestore — the `universo` collection (default; same documents as before)
+ * memory and fs need no Firebase, so self-hosted deployments still get caching.
+ * Backend failures are logged and treated as misses — the cache never fails a scrape.
+ */
+
+import { createHash } from "node:crypto";
+import fsp from "fs/promises";
+import path from "path";
+import { safeFetch } from "./ssrfGuard.js";
+
+export const CACHE_MODES = ["prefer", "only", "bypass", "refresh"];
+export const CACHE_MISS_CODE = "CACHE_MISS";
+
+const DEFAULT_CACHE_MAX_AGE_MS =
+	parseInt(process.env.SCRAPE_CACHE_MAX_AGE_MS, 10) || 60 * 60 * 1000; // 1 h
+const REVALIDATE_TIMEOUT_MS = 10_000;
+
+/**
+ * @typedef {Object} ScrapeCacheEntry
+ * @property {string} url
+ * @property {Object} data
+ * @property {string|null} markdown
+ * @property {string|null} screenshot
+ * @property {string|null} etag
+ * @property {string|null} lastModified
+ * @property {number} storedAt     ms epoch of the live scrape
+ * @property {number} validatedAt  ms epoch of the last successful 304 revalidation
+ */
+
+/**
+ * @typedef {Object} ScrapeCacheBackend
+ * @property {string} name
+ * @property {(key: string) => Promise<ScrapeCacheEntry|null>} get
+ * @property {(key: string, entry: ScrapeCacheEntry) => Promise<void>} set
+ */
+
+// ─── Keys + modes ────────────────────────────────────────────────────────────
+
+/** Output flags of a plain /scrape; a scrape that differs in any of them gets a variant key. */
+const PLAIN_OUTPUT = {
+	includeSemanticContent: true,
+	includeImages: true,
+	includeLinks: true,
+	extractMetadata: true,
+	takeScreenshot: false,
+};
+
+/**
+ * Cache key for a URL. Plain scrapes keep the legacy sha256(url) id so existing
+ * `universo` documents still hit; scrapes whose output depends on `selectors`,
+ * `actions`, `waitForSelector`, `scope`, `paginate`, `locale`, `extractMode`,
+ * `deepDom`, `tables` or `linkScope`, or that turn one of the PLAIN_OUTPUT flags
+ * the other way, get their own variant key.
+ */
+export function scrapeCacheKey(
+	url,
+	{
+		includeSemanticContent,
+		includeImages,
+		includeLinks,
+		extractMetadata,
+		takeScreenshot,
+		selectors,
+		actions,
+		waitForSelector,
+		scope,
+		paginate,
+		locale,
+		extractMode,
+		deepDom,
+		tables,
+		linkScope,
+	} = {},
+) {
+	const variant = {};
+	if (selectors && Object.keys(selectors).length > 0) variant.selectors = selectors;
+	if (Array.isArray(actions) && actions.length > 0) variant.actions = actions;
+	if (waitForSelector) variant.waitForSelector = waitForSelector;
+	if (scope) variant.scope = scope;
+	if (paginate) variant.paginate = paginate;
+	if (locale) variant.locale = locale;
+	if (extractMode) variant.extractMode = extractMode;
+	if (deepDom) variant.deepDom = deepDom;
+	if (tables) variant.tables = tables;
+	if (linkScope) variant.linkScope = linkScope;
+	const flags = { includeSemanticContent, includeImages, includeLinks, extractMetadata, takeScreenshot };
+	const output = {};
+	for (const [name, value] of Object.entries(flags)) {
+		if (value != null && Boolean(value) !== PLAIN_OUTPUT[name]) output[name] = Boolean(value);
+	}
+	if (Object.keys(output).length > 0) variant.output = output;
+	const base = String(url);
+	const material =
+		Object.keys(variant).length > 0 ? `${base}\n${JSON.stringify(variant)}` : base;
+	return createHash("sha256").update(material).digest("hex");
+}
+
+/**
+ * Resolve `cache` / legacy `includeCache` into a mode.
+ * `includeCache: true` meant "read from cache only", so it maps to "only".
+ * @returns {{ mode: string|null, error: string|null }}
+ */
+export function resolveCacheMode({ cache, includeCache } = {}) {
+	if (cache == null || cache === "") {
+		return { mode: includeCache ? "only" : "refresh", error: null };
+	}
+	if (!CACHE_MODES.includes(cache)) {
+		return {
+			mode: null,
+			error: `cache must be one of: ${CACHE_MODES.join(", ")}`,
+		};
+	}
+	return { mode: cache, error: null };
+}
+
+export function resolveCacheMaxAge(maxAge) {
+	const n = Number(maxAge);
+	return Number.isFinite(n) && n >= 0 ? n : DEFAULT_CACHE_MAX_AGE_MS;
+}
+
+/** Age counts from the later of the scrape and the last 304 revalidation. */
+export function cacheEntryAgeMs(entry, now = Date.now()) {
+	const at = Math.max(entry?.storedAt || 0, entry?.validatedAt || 0);
+	return at ? Math.max(0, now - at) : Infinity;
+}
+
+// ─── Backends ────────────────────────────────────────────────────────────────
+
+/** In-process LRU. Entries are cloned in and out so callers can't mutate them. */
+export function createMemoryCacheBackend({
+	maxEntries = parseInt(process.env.SCRAPE_CACHE_MEMORY_MAX, 10) || 500,
+} = {}) {
+	const map = new Map();
+	return {
+		name: "memory",
+		async get(key) {
+			const entry = map.get(key);
+			if (!entry) return null;
+			map.delete(key);
+			map.set(key, entry);
+			return structuredClone(entry);
+		},
+		async set(key, entry) {
+			map.delete(key);
+			map.set(key, structuredClone(entry));
+			while (map.size > maxEntries) map.delete(map.keys().next().value);
+		},
+	};
+}
+
+/** One JSON file per key; written to a temp file and renamed so readers never see partial JSON. */
+export function createFsCacheBackend({
+	dir = process.env.SCRAPE_CACHE_DIR || path.join(process.cwd(), "cache", "scrape"),
+} = {}) {
+	let ensured = null;
+	const ensureDir = () => (ensured ||= fsp.mkdir(dir, { recursive: true }));
+	const fileFor = (key) => path.join(dir, `${key}.json`);
+	return {
+		name: "fs",
+		async get(key) {
+			try {
+				return JSON.parse(await fsp.readFile(fileFor(key), "utf8"));
+			} catch (err) {
+				if (err?.code === "ENOENT") return null;
+				throw err;
+			}
+		},
+		async set(key, entry) {
+			await ensureDir();
+			const tmp = `${fileFor(key)}.${process.pid}.${Date.now()}.tmp`;
+			await fsp.writeFile(tmp, JSON.stringify(entry));
+			await fsp.rename(tmp, fileFor(key));
+		},
+	};
+}
+
+/**
+ * Firestore documents in the existing `universo` shape (title, url, markdown,
+ * scraped_at, scraped_data) plus the revalidation fields.
+ */
+export function createFirestoreCacheBackend({ firestore, collection, FieldValue }) {
+	return {
+		name: "firestore",
+		async get(key) {
+			const snap = await firestore.collection(collection).doc(key).get();
+			if (!snap.exists) return null;
+			const doc = snap.data();
+			const raw = doc?.scraped_data;
+			if (raw == null) return null;
+			return {
+				url: doc.url,
+				data: typeof raw === "string" ? JSON.parse(raw) : raw,
+				markdown: doc.markdown ?? null,
+				screenshot: doc.screenshot ?? null,
+				etag: doc.etag ?? null,
+				lastModified: doc.last_modified ?? null,
+				storedAt: doc.stored_at_ms ?? doc.scraped_at?.toMillis?.() ?? 0,
+				validatedAt: doc.validated_at_ms ?? 0,
+			};
+		},
+		async set(key, entry) {
+			await firestore
+				.collection(collection)
+				.doc(key)
+				.set({
+					title: entry.data?.title || "No Title",
+					url: entry.url,
+					markdown: entry.markdown ?? null,
+					screenshot: entry.screenshot ?? null,
+					// Round-trip drops `undefined`, which Firestore rejects.
+					scraped_data: JSON.parse(JSON.stringify(entry.data ?? {})),
+					etag: entry.etag ?? null,
+					last_modified: entry.lastModified ?? null,
+					stored_at_ms: entry.storedAt,
+					validated_at_ms: entry.validatedAt ?? 0,
+					scraped_at: FieldValue.serverTimestamp(),
+				});
+		},
+	};
+}
+
+/**
+ * Pick a backend by name ("memory" | "fs" | "firestore").
+ * Firestore needs `firestore`, `collection` and `FieldValue` in `deps`.
+ */
+export function createScrapeCacheBackend(name, deps = {}) {
+	switch (String(name || "").toLowerCase()) {
+		case "memory":
+			return createMemoryCacheBackend();
+		case "fs":
+		case "filesystem":
+			return createFsCacheBackend();
+		case "firestore":
+			return createFirestoreCacheBackend(deps);
+		default:
+			console.warn(
+				`[scrape-cache] Unknown SCRAPE_CACHE_BACKEND "${name}", using memory`,
+			);
+			return createMemoryCacheBackend();
+	}
+}
+
+// ─── Cache facade ────────────────────────────────────────────────────────────
+
+/**
+ * Wrap a backend so reads/writes never throw.
+ * @param {ScrapeCacheBackend} backend
+ */
+export function createScrapeCache(backend) {
+	return {
+		backendName: backend.name,
+
+		/** @returns {Promise<ScrapeCacheEntry|null>} */
+		async read(key) {
+			try {
+				return await backend.get(key);
+			} catch (err) {
+				console.warn(`[scrape-cache] ${backend.name} read failed:`, err?.message);
+				return null;
+			}
+		},
+
+		/** @param {Omit<ScrapeCacheEntry, "storedAt"|"validatedAt">} entry */
+		async write(key, entry) {
+			try {
+				await backend.set(key, {
+					...entry,
+					storedAt: Date.now(),
+					validatedAt: 0,
+				});
+				return true;
+			} catch (err) {
+				console.warn(`[scrape-cache] ${backend.name} write failed:`, err?.message);
+				return false;
+			}
+		},
+
+		/** Mark an entry as confirmed-unchanged (after a 304). */
+		async touch(key, entry) {
+			const touched = { ...entry, validatedAt: Date.now() };
+			try {
+				await backend.set(key, touched);
+			} catch (err) {
+				console.warn(`[scrape-cache] ${backend.name} touch failed:`, err?.message);
+			}
+			return touched;
+		},
+	};
+}
+
+/**
+ * Conditional GET against the origin. True only when the server answers 304,
+ * i.e. the cached copy is still current. Entries without validators return false.
+ */
+export async function revalidateCacheEntry(url, entry) {
+	if (!entry?.etag && !entry?.lastModified) return false;
+	const headers = {
+		"User-Agent":
+			"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+		Accept: "text/html,application/xhtml+xml,*/*;q=0.8",
+	};
+	if (entry.etag) headers["If-None-Match"] = entry.etag;
+	if (entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+	try {
+		const res = await safeFetch(url, {
+			method: "GET",
+			headers,
+			redirect: "follow",
+			signal: AbortSignal.timeout(REVALIDATE_TIMEOUT_MS),
+		});
+		await res.body?.cancel().catch(() => {});
+		return res.status === 304;
+	} catch {
+		return false;
+	}
+}
@@ -0,0 +1,207 @@
+/**
+ * Page engines for /scrape `engine` (auto | fetch | lightpanda | chromium).
+ *
+ *   fetch       plain HTTP GET; no JavaScript runs
+ *   lightpanda  Lightpanda headless browser over CDP — runs JavaScript, much
+ *               lighter than Chromium, but no screenshots or page interaction
+ *   chromium    the pooled Puppeteer page (default, and the only engine for
+ *               actions, screenshots, sessions, locale, proxies, …)
+ *   auto        fetch → lightpanda → chromium, moving on only when the page
+ *               is not meaningful yet (assessRenderedContent)
+ *
+ * The light engines only return HTML; the caller turns it into the usual
+ * scrape result. Lightpanda is started on first use (LIGHTPANDA_WS_ENDPOINT
+ * connects to a running instance instead) and serves one page at a time.
+ */
+
+import { assertPublicUrl, createRequestGuard, safeFetch } from "./ssrfGuard.js";
+
+export const SCRAPE_ENGINES = ["auto", "fetch", "lightpanda", "chromium"];
+
+const USER_AGENT =
+	"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
+const MAX_HTML_BYTES = 10 * 1024 * 1024;
+/** Less visible text than this and the page most likely renders client-side. */
+const MIN_TEXT_CHARS = 250;
+const LIGHTPANDA_HOST = process.env.LIGHTPANDA_HOST || "127.0.0.1";
+const LIGHTPANDA_PORT = Number.parseInt(process.env.LIGHTPANDA_PORT, 10) || 9223;
+/** Time after `load` for client-side rendering to settle. */
+const LIGHTPANDA_SETTLE_MS = 1500;
+
+/**
+ * Request options only Chromium can serve; auto skips straight to Chromium and
+ * an explicit light engine is rejected.
+ */
+const CHROMIUM_ONLY_OPTIONS = {
+	actions: (v) => Array.isArray(v) && v.length > 0,
+	waitForSelector: Boolean,
+	takeScreenshot: Boolean,
+	captureNetwork: Boolean,
+	sessionId: Boolean,
+	locale: Boolean,
+	useProxy: Boolean,
+	paginate: Boolean,
+	deepDom: Boolean,
+};
+
+/** Names of the set options in `options` that need Chromium. */
+export function chromiumOnlyOptions(options = {}) {
+	return Object.entries(CHROMIUM_ONLY_OPTIONS)
+		.filter(([name, isSet]) => isSet(options[name]))
+		.map(([name]) => name);
+}
+
+// ─── Content check ───────────────────────────────────────────────────────────
+
+const SPA_EMPTY_ROOT =
+	/<(div|main)[^>]+id=["'](root|app|__next|__nuxt|svelte|main-app)["'][^>]*>\s*<\/\1>|<app-root[^>]*>\s*<\/app-root>/i;
+const HYDRATION_HINTS =
+	/__NEXT_DATA__|__NUXT__|window\.__INITIAL_STATE__|data-reactroot|sveltekit|astro-island|ng-version/i;
+const JS_REQUIRED =
+	/(please )?(enable|turn on) javascript|javascript (is )?(required|disabled)|requires javascript/i;
+
+/**
+ * Is what an engine produced worth returning, or should auto move on?
+ *
+ * @param {{ html: string, markdown: string, status?: number|null, contentType?: string|null }} page
+ * @returns {{ meaningful: boolean, textLength: number, reasons: Array<{ code: string, message: string }> }}
+ */
+export function assessRenderedContent({ html, markdown, status = null, contentType = null }) {
+	const reasons = [];
+	const text = String(markdown || "")
+		.replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+		.replace(/[#>*_`|-]/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+	if (status && status >= 400) {
+		reasons.push({ code: "http_error", message: `HTTP ${status}` });
+	}
+	if (contentType && !/html|xml/i.test(contentType)) {
+		reasons.push({ code: "not_html", message: `Content-Type ${contentType}` });
+	}
+	if (text.length < MIN_TEXT_CHARS) {
+		reasons.push({
+			code: "thin_content",
+			message: `${text.length} characters of text (needs ${MIN_TEXT_CHARS})`,
+		});
+	}
+	const source = String(html || "");
+	if (SPA_EMPTY_ROOT.test(source)) {
+		reasons.push({ code: "spa_root_empty", message: "Empty single-page-app mount point" });
+	} else if (text.length < MIN_TEXT_CHARS && HYDRATION_HINTS.test(source)) {
+		reasons.push({ code: "spa_hydration", message: "Framework hydration markers with little text" });
+	}
+	if (text.length < MIN_TEXT_CHARS * 2 && JS_REQUIRED.test(text)) {
+		reasons.push({ code: "javascript_required", message: "Page asks for JavaScript" });
+	}
+	return { meaningful: reasons.length === 0, textLength: text.length, reasons };
+}
+
+// ─── fetch ───────────────────────────────────────────────────────────────────
+
+/**
+ * Plain GET of a page.
+ * @returns {Promise<{ html: string, finalUrl: string, status: number, contentType: string|null, headers: Object }>}
+ */
+export async function fetchEngineHtml(url, { timeout = 30000 } = {}) {
+	const res = await safeFetch(url, {
+		redirect: "follow",
+		signal: AbortSignal.timeout(timeout),
+		headers: {
+			"User-Agent": USER_AGENT,
+			Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+			"Accept-Language": "en-US,en;q=0.9",
+		},
+	});
+	const declared = Number.parseInt(res.headers.get("content-length"), 10);
+	if (declared > MAX_HTML_BYTES) {
+		await res.body?.cancel().catch(() => {});
+		throw new Error(`Page is larger than ${MAX_HTML_BYTES} bytes`);
+	}
+	const buffer = Buffer.from(await res.arrayBuffer());
+	return {
+		html: buffer.subarray(0, MAX_HTML_BYTES).toString("utf8"),
+		finalUrl: res.finalUrl,
+		status: res.status,
+		contentType: res.headers.get("content-type"),
+		headers: Object.fromEntries(res.headers),
+	};
+}
+
+// ─── Lightpanda ──────────────────────────────────────────────────────────────
+
+let lightpandaPromise = null;
+let lightpandaQueue = Promise.resolve();
+
+function lightpandaBrowser() {
+	if (!lightpandaPromise) {
+		lightpandaPromise = (async () => {
+			const puppeteer = (await import("puppeteer-core")).default;
+			let proc = null;
+			let endpoint = process.env.LIGHTPANDA_WS_ENDPOINT;
+			if (!endpoint) {
+				const { lightpanda } = await import("@lightpanda/browser");
+				proc = await lightpanda.serve({ host: LIGHTPANDA_HOST, port: LIGHTPANDA_PORT });
+				endpoint = `ws://${LIGHTPANDA_HOST}:${LIGHTPANDA_PORT}`;
+			}
+			const browser = await puppeteer.connect({ browserWSEndpoint: endpoint });
+			browser.on("disconnected", () => {
+				lightpandaPromise = null;
+				proc?.kill();
+			});
+			return browser;
+		})();
+		lightpandaPromise.catch(() => {
+			lightpandaPromise = null;
+		});
+	}
+	return lightpandaPromise;
+}
+
+/**
+ * Render a page in Lightpanda. Calls are serialized: Lightpanda handles one
+ * browser context at a time.
+ * @returns {Promise<{ html: string, finalUrl: string, status: number|null, contentType: string|null, headers: Object }>}
+ */
+export function lightpandaEngineHtml(url, { timeout = 30000 } = {}) {
+	const run = async () => {
+		const browser = await lightpandaBrowser();
+		const context = await browser.createBrowserContext();
+		try {
+			const page = await context.newPage();
+			await page.setUserAgent(USER_AGENT).catch(() => {});
+			// Page JS runs here too, so every request (redirects, fetch/XHR, subresources)
+			// goes through the SSRF guard. Without interception the page is not loaded.
+			const guard = createRequestGuard();
+			await page.setRequestInterception(true).catch((err) => {
+				throw new Error(`Lightpanda request interception unavailable: ${err?.message}`);
+			});
+			page.on("request", async (request) => {
+				const blocked = await guard.blocks(request.url());
+				if (blocked) request.abort().catch(() => {});
+				else request.continue().catch(() => {});
+			});
+			const response = await page.goto(url, { waitUntil: "load", timeout });
+			await assertPublicUrl(page.url() || url);
+			await new Promise((r) => setTimeout(r, LIGHTPANDA_SETTLE_MS));
+			const headers = response?.headers() ?? {};
+			return {
+				html: await page.content(),
+				finalUrl: page.url() || url,
+				status: response?.status() ?? null,
+				contentType: headers["content-type"] ?? null,
+				headers,
+			};
+		} finally {
+			await context.close().catch(() => {});
+		}
+	};
+	const result = lightpandaQueue.then(run, run);
+	lightpandaQueue = result.catch(() => {});
+	return result;
+}
+
+/** HTML from a light engine ("fetch" or "lightpanda"). */
+export function lightEngineHtml(engine, url, opts) {
+	return engine === "lightpanda" ? lightpandaEngineHtml(url, opts) : fetchEngineHtml(url, opts);
+}
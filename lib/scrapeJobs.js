@@ -0,0 +1,317 @@
+/**
+ * Scrape jobs — async batch scraping for large URL lists (POST /jobs/scrape).
+ * URLs are queued in-process and drained by a fixed number of workers, each of
+ * which borrows a page from browserPool through the injected `scrapeUrl`.
+ * Results are appended in completion order so callers can page through them
+ * with a cursor while the job is still running.
+ */
+
+import crypto from "crypto";
+import { clampInt } from "./numbers.js";
+
+const SCRAPE_JOB_MAX_URLS = Math.max(
+	1,
+	parseInt(process.env.SCRAPE_JOB_MAX_URLS, 10) || 10_000,
+);
+const SCRAPE_JOB_TTL_MS =
+	parseInt(process.env.SCRAPE_JOB_TTL_MS, 10) || 6 * 60 * 60 * 1000; // 6 h
+const SCRAPE_JOB_MAX_CONCURRENCY = 10;
+const SCRAPE_JOB_MAX_RETRIES = 5;
+const SCRAPE_JOB_RESULTS_PAGE_MAX = 200;
+
+/** @type {Map<string, ScrapeJob>} */
+const jobs = new Map();
+
+/**
+ * @typedef {Object} ScrapeJobItem
+ * @property {number} index      Position in the submitted `urls` array
+ * @property {string} url
+ * @property {"pending"|"running"|"succeeded"|"failed"} status
+ * @property {number} attempts
+ * @property {string|null} error
+ * @property {number|null} startedAt
+ * @property {number|null} finishedAt
+ */
+
+/**
+ * @typedef {Object} ScrapeJob
+ * @property {string} id
+ * @property {"queued"|"running"|"completed"} status
+ * @property {Object} options     Options passed to scrapeSingleUrlWithPuppeteer
+ * @property {number} concurrency
+ * @property {number} maxRetries
+ * @property {ScrapeJobItem[]} items
+ * @property {Object[]} results   Finished URL results, in completion order
+ * @property {number} createdAt
+ * @property {number|null} startedAt
+ * @property {number|null} completedAt
+ */
+
+function generateJobId() {
+	return crypto.randomBytes(12).toString("base64url").slice(0, 16);
+}
+
+function sleep(ms) {
+	return new Promise((r) => setTimeout(r, ms));
+}
+
+function countItems(job) {
+	const counts = { pending: 0, running: 0, succeeded: 0, failed: 0 };
+	for (const item of job.items) counts[item.status]++;
+	return counts;
+}
+
+function isValidHttpUrl(value) {
+	if (!value || typeof value !== "string") return false;
+	try {
+		const u = new URL(value);
+		return u.protocol === "http:" || u.protocol === "https:";
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Run one URL with retries. Failed attempts back off linearly (1s, 2s, …).
+ * Never throws — the outcome is written onto the item and pushed to results.
+ */
+async function runItem(job, item, scrapeUrl) {
+	item.status = "running";
+	item.startedAt = Date.now();
+
+	let lastError = null;
+	for (let attempt = 1; attempt <= job.maxRetries + 1; attempt++) {
+		item.attempts = attempt;
+		try {
+			const result = await scrapeUrl(item.url, job.options);
+			// Deliberate refusals (e.g. BLOCKED_BY_ROBOTS) come back as results,
+			// not throws — record them as-is and don't retry.
+			if (result?.success === false) {
+				item.status = "failed";
+				item.error = result.code || result.error || "Scraping failed";
+				item.finishedAt = Date.now();
+				job.results.push({
+					...result,
+					index: item.index,
+					url: item.url,
+					attempts: item.attempts,
+				});
+				return;
+			}
+			item.status = "succeeded";
+			item.error = null;
+			item.finishedAt = Date.now();
+			job.results.push({
+				index: item.index,
+				url: item.url,
+				success: true,
+				attempts: item.attempts,
+				data: result.data,
+				markdown: result.markdown,
+				summary: result.summary,
+				screenshot: result.screenshot,
+				...(result.openRouterSummary && {
+					openRouterSummary: result.openRouterSummary,
+				}),
+				...(result.extraction && { extraction: result.extraction }),
+				...(result.actions && { actions: result.actions }),
+				error: null,
+			});
+			return;
+		} catch (err) {
+			lastError = err?.message || "Scraping failed";
+			if (attempt <= job.maxRetries) await sleep(1000 * attempt);
+		}
+	}
+
+	console.warn(`⚠️ [scrape-job ${job.id}] ${item.url} failed:`, lastError);
+	item.status = "failed";
+	item.error = lastError;
+	item.finishedAt = Date.now();
+	job.results.push({
+		index: item.index,
+		url: item.url,
+		success: false,
+		attempts: item.attempts,
+		data: {},
+		markdown: null,
+		summary: null,
+		screenshot: null,
+		error: lastError,
+	});
+}
+
+async function runJob(job, scrapeUrl) {
+	job.status = "running";
+	job.startedAt = Date.now();
+
+	let next = 0;
+	const worker = async () => {
+		while (next < job.items.length) {
+			const item = job.items[next++];
+			await runItem(job, item, scrapeUrl);
+		}
+	};
+
+	await Promise.all(
+		Array.from({ length: Math.min(job.concurrency, job.items.length) }, worker),
+	);
+
+	job.status = "completed";
+	job.completedAt = Date.now();
+	console.log(
+		`✅ [scrape-job ${job.id}] completed ${job.items.length} URL(s) in ${job.completedAt - job.startedAt}ms`,
+	);
+}
+
+/**
+ * Create a job and start it in the background.
+ *
+ * Invalid URLs are not queued; they are recorded as failed results up front so
+ * `index` still lines up with the submitted array.
+ *
+ * @param {Object} params
+ * @param {Array<string|{url: string}>} params.urls
+ * @param {Object} params.options    scrapeSingleUrlWithPuppeteer options
+ * @param {(url: string, options: Object) => Promise<Object>} params.scrapeUrl
+ * @param {number} [params.concurrency]
+ * @param {number} [params.maxRetries]
+ * @returns {ScrapeJob}
+ */
+export function createScrapeJob({
+	urls,
+	options,
+	scrapeUrl,
+	concurrency,
+	maxRetries,
+}) {
+	if (!Array.isArray(urls) || urls.length === 0) {
+		throw new Error("urls must be a non-empty array");
+	}
+	if (urls.length > SCRAPE_JOB_MAX_URLS) {
+		throw new Error(`Maximum ${SCRAPE_JOB_MAX_URLS} URLs per job`);
+	}
+
+	const now = Date.now();
+	const job = {
+		id: generateJobId(),
+		status: "queued",
+		options,
+		concurrency: clampInt(
+			concurrency,
+			1,
+			SCRAPE_JOB_MAX_CONCURRENCY,
+			parseInt(process.env.BROWSER_POOL_SIZE, 10) || 3,
+		),
+		maxRetries: clampInt(maxRetries, 0, SCRAPE_JOB_MAX_RETRIES, 2),
+		items: [],
+		results: [],
+		createdAt: now,
+		startedAt: null,
+		completedAt: null,
+	};
+
+	const invalid = [];
+	urls.forEach((raw, index) => {
+		const url = typeof raw === "string" ? raw : raw?.url;
+		if (!isValidHttpUrl(url)) {
+			invalid.push({ index, url: url || "invalid" });
+			return;
+		}
+		job.items.push({
+			index,
+			url,
+			status: "pending",
+			attempts: 0,
+			error: null,
+			startedAt: null,
+			finishedAt: null,
+		});
+	});
+	for (const { index, url } of invalid) {
+		job.results.push({
+			index,
+			url,
+			success: false,
+			attempts: 0,
+			data: {},
+			markdown: null,
+			summary: null,
+			screenshot: null,
+			error: "Invalid or missing URL",
+		});
+	}
+
+	jobs.set(job.id, job);
+	runJob(job, scrapeUrl).catch((err) => {
+		console.error(`[scrape-job ${job.id}] runJob error:`, err);
+		job.status = "completed";
+		job.completedAt = Date.now();
+	});
+	return job;
+}
+
+/** @returns {ScrapeJob|null} */
+export function getScrapeJob(id) {
+	return jobs.get(id) || null;
+}
+
+/** Public status payload for GET /jobs/:id (no result bodies). */
+export function summarizeScrapeJob(job) {
+	const counts = countItems(job);
+	const invalid = job.results.filter((r) => r.attempts === 0).length;
+	return {
+		jobId: job.id,
+		status: job.status,
+		total: job.items.length + invalid,
+		counts: { ...counts, failed: counts.failed + invalid },
+		resultsAvailable: job.results.length,
+		concurrency: job.concurrency,
+		maxRetries: job.maxRetries,
+		createdAt: job.createdAt,
+		startedAt: job.startedAt,
+		completedAt: job.completedAt,
+		items: job.items
+			.filter((i) => i.status !== "succeeded")
+			.map((i) => ({
+				index: i.index,
+				url: i.url,
+				status: i.status,
+				attempts: i.attempts,
+				error: i.error,
+			})),
+	};
+}
+
+/**
+ * One page of finished results. `cursor` is an offset into the completion-order
+ * list, so a cursor returned while the job runs stays valid as more results land.
+ */
+export function pageScrapeJobResults(job, { cursor = 0, limit = 50 } = {}) {
+	const start = clampInt(cursor, 0, job.results.length, 0);
+	const size = clampInt(limit, 1, SCRAPE_JOB_RESULTS_PAGE_MAX, 50);
+	const results = job.results.slice(start, start + size);
+	const nextCursor = start + results.length;
+	return {
+		jobId: job.id,
+		status: job.status,
+		cursor: start,
+		nextCursor,
+		hasMore:
+			nextCursor < job.results.length || job.status !== "completed",
+		results,
+	};
+}
+
+// Drop finished jobs after SCRAPE_JOB_TTL_MS so results don't pile up in memory.
+setInterval(
+	() => {
+		const now = Date.now();
+		for (const [id, job] of jobs.entries()) {
+			if (job.completedAt && now - job.completedAt > SCRAPE_JOB_TTL_MS) {
+				jobs.delete(id);
+			}
+		}
+	},
+	10 * 60 * 1000,
+).unref();
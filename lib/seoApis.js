@@ -12,6 +12,7 @@ import googleTrends from "google-trends-api";
 import { fetch } from "undici";
 import { performance } from "node:perf_hooks";
 import { z } from "zod";
+import { assertPublicUrl, safeFetch } from "./ssrfGuard.js";
 
 const UA =
 	"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36";
@@ -89,33 +90,13 @@ async function fetchDdgSerp(query, maxResults = 10) {
 	return { results: [], searchUrl: null };
 }
 
-function assertPublicHttpUrl(urlString) {
-	let u;
-	try {
-		u = new URL(urlString);
-	} catch {
-		throw new Error("Invalid URL");
-	}
-	if (!["http:", "https:"].includes(u.protocol)) {
-		throw new Error("Only http(s) URLs are allowed");
-	}
-	const host = u.hostname.toLowerCase();
-	if (
-		host === "localhost" ||
-		host.endsWith(".localhost") ||
-		host === "0.0.0.0" ||
-		host.startsWith("127.") ||
-		host === "::1" ||
-		host.startsWith("169.254.") ||
-		host.startsWith("10.") ||
-		host.startsWith("192.168.")
-	) {
-		throw new Error("Private / local URLs are not allowed");
-	}
+/** Kept for existing importers; the checks live in ssrfGuard (DNS-resolving). */
+async function assertPublicHttpUrl(urlString) {
+	await assertPublicUrl(urlString);
 }
 
 async function fetchPageHtml(url) {
-	const res = await fetch(url, {
+	const res = await safeFetch(url, {
 		headers: {
 			"User-Agent": UA,
 			Accept: "text/html,application/xhtml+xml",
@@ -269,14 +250,14 @@ async function fetchSerpResults(query, num = 8) {
 
 async function checkUrlReachable(targetUrl, timeoutMs = 9000) {
 	try {
-		const res = await fetch(targetUrl, {
+		const res = await safeFetch(targetUrl, {
 			method: "HEAD",
 			redirect: "follow",
 			signal: AbortSignal.timeout(timeoutMs),
 			headers: { "User-Agent": UA },
 		});
 		if (res.status === 405 || res.status === 501 || res.status === 403) {
-			const res2 = await fetch(targetUrl, {
+			const res2 = await safeFetch(targetUrl, {
 				method: "GET",
 				redirect: "follow",
 				signal: AbortSignal.timeout(timeoutMs),
@@ -374,7 +355,7 @@ async function extractLinkAnalysis(html, pageUrl, options = {}) {
 async function measureTtfbApprox(pageUrl) {
 	const t0 = performance.now();
 	try {
-		const res = await fetch(pageUrl, {
+		const res = await safeFetch(pageUrl, {
 			redirect: "follow",
 			signal: AbortSignal.timeout(22000),
 			headers: {
@@ -899,7 +880,7 @@ export async function runG2CompetitorDeepResearch(raw) {
 		throw new Error(parsed.error.issues.map((e) => e.message).join("; "));
 	}
 	const { url, query: queryOverride, maxCompetitors, useAi } = parsed.data;
-	assertPublicHttpUrl(url);
+	await assertPublicHttpUrl(url);
 
 	let anchorUrl = null;
 	let productLabel = (queryOverride && String(queryOverride).trim()) || "";
@@ -1042,7 +1023,7 @@ export async function runKeywordAnalysis(raw) {
 		throw new Error(parsed.error.issues.map((e) => e.message).join("; "));
 	}
 	const { url, keyword, useAi, geo } = parsed.data;
-	assertPublicHttpUrl(url);
+	await assertPublicHttpUrl(url);
 
 	const html = await fetchPageHtml(url);
 	let onPage = extractOnPageSeo(html, url);
@@ -1190,7 +1171,7 @@ export async function runCompetitorAudit(raw) {
 		throw new Error(parsed.error.issues.map((e) => e.message).join("; "));
 	}
 	const { url, useAi, geo } = parsed.data;
-	assertPublicHttpUrl(url);
+	await assertPublicHttpUrl(url);
 
 	const html = await fetchPageHtml(url);
 	const onPage = extractOnPageSeo(html, url);
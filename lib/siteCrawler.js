@@ -0,0 +1,594 @@
+/**
+ * Breadth-first site crawler behind /crawl-url. Pages are scraped in-process
+ * through the injected `scrapePage` (scrapeSingleUrlWithPuppeteer, which
+ * borrows pages from browserPool); links found on each page feed the frontier.
+ *
+ *   maxDepth          link hops from the seed (seed = 0)
+ *   maxUrls           pages scraped, seed included
+ *   includePatterns   URL must match one of these (glob or /regex/flags)
+ *   excludePatterns   URL must match none of these
+ *   queryParams       "tracking" | "all" | "none" | { keep?: [...], remove?: [...] }
+ *   trailingSlash     "keep" | "strip" | "add" — /docs/ and /docs as one URL or two
+ *   canonical         honour rel=canonical: a page naming another URL as canonical
+ *                     is recorded with `canonicalUrl`, and that URL counts as
+ *                     crawled — it is the same page, so it is not scraped again
+ *   concurrency       pages in flight overall
+ *   perHostConcurrency / delayMs   politeness per host
+ *   subdomains        follow links to subdomains of the seed's domain
+ *   externalLinks     "ignore" | "record" (listed, not scraped) | "scrape" (scraped, not expanded)
+ *
+ * Globs: `*` matches within a path segment, `**` across segments, `?` one
+ * character. A glob starting with "/" is matched against path + query, any
+ * other against the full URL. The seed is always crawled; patterns apply to
+ * the URLs found from it.
+ *
+ * The crawl state is plain data (frontier, seen URLs, records, stats and, with
+ * `keepEdges`, the internal page → page links) so a run can be stopped between
+ * pages and continued later.
+ */
+
+import { clampInt } from "./numbers.js";
+
+export const EXTERNAL_LINK_POLICIES = ["ignore", "record", "scrape"];
+export const QUERY_PARAM_MODES = ["tracking", "all", "none"];
+export const TRAILING_SLASH_MODES = ["keep", "strip", "add"];
+
+const DEFAULT_MAX_DEPTH = 2;
+const MAX_MAX_DEPTH = 10;
+const DEFAULT_MAX_URLS = 100;
+const MAX_MAX_URLS = 500;
+const MAX_CONCURRENCY = 10;
+const DEFAULT_PER_HOST_CONCURRENCY = 2;
+const DEFAULT_DELAY_MS = 250;
+const MAX_DELAY_MS = 30_000;
+const MAX_PATTERNS = 50;
+/** Idle wait while every queued URL's host is busy or cooling down. */
+const SCHEDULER_TICK_MS = 50;
+
+const TRACKING_PARAMS = [
+	"utm_*",
+	"fbclid",
+	"gclid",
+	"gbraid",
+	"wbraid",
+	"msclkid",
+	"dclid",
+	"yclid",
+	"mc_cid",
+	"mc_eid",
+	"_ga",
+	"_gl",
+	"_hsenc",
+	"_hsmi",
+	"igshid",
+	"ref_src",
+	"spm",
+];
+
+// ─── Patterns ────────────────────────────────────────────────────────────────
+
+function escapeRegex(s) {
+	return s.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+function globToRegExp(glob) {
+	let out = "";
+	for (let i = 0; i < glob.length; i++) {
+		const ch = glob[i];
+		if (ch === "*" && glob[i + 1] === "*") {
+			out += ".*";
+			i++;
+		} else if (ch === "*") {
+			out += "[^/]*";
+		} else if (ch === "?") {
+			out += ".";
+		} else {
+			out += escapeRegex(ch);
+		}
+	}
+	return new RegExp(`^${out}$`, "i");
+}
+
+/**
+ * Compile one include/exclude pattern.
+ * @returns {{ test: (url: URL) => boolean }}
+ */
+function compilePattern(pattern) {
+	const regexForm = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+	if (regexForm) {
+		const re = new RegExp(regexForm[1], regexForm[2].replace(/[gy]/g, ""));
+		return { test: (u) => re.test(u.href) };
+	}
+	const re = globToRegExp(pattern);
+	return pattern.startsWith("/")
+		? { test: (u) => re.test(u.pathname + u.search) || re.test(u.pathname) }
+		: { test: (u) => re.test(u.href) };
+}
+
+function nameMatcher(names) {
+	const res = names.map(globToRegExp);
+	return (name) => res.some((re) => re.test(name));
+}
+
+const isTrackingParam = nameMatcher(TRACKING_PARAMS);
+
+// ─── Options ─────────────────────────────────────────────────────────────────
+
+function patternList(value, path, errors) {
+	if (value == null) return [];
+	const list = Array.isArray(value) ? value : [value];
+	if (list.length > MAX_PATTERNS || list.some((p) => typeof p !== "string" || !p.trim())) {
+		errors.push({
+			path,
+			message: `${path} must be an array of up to ${MAX_PATTERNS} non-empty strings`,
+		});
+		return [];
+	}
+	for (const [i, pattern] of list.entries()) {
+		try {
+			compilePattern(pattern.trim());
+		} catch (err) {
+			errors.push({ path: `${path}[${i}]`, message: `Invalid pattern: ${err.message}` });
+		}
+	}
+	return list.map((p) => p.trim());
+}
+
+function queryParamsOption(value, errors) {
+	if (value == null) return { mode: "tracking" };
+	if (typeof value === "string") {
+		if (QUERY_PARAM_MODES.includes(value)) return { mode: value };
+	} else if (typeof value === "object" && !Array.isArray(value)) {
+		const keep = value.keep ?? null;
+		const remove = value.remove ?? [];
+		const isNameList = (v) => Array.isArray(v) && v.every((n) => typeof n === "string" && n);
+		if ((keep === null || isNameList(keep)) && isNameList(remove)) {
+			return { mode: "custom", keep, remove };
+		}
+	}
+	errors.push({
+		path: "queryParams",
+		message: `queryParams must be one of ${QUERY_PARAM_MODES.join(", ")} or { keep?: string[], remove?: string[] }`,
+	});
+	return { mode: "tracking" };
+}
+
+/**
+ * Check crawl options from a request body.
+ * @param {Object} body
+ * @param {{ defaultConcurrency?: number, maxUrlsLimit?: number }} [limits]  maxUrlsLimit: cap on `maxUrls` (jobs allow more than /crawl-url)
+ * @returns {{ crawl: Object|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeCrawlOptions(
+	body = {},
+	{ defaultConcurrency = 3, maxUrlsLimit = MAX_MAX_URLS } = {},
+) {
+	const errors = [];
+	const externalLinks = body.externalLinks ?? "ignore";
+	if (!EXTERNAL_LINK_POLICIES.includes(externalLinks)) {
+		errors.push({
+			path: "externalLinks",
+			message: `externalLinks must be one of: ${EXTERNAL_LINK_POLICIES.join(", ")}`,
+		});
+	}
+	const trailingSlash = body.trailingSlash ?? "keep";
+	if (!TRAILING_SLASH_MODES.includes(trailingSlash)) {
+		errors.push({
+			path: "trailingSlash",
+			message: `trailingSlash must be one of: ${TRAILING_SLASH_MODES.join(", ")}`,
+		});
+	}
+	const crawl = {
+		maxDepth: clampInt(body.maxDepth, 0, MAX_MAX_DEPTH, DEFAULT_MAX_DEPTH),
+		maxUrls: clampInt(body.maxUrls, 1, maxUrlsLimit, DEFAULT_MAX_URLS),
+		includePatterns: patternList(body.includePatterns, "includePatterns", errors),
+		excludePatterns: patternList(body.excludePatterns, "excludePatterns", errors),
+		queryParams: queryParamsOption(body.queryParams, errors),
+		trailingSlash,
+		canonical: body.canonical !== false && body.canonical !== "false",
+		concurrency: clampInt(body.concurrency, 1, MAX_CONCURRENCY, defaultConcurrency),
+		perHostConcurrency: clampInt(
+			body.perHostConcurrency,
+			1,
+			MAX_CONCURRENCY,
+			DEFAULT_PER_HOST_CONCURRENCY,
+		),
+		delayMs: clampInt(body.delayMs, 0, MAX_DELAY_MS, DEFAULT_DELAY_MS),
+		subdomains: body.subdomains === true || body.subdomains === "true",
+		externalLinks,
+	};
+	return errors.length > 0 ? { crawl: null, errors } : { crawl, errors };
+}
+
+// ─── URLs ────────────────────────────────────────────────────────────────────
+
+/**
+ * Canonical form used for dedup: no fragment, lowercase host, no default port,
+ * query filtered by `queryParams` and sorted, trailing slash per `trailingSlash`
+ * (the site root and file-like paths such as /a.html are left alone).
+ * @param {string} input
+ * @param {{ queryParams?: Object, trailingSlash?: string }} [rules]  Crawl options
+ * @param {string} [base]  For relative URLs
+ * @returns {string|null} null for non-http(s) or unparseable URLs
+ */
+export function normalizeCrawlUrl(
+	input,
+	{ queryParams = { mode: "tracking" }, trailingSlash = "keep" } = {},
+	base,
+) {
+	let u;
+	try {
+		u = new URL(input, base);
+	} catch {
+		return null;
+	}
+	if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+	u.hash = "";
+	u.username = "";
+	u.password = "";
+	u.hostname = u.hostname.toLowerCase();
+	if (queryParams.mode === "none") {
+		u.search = "";
+	} else {
+		const keep = queryParams.mode === "custom" && queryParams.keep ? nameMatcher(queryParams.keep) : null;
+		const remove = queryParams.mode === "custom" ? nameMatcher(queryParams.remove) : null;
+		const params = [...u.searchParams].filter(([name]) => {
+			if (queryParams.mode === "all") return true;
+			if (keep) return keep(name);
+			if (remove?.(name)) return false;
+			return !isTrackingParam(name);
+		});
+		params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+		u.search = new URLSearchParams(params).toString();
+	}
+	if (u.pathname !== "/") {
+		if (trailingSlash === "strip") {
+			u.pathname = u.pathname.replace(/\/+$/, "") || "/";
+		} else if (trailingSlash === "add" && !u.pathname.endsWith("/") && !/\.[a-z0-9]+$/i.test(u.pathname)) {
+			u.pathname = `${u.pathname}/`;
+		}
+	}
+	return u.href;
+}
+
+/** Seed host without "www.", the base for the subdomain policy. */
+function baseHost(hostname) {
+	return hostname.replace(/^www\./, "");
+}
+
+/**
+ * Where a URL sits relative to the crawl: "internal" (followed), "external"
+ * (handled by `externalLinks`) or "excluded" (pattern miss).
+ */
+function scopeOf(state, u) {
+	const seedHost = state.seedHost;
+	const host = u.hostname;
+	const internal =
+		host === seedHost ||
+		baseHost(host) === baseHost(seedHost) ||
+		(state.options.subdomains && host.endsWith(`.${baseHost(seedHost)}`));
+	if (!internal) return "external";
+	const { include, exclude } = state.matchers;
+	if (exclude.some((p) => p.test(u))) return "excluded";
+	if (include.length > 0 && !include.some((p) => p.test(u))) return "excluded";
+	return "internal";
+}
+
+/** Is `url` within the crawl's host / subdomain scope (patterns aside)? */
+export function isInternalUrl(state, url) {
+	try {
+		return scopeOf(state, new URL(url)) !== "external";
+	} catch {
+		return false;
+	}
+}
+
+// ─── State ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} CrawlRecord
+ * @property {string} url
+ * @property {number} depth
+ * @property {string|null} parentUrl
+ * @property {"seed"|"link"|"sitemap"} source
+ * @property {boolean} external    Outside the crawl's host / subdomain scope
+ * @property {"scraped"|"failed"|"blocked"|"external"} status
+ * @property {number|null} httpStatus
+ * @property {string|null} code
+ * @property {string|null} error
+ * @property {string|null} title
+ * @property {string|null} canonicalUrl  rel=canonical target, when it is another URL
+ * @property {number} linksFound   Links on the page (before scoping)
+ * @property {number|null} durationMs
+ * @property {Object} [result]     Scrape result, when the caller keeps it
+ */
+
+/**
+ * Fresh crawl state for a seed URL.
+ * @param {string} seedUrl
+ * @param {Object} options         Output of normalizeCrawlOptions
+ * @param {{ sitemapUrls?: string[] }} [extra]  Queued at depth 1 after the seed
+ */
+export function createCrawlState(seedUrl, options, { sitemapUrls = [] } = {}) {
+	const seed = normalizeCrawlUrl(seedUrl, options);
+	if (!seed) throw new Error("Invalid seed URL");
+	const state = {
+		seedUrl: seed,
+		seedHost: new URL(seed).hostname,
+		options,
+		frontier: [{ url: seed, depth: 0, parentUrl: null, source: "seed", external: false }],
+		inFlight: [],
+		seen: new Set([seed]),
+		records: [],
+		/** [fromUrl, toUrl] internal links, filled when runCrawl has `keepEdges`. */
+		edges: [],
+		stats: { scheduled: 0, excluded: 0, external: 0, duplicates: 0 },
+	};
+	attachMatchers(state);
+	if (options.maxDepth >= 1) {
+		for (const raw of sitemapUrls) enqueue(state, raw, { depth: 1, parentUrl: null, source: "sitemap" });
+	}
+	return state;
+}
+
+function attachMatchers(state) {
+	Object.defineProperty(state, "matchers", {
+		value: {
+			include: state.options.includePatterns.map(compilePattern),
+			exclude: state.options.excludePatterns.map(compilePattern),
+		},
+		enumerable: false,
+		configurable: true,
+	});
+}
+
+/**
+ * Plain-JSON copy of a crawl state (for checkpoints). Pages still in flight go
+ * back to the front of the frontier, so a run restored from a checkpoint taken
+ * mid-crawl scrapes them again instead of losing them. The growing lists are
+ * copied: a checkpoint written later must not pick up pages crawled since.
+ */
+export function serializeCrawlState(state) {
+	return {
+		...state,
+		records: [...state.records],
+		...(state.edges && { edges: [...state.edges] }),
+		frontier: [...state.inFlight, ...state.frontier],
+		inFlight: [],
+		seen: [...state.seen],
+		stats: { ...state.stats, scheduled: state.stats.scheduled - state.inFlight.length },
+	};
+}
+
+/** Inverse of serializeCrawlState. */
+export function restoreCrawlState(saved) {
+	const state = { ...saved, edges: saved.edges ?? [], inFlight: [], seen: new Set(saved.seen) };
+	attachMatchers(state);
+	return state;
+}
+
+/**
+ * Add a discovered URL to the frontier. With externalLinks "record", off-site
+ * URLs are pushed onto `externalRecords` instead.
+ * @returns {boolean} true when queued
+ */
+function enqueue(state, raw, { depth, parentUrl, source, ignoreUrl, externalRecords }) {
+	const url = normalizeCrawlUrl(raw, state.options, parentUrl ?? undefined);
+	if (!url || ignoreUrl?.(url)) return false;
+	if (state.seen.has(url)) {
+		state.stats.duplicates++;
+		return false;
+	}
+	state.seen.add(url);
+	const scope = scopeOf(state, new URL(url));
+	if (scope === "excluded") {
+		state.stats.excluded++;
+		return false;
+	}
+	if (scope === "external") {
+		state.stats.external++;
+		if (state.options.externalLinks === "ignore") return false;
+		if (state.options.externalLinks === "record") {
+			externalRecords?.push({
+				url,
+				depth,
+				parentUrl,
+				source,
+				external: true,
+				status: "external",
+				httpStatus: null,
+				code: null,
+				error: null,
+				title: null,
+				canonicalUrl: null,
+				linksFound: 0,
+				durationMs: null,
+			});
+			return false;
+		}
+	}
+	state.frontier.push({ url, depth, parentUrl, source, external: scope === "external" });
+	return true;
+}
+
+// ─── Run ─────────────────────────────────────────────────────────────────────
+
+function hostOf(url) {
+	return new URL(url).hostname;
+}
+
+/**
+ * Crawl until the frontier is empty, `maxUrls` pages were scraped or
+ * `shouldStop()` turns true. Stopping lets in-flight pages finish and leaves
+ * the rest of the frontier in `state` for a later run.
+ *
+ * @param {Object} state  From createCrawlState / restoreCrawlState
+ * @param {Object} params
+ * @param {(url: string) => Promise<Object>} params.scrapePage  Scrape result (`data.links` used for discovery)
+ * @param {boolean} [params.keepResults]   Keep each scrape result on its record
+ * @param {boolean} [params.keepEdges]     Record which in-scope pages each page links to (`state.edges`),
+ *   whether or not they get queued
+ * @param {(url: string) => boolean} [params.ignoreUrl]  Never queue these URLs
+ * @param {() => boolean} [params.shouldStop]
+ * @param {(records: CrawlRecord[], result: Object) => void} [params.onPage]  After each page, once its
+ *   records (the page's own, then recorded external links) are in `state.records` and its links queued
+ * @returns {Promise<{ state: Object, done: boolean }>} done: nothing left to crawl
+ */
+export async function runCrawl(
+	state,
+	{ scrapePage, keepResults = false, keepEdges = false, ignoreUrl, shouldStop = () => false, onPage },
+) {
+	const { options } = state;
+	const activeByHost = new Map();
+	const nextSlotByHost = new Map();
+	let inFlight = 0;
+
+	const budgetLeft = () => state.stats.scheduled < options.maxUrls;
+
+	/** Index of the first queued URL whose host has a free, cooled-down slot. */
+	const pickIndex = () => {
+		const now = Date.now();
+		return state.frontier.findIndex(({ url }) => {
+			const host = hostOf(url);
+			return (
+				(activeByHost.get(host) || 0) < options.perHostConcurrency &&
+				(nextSlotByHost.get(host) || 0) <= now
+			);
+		});
+	};
+
+	const crawlOne = async (item) => {
+		const host = hostOf(item.url);
+		state.inFlight.push(item);
+		activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+		nextSlotByHost.set(host, Date.now() + options.delayMs);
+		const startedAt = Date.now();
+		let result;
+		try {
+			result = await scrapePage(item.url);
+		} catch (err) {
+			result = { success: false, error: err?.message || "Scraping failed" };
+		} finally {
+			state.inFlight.splice(state.inFlight.indexOf(item), 1);
+			activeByHost.set(host, activeByHost.get(host) - 1);
+			nextSlotByHost.set(host, Math.max(nextSlotByHost.get(host) || 0, Date.now() + options.delayMs));
+		}
+
+		const links = Array.isArray(result?.data?.links) ? result.data.links : [];
+		const canonical =
+			options.canonical && result?.success && typeof result.data?.canonicalUrl === "string"
+				? normalizeCrawlUrl(result.data.canonicalUrl, options, item.url)
+				: null;
+		const hrefs = links
+			.map((link) => (typeof link === "string" ? link : link?.href || link?.url))
+			.filter(Boolean);
+		const record = {
+			url: item.url,
+			depth: item.depth,
+			parentUrl: item.parentUrl,
+			source: item.source,
+			external: item.external === true,
+			status: result?.success ? "scraped" : result?.blocked ? "blocked" : "failed",
+			httpStatus: result?.httpStatus ?? null,
+			code: result?.code ?? null,
+			error: result?.success ? null : result?.error || null,
+			title: result?.data?.title || null,
+			canonicalUrl: canonical && canonical !== item.url ? canonical : null,
+			linksFound: links.length,
+			durationMs: Date.now() - startedAt,
+			...(keepResults && { result }),
+		};
+		const externalRecords = [];
+
+		// The canonical URL is an alias of this page (/a/ ↔ /a, tracking variants):
+		// links to it later are duplicates, not a second copy to spend budget on.
+		if (record.canonicalUrl && !item.external) {
+			state.seen.add(record.canonicalUrl);
+			const queued = state.frontier.findIndex((next) => next.url === record.canonicalUrl);
+			if (queued !== -1) {
+				state.frontier.splice(queued, 1);
+				state.stats.duplicates++;
+			}
+		}
+
+		// External pages are scraped but never expanded.
+		if (result?.success && !item.external && item.depth < options.maxDepth) {
+			for (const href of hrefs) {
+				enqueue(state, href, {
+					depth: item.depth + 1,
+					parentUrl: item.url,
+					source: "link",
+					ignoreUrl,
+					externalRecords,
+				});
+			}
+		}
+		if (keepEdges && result?.success && !item.external) {
+			const targets = new Set();
+			for (const href of hrefs) {
+				const url = normalizeCrawlUrl(href, options, item.url);
+				if (!url || url === item.url || ignoreUrl?.(url)) continue;
+				if (scopeOf(state, new URL(url)) === "internal") targets.add(url);
+			}
+			for (const target of targets) state.edges.push([item.url, target]);
+		}
+		state.records.push(record, ...externalRecords);
+		onPage?.([record, ...externalRecords], result);
+	};
+
+	await new Promise((resolve) => {
+		let settled = false;
+		let tick = null;
+		const finish = () => {
+			if (!settled && inFlight === 0) {
+				settled = true;
+				resolve();
+			}
+		};
+		const pump = () => {
+			if (settled) return;
+			while (inFlight < options.concurrency && budgetLeft() && !shouldStop()) {
+				const index = pickIndex();
+				if (index === -1) break;
+				const [item] = state.frontier.splice(index, 1);
+				state.stats.scheduled++;
+				inFlight++;
+				crawlOne(item).finally(() => {
+					inFlight--;
+					pump();
+				});
+			}
+			const waiting = state.frontier.length > 0 && budgetLeft() && !shouldStop();
+			if (inFlight === 0 && !waiting) return finish();
+			// Queued URLs waiting on a per-host delay: look again shortly.
+			if (waiting && inFlight < options.concurrency && !tick) {
+				tick = setTimeout(() => {
+					tick = null;
+					pump();
+				}, SCHEDULER_TICK_MS);
+			}
+		};
+		pump();
+	});
+
+	return { state, done: state.frontier.length === 0 || !budgetLeft() };
+}
+
+/** Counts by record status, plus what the frontier still holds. */
+export function summarizeCrawl(state) {
+	const byStatus = { scraped: 0, failed: 0, blocked: 0, external: 0 };
+	let maxDepthReached = 0;
+	for (const record of state.records) {
+		byStatus[record.status]++;
+		maxDepthReached = Math.max(maxDepthReached, record.depth);
+	}
+	return {
+		...byStatus,
+		queued: state.frontier.length,
+		inFlight: state.inFlight?.length ?? 0,
+		discovered: state.seen.size,
+		excluded: state.stats.excluded,
+		externalLinks: state.stats.external,
+		maxDepthReached,
+	};
+}
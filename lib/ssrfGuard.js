@@ -0,0 +1,294 @@
+/**
+ * SSRF guard for every user-supplied URL the server fetches or renders.
+ *
+ *   assertPublicUrl(url)   protocol + hostname + DNS check before any request
+ *   safeFetch(url, init)   undici fetch that re-checks every redirect hop and
+ *                          connects only to the addresses it validated
+ *   createRequestGuard()   per-page check for the Puppeteer request interceptor
+ *
+ * Private targets are loopback, RFC 1918, CGNAT, link-local (incl. the cloud
+ * metadata address 169.254.169.254), unique-local / link-local IPv6,
+ * IPv4-mapped and NAT64 forms of those, multicast and reserved ranges.
+ *
+ * DNS rebinding: safeFetch resolves inside the socket's `lookup`, so the
+ * address that was checked is the address connected to. Chromium resolves on
+ * its own; the interceptor re-checks each request against a short-lived
+ * lookup cache, which narrows but cannot close that window.
+ *
+ * SSRF_ALLOWLIST (comma-separated) opens internal targets for self-hosted
+ * deployments: hostnames ("intranet.corp", "*.corp.example"), IPs or CIDRs
+ * ("10.0.0.0/8", "fd00::/8").
+ */
+
+import dns from "node:dns";
+import net from "node:net";
+import { Agent, fetch } from "undici";
+
+export const SSRF_BLOCKED_CODE = "SSRF_BLOCKED";
+
+const MAX_REDIRECTS = 10;
+const LOOKUP_CACHE_TTL_MS = 30_000;
+
+const BLOCKED_HOSTNAMES = new Set(["localhost", "metadata.google.internal", "metadata"]);
+const BLOCKED_SUFFIXES = [".localhost", ".internal", ".local"];
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+	["0.0.0.0", 8],
+	["10.0.0.0", 8],
+	["100.64.0.0", 10],
+	["127.0.0.0", 8],
+	["169.254.0.0", 16],
+	["172.16.0.0", 12],
+	["192.0.0.0", 24],
+	["192.0.2.0", 24],
+	["192.88.99.0", 24],
+	["192.168.0.0", 16],
+	["198.18.0.0", 15],
+	["198.51.100.0", 24],
+	["203.0.113.0", 24],
+	["224.0.0.0", 4],
+	["240.0.0.0", 4],
+]) {
+	PRIVATE_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+	["::", 128],
+	["::1", 128],
+	["100::", 64],
+	["2001:db8::", 32],
+	["fc00::", 7],
+	["fe80::", 10],
+	["ff00::", 8],
+]) {
+	PRIVATE_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+function ssrfError(message) {
+	return Object.assign(new Error(message), { code: SSRF_BLOCKED_CODE });
+}
+
+/** "::ffff:7f00:1", "::ffff:127.0.0.1", "64:ff9b::7f00:1" → "127.0.0.1"; otherwise null. */
+function embeddedIpv4(ipv6) {
+	const lower = ipv6.toLowerCase();
+	const m = lower.match(/^(?:::ffff:(?:0:)?|64:ff9b::)(.+)$/);
+	if (!m) return null;
+	if (net.isIPv4(m[1])) return m[1];
+	const hex = m[1].match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+	if (!hex) return null;
+	const hi = Number.parseInt(hex[1], 16);
+	const lo = Number.parseInt(hex[2], 16);
+	return [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+}
+
+/** True for loopback, private, link-local, metadata and reserved addresses. */
+export function isPrivateAddress(address) {
+	const ip = String(address).replace(/^\[|\]$/g, "");
+	if (net.isIPv4(ip)) return PRIVATE_RANGES.check(ip, "ipv4");
+	if (net.isIPv6(ip)) {
+		const v4 = embeddedIpv4(ip);
+		if (v4) return PRIVATE_RANGES.check(v4, "ipv4");
+		return PRIVATE_RANGES.check(ip, "ipv6");
+	}
+	return true;
+}
+
+// ─── Allowlist ───────────────────────────────────────────────────────────────
+
+function parseAllowlist(raw) {
+	const hosts = [];
+	const addresses = new net.BlockList();
+	for (const entry of String(raw || "")
+		.split(",")
+		.map((s) => s.trim().toLowerCase())
+		.filter(Boolean)) {
+		const [network, prefix] = entry.split("/");
+		const type = net.isIPv4(network) ? "ipv4" : net.isIPv6(network) ? "ipv6" : null;
+		if (type) {
+			addresses.addSubnet(network, prefix ? Number(prefix) : type === "ipv4" ? 32 : 128, type);
+		} else {
+			hosts.push(entry);
+		}
+	}
+	return { hosts, addresses };
+}
+
+const allowlist = parseAllowlist(process.env.SSRF_ALLOWLIST);
+
+function hostAllowed(hostname) {
+	return allowlist.hosts.some((pattern) =>
+		pattern.startsWith("*.")
+			? hostname.endsWith(pattern.slice(1))
+			: hostname === pattern,
+	);
+}
+
+function addressAllowed(ip) {
+	const type = net.isIPv4(ip) ? "ipv4" : "ipv6";
+	return allowlist.addresses.check(ip, type);
+}
+
+// ─── Checks ──────────────────────────────────────────────────────────────────
+
+function lookupAll(hostname) {
+	return new Promise((resolve, reject) => {
+		dns.lookup(hostname, { all: true, verbatim: true }, (err, addresses) =>
+			err ? reject(err) : resolve(addresses),
+		);
+	});
+}
+
+/** Why the resolved addresses of `hostname` are not allowed, or null. */
+function rejectAddresses(hostname, addresses) {
+	if (addresses.length === 0) return `${hostname} did not resolve`;
+	const blocked = addresses.find(
+		({ address }) => isPrivateAddress(address) && !addressAllowed(address),
+	);
+	return blocked ? `${hostname} resolves to a private address (${blocked.address})` : null;
+}
+
+/**
+ * Parse and check a URL without DNS: protocol, credentials-free host,
+ * local hostnames and literal private IPs.
+ * @returns {{ url: URL, hostname: string, needsLookup: boolean }} needsLookup false for
+ *   allowlisted hosts and literal public IPs
+ */
+function checkUrlShape(input) {
+	let url;
+	try {
+		url = input instanceof URL ? input : new URL(String(input).trim());
+	} catch {
+		throw ssrfError("Invalid URL");
+	}
+	if (url.protocol !== "http:" && url.protocol !== "https:") {
+		throw ssrfError("Only http(s) URLs are allowed");
+	}
+	const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+	if (hostAllowed(hostname)) return { url, hostname, needsLookup: false };
+	if (
+		BLOCKED_HOSTNAMES.has(hostname) ||
+		BLOCKED_SUFFIXES.some((suffix) => hostname.endsWith(suffix))
+	) {
+		throw ssrfError("Private / local URLs are not allowed");
+	}
+	if (net.isIP(hostname)) {
+		if (isPrivateAddress(hostname) && !addressAllowed(hostname)) {
+			throw ssrfError("Private / local URLs are not allowed");
+		}
+		return { url, hostname, needsLookup: false };
+	}
+	return { url, hostname, needsLookup: true };
+}
+
+/**
+ * Throw (err.code = SSRF_BLOCKED) unless `input` is an http(s) URL whose host
+ * resolves only to public addresses (or is allowlisted).
+ * @returns {Promise<URL>}
+ */
+export async function assertPublicUrl(input) {
+	const { url, hostname, needsLookup } = checkUrlShape(input);
+	if (!needsLookup) return url;
+	let addresses;
+	try {
+		addresses = await lookupAll(hostname);
+	} catch (err) {
+		throw ssrfError(`Could not resolve ${hostname}: ${err?.code || err?.message}`);
+	}
+	const reason = rejectAddresses(hostname, addresses);
+	if (reason) throw ssrfError(reason);
+	return url;
+}
+
+/** Boolean form of assertPublicUrl for filters. */
+export async function isPublicUrl(input) {
+	try {
+		await assertPublicUrl(input);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+// ─── Fetch ───────────────────────────────────────────────────────────────────
+
+/** net.connect lookup that refuses private addresses at connection time. */
+function guardedLookup(hostname, options, callback) {
+	const host = String(hostname).toLowerCase();
+	dns.lookup(host, { ...options, all: true, verbatim: true }, (err, addresses) => {
+		if (err) return callback(err);
+		const reason = hostAllowed(host) ? null : rejectAddresses(host, addresses);
+		if (reason) return callback(ssrfError(reason));
+		if (options?.all) return callback(null, addresses);
+		return callback(null, addresses[0].address, addresses[0].family);
+	});
+}
+
+const guardedAgent = new Agent({ connect: { lookup: guardedLookup } });
+
+/**
+ * fetch() for user-supplied URLs: every hop is checked with assertPublicUrl and
+ * connections go through guardedLookup. `init.redirect` "error" / "manual" are
+ * honoured; anything else follows up to 10 redirects. `init.dispatcher` (e.g. a
+ * ProxyAgent) replaces the guarded agent — the proxy resolves the host, so only
+ * the URL checks apply then.
+ * @returns {Promise<Response>} The final response; `finalUrl` is set on it.
+ */
+export async function safeFetch(input, init = {}) {
+	const { redirect = "follow", dispatcher, ...rest } = init;
+	let url = await assertPublicUrl(input);
+	let method = (rest.method || "GET").toUpperCase();
+	let body = rest.body;
+	for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+		const res = await fetch(url, {
+			...rest,
+			method,
+			body,
+			redirect: "manual",
+			dispatcher: dispatcher ?? guardedAgent,
+		});
+		const location = res.headers.get("location");
+		if (res.status < 300 || res.status > 399 || !location || redirect === "manual") {
+			return Object.assign(res, { finalUrl: url.href });
+		}
+		await res.body?.cancel().catch(() => {});
+		if (redirect === "error") throw new Error(`Unexpected redirect to ${location}`);
+		url = await assertPublicUrl(new URL(location, url));
+		if (res.status === 303 || ((res.status === 301 || res.status === 302) && method === "POST")) {
+			method = "GET";
+			body = undefined;
+		}
+	}
+	throw new Error(`Too many redirects (max ${MAX_REDIRECTS})`);
+}
+
+// ─── Browser ─────────────────────────────────────────────────────────────────
+
+/**
+ * Request check for a Puppeteer page's interceptor. Lookups are cached per
+ * host for a short time so subresources do not each pay a DNS round trip.
+ * @returns {{ blocks: (url: string) => Promise<string|null> }} reason when blocked
+ */
+export function createRequestGuard() {
+	const verdicts = new Map();
+	return {
+		async blocks(requestUrl) {
+			if (!/^https?:/i.test(requestUrl)) return null;
+			let hostname;
+			try {
+				({ hostname } = checkUrlShape(requestUrl));
+			} catch (err) {
+				return err.message;
+			}
+			const cached = verdicts.get(hostname);
+			if (cached && cached.expires > Date.now()) return cached.reason;
+			let reason = null;
+			try {
+				await assertPublicUrl(requestUrl);
+			} catch (err) {
+				reason = err.message;
+			}
+			verdicts.set(hostname, { reason, expires: Date.now() + LOOKUP_CACHE_TTL_MS });
+			return reason;
+		},
+	};
+}
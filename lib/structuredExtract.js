@@ -0,0 +1,488 @@
+/**
+ * Schema-driven structured extraction for /scrape (`extract: { schema, instructions }`).
+ *
+ * Accepts either a JSON Schema object (`{ type: "object", properties, required }`)
+ * or a compact field spec (`{ title: "string", price: "number", tags: "string[]", sku: "string?" }`).
+ * Fields are filled from deterministic sources first — JSON-LD, then CSS selectors —
+ * and only the leftovers go to an LLM pass over the scraped markdown.
+ * Validation problems are returned as `errors[]`; nothing here throws on bad data.
+ */
+
+import { load } from "cheerio";
+
+const EXTRACT_LLM_MAX_MARKDOWN_CHARS = 24_000;
+const SCALAR_TYPES = new Set(["string", "number", "integer", "boolean"]);
+const ALL_TYPES = new Set([...SCALAR_TYPES, "array", "object", "null"]);
+/** JSON-LD containers searched one level deep when a field isn't on the node itself. */
+const JSON_LD_NESTED_KEYS = [
+	"offers",
+	"aggregateRating",
+	"author",
+	"brand",
+	"publisher",
+	"address",
+	"mainEntity",
+];
+
+// ─── Schema normalisation ────────────────────────────────────────────────────
+
+function isPlainObject(v) {
+	return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isJsonSchemaObject(spec) {
+	return (
+		isPlainObject(spec) &&
+		spec.type === "object" &&
+		isPlainObject(spec.properties)
+	);
+}
+
+/** "string" | "number?" | "string[]" → JSON Schema fragment + optional flag. */
+function fieldFromShorthand(str) {
+	let s = String(str).trim();
+	const optional = s.endsWith("?");
+	if (optional) s = s.slice(0, -1);
+	if (s.endsWith("[]")) {
+		return {
+			schema: { type: "array", items: { type: s.slice(0, -2) } },
+			optional,
+		};
+	}
+	return { schema: { type: s }, optional };
+}
+
+function fieldFromSpec(value) {
+	if (typeof value === "string") return fieldFromShorthand(value);
+	if (isPlainObject(value)) {
+		const { optional = false, ...schema } = value;
+		if (typeof schema.type === "string" && schema.type.endsWith("[]")) {
+			schema.items = { ...(schema.items || {}), type: schema.type.slice(0, -2) };
+			schema.type = "array";
+		}
+		return { schema, optional: Boolean(optional) };
+	}
+	return { schema: null, optional: false };
+}
+
+function checkSchemaNode(schema, path, errors) {
+	if (!isPlainObject(schema)) {
+		errors.push({ path, message: "Field definition must be an object or type string" });
+		return;
+	}
+	if (schema.type !== undefined && !ALL_TYPES.has(schema.type)) {
+		errors.push({ path, message: `Unsupported type "${schema.type}"` });
+	}
+	if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+		errors.push({ path, message: "enum must be an array" });
+	}
+	if (schema.type === "array" && schema.items !== undefined) {
+		checkSchemaNode(schema.items, `${path}[]`, errors);
+	}
+	if (schema.type === "object" && schema.properties !== undefined) {
+		if (!isPlainObject(schema.properties)) {
+			errors.push({ path, message: "properties must be an object" });
+			return;
+		}
+		for (const [k, v] of Object.entries(schema.properties)) {
+			checkSchemaNode(v, path ? `${path}.${k}` : k, errors);
+		}
+	}
+}
+
+/**
+ * Turn `extract.schema` into a JSON Schema object. Returns `{ schema, errors }`;
+ * `errors` is non-empty when the spec itself is unusable (routes answer 400).
+ *
+ * @param {Object} spec JSON Schema or compact field spec
+ * @returns {{ schema: Object|null, errors: Array<{path: string, message: string}> }}
+ */
+export function normalizeExtractSchema(spec) {
+	const errors = [];
+	if (!isPlainObject(spec) || Object.keys(spec).length === 0) {
+		return {
+			schema: null,
+			errors: [{ path: "", message: "extract.schema must be a non-empty object" }],
+		};
+	}
+
+	let schema;
+	if (isJsonSchemaObject(spec)) {
+		schema = spec;
+	} else {
+		const properties = {};
+		const required = [];
+		for (const [key, value] of Object.entries(spec)) {
+			const field = fieldFromSpec(value);
+			if (!field.schema) {
+				errors.push({ path: key, message: "Field definition must be an object or type string" });
+				continue;
+			}
+			properties[key] = field.schema;
+			if (!field.optional) required.push(key);
+		}
+		schema = { type: "object", properties, required };
+	}
+
+	checkSchemaNode(schema, "", errors);
+	if (schema.required !== undefined && !Array.isArray(schema.required)) {
+		errors.push({ path: "", message: "required must be an array" });
+	}
+	return { schema: errors.length ? null : schema, errors };
+}
+
+// ─── Coercion + validation ───────────────────────────────────────────────────
+
+function parseNumberLike(value) {
+	if (typeof value === "number") return value;
+	if (typeof value !== "string") return undefined;
+	const m = value.replace(/\s/g, "").match(/-?\d[\d,]*(?:\.\d+)?/);
+	if (!m) return undefined;
+	const n = Number(m[0].replace(/,/g, ""));
+	return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Best-effort coercion of scraped values toward the schema type
+ * ("$1,299.00" → 1299, ["Title"] → "Title", "yes" → true). Returns
+ * undefined for empty values so the field counts as missing.
+ */
+function coerceValue(value, schema = {}) {
+	if (value === undefined || value === null) return undefined;
+	if (isPlainObject(value) && value["@value"] !== undefined) {
+		value = value["@value"];
+	}
+	switch (schema.type) {
+		case "string": {
+			if (Array.isArray(value)) value = value.find((v) => v != null);
+			if (isPlainObject(value)) value = value.name ?? value.text;
+			if (value === undefined || value === null) return undefined;
+			const s = String(value).replace(/\s+/g, " ").trim();
+			return s || undefined;
+		}
+		case "number":
+		case "integer": {
+			if (Array.isArray(value)) value = value[0];
+			const n = parseNumberLike(value);
+			if (n === undefined) return value;
+			return schema.type === "integer" ? Math.round(n) : n;
+		}
+		case "boolean": {
+			if (typeof value === "boolean") return value;
+			const s = String(value).trim().toLowerCase();
+			if (["true", "yes", "1", "y", "instock", "in stock"].includes(s)) return true;
+			if (["false", "no", "0", "n", "outofstock", "out of stock"].includes(s)) return false;
+			return value;
+		}
+		case "array": {
+			const arr = Array.isArray(value) ? value : [value];
+			const out = arr
+				.map((v) => coerceValue(v, schema.items || {}))
+				.filter((v) => v !== undefined);
+			return out.length ? out : undefined;
+		}
+		case "object": {
+			if (!isPlainObject(value)) return value;
+			if (!isPlainObject(schema.properties)) return value;
+			const out = {};
+			for (const [k, sub] of Object.entries(schema.properties)) {
+				const v = coerceValue(value[k], sub);
+				if (v !== undefined) out[k] = v;
+			}
+			return out;
+		}
+		default:
+			return value;
+	}
+}
+
+function typeOf(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (typeof value === "number" && Number.isInteger(value)) return "integer";
+	return typeof value;
+}
+
+function typeMatches(value, type) {
+	const actual = typeOf(value);
+	if (type === "number") return actual === "number" || actual === "integer";
+	return actual === type;
+}
+
+/**
+ * Validate a value against the supported JSON Schema subset
+ * (type, properties, required, items, enum, minimum/maximum, minItems).
+ * @returns {Array<{path: string, message: string, expected?: string, received?: string}>}
+ */
+export function validateAgainstSchema(value, schema, path = "") {
+	const errors = [];
+	if (!schema) return errors;
+
+	if (schema.type && !typeMatches(value, schema.type)) {
+		errors.push({
+			path,
+			message: `Expected ${schema.type}`,
+			expected: schema.type,
+			received: typeOf(value),
+		});
+		return errors;
+	}
+	if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+		errors.push({
+			path,
+			message: `Must be one of: ${schema.enum.map(String).join(", ")}`,
+			received: String(value),
+		});
+	}
+	if (typeof value === "number") {
+		if (typeof schema.minimum === "number" && value < schema.minimum) {
+			errors.push({ path, message: `Must be >= ${schema.minimum}` });
+		}
+		if (typeof schema.maximum === "number" && value > schema.maximum) {
+			errors.push({ path, message: `Must be <= ${schema.maximum}` });
+		}
+	}
+	if (Array.isArray(value)) {
+		if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+			errors.push({ path, message: `Must have at least ${schema.minItems} item(s)` });
+		}
+		if (schema.items) {
+			value.forEach((item, i) => {
+				errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+			});
+		}
+	}
+	if (isPlainObject(value) && isPlainObject(schema.properties)) {
+		const required = Array.isArray(schema.required) ? schema.required : [];
+		for (const key of required) {
+			if (value[key] === undefined || value[key] === null) {
+				errors.push({
+					path: path ? `${path}.${key}` : key,
+					message: "Required field is missing",
+				});
+			}
+		}
+		for (const [key, sub] of Object.entries(schema.properties)) {
+			if (value[key] === undefined || value[key] === null) continue;
+			errors.push(
+				...validateAgainstSchema(value[key], sub, path ? `${path}.${key}` : key),
+			);
+		}
+	}
+	return errors;
+}
+
+// ─── Deterministic sources ───────────────────────────────────────────────────
+
+/** All JSON-LD nodes on the page, with `@graph` and arrays flattened. */
+export function collectJsonLdNodes(html) {
+	if (!html) return [];
+	const $ = load(html);
+	const nodes = [];
+	const visit = (node) => {
+		if (Array.isArray(node)) return node.forEach(visit);
+		if (!isPlainObject(node)) return;
+		nodes.push(node);
+		if (node["@graph"]) visit(node["@graph"]);
+	};
+	$('script[type="application/ld+json"]').each((_, el) => {
+		const raw = $(el).contents().text();
+		try {
+			visit(JSON.parse(raw));
+		} catch {
+			/* malformed JSON-LD is common — skip the block */
+		}
+	});
+	return nodes;
+}
+
+function getPath(obj, dotted) {
+	let cur = obj;
+	for (const part of String(dotted).split(".")) {
+		if (Array.isArray(cur)) cur = cur[0];
+		if (!isPlainObject(cur)) return undefined;
+		cur = cur[part];
+	}
+	return cur;
+}
+
+function findKeyInsensitive(obj, key) {
+	if (!isPlainObject(obj)) return undefined;
+	const lower = key.toLowerCase();
+	const hit = Object.keys(obj).find((k) => k.toLowerCase() === lower);
+	return hit === undefined ? undefined : obj[hit];
+}
+
+function jsonLdValueFor(nodes, field, fieldSchema) {
+	for (const node of nodes) {
+		if (fieldSchema.jsonLd) {
+			const v = getPath(node, fieldSchema.jsonLd);
+			if (v !== undefined) return v;
+			continue;
+		}
+		const direct = findKeyInsensitive(node, field);
+		if (direct !== undefined) return direct;
+		for (const nestedKey of JSON_LD_NESTED_KEYS) {
+			let nested = node[nestedKey];
+			if (Array.isArray(nested)) nested = nested[0];
+			const v = findKeyInsensitive(nested, field);
+			if (v !== undefined) return v;
+		}
+	}
+	return undefined;
+}
+
+function selectorValueFor($, selector, fieldSchema) {
+	let els;
+	try {
+		els = $(selector);
+	} catch {
+		return undefined;
+	}
+	if (!els.length) return undefined;
+	const read = (el) => {
+		const $el = $(el);
+		if (fieldSchema.attr) return $el.attr(fieldSchema.attr);
+		return $el.text();
+	};
+	if (fieldSchema.type === "array") return els.toArray().map(read);
+	return read(els.first());
+}
+
+// ─── LLM fallback ────────────────────────────────────────────────────────────
+
+function parseJsonFromModel(raw) {
+	let t = String(raw || "")
+		.trim()
+		.replace(/^```(?:json)?\s*/i, "")
+		.replace(/\s*```$/m, "")
+		.trim();
+	const start = t.indexOf("{");
+	const end = t.lastIndexOf("}");
+	if (start === -1 || end <= start) return null;
+	try {
+		return JSON.parse(t.slice(start, end + 1));
+	} catch {
+		return null;
+	}
+}
+
+function stripHints(schema) {
+	if (!isPlainObject(schema)) return schema;
+	const { selector, jsonLd, attr, ...rest } = schema;
+	if (rest.items) rest.items = stripHints(rest.items);
+	if (isPlainObject(rest.properties)) {
+		rest.properties = Object.fromEntries(
+			Object.entries(rest.properties).map(([k, v]) => [k, stripHints(v)]),
+		);
+	}
+	return rest;
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+
+/**
+ * Build a validated object from a scraped page.
+ *
+ * @param {Object} params
+ * @param {Object} params.schema        Normalised JSON Schema (see normalizeExtractSchema)
+ * @param {string} [params.instructions]
+ * @param {string|null} params.html     Raw page HTML (JSON-LD + selectors); may be null
+ * @param {string|null} params.markdown Scraped markdown for the LLM pass
+ * @param {string} params.url
+ * @param {Object<string,string>} [params.selectors] Scrape-level selectors, matched by field name
+ * @param {((messages: Object[]) => Promise<{content: string}>)|null} [params.llm]
+ */
+export async function runStructuredExtraction({
+	schema,
+	instructions = "",
+	html,
+	markdown,
+	url,
+	selectors = {},
+	llm = null,
+}) {
+	const properties = schema.properties || {};
+	const data = {};
+	const sources = {};
+	/** Last candidate per field that was found but failed validation. */
+	const rejected = {};
+
+	const accept = (field, raw, source) => {
+		const fieldSchema = properties[field];
+		const value = coerceValue(raw, fieldSchema);
+		if (value === undefined) return false;
+		const fieldErrors = validateAgainstSchema(value, fieldSchema, field);
+		if (fieldErrors.length > 0) {
+			rejected[field] = fieldErrors.map((e) => ({ ...e, source }));
+			return false;
+		}
+		data[field] = value;
+		sources[field] = source;
+		return true;
+	};
+
+	const jsonLdNodes = collectJsonLdNodes(html);
+	const $ = html ? load(html) : null;
+	for (const [field, fieldSchema] of Object.entries(properties)) {
+		if (accept(field, jsonLdValueFor(jsonLdNodes, field, fieldSchema), "json-ld")) {
+			continue;
+		}
+		const selector = fieldSchema.selector || selectors?.[field];
+		if ($ && selector) {
+			accept(field, selectorValueFor($, selector, fieldSchema), "selector");
+		}
+	}
+
+	let llmMeta = null;
+	let llmError = null;
+	const remaining = Object.keys(properties).filter((f) => !(f in data));
+	if (remaining.length > 0 && llm && markdown) {
+		const subSchema = {
+			type: "object",
+			properties: Object.fromEntries(
+				remaining.map((f) => [f, stripHints(properties[f])]),
+			),
+		};
+		try {
+			const res = await llm([
+				{
+					role: "system",
+					content:
+						"You extract structured data from web page content. Respond with a single JSON object only—no prose, no code fences. Use null for any field the content does not state; never invent values.",
+				},
+				{
+					role: "user",
+					content: `Page URL: ${url}\n\nJSON Schema for the fields to fill:\n${JSON.stringify(subSchema, null, 2)}${
+						instructions ? `\n\nInstructions: ${instructions}` : ""
+					}\n\nPage content (markdown):\n${String(markdown).slice(0, EXTRACT_LLM_MAX_MARKDOWN_CHARS)}`,
+				},
+			]);
+			const { content, ...meta } = res || {};
+			llmMeta = meta;
+			const parsed = parseJsonFromModel(content);
+			if (!parsed) {
+				llmError = "LLM response was not valid JSON";
+			} else {
+				for (const field of remaining) accept(field, parsed[field], "llm");
+			}
+		} catch (err) {
+			llmError = err?.message || "LLM extraction failed";
+		}
+	}
+
+	const missingFields = Object.keys(properties).filter((f) => !(f in data));
+	const errors = [
+		...missingFields.flatMap((f) => rejected[f] || []),
+		...validateAgainstSchema(data, schema),
+	];
+	return {
+		valid: errors.length === 0,
+		data,
+		sources,
+		missingFields,
+		errors,
+		...(llmError && { llmError }),
+		...(llmMeta && { openRouterExtract: llmMeta }),
+	};
+}
@@ -0,0 +1,349 @@
+/**
+ * HTML table extraction for /scrape (`tables: true | {...}`).
+ *
+ *   tables: true | { minRows?: 1, includeLayout?: false, maxTables?: 20 }
+ *
+ * Each <table> is expanded into a full grid (rowspan/colspan copied into every
+ * cell they cover), header rows are detected (<thead>, all-<th> rows, or a
+ * text-only first row above numeric data) and stacked header rows are joined
+ * per column ("2024 / Q1"). Columns whose cells are mostly numbers, currency
+ * amounts or percentages are typed and their values normalized in `records`.
+ * Layout tables (role="presentation", nested tables, a single cell) are
+ * skipped unless `includeLayout` is set.
+ */
+
+const DEFAULT_MAX_TABLES = 20;
+const MAX_TABLES_LIMIT = 100;
+const MAX_ROWS_PER_TABLE = 2000;
+const MAX_SPAN = 1000;
+/** Share of non-empty cells that must parse for a column to be typed numeric. */
+const NUMERIC_COLUMN_RATIO = 0.8;
+
+export const TABLE_NOT_FOUND_CODE = "TABLE_NOT_FOUND";
+
+/**
+ * Check a `tables` option from a request body.
+ * @returns {{ tables: { minRows: number, includeLayout: boolean, maxTables: number }|null, errors: Array<{ path: string, message: string }> }}
+ */
+export function normalizeTablesOption(option) {
+	if (option == null || option === false) return { tables: null, errors: [] };
+	const spec = option === true ? {} : option;
+	if (typeof spec !== "object" || Array.isArray(spec)) {
+		return {
+			tables: null,
+			errors: [{ path: "tables", message: "tables must be true or an object" }],
+		};
+	}
+	const minRows = Number.parseInt(spec.minRows, 10);
+	const maxTables = Number.parseInt(spec.maxTables, 10);
+	return {
+		tables: {
+			minRows: Number.isFinite(minRows) ? Math.max(minRows, 1) : 1,
+			includeLayout: spec.includeLayout === true,
+			maxTables: Number.isFinite(maxTables)
+				? Math.min(Math.max(maxTables, 1), MAX_TABLES_LIMIT)
+				: DEFAULT_MAX_TABLES,
+		},
+		errors: [],
+	};
+}
+
+// ─── Values ──────────────────────────────────────────────────────────────────
+
+const CURRENCY_SYMBOLS = {
+	$: "USD",
+	"US$": "USD",
+	"€": "EUR",
+	"£": "GBP",
+	"¥": "JPY",
+	"₹": "INR",
+	"₩": "KRW",
+	"₽": "RUB",
+	"₺": "TRY",
+	"R$": "BRL",
+	"C$": "CAD",
+	"A$": "AUD",
+};
+const CURRENCY_CODES = /^(USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|BRL|MXN|KRW|SEK|NOK|DKK|PLN|TRY|SGD|AED|ZAR|RUB)$/;
+const SYMBOL_PATTERN = /^(US\$|R\$|C\$|A\$|[$€£¥₹₩₽₺])|(US\$|R\$|C\$|A\$|[$€£¥₹₩₽₺])$/;
+const SCALE = { k: 1e3, K: 1e3, m: 1e6, M: 1e6, mn: 1e6, b: 1e9, B: 1e9, bn: 1e9 };
+
+/** "1,234.5" / "1.234,5" / "1 234,5" → 1234.5; null when not a plain number. */
+function parseDecimal(digits) {
+	const s = digits.replace(/[\s  ']/g, "");
+	if (!/^\d[\d.,]*$/.test(s) && !/^[.,]\d+$/.test(s)) return null;
+	const lastDot = s.lastIndexOf(".");
+	const lastComma = s.lastIndexOf(",");
+	let normalized;
+	if (lastDot !== -1 && lastComma !== -1) {
+		// Whichever separator comes last is the decimal point.
+		normalized =
+			lastComma > lastDot
+				? s.replace(/\./g, "").replace(",", ".")
+				: s.replace(/,/g, "");
+	} else if (lastComma !== -1) {
+		const commas = s.split(",").length - 1;
+		const tail = s.length - lastComma - 1;
+		normalized = commas === 1 && tail !== 3 ? s.replace(",", ".") : s.replace(/,/g, "");
+	} else if (lastDot !== -1 && s.split(".").length > 2) {
+		normalized = s.replace(/\./g, "");
+	} else {
+		normalized = s;
+	}
+	const n = Number(normalized);
+	return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parse a cell into a typed value.
+ * @returns {{ type: "number"|"currency"|"percent", value: number, currency?: string }|null}
+ */
+export function parseCellValue(text) {
+	let s = String(text || "").trim();
+	if (!s || s.length > 40) return null;
+	let negative = false;
+	if (/^\(.*\)$/.test(s)) {
+		negative = true;
+		s = s.slice(1, -1).trim();
+	}
+	s = s.replace(/^[−–]/, "-");
+	if (s.startsWith("-")) {
+		negative = !negative;
+		s = s.slice(1).trim();
+	} else if (s.startsWith("+")) {
+		s = s.slice(1).trim();
+	}
+
+	let currency = null;
+	const code = s.match(/^([A-Z]{3})\s*(.+)$|^(.+?)\s*([A-Z]{3})$/);
+	if (code && CURRENCY_CODES.test(code[1] || code[4])) {
+		currency = code[1] || code[4];
+		s = (code[2] || code[3]).trim();
+	}
+	const symbol = s.match(SYMBOL_PATTERN);
+	if (symbol) {
+		currency = currency || CURRENCY_SYMBOLS[symbol[1] || symbol[2]];
+		s = s.replace(SYMBOL_PATTERN, "").trim();
+		if (s.startsWith("-") || s.startsWith("−")) {
+			negative = !negative;
+			s = s.slice(1).trim();
+		}
+	}
+
+	let percent = false;
+	if (s.endsWith("%")) {
+		percent = true;
+		s = s.slice(0, -1).trim();
+	}
+	let scale = 1;
+	const scaled = s.match(/^(.*\d)\s*(k|K|m|M|mn|b|B|bn)$/);
+	if (scaled && !percent) {
+		scale = SCALE[scaled[2]];
+		s = scaled[1];
+	}
+
+	const n = parseDecimal(s);
+	if (n == null) return null;
+	const value = (negative ? -n : n) * scale;
+	if (percent) return { type: "percent", value };
+	if (currency) return { type: "currency", value, currency };
+	return { type: "number", value };
+}
+
+// ─── Grid ────────────────────────────────────────────────────────────────────
+
+/** Cell text with <br> and block children kept apart, whitespace collapsed. */
+function cellText(cell) {
+	const clone = cell.cloneNode(true);
+	for (const el of clone.querySelectorAll("script, style, noscript")) el.remove();
+	for (const br of clone.querySelectorAll("br")) br.replaceWith(" ");
+	for (const block of clone.querySelectorAll("p, div, li, span")) {
+		block.append(" ");
+	}
+	return clone.textContent.replace(/\s+/g, " ").trim();
+}
+
+/** Rows that belong to this table (not to tables nested inside it). */
+function ownRows(table) {
+	return Array.from(table.rows).filter((row) => row.closest("table") === table);
+}
+
+/**
+ * Expand a table into a rectangular grid.
+ * @returns {{ grid: Array<Array<{ text: string, th: boolean, head: boolean }|null>>, truncated: boolean }}
+ */
+function expandGrid(table) {
+	const rows = ownRows(table);
+	const truncated = rows.length > MAX_ROWS_PER_TABLE;
+	const used = rows.slice(0, MAX_ROWS_PER_TABLE);
+	const grid = used.map(() => []);
+	used.forEach((row, r) => {
+		const head = row.parentElement?.localName === "thead";
+		let c = 0;
+		for (const cell of Array.from(row.cells)) {
+			while (grid[r][c] !== undefined) c++;
+			const colspan = Math.min(
+				Math.max(Number.parseInt(cell.getAttribute("colspan"), 10) || 1, 1),
+				MAX_SPAN,
+			);
+			let rowspan = Number.parseInt(cell.getAttribute("rowspan"), 10);
+			// rowspan="0" spans to the end of the row group.
+			if (rowspan === 0) {
+				const group = row.parentElement;
+				rowspan = used.slice(r).filter((tr) => tr.parentElement === group).length;
+			}
+			rowspan = Math.min(Math.max(rowspan || 1, 1), used.length - r);
+			const value = { text: cellText(cell), th: cell.localName === "th", head };
+			for (let dr = 0; dr < rowspan; dr++) {
+				for (let dc = 0; dc < colspan; dc++) grid[r + dr][c + dc] = value;
+			}
+			c += colspan;
+		}
+	});
+	const width = Math.max(0, ...grid.map((row) => row.length));
+	return {
+		grid: grid.map((row) => Array.from({ length: width }, (_, c) => row[c] ?? null)),
+		truncated,
+	};
+}
+
+/** Number of leading header rows. */
+function headerRowCount(grid) {
+	let count = 0;
+	while (
+		count < grid.length - 1 &&
+		grid[count].some(Boolean) &&
+		grid[count].every((cell) => !cell || cell.head || cell.th)
+	) {
+		count++;
+	}
+	if (count > 0 || grid.length < 2) return count;
+	// No markup hints: a text-only first row above rows with numbers is a header.
+	const first = grid[0];
+	const firstIsText = first.every((cell) => cell?.text && !parseCellValue(cell.text));
+	const dataHasNumbers = grid
+		.slice(1)
+		.some((row) => row.some((cell) => cell && parseCellValue(cell.text)));
+	return firstIsText && dataHasNumbers ? 1 : 0;
+}
+
+/** Column names from stacked header rows; repeated span parts appear once. */
+function columnNames(grid, headerRows, width) {
+	const names = [];
+	const seen = new Map();
+	for (let c = 0; c < width; c++) {
+		const parts = [];
+		for (let r = 0; r < headerRows; r++) {
+			const text = grid[r][c]?.text;
+			if (text && parts[parts.length - 1] !== text) parts.push(text);
+		}
+		let name = parts.join(" / ") || `Column ${c + 1}`;
+		const n = (seen.get(name) || 0) + 1;
+		seen.set(name, n);
+		if (n > 1) name = `${name} (${n})`;
+		names.push(name);
+	}
+	return names;
+}
+
+function columnTypes(rows, width) {
+	const columns = [];
+	for (let c = 0; c < width; c++) {
+		const cells = rows.map((row) => row[c]).filter((text) => text);
+		const parsed = cells.map(parseCellValue);
+		const hits = parsed.filter(Boolean);
+		if (cells.length === 0 || hits.length / cells.length < NUMERIC_COLUMN_RATIO) {
+			columns.push({ type: "text" });
+			continue;
+		}
+		const types = new Set(hits.map((p) => p.type));
+		const type = types.size === 1 ? [...types][0] : types.has("currency") ? "currency" : "number";
+		const currencies = new Set(hits.map((p) => p.currency).filter(Boolean));
+		columns.push({ type, ...(currencies.size === 1 && { currency: [...currencies][0] }) });
+	}
+	return columns;
+}
+
+function isLayoutTable(table, grid) {
+	const role = table.getAttribute("role");
+	if (role === "presentation" || role === "none") return true;
+	if (table.querySelector("table")) return true;
+	const width = grid[0]?.length || 0;
+	return grid.length <= 1 && width <= 1;
+}
+
+// ─── Extraction ──────────────────────────────────────────────────────────────
+
+/**
+ * Extract data tables from a parsed document (or a scoped root within one).
+ *
+ * @param {Document|Element} root
+ * @param {{ minRows: number, includeLayout: boolean, maxTables: number }} options  Output of normalizeTablesOption
+ * @returns {Array<{ index: number, caption: string|null, heading: string|null, headers: string[], headerRows: number, columns: Array<{ name: string, type: string, currency?: string }>, rows: string[][], records: Object[], rowCount: number, truncated: boolean }>}
+ */
+export function extractTables(root, options) {
+	const tables = [];
+	let heading = null;
+	for (const el of root.querySelectorAll("h1, h2, h3, h4, h5, h6, table")) {
+		if (el.localName !== "table") {
+			heading = el.textContent.replace(/\s+/g, " ").trim() || heading;
+			continue;
+		}
+		if (tables.length >= options.maxTables) break;
+
+		const { grid, truncated } = expandGrid(el);
+		if (grid.length === 0 || grid[0].length === 0) continue;
+		if (!options.includeLayout && isLayoutTable(el, grid)) continue;
+
+		const headerRows = headerRowCount(grid);
+		const width = grid[0].length;
+		const headers = columnNames(grid, headerRows, width);
+		const rows = grid
+			.slice(headerRows)
+			.map((row) => row.map((cell) => cell?.text ?? ""))
+			.filter((row) => row.some((text) => text));
+		if (rows.length < options.minRows) continue;
+
+		const types = columnTypes(rows, width);
+		const records = rows.map((row) =>
+			Object.fromEntries(
+				row.map((text, c) => {
+					if (types[c].type === "text" || !text) return [headers[c], text || null];
+					return [headers[c], parseCellValue(text)?.value ?? text];
+				}),
+			),
+		);
+		tables.push({
+			index: tables.length,
+			caption: el.caption ? cellText(el.caption) || null : null,
+			heading,
+			headers,
+			headerRows,
+			columns: headers.map((name, c) => ({ name, ...types[c] })),
+			rows,
+			records,
+			rowCount: rows.length,
+			truncated,
+		});
+	}
+	return tables;
+}
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+
+function csvField(value) {
+	if (value == null) return "";
+	let s = String(value);
+	// Spreadsheet apps run cells starting with these as formulas.
+	if (typeof value === "string" && /^[=+@\t\r]|^-(?!\d)/.test(s)) s = `'${s}`;
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** RFC 4180 CSV of one extracted table; numeric columns use normalized values. */
+export function tableToCsv(table) {
+	const lines = [table.headers.map(csvField).join(",")];
+	for (const record of table.records) {
+		lines.push(table.headers.map((h) => csvField(record[h])).join(","));
+	}
+	return `${lines.join("\r\n")}\r\n`;
+}
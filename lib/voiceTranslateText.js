@@ -26,6 +26,7 @@ import {
 	TRANSLATE_LLM_PRESETS,
 	resolveTranslateLlmModel,
 } from "./translateLlmModels.js";
+import { safeFetch } from "./ssrfGuard.js";
 
 const OPENROUTER_CHAT = "https://openrouter.ai/api/v1/chat/completions";
 
@@ -125,10 +126,11 @@ export function guessAudioFormatFromFilename(filename) {
 }
 
 /**
- * Fetch remote audio bytes (e.g. UploadThing URL after upload).
+ * Fetch remote audio bytes (e.g. UploadThing URL after upload). Private and
+ * local targets are refused (see ssrfGuard).
  */
 export async function fetchAudioBufferFromUrl(url, signal) {
-	const res = await fetch(String(url).trim(), {
+	const res = await safeFetch(String(url).trim(), {
 		signal,
 		redirect: "follow",
 		headers: {